@@ -0,0 +1,536 @@
+// ===== ADMIN CATALOG MANAGER =====
+// Owner-only view at #/admin/products for creating, editing, archiving and
+// reordering products, and for CSV import/export (product-csv.js). Saving goes through FirebaseManager's catalog admin
+// methods, which validate with product-schema.js and log every change through
+// logInventoryChange.
+
+import { PRODUCT_CATEGORIES, PRODUCT_DEFAULTS, ProductValidationError, getCategoryDisplayName } from './product-schema.js';
+import { productsToCsv, planProductImport } from './product-csv.js';
+import { getVariantLabel } from './product-variants.js';
+import { escapeHtml } from './html-utils.js';
+
+// `onProductsChanged` gets the saved products so the storefront can show them
+// without a reload
+export class AdminCatalogUI {
+    constructor(firebaseManager, { router = null, notify = () => {}, onProductsChanged = () => {} } = {}) {
+        this.firebaseManager = firebaseManager;
+        this.router = router;
+        this.notify = notify;
+        this.onProductsChanged = onProductsChanged;
+        this.products = [];
+        this.modal = null;
+        this.editing = null;
+        this.newProductId = null;
+        this.importPlan = null;
+        this.isSaving = false;
+    }
+
+    async open() {
+        if (!this.firebaseManager?.can('catalog:write')) {
+            this.notify('Your account doesn\'t have access to the catalog', 'error');
+            this.router?.leave('/admin/products');
+            return;
+        }
+
+        this.ensureModal();
+        this.modal.classList.add('show');
+        document.body.style.overflow = 'hidden';
+
+        this.router?.show('/admin/products');
+
+        await this.loadProducts();
+    }
+
+    close() {
+        if (!this.modal?.classList.contains('show')) return;
+
+        this.modal.classList.remove('show');
+        document.body.style.overflow = '';
+        this.editing = null;
+
+        this.router?.leave('/admin/products');
+    }
+
+    ensureModal() {
+        if (this.modal) return;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'profile-modal';
+        this.modal.id = 'adminCatalogModal';
+        this.modal.innerHTML = `
+            <div class="profile-modal-content admin-catalog-content">
+                <div class="profile-modal-header">
+                    <h2 class="admin-catalog-title">Catalog</h2>
+                    <button class="profile-modal-close" data-action="close" aria-label="Close">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </div>
+                <div class="profile-modal-body admin-catalog-body"></div>
+            </div>
+        `;
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+                return;
+            }
+
+            const button = e.target.closest('[data-action]');
+            if (button && !button.disabled) {
+                this.handleAction(button.dataset.action, button.dataset.productId);
+            }
+        });
+
+        this.modal.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveForm(e.target);
+        });
+
+        this.modal.addEventListener('change', (e) => {
+            if (e.target.name === 'image_file' && e.target.files[0]) {
+                this.uploadImage(e.target.form, e.target.files[0]);
+            } else if (e.target.name === 'import_file' && e.target.files[0]) {
+                this.previewImport(e.target.files[0]);
+            }
+        });
+
+        document.body.appendChild(this.modal);
+    }
+
+    setView(title, html) {
+        this.modal.querySelector('.admin-catalog-title').textContent = title;
+        this.modal.querySelector('.admin-catalog-body').innerHTML = html;
+    }
+
+    findProduct(productId) {
+        return this.products.find(product => product.id === productId) || null;
+    }
+
+    async handleAction(action, productId) {
+        switch (action) {
+            case 'close':
+                this.close();
+                break;
+            case 'list':
+                this.editing = null;
+                this.renderList();
+                break;
+            case 'new':
+                this.renderForm(null);
+                break;
+            case 'edit':
+                this.renderForm(this.findProduct(productId));
+                break;
+            case 'move-up':
+                await this.moveProduct(productId, -1);
+                break;
+            case 'move-down':
+                await this.moveProduct(productId, 1);
+                break;
+            case 'archive':
+                await this.setArchived(productId, true);
+                break;
+            case 'restore':
+                await this.setArchived(productId, false);
+                break;
+            case 'export':
+                this.exportCsv();
+                break;
+            case 'apply-import':
+                await this.applyImport();
+                break;
+        }
+    }
+
+    // ===== PRODUCT LIST =====
+
+    async loadProducts() {
+        this.setView('Catalog', '<p class="admin-catalog-empty">Loading products...</p>');
+
+        try {
+            this.products = await this.firebaseManager.getCatalogForAdmin();
+            this.renderList();
+        } catch (error) {
+            console.error('Failed to load catalog:', error);
+            this.setView('Catalog', `<p class="admin-catalog-empty">${escapeHtml(error.message)}</p>`);
+        }
+    }
+
+    renderList() {
+        const live = this.products.filter(product => !product.archived);
+        const archived = this.products.filter(product => product.archived);
+
+        this.setView('Catalog', `
+            <div class="admin-catalog-toolbar">
+                <span>${live.length} on sale${archived.length > 0 ? `, ${archived.length} archived` : ''}</span>
+                <div class="admin-catalog-toolbar-actions">
+                    <button class="profile-btn profile-btn-tertiary" data-action="export">Export CSV</button>
+                    <label class="profile-btn profile-btn-tertiary">
+                        Import CSV
+                        <input type="file" name="import_file" accept=".csv,text/csv" hidden>
+                    </label>
+                    <button class="profile-btn profile-btn-primary" data-action="new">New Product</button>
+                </div>
+            </div>
+            <div class="admin-product-list">
+                ${live.map((product, index) => this.createProductRow(product, index, live.length)).join('')}
+                ${live.length === 0 ? '<p class="admin-catalog-empty">No products on sale yet.</p>' : ''}
+            </div>
+            ${archived.length > 0 ? `
+                <h3 class="admin-catalog-subtitle">Archived</h3>
+                <div class="admin-product-list">
+                    ${archived.map(product => this.createProductRow(product)).join('')}
+                </div>
+            ` : ''}
+        `);
+    }
+
+    // Archived products can't be reordered, so they're rendered without an index
+    createProductRow(product, index = null, count = 0) {
+        const stock = product.on_hand ?? product.stock;
+        const id = escapeHtml(product.id);
+
+        return `
+            <div class="admin-product-row${product.archived ? ' archived' : ''}">
+                <img class="admin-product-thumb" src="${escapeHtml(product.image)}" alt="" loading="lazy">
+                <div class="admin-product-info">
+                    <strong>${escapeHtml(product.name)}</strong>
+                    <small>${escapeHtml(getCategoryDisplayName(product.category))} &middot; ${escapeHtml(product.sku)}</small>
+                </div>
+                <div class="admin-product-meta">
+                    <span>$${product.price.toFixed(2)}</span>
+                    <small>${stock} in stock${product.preorder ? ' &middot; preorder' : ''}</small>
+                </div>
+                <div class="admin-product-actions">
+                    ${index !== null ? `
+                        <button class="admin-icon-btn" data-action="move-up" data-product-id="${id}" ${index === 0 ? 'disabled' : ''} aria-label="Move up">&uarr;</button>
+                        <button class="admin-icon-btn" data-action="move-down" data-product-id="${id}" ${index === count - 1 ? 'disabled' : ''} aria-label="Move down">&darr;</button>
+                    ` : ''}
+                    <button class="profile-btn profile-btn-secondary" data-action="edit" data-product-id="${id}">Edit</button>
+                    <button class="profile-btn profile-btn-tertiary" data-action="${product.archived ? 'restore' : 'archive'}" data-product-id="${id}">
+                        ${product.archived ? 'Restore' : 'Archive'}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Positions follow the list order, so moving one product can renumber several
+    async moveProduct(productId, direction) {
+        const live = this.products.filter(product => !product.archived);
+        const index = live.findIndex(product => product.id === productId);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= live.length) return;
+
+        [live[index], live[target]] = [live[target], live[index]];
+
+        try {
+            const moved = await this.firebaseManager.reorderProducts(live);
+            moved.forEach(({ id, position }) => {
+                this.findProduct(id).position = position;
+            });
+
+            this.products = [...live, ...this.products.filter(product => product.archived)];
+            this.renderList();
+            this.onProductsChanged(moved.map(({ id }) => this.findProduct(id)));
+        } catch (error) {
+            console.error('Failed to reorder products:', error);
+            this.notify(error.message, 'error');
+        }
+    }
+
+    async setArchived(productId, archived) {
+        const product = this.findProduct(productId);
+        if (archived && !confirm(`Archive ${product.name}? It will be hidden from the shop.`)) return;
+
+        try {
+            const updated = await this.firebaseManager.setProductArchived(productId, archived);
+            this.replaceProduct(updated);
+            this.renderList();
+            this.onProductsChanged([updated]);
+            this.notify(`${updated.name} ${archived ? 'archived' : 'restored'}`);
+        } catch (error) {
+            console.error('Failed to archive product:', error);
+            this.notify(error.message, 'error');
+        }
+    }
+
+    replaceProduct(product) {
+        const index = this.products.findIndex(existing => existing.id === product.id);
+        if (index === -1) {
+            this.products.unshift(product);
+        } else {
+            this.products[index] = product;
+        }
+    }
+
+    // ===== CSV IMPORT / EXPORT =====
+
+    exportCsv() {
+        const blob = new Blob([productsToCsv(this.products)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `catalog-${new Date().toISOString().split('T')[0]}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        this.firebaseManager.logEvent('catalog_exported', { products: this.products.length });
+    }
+
+    // Nothing is written until the preview is confirmed
+    async previewImport(file) {
+        const { plan, errors } = planProductImport(await file.text(), this.products);
+        this.importPlan = plan;
+
+        if (errors.length > 0) {
+            this.setView('Import Catalog', `
+                <button class="order-detail-back" data-action="list">&larr; All products</button>
+                <p class="admin-field-error">${errors.map(escapeHtml).join('<br>')}</p>
+                <p class="admin-field-hint">The first row needs the column names - export the catalog for a template.</p>
+            `);
+            return;
+        }
+
+        const count = action => plan.filter(entry => entry.action === action).length;
+        const toApply = count('create') + count('update');
+
+        this.setView('Import Catalog', `
+            <button class="order-detail-back" data-action="list">&larr; All products</button>
+            <div class="admin-import-summary">
+                <span class="admin-import-badge create">${count('create')} new</span>
+                <span class="admin-import-badge update">${count('update')} updated</span>
+                <span class="admin-import-badge unchanged">${count('unchanged')} unchanged</span>
+                <span class="admin-import-badge error">${count('error')} with errors</span>
+            </div>
+            ${count('error') > 0 ? '<p class="admin-field-hint">Rows with errors are skipped. Fix them in the spreadsheet and import again.</p>' : ''}
+            <div class="admin-import-list">
+                ${plan.filter(entry => entry.action !== 'unchanged').map(entry => this.createImportRow(entry)).join('')}
+            </div>
+            <div class="profile-actions">
+                <button class="profile-btn profile-btn-tertiary" data-action="list">Cancel</button>
+                <button class="profile-btn profile-btn-primary" data-action="apply-import" ${toApply === 0 ? 'disabled' : ''}>
+                    Apply ${toApply} Change${toApply === 1 ? '' : 's'}
+                </button>
+            </div>
+        `);
+    }
+
+    createImportRow(entry) {
+        const details = entry.action === 'error'
+            ? entry.errors.map(error => `<li class="admin-field-error">${escapeHtml(error)}</li>`).join('')
+            : entry.changes.map(({ field, from, to }) => `
+                <li><strong>${escapeHtml(field)}</strong>
+                    ${from ? `<del>${escapeHtml(from)}</del> &rarr; ` : ''}${escapeHtml(to)}</li>
+            `).join('');
+
+        return `
+            <div class="admin-import-row">
+                <div class="admin-import-row-header">
+                    <span>Line ${entry.line} &middot; ${escapeHtml(entry.sku || 'no SKU')}
+                        ${entry.product ? `&middot; ${escapeHtml(entry.product.name)}${entry.product.archived ? ' (archived)' : ''}` : ''}</span>
+                    <span class="admin-import-badge ${entry.action}">${entry.action}</span>
+                </div>
+                <ul>${details}</ul>
+            </div>
+        `;
+    }
+
+    async applyImport() {
+        if (!this.importPlan || this.isSaving) return;
+
+        this.isSaving = true;
+        this.setView('Import Catalog', '<p class="admin-catalog-empty">Importing...</p>');
+
+        try {
+            const { saved, failed } = await this.firebaseManager.importProducts(this.importPlan);
+
+            this.onProductsChanged(saved);
+            await this.loadProducts();
+
+            if (failed.length > 0) {
+                this.notify(`Imported ${saved.length} products, ${failed.length} failed: ${failed.map(row => `line ${row.line}`).join(', ')}`, 'error');
+            } else {
+                this.notify(`Imported ${saved.length} product${saved.length === 1 ? '' : 's'}`);
+            }
+        } catch (error) {
+            console.error('Catalog import failed:', error);
+            this.notify(error.message, 'error');
+            this.renderList();
+        } finally {
+            this.importPlan = null;
+            this.isSaving = false;
+        }
+    }
+
+    // ===== PRODUCT FORM =====
+
+    // Sizes themselves are set up in Firestore; here each size just gets its stock
+    renderForm(product) {
+        this.editing = product;
+        this.newProductId = product ? null : this.firebaseManager.newProductId();
+
+        const value = field => escapeHtml(product?.[field] ?? '');
+        const variants = product?.variants || [];
+
+        const stockFields = variants.length > 0 ? `
+            <fieldset class="admin-form-sizes">
+                <legend>Stock on hand by size</legend>
+                ${variants.map(variant => `
+                    <div class="form-group">
+                        <label for="adminVariant-${escapeHtml(variant.id)}">
+                            ${escapeHtml(getVariantLabel(variant) || variant.id)}
+                            ${variant.reserved > 0 ? `<small>(${variant.reserved} held in carts)</small>` : ''}
+                        </label>
+                        <input type="number" min="0" step="1" id="adminVariant-${escapeHtml(variant.id)}"
+                            data-variant-id="${escapeHtml(variant.id)}" value="${variant.on_hand ?? variant.stock}">
+                        <span class="admin-field-error" data-error-for="variant_${escapeHtml(variant.id)}"></span>
+                    </div>
+                `).join('')}
+            </fieldset>
+        ` : this.createField('stock', 'Stock on hand', `
+            <input type="number" min="0" step="1" name="stock" id="adminField-stock" value="${product ? product.on_hand ?? product.stock : ''}" placeholder="${PRODUCT_DEFAULTS.stock}">
+        `, product?.reserved > 0 ? `${product.reserved} held in carts` : null);
+
+        this.setView(product ? `Edit ${product.name}` : 'New Product', `
+            <button class="order-detail-back" data-action="list">&larr; All products</button>
+            <form class="admin-product-form" novalidate>
+                ${this.createField('name', 'Name', `<input type="text" name="name" id="adminField-name" value="${value('name')}" maxlength="120" required>`)}
+                ${this.createField('category', 'Category', `
+                    <select name="category" id="adminField-category" required>
+                        ${product ? '' : '<option value="">Choose a category</option>'}
+                        ${PRODUCT_CATEGORIES.map(category => `
+                            <option value="${category}" ${product?.category === category ? 'selected' : ''}>${getCategoryDisplayName(category)}</option>
+                        `).join('')}
+                    </select>
+                `)}
+                <div class="admin-form-row">
+                    ${this.createField('price', 'Price ($)', `<input type="number" name="price" id="adminField-price" min="0" step="0.01" value="${value('price')}" required>`)}
+                    ${this.createField('sku', 'SKU', `<input type="text" name="sku" id="adminField-sku" value="${value('sku')}" placeholder="Generated if blank">`)}
+                </div>
+                ${stockFields}
+                <label class="admin-form-check">
+                    <input type="checkbox" name="preorder" ${product?.preorder ? 'checked' : ''}>
+                    Take preorders when sold out
+                </label>
+                ${this.createField('image', 'Image', `
+                    <div class="admin-image-field">
+                        <img class="admin-image-preview" src="${escapeHtml(product?.image || PRODUCT_DEFAULTS.image)}" alt="">
+                        <div>
+                            <input type="url" name="image" id="adminField-image" value="${value('image')}" placeholder="https://...">
+                            <input type="file" name="image_file" accept="image/*">
+                        </div>
+                    </div>
+                `)}
+                ${this.createField('description', 'Description', `<textarea name="description" id="adminField-description" rows="4">${value('description')}</textarea>`)}
+                <div class="admin-form-row">
+                    ${this.createField('weight', 'Weight (kg)', `<input type="number" name="weight" id="adminField-weight" min="0" step="0.01" value="${value('weight')}" placeholder="${PRODUCT_DEFAULTS.weight}">`)}
+                    ${this.createField('dimensions', 'Dimensions', `<input type="text" name="dimensions" id="adminField-dimensions" value="${value('dimensions')}" placeholder="${PRODUCT_DEFAULTS.dimensions}">`)}
+                </div>
+                <div class="profile-actions">
+                    <button type="button" class="profile-btn profile-btn-tertiary" data-action="list">Cancel</button>
+                    <button type="submit" class="profile-btn profile-btn-primary">${product ? 'Save Changes' : 'Create Product'}</button>
+                </div>
+            </form>
+        `);
+    }
+
+    createField(field, label, control, hint = null) {
+        return `
+            <div class="form-group">
+                <label for="adminField-${field}">${label}</label>
+                ${control}
+                ${hint ? `<small class="admin-field-hint">${hint}</small>` : ''}
+                <span class="admin-field-error" data-error-for="${field}"></span>
+            </div>
+        `;
+    }
+
+    readForm(form) {
+        const data = {};
+        ['name', 'category', 'price', 'stock', 'sku', 'image', 'description', 'weight', 'dimensions'].forEach(field => {
+            if (form.elements[field]) data[field] = form.elements[field].value;
+        });
+        data.preorder = form.elements.preorder.checked;
+
+        const variantStock = {};
+        form.querySelectorAll('[data-variant-id]').forEach(input => {
+            variantStock[input.dataset.variantId] = input.value;
+        });
+
+        return { data, variantStock };
+    }
+
+    showErrors(form, errors = {}) {
+        form.querySelectorAll('.admin-field-error').forEach(element => {
+            element.textContent = errors[element.dataset.errorFor] || '';
+        });
+
+        const first = Object.keys(errors)[0];
+        form.querySelector(`[data-error-for="${first}"]`)?.closest('.form-group')?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+
+    async saveForm(form) {
+        if (this.isSaving) return;
+
+        const { data, variantStock } = this.readForm(form);
+        const submit = form.querySelector('[type="submit"]');
+
+        this.showErrors(form);
+        this.isSaving = true;
+        submit.disabled = true;
+
+        try {
+            const saved = this.editing
+                ? await this.firebaseManager.updateProduct(this.editing.id, data, { variantStock })
+                : await this.firebaseManager.createProduct(data, { productId: this.newProductId });
+
+            this.replaceProduct(saved);
+            this.onProductsChanged([saved]);
+            this.notify(`${saved.name} ${this.editing ? 'saved' : 'created'}`);
+
+            this.editing = null;
+            this.renderList();
+        } catch (error) {
+            if (error instanceof ProductValidationError) {
+                this.showErrors(form, error.errors);
+            } else {
+                console.error('Failed to save product:', error);
+                this.notify(error.message, 'error');
+            }
+        } finally {
+            this.isSaving = false;
+            submit.disabled = false;
+        }
+    }
+
+    // New products upload under the id they'll be created with
+    async uploadImage(form, file) {
+        const productId = this.editing?.id || this.newProductId;
+        const preview = form.querySelector('.admin-image-preview');
+
+        this.showErrors(form);
+        preview.classList.add('uploading');
+
+        try {
+            const url = await this.firebaseManager.uploadProductImage(productId, file);
+            form.elements.image.value = url;
+            preview.src = url;
+        } catch (error) {
+            if (error instanceof ProductValidationError) {
+                this.showErrors(form, error.errors);
+            } else {
+                console.error('Failed to upload product image:', error);
+                this.showErrors(form, { image: error.message });
+            }
+        } finally {
+            preview.classList.remove('uploading');
+            form.elements.image_file.value = '';
+        }
+    }
+}
@@ -0,0 +1,701 @@
+// ===== ADMIN ORDERS DASHBOARD =====
+// Staff and owner view at #/admin/orders (and #/admin/orders/<id> for one order)
+// for working through orders: filter by status, date and customer, then mark them
+// fulfilled, ship them with tracking, request refunds (owners only) and print
+// packing slips. Status changes go through FirebaseManager's order admin methods;
+// refunds go through the API server (server/admin.js) because they need the Stripe key.
+
+import { ORDER_STATUSES, SHIPPING_CARRIERS, canTransitionOrder, getCheckoutFigures } from './order-lifecycle.js';
+import { escapeHtml } from './html-utils.js';
+import { STRIPE_CONFIG } from './stripe-integration.js';
+
+export class AdminOrdersUI {
+    constructor(firebaseManager, { router = null, notify = () => {} } = {}) {
+        this.firebaseManager = firebaseManager;
+        this.router = router;
+        this.notify = notify;
+        this.orders = [];
+        this.cursor = null;
+        this.hasMore = false;
+        this.filters = { status: '', from: '', to: '', customer: '' };
+        this.order = null;
+        this.path = null;
+        this.modal = null;
+        this.isSaving = false;
+    }
+
+    async open(orderId = null) {
+        if (!this.firebaseManager?.can('orders:manage')) {
+            this.notify('Your account doesn\'t have access to orders', 'error');
+            this.router?.leave(orderId ? `/admin/orders/${encodeURIComponent(orderId)}` : '/admin/orders');
+            return;
+        }
+
+        const wasOpen = this.modal?.classList.contains('show');
+
+        this.ensureModal();
+        this.modal.classList.add('show');
+        document.body.style.overflow = 'hidden';
+
+        if (orderId) {
+            await this.showOrder(orderId);
+        } else {
+            this.showList();
+            if (!wasOpen) await this.loadOrders();
+        }
+    }
+
+    close() {
+        if (!this.modal?.classList.contains('show')) return;
+
+        this.modal.classList.remove('show');
+        document.body.style.overflow = '';
+        this.order = null;
+
+        this.router?.leave(this.path);
+    }
+
+    // Moving between the list and an order stays inside the dashboard
+    exitRoute() {
+        if (!this.router?.current?.route.name.startsWith('admin-order')) {
+            this.close();
+        }
+    }
+
+    // The list and its orders share one history entry, so closing steps straight
+    // back to the page the dashboard was opened from
+    setPath(path) {
+        this.path = path;
+        if (!this.router || this.router.current?.path === path) return;
+
+        if (this.router.current?.route.name.startsWith('admin-order')) {
+            this.router.replace(path);
+        } else {
+            this.router.show(path);
+        }
+    }
+
+    ensureModal() {
+        if (this.modal) return;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'profile-modal';
+        this.modal.id = 'adminOrdersModal';
+        this.modal.innerHTML = `
+            <div class="profile-modal-content admin-catalog-content">
+                <div class="profile-modal-header">
+                    <h2 class="admin-catalog-title">Orders</h2>
+                    <button class="profile-modal-close" data-action="close" aria-label="Close">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </div>
+                <div class="profile-modal-body admin-catalog-body"></div>
+            </div>
+        `;
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+                return;
+            }
+
+            const button = e.target.closest('[data-action]');
+            if (button && !button.disabled) {
+                this.handleAction(button.dataset.action, button.dataset.orderId);
+            }
+        });
+
+        this.modal.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            switch (e.target.dataset.form) {
+                case 'filters':
+                    this.applyFilters(e.target);
+                    break;
+                case 'tracking':
+                    this.saveTracking(e.target);
+                    break;
+                case 'refund':
+                    this.requestRefund(e.target);
+                    break;
+            }
+        });
+
+        // Customer search only narrows the orders already loaded, so it runs as you type
+        this.modal.addEventListener('input', (e) => {
+            if (e.target.name === 'customer') {
+                this.filters.customer = e.target.value;
+                this.renderOrderRows();
+            }
+        });
+
+        document.body.appendChild(this.modal);
+    }
+
+    setView(title, html) {
+        this.modal.querySelector('.admin-catalog-title').textContent = title;
+        this.modal.querySelector('.admin-catalog-body').innerHTML = html;
+    }
+
+    async handleAction(action, orderId) {
+        switch (action) {
+            case 'close':
+                this.close();
+                break;
+            case 'list':
+                this.showList();
+                break;
+            case 'view':
+                await this.showOrder(orderId);
+                break;
+            case 'more':
+                await this.loadOrders({ append: true });
+                break;
+            case 'clear-filters':
+                this.filters = { status: '', from: '', to: '', customer: '' };
+                this.showList();
+                await this.loadOrders();
+                break;
+            case 'fulfil':
+                await this.markFulfilled();
+                break;
+            case 'print':
+                this.printPackingSlip();
+                break;
+        }
+    }
+
+    // ===== FORMATTING =====
+
+    formatMoney(amount) {
+        return `$${(Number(amount) || 0).toFixed(2)}`;
+    }
+
+    formatStatus(status = 'pending') {
+        return status.charAt(0).toUpperCase() + status.slice(1).replace(/_/g, ' ');
+    }
+
+    createStatusBadge(status = 'pending') {
+        return `<span class="order-status order-status-${escapeHtml(status)}">${escapeHtml(this.formatStatus(status))}</span>`;
+    }
+
+    formatDate(value, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
+        return value ? new Date(value).toLocaleString(undefined, options) : '';
+    }
+
+    // The order number customers see, which isn't always the document id
+    getOrderNumber(order) {
+        return order.order_id || order.id;
+    }
+
+    // Stripe's copy is what the customer actually typed at checkout
+    getCustomer(order) {
+        const details = order.customer_details || {};
+        const profile = order.customer || {};
+
+        return {
+            name: details.name || order.shipping?.name || profile.name || null,
+            email: details.email || profile.email || null,
+            phone: details.phone || profile.phone || null
+        };
+    }
+
+    getOrderTotal(order) {
+        return order.payment?.amount_total ?? getCheckoutFigures(order).totals.total ?? 0;
+    }
+
+    // ===== ORDER LIST =====
+
+    showList() {
+        this.order = null;
+        this.setPath('/admin/orders');
+
+        const { status, from, to, customer } = this.filters;
+
+        this.setView('Orders', `
+            <form class="admin-order-filters" data-form="filters">
+                <div class="form-group">
+                    <label for="adminOrders-status">Status</label>
+                    <select name="status" id="adminOrders-status">
+                        <option value="">All statuses</option>
+                        ${ORDER_STATUSES.map(value => `
+                            <option value="${value}" ${value === status ? 'selected' : ''}>${this.formatStatus(value)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="adminOrders-from">From</label>
+                    <input type="date" name="from" id="adminOrders-from" value="${escapeHtml(from)}">
+                </div>
+                <div class="form-group">
+                    <label for="adminOrders-to">To</label>
+                    <input type="date" name="to" id="adminOrders-to" value="${escapeHtml(to)}">
+                </div>
+                <div class="form-group">
+                    <label for="adminOrders-customer">Customer</label>
+                    <input type="search" name="customer" id="adminOrders-customer" value="${escapeHtml(customer)}" placeholder="Name, email or order #">
+                </div>
+                <div class="admin-order-filter-actions">
+                    <button type="submit" class="profile-btn profile-btn-primary">Apply</button>
+                    <button type="button" class="profile-btn profile-btn-tertiary" data-action="clear-filters">Clear</button>
+                </div>
+            </form>
+            <div class="admin-order-list"></div>
+        `);
+
+        this.renderOrderRows();
+    }
+
+    async applyFilters(form) {
+        const from = form.elements.from.value;
+        const to = form.elements.to.value;
+
+        if (from && to && from > to) {
+            this.notify('The start date is after the end date', 'error');
+            return;
+        }
+
+        this.filters = {
+            status: form.elements.status.value,
+            from,
+            to,
+            customer: form.elements.customer.value
+        };
+
+        await this.loadOrders();
+    }
+
+    // Dates are picked in the admin's own time zone; `to` includes the whole day
+    getDateRange() {
+        const { from, to } = this.filters;
+        const startOf = date => new Date(`${date}T00:00:00`);
+        let end = null;
+
+        if (to) {
+            end = startOf(to);
+            end.setDate(end.getDate() + 1);
+        }
+
+        return {
+            from: from ? startOf(from).toISOString() : null,
+            to: end ? end.toISOString() : null
+        };
+    }
+
+    async loadOrders({ append = false } = {}) {
+        const list = this.modal.querySelector('.admin-order-list');
+        if (!append && list) {
+            list.innerHTML = '<p class="admin-catalog-empty">Loading orders...</p>';
+        }
+
+        try {
+            const page = await this.firebaseManager.getOrdersForAdmin({
+                status: this.filters.status || null,
+                ...this.getDateRange(),
+                cursor: append ? this.cursor : null
+            });
+
+            this.orders = append ? [...this.orders, ...page.orders] : page.orders;
+            this.cursor = page.cursor;
+            this.hasMore = page.hasMore;
+        } catch (error) {
+            console.error('Failed to load orders:', error);
+            if (list) list.innerHTML = `<p class="admin-catalog-empty">${escapeHtml(error.message)}</p>`;
+            return;
+        }
+
+        if (!this.order) this.renderOrderRows();
+    }
+
+    matchesCustomer(order, text) {
+        const query = text.trim().toLowerCase();
+        if (!query) return true;
+
+        const customer = this.getCustomer(order);
+        return [customer.name, customer.email, this.getOrderNumber(order), order.id]
+            .some(value => value && String(value).toLowerCase().includes(query));
+    }
+
+    renderOrderRows() {
+        const list = this.modal.querySelector('.admin-order-list');
+        if (!list) return;
+
+        const orders = this.orders.filter(order => this.matchesCustomer(order, this.filters.customer));
+        const searching = this.filters.customer.trim() !== '';
+
+        list.innerHTML = `
+            <div class="admin-catalog-toolbar">
+                <span>${orders.length} order${orders.length === 1 ? '' : 's'}${searching ? ` matching "${escapeHtml(this.filters.customer.trim())}" in those loaded` : ''}</span>
+            </div>
+            ${orders.map(order => this.createOrderRow(order)).join('')}
+            ${orders.length === 0 ? '<p class="admin-catalog-empty">No orders match these filters.</p>' : ''}
+            ${this.hasMore ? '<button class="profile-btn profile-btn-secondary admin-order-more" data-action="more">Load More</button>' : ''}
+        `;
+    }
+
+    createOrderRow(order) {
+        const customer = this.getCustomer(order);
+        const items = (order.items || []).reduce((sum, item) => sum + (item.quantity || 0), 0);
+
+        return `
+            <button class="admin-order-row" data-action="view" data-order-id="${escapeHtml(order.id)}">
+                <div class="admin-product-info">
+                    <strong>${escapeHtml(this.getOrderNumber(order))}</strong>
+                    <small>${escapeHtml(this.formatDate(order.timestamp, { dateStyle: 'medium', timeStyle: 'short' }))}</small>
+                </div>
+                <div class="admin-product-info">
+                    <span>${escapeHtml(customer.name || customer.email || 'Guest')}</span>
+                    <small>${customer.name && customer.email ? escapeHtml(customer.email) : ''}</small>
+                </div>
+                <div class="admin-product-meta">
+                    <span>${this.formatMoney(this.getOrderTotal(order))}</span>
+                    <small>${items} item${items === 1 ? '' : 's'}</small>
+                </div>
+                ${this.createStatusBadge(order.status)}
+            </button>
+        `;
+    }
+
+    // ===== ORDER DETAIL =====
+
+    async showOrder(orderId) {
+        this.setPath(`/admin/orders/${encodeURIComponent(orderId)}`);
+        this.setView('Order', '<p class="admin-catalog-empty">Loading order...</p>');
+
+        const order = await this.firebaseManager.getOrder(orderId);
+        if (!order) {
+            this.setView('Order', `
+                <button class="order-detail-back" data-action="list">&larr; All orders</button>
+                <p class="admin-catalog-empty">Order ${escapeHtml(orderId)} wasn't found.</p>
+            `);
+            return;
+        }
+
+        this.renderOrder(order);
+    }
+
+    // Keep the list in step with an order changed from the detail view
+    replaceOrder(order) {
+        const index = this.orders.findIndex(existing => existing.id === order.id);
+        if (index !== -1) this.orders[index] = order;
+    }
+
+    renderOrder(order) {
+        this.order = order;
+        this.replaceOrder(order);
+
+        const customer = this.getCustomer(order);
+        const { lines, totals, locked } = getCheckoutFigures(order);
+        const address = order.shipping?.address;
+
+        this.setView(`Order ${this.getOrderNumber(order)}`, `
+            <button class="order-detail-back" data-action="list">&larr; All orders</button>
+
+            <div class="order-summary-header">
+                <div>
+                    <div class="order-summary-id">Order ${escapeHtml(this.getOrderNumber(order))}</div>
+                    <div class="order-summary-date">${escapeHtml(this.formatDate(order.timestamp, { dateStyle: 'full', timeStyle: 'short' }))}</div>
+                </div>
+                ${this.createStatusBadge(order.status)}
+            </div>
+
+            <div class="admin-order-columns">
+                <div class="profile-section">
+                    <h4>Customer</h4>
+                    <p>${escapeHtml(customer.name || 'No name given')}</p>
+                    ${customer.email ? `<p><a href="mailto:${escapeHtml(customer.email)}">${escapeHtml(customer.email)}</a></p>` : ''}
+                    ${customer.phone ? `<p>${escapeHtml(customer.phone)}</p>` : ''}
+                    ${order.profile_type ? `<small class="admin-field-hint">${escapeHtml(order.profile_type)} profile</small>` : ''}
+                </div>
+                <div class="profile-section">
+                    <h4>Ship To</h4>
+                    ${address ? this.formatAddress(order.shipping) : '<p class="admin-field-hint">No shipping address yet - it arrives with payment.</p>'}
+                </div>
+            </div>
+
+            <div class="order-detail-items">
+                ${lines.map(item => `
+                    <div class="order-detail-item">
+                        <div class="order-detail-item-info">
+                            <div>${escapeHtml(item.name)}</div>
+                            <small>${escapeHtml([item.sku, item.size && `Size ${item.size}`, item.color].filter(Boolean).join(' · '))}
+                                &middot; Qty ${item.quantity} &times; ${this.formatMoney(item.price)}</small>
+                        </div>
+                        <div>${this.formatMoney(item.total ?? item.price * item.quantity)}</div>
+                    </div>
+                `).join('')}
+            </div>
+
+            <div class="order-detail-totals">
+                <div class="profile-info-item"><label>Subtotal</label><span>${this.formatMoney(totals.subtotal)}</span></div>
+                <div class="profile-info-item"><label>Shipping</label><span>${this.formatMoney(totals.shipping)}</span></div>
+                <div class="profile-info-item"><label>Tax</label><span>${this.formatMoney(totals.tax)}</span></div>
+                <div class="profile-info-item order-detail-total"><label>Total</label><span>${this.formatMoney(this.getOrderTotal(order))}</span></div>
+                ${order.refund ? `<div class="profile-info-item"><label>Refunded</label><span>-${this.formatMoney(order.refund.amount_refunded)}</span></div>` : ''}
+                ${locked ? '' : '<small class="admin-field-hint">Storefront prices - the checkout server prices the order when payment starts.</small>'}
+            </div>
+
+            <div class="profile-section">
+                <h4>Payment</h4>
+                ${order.payment ? `
+                    <div class="profile-info-item"><label>Status</label><span>${escapeHtml(this.formatStatus(order.payment.status))} via ${escapeHtml(order.payment.provider)}</span></div>
+                    ${order.payment.payment_intent ? `<div class="profile-info-item"><label>Payment intent</label><span>${escapeHtml(order.payment.payment_intent)}</span></div>` : ''}
+                    ${order.payment.failure_message ? `<p class="admin-field-error">${escapeHtml(order.payment.failure_message)}</p>` : ''}
+                ` : '<p class="admin-field-hint">Not paid yet.</p>'}
+                ${(order.refund_requests || []).map(request => `
+                    <div class="profile-info-item">
+                        <label>Refund requested ${escapeHtml(this.formatDate(request.requested_at))}</label>
+                        <span>${this.formatMoney(request.amount)}${request.reason ? ` &middot; ${escapeHtml(request.reason)}` : ''}</span>
+                    </div>
+                `).join('')}
+                ${(order.payment_reviews || []).map(review => `
+                    <p class="admin-field-error">
+                        ${this.formatMoney(review.amount_total)} taken by session ${escapeHtml(review.session_id)} was not applied
+                        (${escapeHtml(review.reason.replace(/_/g, ' '))}) - needs a ${escapeHtml(review.action)} in Stripe.
+                    </p>
+                `).join('')}
+            </div>
+
+            ${order.tracking ? `
+                <div class="profile-section">
+                    <h4>Tracking</h4>
+                    <div class="profile-info-item">
+                        <label>${escapeHtml(order.tracking.carrier_name)}</label>
+                        <span>${order.tracking.tracking_url
+                            ? `<a href="${escapeHtml(order.tracking.tracking_url)}" target="_blank" rel="noopener">${escapeHtml(order.tracking.tracking_number)}</a>`
+                            : escapeHtml(order.tracking.tracking_number)}</span>
+                    </div>
+                </div>
+            ` : ''}
+
+            ${this.createActions(order)}
+
+            ${(order.status_history || []).length > 0 ? `
+                <div class="profile-section order-detail-history">
+                    <h4>Status History</h4>
+                    ${order.status_history.map(entry => `
+                        <div class="profile-info-item">
+                            <label>${escapeHtml(this.formatStatus(entry.status))}${entry.note ? ` &middot; ${escapeHtml(entry.note)}` : ''}</label>
+                            <span>${escapeHtml(this.formatDate(entry.timestamp, { dateStyle: 'medium', timeStyle: 'short' }))} (${escapeHtml(entry.actor?.type || 'system')})</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `);
+    }
+
+    formatAddress(shipping) {
+        const { line1, line2, city, state, postal_code: postalCode, country } = shipping.address;
+
+        return [
+            shipping.name,
+            line1,
+            line2,
+            [city, state, postalCode].filter(Boolean).join(', '),
+            country
+        ].filter(Boolean).map(line => `<p>${escapeHtml(line)}</p>`).join('');
+    }
+
+    // Only the next steps the order lifecycle allows are offered
+    createActions(order) {
+        const canFulfil = canTransitionOrder(order.status, 'fulfilled');
+        const canShip = canTransitionOrder(order.status, 'shipped') || order.status === 'shipped';
+        const refundable = this.firebaseManager.can('orders:refund')
+            && canTransitionOrder(order.status, 'refunded') && order.payment?.payment_intent
+            ? Math.round(((order.payment.amount_total || 0) - (order.refund?.amount_refunded || 0)) * 100) / 100
+            : 0;
+
+        return `
+            <div class="profile-actions">
+                <button class="profile-btn profile-btn-secondary" data-action="print">Print Packing Slip</button>
+                ${canFulfil ? '<button class="profile-btn profile-btn-primary" data-action="fulfil">Mark Fulfilled</button>' : ''}
+            </div>
+
+            ${canShip ? `
+                <form class="profile-section admin-order-form" data-form="tracking">
+                    <h4>${order.status === 'shipped' ? 'Update Tracking' : 'Ship Order'}</h4>
+                    <div class="admin-form-row">
+                        <div class="form-group">
+                            <label for="adminOrder-carrier">Carrier</label>
+                            <select name="carrier" id="adminOrder-carrier" required>
+                                ${Object.entries(SHIPPING_CARRIERS).map(([value, carrier]) => `
+                                    <option value="${value}" ${order.tracking?.carrier === value ? 'selected' : ''}>${carrier.name}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="adminOrder-tracking">Tracking number</label>
+                            <input type="text" name="tracking_number" id="adminOrder-tracking" value="${escapeHtml(order.tracking?.tracking_number || '')}" required>
+                        </div>
+                    </div>
+                    <button type="submit" class="profile-btn profile-btn-primary">${order.status === 'shipped' ? 'Save Tracking' : 'Mark Shipped'}</button>
+                </form>
+            ` : ''}
+
+            ${refundable > 0 ? `
+                <form class="profile-section admin-order-form" data-form="refund">
+                    <h4>Refund</h4>
+                    <div class="admin-form-row">
+                        <div class="form-group">
+                            <label for="adminOrder-refund-amount">Amount ($)</label>
+                            <input type="number" name="amount" id="adminOrder-refund-amount" min="0.01" max="${refundable}" step="0.01" value="${refundable.toFixed(2)}">
+                            <small class="admin-field-hint">Up to ${this.formatMoney(refundable)}</small>
+                        </div>
+                        <div class="form-group">
+                            <label for="adminOrder-refund-reason">Reason</label>
+                            <input type="text" name="reason" id="adminOrder-refund-reason" maxlength="500">
+                        </div>
+                    </div>
+                    <button type="submit" class="profile-btn profile-btn-tertiary">Request Refund</button>
+                </form>
+            ` : ''}
+        `;
+    }
+
+    // ===== FULFILMENT ACTIONS =====
+
+    // Runs an order change, then shows the order as it was saved
+    async runOrderAction(label, action) {
+        if (this.isSaving || !this.order) return;
+
+        this.isSaving = true;
+        this.modal.querySelectorAll('.admin-catalog-body button').forEach(button => { button.disabled = true; });
+
+        try {
+            const updated = await action(this.order);
+            this.renderOrder({ ...this.order, ...updated });
+            this.notify(label);
+        } catch (error) {
+            console.error(`Order action failed (${label}):`, error);
+            this.notify(error.message, 'error');
+            this.renderOrder(this.order);
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    async markFulfilled() {
+        await this.runOrderAction('Order marked fulfilled', order => this.firebaseManager.markOrderFulfilled(order.id));
+    }
+
+    async saveTracking(form) {
+        const carrier = form.elements.carrier.value;
+        const trackingNumber = form.elements.tracking_number.value;
+        const label = this.order.status === 'shipped' ? 'Tracking updated' : 'Order marked shipped';
+
+        await this.runOrderAction(label, order => this.firebaseManager.addOrderTracking(order.id, { carrier, trackingNumber }));
+    }
+
+    // Stripe confirms the refund by webhook, which is what changes the order's status
+    async requestRefund(form) {
+        const amount = parseFloat(form.elements.amount.value);
+        const reason = form.elements.reason.value.trim();
+
+        if (!confirm(`Refund ${this.formatMoney(amount)} to the customer? This can't be undone.`)) return;
+
+        await this.runOrderAction('Refund requested - the order updates once Stripe confirms it', async (order) => {
+            const token = await this.firebaseManager.auth.currentUser.getIdToken();
+            const response = await fetch(`${STRIPE_CONFIG.apiBase}/admin/refunds`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ order_id: order.id, amount, reason })
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || `Refund request failed (${response.status})`);
+            }
+
+            return this.firebaseManager.getOrder(order.id);
+        });
+    }
+
+    // ===== PACKING SLIP =====
+
+    printPackingSlip() {
+        const order = this.order;
+        if (!order) return;
+
+        const slip = window.open('', '_blank', 'width=800,height=900');
+        if (!slip) {
+            this.notify('Allow pop-ups to print packing slips', 'error');
+            return;
+        }
+
+        slip.document.write(this.renderPackingSlip(order));
+        slip.document.close();
+        slip.focus();
+        slip.print();
+
+        this.firebaseManager.logEvent('packing_slip_printed', { order_id: order.id });
+    }
+
+    // Prices are left off - the slip goes in the box
+    renderPackingSlip(order) {
+        const customer = this.getCustomer(order);
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Packing slip ${escapeHtml(this.getOrderNumber(order))}</title>
+    <style>
+        body { font-family: Georgia, serif; color: #2c2c2c; max-width: 720px; margin: 2rem auto; padding: 0 1rem; }
+        header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #2c2c2c; padding-bottom: 1rem; }
+        h1 { font-size: 1.5rem; margin: 0; }
+        p { margin: 0.2rem 0; }
+        .addresses { display: flex; gap: 3rem; margin: 1.5rem 0; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #ddd; }
+        td.qty, th.qty { text-align: right; width: 4rem; }
+        footer { margin-top: 2rem; font-size: 0.9rem; }
+    </style>
+</head>
+<body>
+    <header>
+        <div>
+            <h1>All Seasons Sprouts</h1>
+            <p>Packing slip</p>
+        </div>
+        <div>
+            <p><strong>Order ${escapeHtml(this.getOrderNumber(order))}</strong></p>
+            <p>${escapeHtml(this.formatDate(order.timestamp))}</p>
+        </div>
+    </header>
+    <div class="addresses">
+        <div>
+            <p><strong>Ship to</strong></p>
+            ${order.shipping?.address ? this.formatAddress(order.shipping) : `<p>${escapeHtml(customer.name || '')}</p>`}
+        </div>
+        <div>
+            <p><strong>Customer</strong></p>
+            <p>${escapeHtml(customer.email || '')}</p>
+            <p>${escapeHtml(customer.phone || '')}</p>
+        </div>
+    </div>
+    <table>
+        <thead><tr><th>SKU</th><th>Item</th><th class="qty">Qty</th></tr></thead>
+        <tbody>
+            ${(order.items || []).map(item => `
+                <tr>
+                    <td>${escapeHtml(item.sku || '')}</td>
+                    <td>${escapeHtml(item.name)}${item.size ? ` &middot; Size ${escapeHtml(item.size)}` : ''}${item.color ? ` &middot; ${escapeHtml(item.color)}` : ''}
+                        ${item.gift_note ? `<br><em>Gift note: ${escapeHtml(item.gift_note)}</em>` : ''}</td>
+                    <td class="qty">${item.quantity}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    </table>
+    <footer>
+        <p>Thank you for shopping with us!</p>
+    </footer>
+</body>
+</html>`;
+    }
+}
@@ -0,0 +1,294 @@
+// ===== PROFILE-AWARE CART MANAGEMENT =====
+// The cart lives on the profile; this keeps a priced copy of its lines, built
+// from the products the catalogue has loaded.
+
+import { InsufficientStockError } from './firebase-manager.js';
+import { findProductVariant, getCartLineId, getVariantLabel, getStockKey } from './product-variants.js';
+
+export class ProfileAwareCartManager {
+    constructor(firebaseManager, productCatalog) {
+        this.firebaseManager = firebaseManager;
+        this.productCatalog = productCatalog;
+        this.localCart = [];
+        this.profileId = null;
+    }
+
+    // Signing in or out swaps the profile, and with it the cart
+    async initialize() {
+        this.profileId = this.firebaseManager.currentProfile?.id || null;
+        this.firebaseManager.onAuthChange(() => this.handleProfileChange());
+        await this.syncWithProfile();
+    }
+
+    // The new user's cart is held for them as soon as it's loaded
+    async handleProfileChange() {
+        await this.syncWithProfile();
+        
+        const profileId = this.firebaseManager.currentProfile?.id || null;
+        if (profileId === this.profileId) return;
+        
+        this.profileId = profileId;
+        const trimmed = await this.refreshReservations();
+        if (trimmed.length > 0) {
+            console.warn('Some items in the cart are no longer available:', trimmed.join(', '));
+        }
+    }
+
+    // Holds belong to the signed-in user and the rules only let them release
+    // their own, so the cart's holds are handed back before `signInOrOut` runs -
+    // and taken again if it fails.
+    async switchUser(signInOrOut) {
+        for (const item of this.localCart) {
+            try {
+                await this.releaseStock(item, item.quantity);
+            } catch (error) {
+                console.warn(`Failed to release the hold on ${item.name}:`, error);
+            }
+        }
+        
+        try {
+            return await signInOrOut();
+        } catch (error) {
+            await this.refreshReservations();
+            throw error;
+        }
+    }
+
+    async syncWithProfile() {
+        if (!this.firebaseManager || !this.firebaseManager.currentProfile) return;
+        
+        const shopping = this.firebaseManager.currentProfile.shopping;
+        
+        // Lines added in another tab or on another device may be for products this page hasn't loaded
+        let productsLoaded = false;
+        try {
+            await this.productCatalog.ensureProducts(shopping.cart.items.map(item => item.product_id));
+            productsLoaded = true;
+        } catch (error) {
+            console.warn('Failed to load products in the cart:', error);
+        }
+        
+        // Lines for products Firestore doesn't have - deleted ones, or the stand-ins
+        // shown while offline - are dropped. Offline there's nothing to check against.
+        if (productsLoaded && this.firebaseManager.db && !this.firebaseManager.isOffline) {
+            const unknown = shopping.cart.items.filter(item => !this.productCatalog.get(item.product_id));
+            for (const item of unknown) {
+                await this.firebaseManager.removeFromCart(getCartLineId(item.product_id, item));
+            }
+        }
+        
+        this.localCart = shopping.cart.items.map(item => {
+            const product = this.productCatalog.get(item.product_id);
+            if (!product || product.archived) return null;
+            
+            // A size that has since been removed from the product can't be shipped
+            const variant = findProductVariant(product, item.variant_id);
+            if (product.variants.length > 0 && !variant) return null;
+            
+            return this.createCartItem(product, variant, item.quantity, item.gift_note);
+        }).filter(Boolean);
+    }
+
+    // The same product in another size or with another gift note gets its own line
+    async addToCart(productId, quantity = 1, { variantId = null, giftNote = '' } = {}) {
+        const product = this.productCatalog.get(productId);
+        if (!product || product.archived) return false;
+        
+        const variant = findProductVariant(product, variantId);
+        if (product.variants.length > 0 && !variant) {
+            throw new Error(`Please choose a size for ${product.name}`);
+        }
+        
+        const note = String(giftNote || '').trim();
+        const lineId = getCartLineId(productId, { variant_id: variant?.id, gift_note: note });
+        const existingItem = this.findLine(lineId);
+        
+        // Hold the stock for this shopper - throws if someone else got there first
+        await this.reserveStock(product, quantity, variant?.id || null);
+        
+        if (this.firebaseManager) {
+            try {
+                await this.firebaseManager.addToCart(productId, quantity, { variant, giftNote: note });
+            } catch (error) {
+                // The line wasn't saved, so its stock goes back now rather than when the hold expires
+                try {
+                    await this.releaseStock(product, quantity, variant?.id || null);
+                } catch (releaseError) {
+                    console.warn(`Failed to release the hold on ${product.name}:`, releaseError);
+                }
+                throw error;
+            }
+        }
+
+        if (existingItem) {
+            existingItem.quantity += quantity;
+        } else {
+            this.localCart.push(this.createCartItem(product, variant, quantity, note));
+        }
+        
+        return true;
+    }
+    
+    // Cart lines carry the chosen size's sku and price
+    createCartItem(product, variant, quantity, giftNote = '') {
+        return {
+            ...product,
+            line_id: getCartLineId(product.id, { variant_id: variant?.id, gift_note: giftNote }),
+            quantity,
+            gift_note: giftNote || null,
+            variant_id: variant?.id || null,
+            variant_label: getVariantLabel(variant),
+            size: variant?.size || null,
+            color: variant?.color || null,
+            sku: variant?.sku || product.sku,
+            price: variant?.price ?? product.price
+        };
+    }
+
+    findLine(lineId) {
+        return this.localCart.find(item => item.line_id === lineId);
+    }
+
+    async removeFromCart(lineId) {
+        const item = this.findLine(lineId);
+        if (item) {
+            await this.releaseStock(item, item.quantity);
+        }
+        
+        if (this.firebaseManager) {
+            await this.firebaseManager.removeFromCart(lineId);
+        }
+        
+        this.localCart = this.localCart.filter(item => item.line_id !== lineId);
+    }
+
+    async updateQuantity(lineId, quantity) {
+        const item = this.findLine(lineId);
+        if (!item) return;
+        
+        if (quantity <= 0) {
+            await this.removeFromCart(lineId);
+            return;
+        }
+        
+        if (quantity > item.quantity) {
+            await this.reserveStock(item, quantity - item.quantity);
+        } else if (quantity < item.quantity) {
+            await this.releaseStock(item, item.quantity - quantity);
+        }
+        
+        if (this.firebaseManager) {
+            await this.firebaseManager.updateCartQuantity(lineId, quantity);
+        }
+        
+        item.quantity = quantity;
+    }
+
+    async clearCart() {
+        if (this.firebaseManager) {
+            await this.firebaseManager.releaseAllReservations();
+            await this.firebaseManager.clearCart();
+        }
+        
+        this.localCart = [];
+    }
+
+    // ===== STOCK HOLDS =====
+    
+    // `product` may be a cart line, which knows its own variant
+    async reserveStock(product, quantity, variantId = product.variant_id || null) {
+        if (product.preorder || !this.firebaseManager) return;
+        
+        const hold = await this.firebaseManager.reserveStock(product.id, quantity, variantId);
+        if (hold) {
+            this.setListedStock(product.id, variantId, () => hold.available);
+        }
+    }
+    
+    async releaseStock(product, quantity, variantId = product.variant_id || null) {
+        if (product.preorder || !this.firebaseManager) return;
+        
+        const released = await this.firebaseManager.releaseStock(product.id, quantity, undefined, variantId);
+        if (released > 0) {
+            this.setListedStock(product.id, variantId, stock => stock + released);
+        }
+    }
+    
+    // Keep the loaded catalogue in step with our own holds until the next reload
+    setListedStock(productId, variantId, update) {
+        const listed = this.productCatalog.get(productId);
+        if (!listed) return;
+        
+        const variant = listed.variants.find(v => v.id === variantId);
+        if (variant) {
+            variant.stock = update(variant.stock);
+            listed.stock = listed.variants.reduce((sum, v) => sum + v.stock, 0);
+        } else {
+            listed.stock = update(listed.stock);
+        }
+    }
+    
+    // Back online: the catalogue has been reset, so the cart is re-matched against
+    // Firestore and its holds, which may have expired meanwhile, renewed. Returns
+    // the names of items trimmed for lack of stock.
+    async resume() {
+        await this.syncWithProfile();
+        return this.refreshReservations();
+    }
+    
+    // Re-hold stock for items whose holds expired since the last visit.
+    // Items that can no longer be held are trimmed from the cart.
+    async refreshReservations() {
+        if (!this.firebaseManager?.db || this.firebaseManager.isOffline) return [];
+        
+        const holds = await this.firebaseManager.getReservations();
+        const trimmed = [];
+        
+        for (const item of [...this.localCart]) {
+            if (item.preorder) continue;
+            
+            // Lines that differ only by gift note share one hold
+            const key = getStockKey(item.id, item.variant_id);
+            const covered = Math.min(item.quantity, holds[key] || 0);
+            holds[key] = (holds[key] || 0) - covered;
+            
+            const missing = item.quantity - covered;
+            if (missing <= 0) continue;
+            
+            try {
+                await this.reserveStock(item, missing);
+            } catch (error) {
+                if (!(error instanceof InsufficientStockError)) throw error;
+                
+                const keep = item.quantity - missing + error.available;
+                if (error.available > 0) {
+                    await this.reserveStock(item, error.available);
+                }
+                
+                if (keep > 0) {
+                    await this.firebaseManager.updateCartQuantity(item.line_id, keep);
+                    item.quantity = keep;
+                } else {
+                    await this.firebaseManager.removeFromCart(item.line_id);
+                    this.localCart = this.localCart.filter(cartItem => cartItem.line_id !== item.line_id);
+                }
+                
+                trimmed.push(item.name);
+            }
+        }
+        
+        return trimmed;
+    }
+
+    getCart() {
+        return this.localCart;
+    }
+
+    getCartCount() {
+        return this.localCart.reduce((sum, item) => sum + item.quantity, 0);
+    }
+
+    getCartTotal() {
+        return this.localCart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    }
+}
@@ -1,12 +1,52 @@
-class FirebaseManager {
-    constructor() {
+// ===== FIREBASE MANAGER =====
+// Everything the storefront reads from and writes to Firebase. The SDK and the
+// project config are passed in by main.js (and by server/storefront-harness.js
+// under the emulators); without a config the store runs on OfflineProfileManager.
+
+import { PRODUCT_DEFAULTS, getDefaultSku, ProductValidationError, assertValidProduct } from './product-schema.js';
+import {
+    getProductVariants,
+    hasVariants,
+    findProductVariant,
+    getVariantLabel,
+    getStockLevel,
+    applyStockChange,
+    getStockKey
+} from './product-variants.js';
+import { PRODUCT_SORTS, compareFeatured } from './product-filters.js';
+import { ORDER_REVENUE_STATUSES, assertOrderTransition, createStatusHistoryEntry, createTracking } from './order-lifecycle.js';
+import { getRoleFromClaims, roleCan } from './roles.js';
+import { FirebaseProfileManager, OfflineProfileManager, isNetworkError } from './profile-manager.js';
+
+export class FirebaseManager {
+    // `findProduct(id)` looks up a loaded product, for cart totals
+    constructor({ firebase = null, config = null, emulators = null, findProduct = () => null } = {}) {
+        this.firebase = firebase;
+        this.config = config;
+        this.emulators = emulators;
+        this.findProduct = findProduct;
         this.app = null;
         this.db = null;
         this.auth = null;
+        this.storage = null;
         this.analytics = null;
         this.isInitialized = false;
+        this.role = 'shopper';
         this.profileManager = null;
         this.currentProfile = null;
+        this.authChangeListeners = [];
+        this.connectionListeners = [];
+        this.unsubscribeAuthState = null;
+        
+        // Without Firebase the store runs on OfflineProfileManager, retrying with backoff
+        this.isOffline = false;
+        this.isReconnecting = false;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.reconnectConfig = {
+            retryDelay: 30000,
+            maxRetryDelay: 5 * 60 * 1000
+        };
         
         // Collections
         this.collections = {
@@ -16,73 +56,248 @@ class FirebaseManager {
             analytics: 'analytics',
             dailyAnalytics: 'daily_analytics',
             inventory: 'inventory_alerts',
-            reports: 'daily_reports'
+            reports: 'daily_reports',
+            reservations: 'stock_reservations'
+        };
+        
+        // Cart holds expire if the shopper doesn't check out in time
+        this.reservationConfig = {
+            holdMinutes: 30,
+            sweepLimit: 100
+        };
+        
+        // Analytics event queue
+        this.eventQueue = [];
+        this.eventFlushScheduled = false;
+        this.isFlushingEvents = false;
+        this.eventQueueConfig = {
+            flushInterval: 5000,
+            maxBatchSize: 20,
+            maxStoredEvents: 500,
+            storageKey: 'pending_analytics_events'
         };
     }
 
+    // Never throws: if Firebase can't be reached the store runs on
+    // OfflineProfileManager until reconnect() gets through
     async initialize() {
         try {
-            console.log('Initializing Firebase...');
-            
-            // Initialize Firebase
-            this.app = firebase.initializeApp(FIREBASE_CONFIG);
-            this.db = firebase.firestore();
-            this.auth = firebase.auth();
-            
-            // Only initialize Analytics in production
-            try {
-                if (firebase.analytics && !window.location.hostname.includes('localhost')) {
-                    this.analytics = firebase.analytics();
-                }
-            } catch (analyticsError) {
-                console.warn('Analytics not available:', analyticsError.message);
-            }
-            
-            // Initialize Profile Manager
-            this.profileManager = new FirebaseProfileManager(this.db, this.auth);
-            
-            // Set up auth state listener
-            this.setupAuthStateListener();
-            
-            console.log('Firebase core initialized, waiting for auth state...');
-            
-            // CRITICAL FIX: Wait for initial auth state to be determined
-            await this.waitForInitialAuthState();
-            
-            console.log('Auth state determined, initializing profile...');
+            await this.connect();
+        } catch (error) {
+            console.error('Firebase initialization failed:', error);
+            this.disconnect();
             
-            // Initialize user profile and wait for it to complete
+            console.log('Falling back to offline profile manager...');
+            this.profileManager = new OfflineProfileManager({
+                findProduct: this.findProduct,
+                onRemoteChange: profile => this.handleRemoteProfileChange(profile)
+            });
             this.currentProfile = await this.profileManager.initializeProfile();
-            
-            if (!this.currentProfile) {
-                throw new Error('Profile initialization failed - no profile returned');
+            this.isOffline = true;
+            this.scheduleReconnect(error);
+        }
+        
+        // Start flushing queued events - offline they wait in localStorage
+        this.setupEventQueue();
+        
+        this.isInitialized = true;
+        console.log(`Firebase Manager fully initialized${this.isOffline ? ' (offline)' : ''}`);
+        
+        return this;
+    }
+
+    // Brings up Firebase and loads the shopper's profile, merging in anything kept
+    // offline. Throws if Firebase can't be reached.
+    async connect() {
+        console.log('Initializing Firebase...');
+        
+        if (!this.firebase || !this.config) {
+            throw new Error('No Firebase config - add firebase-config.js');
+        }
+        if (!navigator.onLine) {
+            throw new Error('Browser is offline');
+        }
+        
+        // A reconnect reuses the app - the SDK only allows one per name, and the
+        // emulators can only be connected before first use
+        const isNewApp = !this.app;
+        this.app = this.app || this.firebase.initializeApp(this.config);
+        this.db = this.app.firestore();
+        this.auth = this.app.auth();
+        this.storage = this.app.storage ? this.app.storage() : null;
+        if (isNewApp) {
+            this.connectEmulators();
+        }
+        
+        // Only initialize Analytics in production
+        try {
+            if (!this.analytics && this.app.analytics && !window.location.hostname.includes('localhost')) {
+                this.analytics = this.app.analytics();
             }
+        } catch (analyticsError) {
+            console.warn('Analytics not available:', analyticsError.message);
+        }
+        
+        console.log('Firebase core initialized, waiting for auth state...');
+        
+        // CRITICAL FIX: Wait for initial auth state to be determined
+        const user = await this.waitForInitialAuthState();
+        await this.refreshRole(user);
+        
+        console.log('Auth state determined, initializing profile...');
+        
+        // The offline profile stays in charge until this one is loaded and merged
+        const profileManager = new FirebaseProfileManager(this.db, this.auth, {
+            firebase: this.firebase,
+            findProduct: this.findProduct,
+            onRemoteChange: profile => this.handleRemoteProfileChange(profile)
+        });
+        const profile = await profileManager.initializeProfile();
+        
+        if (!profile) {
+            throw new Error('Profile initialization failed - no profile returned');
+        }
+        
+        try {
+            await this.reconcileOfflineProfile(profileManager);
+        } catch (error) {
+            profileManager.stopSync();
+            throw error;
+        }
+        
+        this.profileManager = profileManager;
+        this.currentProfile = profileManager.currentProfile;
+        console.log('Profile initialized successfully:', this.currentProfile.type, this.currentProfile.id);
+        
+        // Set up auth state listener
+        this.setupAuthStateListener();
+        this.setupAnalyticsConsole();
+    }
+
+    // Leaves Firebase alone until the next reconnect. The `!this.db` checks
+    // throughout then fall back to local data.
+    disconnect() {
+        this.unsubscribeAuthState?.();
+        this.unsubscribeAuthState = null;
+        this.db = null;
+        this.auth = null;
+        this.storage = null;
+        this.role = 'shopper';
+    }
+
+    // Only network failures are retried - a missing or broken config won't fix itself
+    scheduleReconnect(error) {
+        if (!this.firebase || !this.config || !isNetworkError(error)) return;
+        
+        const { retryDelay, maxRetryDelay } = this.reconnectConfig;
+        const delay = Math.min(retryDelay * 2 ** this.reconnectAttempts, maxRetryDelay);
+        
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+        console.log(`Offline - retrying Firebase in ${Math.round(delay / 1000)}s`);
+    }
+
+    // Runs on the retry timer and when the browser comes back online
+    async reconnect() {
+        if (!this.isOffline || this.isReconnecting) return false;
+        
+        this.isReconnecting = true;
+        clearTimeout(this.reconnectTimer);
+        const offlineManager = this.profileManager;
+        
+        try {
+            await this.connect();
             
-            console.log('Profile initialized successfully:', this.currentProfile.type, this.currentProfile.id);
-            
-            // Setup analytics console
-            this.setupAnalyticsConsole();
-            
-            this.isInitialized = true;
-            console.log('Firebase Manager fully initialized');
+            this.isOffline = false;
+            this.reconnectAttempts = 0;
+            offlineManager.stopSync();
+            console.log('Reconnected to Firebase');
             
-            return this;
+            await this.notifyProfileChange();
+            await this.notifyConnectionChange(true);
+            this.flushEventQueue();
+            return true;
         } catch (error) {
-            console.error('Firebase initialization failed:', error);
-            this.isInitialized = false;
-            
-            // Fallback to offline profile manager
-            try {
-                console.log('Falling back to offline profile manager...');
-                this.profileManager = new OfflineProfileManager();
-                this.currentProfile = await this.profileManager.initializeProfile();
-                console.log('Offline profile manager initialized');
-            } catch (offlineError) {
-                console.error('Offline profile manager also failed:', offlineError);
-            }
+            console.warn('Firebase still unreachable:', error);
+            this.disconnect();
+            this.profileManager = offlineManager;
+            this.currentProfile = offlineManager.currentProfile;
+            this.reconnectAttempts++;
+            this.scheduleReconnect(error);
+            return false;
+        } finally {
+            this.isReconnecting = false;
+        }
+    }
+
+    // The network dropped mid-session. Firestore keeps the profile's writes until
+    // it's back; checkout and stock holds wait.
+    handleConnectionLost() {
+        this.persistQueuedEvents();
+        if (this.isOffline) return;
+        
+        this.isOffline = true;
+        console.log('Connection lost');
+        this.notifyConnectionChange(false);
+    }
+
+    // A page that started offline still has to connect; one that lost the network
+    // mid-session only has to catch up
+    async handleConnectionRestored() {
+        if (this.isOffline && !this.db) {
+            await this.reconnect();
+        } else if (this.isOffline) {
+            this.isOffline = false;
+            console.log('Connection restored');
+            await this.notifyConnectionChange(true);
+        }
+        
+        console.log('Back online, flushing queued events');
+        this.flushEventQueue();
+    }
+
+    // Whatever OfflineProfileManager kept - this visit, or an earlier one that
+    // never got back online - moves into the Firestore profile and is then dropped
+    async reconcileOfflineProfile(profileManager) {
+        const offlineManager = new OfflineProfileManager({ findProduct: this.findProduct });
+        const offlineProfile = offlineManager.getStoredProfile();
+        if (!offlineProfile) return;
+        
+        try {
+            await profileManager.mergeOfflineProfile(offlineProfile);
+            offlineManager.clearStoredProfile();
+            console.log('Offline profile reconciled into', profileManager.currentProfile.id);
+        } catch (error) {
+            if (isNetworkError(error)) throw error;
             
-            throw error;
+            // Kept for the next visit rather than blocking this one
+            console.warn('Failed to reconcile offline profile:', error);
+        }
+    }
+
+    // Local development and the integration tests (server/test/storefront.test.js) run
+    // against the Firebase emulators. Export FIREBASE_EMULATORS from firebase-config.js:
+    //   { auth: 'localhost:9099', firestore: 'localhost:8080', storage: 'localhost:9199' }
+    connectEmulators() {
+        const emulators = this.emulators;
+        if (!emulators) return;
+        
+        const split = (address) => {
+            const separator = address.lastIndexOf(':');
+            return [address.slice(0, separator), Number(address.slice(separator + 1))];
+        };
+        
+        if (emulators.auth) {
+            this.auth.useEmulator(`http://${emulators.auth}`);
+        }
+        if (emulators.firestore) {
+            this.db.useEmulator(...split(emulators.firestore));
         }
+        if (emulators.storage && this.storage) {
+            this.storage.useEmulator(...split(emulators.storage));
+        }
+        
+        console.log('Using the Firebase emulators:', emulators);
     }
 
     // NEW METHOD: Wait for initial auth state to be determined
@@ -105,25 +320,18 @@ class FirebaseManager {
     }
 
     setupAuthStateListener() {
-        this.auth.onAuthStateChanged(async (user) => {
+        this.unsubscribeAuthState = this.auth.onAuthStateChanged(async (user) => {
             console.log('Auth state changed:', user ? 'User logged in' : 'User logged out');
             
             if (this.profileManager) {
                 try {
+                    const previousProfile = this.currentProfile;
                     await this.profileManager.handleAuthChange(user);
                     this.currentProfile = await this.profileManager.getCurrentProfile();
+                    await this.refreshRole(user);
+                    this.rekeyQueuedEvents(previousProfile, this.currentProfile);
                     
-                    // Update UI after auth change
-                    if (window.profileUI && window.profileUI.loadProfile) {
-                        await window.profileUI.loadProfile();
-                    }
-                    
-                    // Sync cart after auth change
-                    if (window.cartManager && window.cartManager.syncWithProfile) {
-                        await window.cartManager.syncWithProfile();
-                        if (window.updateCartCount) window.updateCartCount();
-                        if (window.updateCartDisplay) window.updateCartDisplay();
-                    }
+                    await this.notifyProfileChange();
                     
                     console.log('Auth state change handling completed');
                 } catch (error) {
@@ -133,6 +341,55 @@ class FirebaseManager {
         });
     }
 
+    // `listener(profile)` runs after every sign-in, sign-out and signup, once the
+    // profile and role have been reloaded - and after reconnecting from offline,
+    // or when another tab or device changes the cart or wishlist
+    onAuthChange(listener) {
+        this.authChangeListeners.push(listener);
+    }
+
+    // listener(online) runs when the connection drops and once it's back - after a
+    // reconnect the catalogue and stock holds are stale
+    onConnectionChange(listener) {
+        this.connectionListeners.push(listener);
+    }
+
+    // A listener failing doesn't undo the reconnect
+    async notifyConnectionChange(online) {
+        for (const listener of this.connectionListeners) {
+            try {
+                await listener(online);
+            } catch (error) {
+                console.error('Error handling connection change:', error);
+            }
+        }
+    }
+
+    // Only the profile manager in charge speaks for the shopper
+    async handleRemoteProfileChange(profile) {
+        if (profile !== this.profileManager?.currentProfile) return;
+        
+        this.currentProfile = profile;
+        try {
+            await this.notifyProfileChange();
+        } catch (error) {
+            console.error('Error handling profile sync:', error);
+        }
+    }
+
+    // Let the UI catch up - the profile button, the cart
+    async notifyProfileChange() {
+        for (const listener of this.authChangeListeners) {
+            await listener(this.currentProfile);
+        }
+    }
+
+    // "Remember me" keeps the session across browser restarts
+    async setAuthPersistence(remember) {
+        const { Persistence } = this.firebase.auth.Auth;
+        await this.auth.setPersistence(remember ? Persistence.LOCAL : Persistence.SESSION);
+    }
+
     async initializeUserProfile() {
         try {
             console.log('Initializing user profile...');
@@ -275,23 +532,30 @@ class FirebaseManager {
         }
     }
 
+    async trackSearch(query, resultsCount) {
+        if (this.profileManager) {
+            await this.profileManager.trackSearch(query, resultsCount);
+        }
+    }
+
     // ===== CART MANAGEMENT =====
     
-    async addToCart(productId, quantity = 1) {
+    // options: { variant, giftNote }. Lines are then addressed by getCartLineId().
+    async addToCart(productId, quantity = 1, options = {}) {
         if (this.profileManager) {
-            await this.profileManager.addToCart(productId, quantity);
+            await this.profileManager.addToCart(productId, quantity, options);
         }
     }
 
-    async removeFromCart(productId) {
+    async removeFromCart(lineId) {
         if (this.profileManager) {
-            await this.profileManager.removeFromCart(productId);
+            await this.profileManager.removeFromCart(lineId);
         }
     }
 
-    async updateCartQuantity(productId, quantity) {
+    async updateCartQuantity(lineId, quantity) {
         if (this.profileManager) {
-            await this.profileManager.updateCartQuantity(productId, quantity);
+            await this.profileManager.updateCartQuantity(lineId, quantity);
         }
     }
 
@@ -327,25 +591,9 @@ class FirebaseManager {
             const snapshot = await this.db.collection(this.collections.products)
                 .orderBy('created_at', 'desc')
                 .get();
-            const products = [];
-            
-            snapshot.forEach(doc => {
-                const data = doc.data();
-                products.push({
-                    id: doc.id,
-                    name: data.name || 'Untitled Product',
-                    category: data.category || 'uncategorized',
-                    price: typeof data.price === 'number' ? data.price : 0,
-                    stock: typeof data.stock === 'number' && !isNaN(data.stock) ? data.stock : 0,
-                    image: data.image || 'https://via.placeholder.com/600x800?text=No+Image',
-                    description: data.description || 'No description available',
-                    sku: data.sku || `SKU-${doc.id}`,
-                    weight: data.weight || 0.5,
-                    dimensions: data.dimensions || 'Standard fit',
-                    created_at: data.created_at,
-                    updated_at: data.updated_at
-                });
-            });
+            const products = snapshot.docs
+                .map(doc => this.normalizeProduct(doc))
+                .filter(product => !product.archived);
             
             console.log(`Loaded ${products.length} products from Firebase`);
             return products;
@@ -355,6 +603,109 @@ class FirebaseManager {
         }
     }
 
+    // One page of the catalogue, newest first, optionally for a single category.
+    // Pass the returned cursor back in to get the page after it.
+    async getProductPage({ category = 'all', cursor = null, pageSize = 24 } = {}) {
+        if (!this.db) {
+            console.warn('Database not available, using fallback products');
+            const fallback = this.getFallbackProducts();
+            return {
+                products: category === 'all' ? fallback : fallback.filter(product => product.category === category),
+                cursor: null,
+                hasMore: false
+            };
+        }
+        
+        try {
+            // Category pages need the (category, created_at desc) index in firestore.indexes.json
+            let query = this.db.collection(this.collections.products);
+            if (category !== 'all') {
+                query = query.where('category', '==', category);
+            }
+            query = query.orderBy('created_at', 'desc');
+            if (cursor) {
+                query = query.startAfter(cursor);
+            }
+            
+            const snapshot = await query.limit(pageSize).get();
+            
+            // Archived products are skipped here rather than in the query, since
+            // documents created in the console have no `archived` field to match on
+            return {
+                products: snapshot.docs
+                    .map(doc => this.normalizeProduct(doc))
+                    .filter(product => !product.archived),
+                cursor: snapshot.docs[snapshot.docs.length - 1] || cursor,
+                hasMore: snapshot.docs.length === pageSize
+            };
+        } catch (error) {
+            console.error(`Failed to load ${category} products from Firebase:`, error);
+            throw error;
+        }
+    }
+
+    // Cart lines and past orders can point at products no page has loaded yet
+    async getProductsByIds(productIds) {
+        if (!this.db || productIds.length === 0) return [];
+        
+        const ids = [...new Set(productIds.map(String))];
+        const products = [];
+        
+        // `in` queries take at most 10 values
+        for (let i = 0; i < ids.length; i += 10) {
+            const snapshot = await this.db.collection(this.collections.products)
+                .where(this.firebase.firestore.FieldPath.documentId(), 'in', ids.slice(i, i + 10))
+                .get();
+            snapshot.docs.forEach(doc => products.push(this.normalizeProduct(doc)));
+        }
+        
+        return products;
+    }
+
+    normalizeProduct(doc) {
+        const data = doc.data();
+        const price = typeof data.price === 'number' ? data.price : PRODUCT_DEFAULTS.price;
+        const sku = data.sku || getDefaultSku(doc.id);
+        const variants = getProductVariants({ ...data, sku }).map(variant => ({
+            ...variant,
+            price: variant.price ?? price,
+            stock: Math.max(0, variant.stock - variant.reserved),
+            on_hand: variant.stock
+        }));
+        
+        // With variants the sizes are the source of truth for stock
+        const onHand = variants.length > 0
+            ? variants.reduce((sum, variant) => sum + variant.on_hand, 0)
+            : typeof data.stock === 'number' && !isNaN(data.stock) ? data.stock : PRODUCT_DEFAULTS.stock;
+        const reserved = variants.length > 0
+            ? variants.reduce((sum, variant) => sum + variant.reserved, 0)
+            : typeof data.reserved === 'number' && !isNaN(data.reserved) ? data.reserved : 0;
+        
+        return {
+            id: doc.id,
+            name: data.name || PRODUCT_DEFAULTS.name,
+            category: data.category || PRODUCT_DEFAULTS.category,
+            price,
+            // Shoppers see what's left after other carts' holds
+            stock: Math.max(0, onHand - reserved),
+            on_hand: onHand,
+            reserved,
+            variants,
+            preorder: !!data.preorder,
+            image: data.image || PRODUCT_DEFAULTS.image,
+            description: data.description || PRODUCT_DEFAULTS.description,
+            sku,
+            weight: data.weight || PRODUCT_DEFAULTS.weight,
+            dimensions: data.dimensions || PRODUCT_DEFAULTS.dimensions,
+            sales_count: data.sales_count || 0,
+            // Set by the admin catalog manager
+            position: typeof data.position === 'number' ? data.position : null,
+            archived: !!data.archived,
+            created_at: data.created_at,
+            updated_at: data.updated_at
+        };
+    }
+
     getFallbackProducts() {
         return [
             {
@@ -366,56 +717,720 @@ class FirebaseManager {
                 image: 'https://via.placeholder.com/600x800?text=Sample+Product',
                 description: 'Sample product for testing',
                 sku: 'SAMPLE-001',
+                variants: [],
                 weight: 0.5,
                 dimensions: 'Standard fit'
             }
         ];
     }
-
-    async updateProductStock(productId, newStock, reason = 'update') {
-        if (!this.db) return;
+
+    // Apply a stock delta (negative to sell, positive to restock) inside a transaction
+    // so concurrent buyers can't both write the same stale value. Resolves to the
+    // authoritative stock level; throws InsufficientStockError instead of overselling.
+    async updateProductStock(productId, delta, reason = 'update', variantId = null) {
+        if (!this.db) return null;
+        
+        const productRef = this.db.collection(this.collections.products).doc(productId.toString());
+        
+        try {
+            const change = await this.db.runTransaction(async (transaction) => {
+                const productDoc = await transaction.get(productRef);
+                
+                if (!productDoc.exists) {
+                    throw new Error(`Product ${productId} not found`);
+                }
+                
+                const product = productDoc.data();
+                const level = getStockLevel(product, variantId);
+                const available = level.stock - level.reserved;
+                
+                // Units held by carts aren't ours to sell
+                if (delta < 0 && -delta > available) {
+                    throw new InsufficientStockError({
+                        productId,
+                        productName: this.getStockItemName(product, variantId),
+                        requested: -delta,
+                        available
+                    });
+                }
+                
+                const update = applyStockChange(product, variantId, { stock: delta });
+                
+                transaction.update(productRef, {
+                    ...update,
+                    updated_at: new Date().toISOString(),
+                    update_reason: reason
+                });
+                
+                return {
+                    previous_stock: typeof product.stock === 'number' ? product.stock : 0,
+                    new_stock: update.stock,
+                    variant_id: variantId,
+                    variant_stock: level.stock + delta,
+                    product_name: product.name
+                };
+            });
+            
+            await this.logInventoryChange(productId, change, reason);
+            console.log(`Product stock updated: ${productId} ${change.previous_stock} -> ${change.new_stock}`);
+            
+            return variantId ? change.variant_stock : change.new_stock;
+        } catch (error) {
+            console.error('Failed to update product stock:', error);
+            throw error;
+        }
+    }
+
+    async logInventoryChange(productId, change, reason) {
+        if (!this.db) return;
+        
+        try {
+            await this.db.collection(this.collections.inventory).add({
+                product_id: productId,
+                variant_id: change.variant_id || null,
+                product_name: change.product_name || 'Unknown',
+                previous_stock: change.previous_stock,
+                new_stock: change.new_stock,
+                delta: change.new_stock - change.previous_stock,
+                reason,
+                // Catalog edits record which fields they touched
+                fields: change.fields || null,
+                timestamp: new Date().toISOString(),
+                profile_id: this.currentProfile?.id
+            });
+        } catch (error) {
+            console.error('Failed to log inventory change:', error);
+        }
+    }
+
+    // ===== ROLES =====
+    // The signed-in user's role (roles.js) comes from their `role` custom claim.
+    // It only decides what the UI offers - firestore.rules enforces the same
+    // roles on every read and write.
+    
+    async refreshRole(user = this.auth?.currentUser) {
+        this.role = 'shopper';
+        if (!user || user.isAnonymous) return this.role;
+        
+        try {
+            const token = await user.getIdTokenResult();
+            this.role = getRoleFromClaims(token.claims);
+        } catch (error) {
+            console.error('Failed to read user role:', error);
+        }
+        
+        return this.role;
+    }
+    
+    can(permission) {
+        return roleCan(this.role, permission);
+    }
+    
+    assertCan(permission) {
+        const area = permission.split(':')[0];
+        if (!this.db) {
+            throw new Error(`The ${area} can only be managed while online`);
+        }
+        if (!this.can(permission)) {
+            throw new Error(`Your account doesn't have access to the ${area}`);
+        }
+    }
+    
+    // ===== CATALOG ADMIN =====
+    // Product management for staff and owners (catalog:write)
+    
+    // Id for a product that doesn't exist yet, so its image can be uploaded first
+    newProductId() {
+        return this.db.collection(this.collections.products).doc().id;
+    }
+    
+    // Every product including archived ones, in storefront order
+    async getCatalogForAdmin() {
+        this.assertCan('catalog:write');
+        
+        const snapshot = await this.db.collection(this.collections.products).get();
+        return snapshot.docs
+            .map(doc => this.normalizeProduct(doc))
+            .sort((a, b) => compareFeatured(a, b) || PRODUCT_SORTS.newest(a, b));
+    }
+    
+    // Blank fields are written with the defaults normalizeProduct would show.
+    // Throws ProductValidationError with per-field messages.
+    async createProduct(data, { productId = null, reason = 'product_created' } = {}) {
+        this.assertCan('catalog:write');
+        
+        const fields = assertValidProduct(data);
+        const collection = this.db.collection(this.collections.products);
+        const productRef = productId ? collection.doc(productId) : collection.doc();
+        const now = new Date().toISOString();
+        
+        await productRef.set({
+            ...fields,
+            sku: fields.sku || getDefaultSku(productRef.id),
+            reserved: 0,
+            sales_count: 0,
+            archived: false,
+            position: null,
+            created_at: now,
+            updated_at: now,
+            update_reason: reason
+        });
+        
+        await this.logInventoryChange(productRef.id, {
+            product_name: fields.name,
+            previous_stock: 0,
+            new_stock: fields.stock,
+            fields: Object.keys(fields)
+        }, reason);
+        
+        return this.normalizeProduct(await productRef.get());
+    }
+    
+    // `changes` uses the same fields as createProduct. Products with sizes take
+    // their stock per size in `variantStock` ({ [variantId]: units on hand }).
+    async updateProduct(productId, changes, { variantStock = {}, reason = 'product_updated' } = {}) {
+        this.assertCan('catalog:write');
+        
+        const fields = assertValidProduct(changes, { partial: true });
+        const productRef = this.db.collection(this.collections.products).doc(productId);
+        
+        const change = await this.db.runTransaction(async (transaction) => {
+            const productDoc = await transaction.get(productRef);
+            
+            if (!productDoc.exists) {
+                throw new Error(`Product ${productId} not found`);
+            }
+            
+            const product = productDoc.data();
+            const update = { ...fields };
+            
+            // Stock can't be set below what carts are already holding
+            const assertCoversHolds = (field, stock, reserved) => {
+                if (stock < reserved) {
+                    throw new ProductValidationError({ [field]: `Stock can't go below the ${reserved} held in carts` });
+                }
+            };
+            
+            if (hasVariants(product)) {
+                // The product-level stock is the sum of its sizes
+                delete update.stock;
+                
+                let next = product;
+                Object.entries(variantStock).forEach(([variantId, value]) => {
+                    const stock = Number(value);
+                    
+                    if (!findProductVariant(next, variantId)) {
+                        throw new ProductValidationError({ [`variant_${variantId}`]: `Size ${variantId} no longer exists` });
+                    }
+                    if (!Number.isInteger(stock) || stock < 0) {
+                        throw new ProductValidationError({ [`variant_${variantId}`]: 'Stock must be a whole number, 0 or more' });
+                    }
+                    
+                    const level = getStockLevel(next, variantId);
+                    if (stock === level.stock) return;
+                    assertCoversHolds(`variant_${variantId}`, stock, level.reserved);
+                    
+                    next = { ...next, ...applyStockChange(next, variantId, { stock: stock - level.stock }) };
+                });
+                
+                if (next !== product) {
+                    update.variants = next.variants;
+                    update.stock = next.stock;
+                }
+            } else if (update.stock !== undefined) {
+                assertCoversHolds('stock', update.stock, getStockLevel(product).reserved);
+            }
+            
+            const changedFields = Object.keys(update)
+                .filter(field => JSON.stringify(update[field]) !== JSON.stringify(product[field]));
+            
+            transaction.update(productRef, {
+                ...update,
+                updated_at: new Date().toISOString(),
+                update_reason: reason
+            });
+            
+            const previousStock = typeof product.stock === 'number' ? product.stock : 0;
+            return {
+                product_name: update.name || product.name,
+                previous_stock: previousStock,
+                new_stock: update.stock ?? previousStock,
+                fields: changedFields
+            };
+        });
+        
+        if (change.fields.length > 0) {
+            await this.logInventoryChange(productId, change, reason);
+        }
+        
+        return this.normalizeProduct(await productRef.get());
+    }
+    
+    // Archived products leave the storefront but stay readable for carts and past orders
+    async setProductArchived(productId, archived) {
+        this.assertCan('catalog:write');
+        
+        const productRef = this.db.collection(this.collections.products).doc(productId);
+        const productDoc = await productRef.get();
+        
+        if (!productDoc.exists) {
+            throw new Error(`Product ${productId} not found`);
+        }
+        
+        const now = new Date().toISOString();
+        const reason = archived ? 'product_archived' : 'product_restored';
+        
+        await productRef.update({
+            archived,
+            archived_at: archived ? now : null,
+            updated_at: now,
+            update_reason: reason
+        });
+        
+        const stock = productDoc.data().stock || 0;
+        await this.logInventoryChange(productId, {
+            product_name: productDoc.data().name,
+            previous_stock: stock,
+            new_stock: stock,
+            fields: ['archived']
+        }, reason);
+        
+        return this.normalizeProduct(await productRef.get());
+    }
+    
+    // `products` in their new storefront order; only the ones that moved are written
+    async reorderProducts(products) {
+        this.assertCan('catalog:write');
+        
+        const moved = products
+            .map((product, index) => ({ product, position: index }))
+            .filter(({ product, position }) => product.position !== position);
+        if (moved.length === 0) return [];
+        
+        const batch = this.db.batch();
+        const now = new Date().toISOString();
+        
+        moved.forEach(({ product, position }) => {
+            batch.update(this.db.collection(this.collections.products).doc(product.id), {
+                position,
+                updated_at: now,
+                update_reason: 'product_reordered'
+            });
+        });
+        await batch.commit();
+        
+        await Promise.all(moved.map(({ product }) => this.logInventoryChange(product.id, {
+            product_name: product.name,
+            previous_stock: product.on_hand ?? product.stock,
+            new_stock: product.on_hand ?? product.stock,
+            fields: ['position']
+        }, 'product_reordered')));
+        
+        return moved.map(({ product, position }) => ({ id: product.id, position }));
+    }
+    
+    // Applies the creates and updates from planProductImport (product-csv.js) one
+    // product at a time, so a row that fails doesn't stop the rest
+    async importProducts(plan) {
+        this.assertCan('catalog:write');
+        
+        const saved = [];
+        const failed = [];
+        
+        for (const entry of plan) {
+            try {
+                if (entry.action === 'create') {
+                    saved.push(await this.createProduct(entry.data, { reason: 'csv_import' }));
+                } else if (entry.action === 'update') {
+                    saved.push(await this.updateProduct(entry.product.id, entry.data, {
+                        variantStock: entry.variantStock,
+                        reason: 'csv_import'
+                    }));
+                }
+            } catch (error) {
+                console.error(`Failed to import line ${entry.line} (${entry.sku}):`, error);
+                failed.push({ line: entry.line, sku: entry.sku, message: error.message });
+            }
+        }
+        
+        await this.logEvent('catalog_imported', {
+            created: plan.filter(entry => entry.action === 'create').length,
+            updated: plan.filter(entry => entry.action === 'update').length,
+            failed: failed.length
+        });
+        
+        return { saved, failed };
+    }
+    
+    // Resolves to the public URL to store as the product's `image`
+    async uploadProductImage(productId, file) {
+        this.assertCan('catalog:write');
+        
+        if (!this.storage) {
+            throw new Error('Image uploads need Firebase Storage - paste an image URL instead');
+        }
+        if (!file.type.startsWith('image/')) {
+            throw new ProductValidationError({ image: 'Choose an image file' });
+        }
+        if (file.size > 5 * 1024 * 1024) {
+            throw new ProductValidationError({ image: 'Images must be 5 MB or smaller' });
+        }
+        
+        const name = file.name.toLowerCase().replace(/[^a-z0-9.]+/g, '-');
+        const ref = this.storage.ref(`products/${productId}/${Date.now()}-${name}`);
+        const snapshot = await ref.put(file, { contentType: file.type });
+        
+        return snapshot.ref.getDownloadURL();
+    }
+
+    // ===== STOCK RESERVATIONS =====
+    
+    getReservationRef(productId, profileId = this.currentProfile?.id, variantId = null) {
+        return this.db.collection(this.collections.reservations).doc(`${profileId}__${getStockKey(productId, variantId)}`);
+    }
+    
+    // "Linen Dress (M / Navy)" - names the exact size in stock errors
+    getStockItemName(product, variantId) {
+        const label = getVariantLabel(findProductVariant(product, variantId));
+        return label ? `${product.name} (${label})` : product.name;
+    }
+    
+    // Hold stock for the current profile's cart. Returns the stock left for other shoppers.
+    async reserveStock(productId, quantity, variantId = null) {
+        if (!this.db || !this.currentProfile) return null;
+        
+        const productRef = this.db.collection(this.collections.products).doc(productId.toString());
+        const holdRef = this.getReservationRef(productId, this.currentProfile.id, variantId);
+        
+        const result = await this.db.runTransaction(async (transaction) => {
+            const productDoc = await transaction.get(productRef);
+            const holdDoc = await transaction.get(holdRef);
+            
+            if (!productDoc.exists) {
+                throw new Error(`Product ${productId} not found`);
+            }
+            
+            const product = productDoc.data();
+            
+            if (variantId && !findProductVariant(product, variantId)) {
+                throw new Error(`Product ${productId} has no variant ${variantId}`);
+            }
+            
+            const level = getStockLevel(product, variantId);
+            const available = level.stock - level.reserved;
+            
+            if (quantity > available) {
+                throw new InsufficientStockError({
+                    productId,
+                    productName: this.getStockItemName(product, variantId),
+                    requested: quantity,
+                    available
+                });
+            }
+            
+            const now = new Date();
+            const expiresAtMs = now.getTime() + this.reservationConfig.holdMinutes * 60 * 1000;
+            const expiresAt = new Date(expiresAtMs).toISOString();
+            const hold = holdDoc.exists ? holdDoc.data() : null;
+            
+            // Security rules only let `reserved` move with the hold named here
+            transaction.update(productRef, {
+                ...applyStockChange(product, variantId, { reserved: quantity }),
+                hold_id: holdRef.id,
+                updated_at: now.toISOString()
+            });
+            
+            transaction.set(holdRef, {
+                profile_id: this.currentProfile.id,
+                product_id: String(productId),
+                variant_id: variantId,
+                quantity: (hold?.quantity || 0) + quantity,
+                created_at: hold?.created_at || now.toISOString(),
+                updated_at: now.toISOString(),
+                expires_at: expiresAt,
+                // Security rules compare times as numbers - lets anyone clear an expired hold
+                expires_at_ms: expiresAtMs
+            });
+            
+            return { available: available - quantity, expires_at: expiresAt };
+        });
+        
+        console.log(`Reserved ${quantity} of ${getStockKey(productId, variantId)} until ${result.expires_at}`);
+        return result;
+    }
+    
+    // Give held stock back. Releases the whole hold when no quantity is passed.
+    async releaseStock(productId, quantity = null, profileId = this.currentProfile?.id, variantId = null) {
+        if (!this.db || !profileId) return 0;
+        
+        const productRef = this.db.collection(this.collections.products).doc(productId.toString());
+        const holdRef = this.getReservationRef(productId, profileId, variantId);
+        
+        try {
+            return await this.db.runTransaction(async (transaction) => {
+                const holdDoc = await transaction.get(holdRef);
+                if (!holdDoc.exists) return 0;
+                
+                const productDoc = await transaction.get(productRef);
+                const hold = holdDoc.data();
+                const released = quantity === null ? hold.quantity : Math.min(quantity, hold.quantity);
+                
+                if (productDoc.exists) {
+                    transaction.update(productRef, {
+                        ...applyStockChange(productDoc.data(), variantId, { reserved: -released }),
+                        hold_id: holdRef.id,
+                        updated_at: new Date().toISOString()
+                    });
+                }
+                
+                if (hold.quantity - released <= 0) {
+                    transaction.delete(holdRef);
+                } else {
+                    transaction.update(holdRef, {
+                        quantity: hold.quantity - released,
+                        updated_at: new Date().toISOString()
+                    });
+                }
+                
+                return released;
+            });
+        } catch (error) {
+            console.error('Failed to release stock:', error);
+            return 0;
+        }
+    }
+    
+    async getReservations(profileId = this.currentProfile?.id) {
+        if (!this.db || !profileId) return {};
+        
+        try {
+            const snapshot = await this.db.collection(this.collections.reservations)
+                .where('profile_id', '==', profileId)
+                .get();
+            
+            const holds = {};
+            snapshot.forEach(doc => {
+                const hold = doc.data();
+                if (hold.expires_at > new Date().toISOString()) {
+                    holds[getStockKey(hold.product_id, hold.variant_id)] = hold.quantity;
+                }
+            });
+            
+            return holds;
+        } catch (error) {
+            console.error('Failed to get reservations:', error);
+            return {};
+        }
+    }
+    
+    async releaseAllReservations(profileId = this.currentProfile?.id) {
+        if (!this.db || !profileId) return;
+        
+        try {
+            const snapshot = await this.db.collection(this.collections.reservations)
+                .where('profile_id', '==', profileId)
+                .get();
+            
+            for (const doc of snapshot.docs) {
+                const hold = doc.data();
+                await this.releaseStock(hold.product_id, null, profileId, hold.variant_id || null);
+            }
+        } catch (error) {
+            console.error('Failed to release reservations:', error);
+        }
+    }
+    
+    // Return stock held by carts that were abandoned past their hold time
+    async releaseExpiredReservations() {
+        if (!this.db) return 0;
+        
+        try {
+            const snapshot = await this.db.collection(this.collections.reservations)
+                .where('expires_at', '<=', new Date().toISOString())
+                .limit(this.reservationConfig.sweepLimit)
+                .get();
+            
+            let released = 0;
+            for (const doc of snapshot.docs) {
+                const hold = doc.data();
+                released += await this.releaseStock(hold.product_id, null, hold.profile_id, hold.variant_id || null);
+            }
+            
+            if (released > 0) {
+                console.log(`Released ${released} units from expired cart holds`);
+            }
+            
+            return released;
+        } catch (error) {
+            console.error('Failed to release expired reservations:', error);
+            return 0;
+        }
+    }
+    
+    // Turn the profile's holds into sold stock. Items without a (live) hold
+    // must still fit in the unreserved stock, otherwise nothing is committed.
+    // Staff only under the rules - paid checkouts are committed by the checkout
+    // server (server/inventory.js).
+    async commitReservedStock(items, profileId = this.currentProfile?.id) {
+        if (!this.db) return [];
+        
+        const stockItems = items.filter(item => item.product_id && item.quantity > 0);
+        const now = new Date().toISOString();
+        
+        const changes = await this.db.runTransaction(async (transaction) => {
+            const entries = [];
+            
+            for (const item of stockItems) {
+                const variantId = item.variant_id || null;
+                const productRef = this.db.collection(this.collections.products).doc(item.product_id.toString());
+                const holdRef = this.getReservationRef(item.product_id, profileId, variantId);
+                entries.push({
+                    item,
+                    variantId,
+                    productRef,
+                    holdRef,
+                    productDoc: await transaction.get(productRef),
+                    holdDoc: await transaction.get(holdRef)
+                });
+            }
+            
+            // Several sizes of one product share a document, so changes build on each other
+            const working = {};
+            const results = [];
+            
+            for (const { item, variantId, productRef, holdRef, productDoc, holdDoc } of entries) {
+                if (!productDoc.exists) {
+                    throw new Error(`Product ${item.product_id} not found`);
+                }
+                
+                const product = working[productRef.id]?.data || productDoc.data();
+                if (product.preorder) continue;
+                
+                const level = getStockLevel(product, variantId);
+                const hold = holdDoc.exists && holdDoc.data().expires_at > now ? holdDoc.data() : null;
+                const fromHold = Math.min(hold?.quantity || 0, item.quantity);
+                const unheld = item.quantity - fromHold;
+                
+                if (unheld > level.stock - level.reserved) {
+                    throw new InsufficientStockError({
+                        productId: item.product_id,
+                        productName: this.getStockItemName(product, variantId),
+                        requested: item.quantity,
+                        available: level.stock - level.reserved + fromHold
+                    });
+                }
+                
+                const update = applyStockChange(product, variantId, {
+                    stock: -item.quantity,
+                    reserved: -(holdDoc.exists ? holdDoc.data().quantity : 0)
+                });
+                
+                working[productRef.id] = {
+                    ref: productRef,
+                    data: { ...product, ...update, sales_count: (product.sales_count || 0) + item.quantity }
+                };
+                
+                if (holdDoc.exists) {
+                    transaction.delete(holdRef);
+                }
+                
+                results.push({
+                    product_id: item.product_id,
+                    variant_id: variantId,
+                    product_name: product.name,
+                    previous_stock: product.stock || 0,
+                    new_stock: update.stock
+                });
+            }
+            
+            Object.values(working).forEach(({ ref, data }) => {
+                transaction.update(ref, {
+                    stock: data.stock,
+                    reserved: data.reserved,
+                    ...(data.variants ? { variants: data.variants } : {}),
+                    sales_count: data.sales_count,
+                    updated_at: now,
+                    update_reason: 'sale'
+                });
+            });
+            
+            return results;
+        });
+        
+        // Same before/after record as updateProductStock
+        for (const change of changes) {
+            await this.logInventoryChange(change.product_id, change, 'sale');
+        }
+        
+        return changes;
+    }
+    
+    // ===== STOCK ALERTS =====
+    // Raised by the checkout server when a sale crosses a threshold (server/inventory.js)
+    
+    // Owner-facing alert feed
+    async getStockAlerts(options = {}) {
+        if (!this.db) return [];
+        
+        const { status = 'open', limit = 50 } = options;
         
         try {
-            const productRef = this.db.collection(this.collections.products).doc(productId.toString());
+            // Needs the inventory_alerts indexes in firestore.indexes.json
+            let query = this.db.collection(this.collections.inventory)
+                .where('alert_type', 'in', ['sold_out', 'low_stock']);
             
-            await productRef.update({
-                stock: newStock,
-                updated_at: new Date().toISOString(),
-                update_reason: reason
-            });
+            if (status) {
+                query = query.where('status', '==', status);
+            }
+            
+            const snapshot = await query.orderBy('last_triggered_at', 'desc').limit(limit).get();
+            const alerts = [];
             
-            await this.logInventoryChange(productId, newStock, reason);
-            console.log(`Product stock updated: ${productId} -> ${newStock}`);
+            snapshot.forEach(doc => {
+                alerts.push({ id: doc.id, ...doc.data() });
+            });
             
+            return alerts;
         } catch (error) {
-            console.error('Failed to update product stock:', error);
-            throw error;
+            console.error('Failed to get stock alerts:', error);
+            return [];
         }
     }
-
-    async logInventoryChange(productId, newStock, reason) {
+    
+    watchStockAlerts(callback) {
+        if (!this.db) return () => {};
+        
+        return this.db.collection(this.collections.inventory)
+            .where('status', '==', 'open')
+            .onSnapshot(snapshot => {
+                const alerts = [];
+                snapshot.forEach(doc => alerts.push({ id: doc.id, ...doc.data() }));
+                callback(alerts);
+            }, error => {
+                console.error('Stock alert feed failed:', error);
+            });
+    }
+    
+    async acknowledgeStockAlert(alertId) {
         if (!this.db) return;
         
         try {
-            // Get current products to find product name
-            const products = await this.getProducts();
-            const product = products.find(p => p.id === productId);
-            
-            await this.db.collection(this.collections.inventory).add({
-                product_id: productId,
-                product_name: product?.name || 'Unknown',
-                new_stock: newStock,
-                reason,
-                timestamp: new Date().toISOString(),
-                profile_id: this.currentProfile?.id
+            await this.db.collection(this.collections.inventory).doc(alertId).update({
+                status: 'acknowledged',
+                acknowledged_at: new Date().toISOString(),
+                acknowledged_by: this.auth?.currentUser?.email || this.currentProfile?.id || null
             });
         } catch (error) {
-            console.error('Failed to log inventory change:', error);
+            console.error('Failed to acknowledge stock alert:', error);
+            throw error;
         }
     }
 
     // ===== ORDER MANAGEMENT =====
     
+    // Orders start out pending. Stock is committed and the purchase added to the
+    // profile once Stripe confirms payment (server/webhooks.js), so the cart's
+    // holds stay in place while the customer is on the payment page.
     async logOrder(orderData) {
         if (!this.db) return;
         
@@ -426,19 +1441,13 @@ class FirebaseManager {
                 profile_type: this.currentProfile?.type,
                 timestamp: new Date().toISOString(),
                 status: 'pending',
-                source: 'website'
+                status_history: [createStatusHistoryEntry('pending', this.getOrderActor())],
+                source: 'website',
+                stock_committed: false
             };
             
             const orderRef = await this.db.collection(this.collections.orders).add(enrichedOrderData);
             
-            // Add to profile purchase history
-            if (this.profileManager && this.profileManager.addPurchase) {
-                await this.profileManager.addPurchase({
-                    order_id: orderRef.id,
-                    ...enrichedOrderData
-                });
-            }
-            
             console.log('Order logged successfully:', orderRef.id);
             return orderRef.id;
         } catch (error) {
@@ -446,69 +1455,571 @@ class FirebaseManager {
             throw error;
         }
     }
+    
+    // ===== ORDER LIFECYCLE =====
+    // Allowed transitions live in order-lifecycle.js, shared with the webhook server
+    
+    getOrderActor() {
+        return {
+            type: 'customer',
+            id: this.currentProfile?.id || null
+        };
+    }
+    
+    async getOrder(orderId) {
+        if (!this.db || !orderId) return null;
+        
+        try {
+            const doc = await this.db.collection(this.collections.orders).doc(orderId).get();
+            return doc.exists ? { id: doc.id, ...doc.data() } : null;
+        } catch (error) {
+            console.error('Failed to get order:', error);
+            return null;
+        }
+    }
+    
+    // Newest first. Sorted here rather than in the query so no composite index is needed.
+    async getOrdersForProfile(profileId = this.currentProfile?.id, options = {}) {
+        if (!this.db || !profileId) return [];
+        
+        const { status = null, limit = 50 } = options;
+        
+        try {
+            let query = this.db.collection(this.collections.orders).where('profile_id', '==', profileId);
+            
+            if (status) {
+                query = query.where('status', '==', status);
+            }
+            
+            const snapshot = await query.get();
+            const orders = [];
+            
+            snapshot.forEach(doc => {
+                orders.push({ id: doc.id, ...doc.data() });
+            });
+            
+            return orders
+                .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''))
+                .slice(0, limit);
+        } catch (error) {
+            console.error('Failed to get orders for profile:', error);
+            return [];
+        }
+    }
+    
+    // Validates the move, appends to status_history and mirrors the new status
+    // into the owner's purchase_history. `updates` are extra order fields written
+    // in the same transaction (payment details, tracking number, ...), and
+    // `purchaseUpdates` the ones the customer should see in their history too.
+    async updateOrderStatus(orderId, newStatus, options = {}) {
+        if (!this.db) return null;
+        
+        const { note = null, actor = this.getOrderActor(), updates = {}, purchaseUpdates = {} } = options;
+        const orderRef = this.db.collection(this.collections.orders).doc(orderId);
+        let previousStatus = null;
+        
+        const order = await this.db.runTransaction(async (transaction) => {
+            const orderDoc = await transaction.get(orderRef);
+            if (!orderDoc.exists) {
+                throw new Error(`Order ${orderId} not found`);
+            }
+            
+            const current = orderDoc.data();
+            previousStatus = current.status;
+            assertOrderTransition(orderId, current.status, newStatus);
+            
+            const profileRef = current.profile_id ? this.db.collection(this.collections.profiles).doc(current.profile_id) : null;
+            const profileDoc = profileRef ? await transaction.get(profileRef) : null;
+            
+            const entry = createStatusHistoryEntry(newStatus, actor, note);
+            const orderUpdate = {
+                ...updates,
+                status: newStatus,
+                status_updated_at: entry.timestamp,
+                status_history: [...(current.status_history || []), entry]
+            };
+            
+            transaction.update(orderRef, orderUpdate);
+            this.updatePurchaseEntry(transaction, profileRef, profileDoc, orderId, {
+                ...purchaseUpdates,
+                status: newStatus,
+                status_updated_at: entry.timestamp
+            });
+            
+            return { id: orderId, ...current, ...orderUpdate };
+        });
+        
+        this.updateLocalPurchaseStatus(order);
+        
+        await this.logEvent('order_status_changed', {
+            order_id: orderId,
+            from: previousStatus,
+            to: newStatus,
+            actor_type: actor.type
+        });
+        
+        console.log(`Order ${orderId}: ${previousStatus} -> ${newStatus}`);
+        return order;
+    }
+    
+    // Copies `fields` onto the order's entry in its owner's purchase_history, if it has one
+    updatePurchaseEntry(transaction, profileRef, profileDoc, orderId, fields) {
+        const history = profileDoc?.exists ? profileDoc.data().shopping?.purchase_history || [] : [];
+        
+        if (history.some(purchase => purchase.order_id === orderId)) {
+            transaction.update(profileRef, {
+                'shopping.purchase_history': history.map(purchase => purchase.order_id === orderId
+                    ? { ...purchase, ...fields }
+                    : purchase)
+            });
+        }
+    }
+    
+    // Keep the in-memory profile in step so the next profile save doesn't revert it
+    updateLocalPurchaseStatus(order) {
+        const history = this.currentProfile?.shopping?.purchase_history;
+        const purchase = history?.find(entry => entry.order_id === order.id);
+        
+        if (purchase) {
+            purchase.status = order.status;
+            purchase.status_updated_at = order.status_updated_at;
+        }
+    }
+    
+    async cancelOrder(orderId, reason = null) {
+        return this.updateOrderStatus(orderId, 'cancelled', { note: reason });
+    }
 
-    // ===== IMPROVED ANALYTICS & EVENTS =====
+    async getOrderByCheckoutSession(sessionId) {
+        if (!this.db || !sessionId) return null;
+        
+        const snapshot = await this.db.collection(this.collections.orders)
+            .where('checkout_session_id', '==', sessionId)
+            .where('profile_id', '==', this.currentProfile?.id || null)
+            .limit(1)
+            .get();
+        
+        if (snapshot.empty) return null;
+        
+        const doc = snapshot.docs[0];
+        return { id: doc.id, ...doc.data() };
+    }
     
-    async logEvent(eventName, eventData = {}) {
-        // Analytics disabled - stub method
-        return Promise.resolve();
+    // Resolves once the webhook has moved the order out of 'pending' or recorded a
+    // failed payment. On timeout resolves with the order as it stands (or null).
+    async waitForOrderPayment(sessionId, timeoutMs = 30000) {
+        const order = await this.getOrderByCheckoutSession(sessionId);
+        if (!order) return null;
+        
+        const isSettled = (data) => data.status !== 'pending' || data.payment?.status === 'failed';
+        if (isSettled(order)) return order;
+        
+        return new Promise((resolve) => {
+            let latest = order;
+            let unsubscribe = () => {};
+            
+            const timer = setTimeout(() => {
+                unsubscribe();
+                resolve(latest);
+            }, timeoutMs);
+            
+            unsubscribe = this.db.collection(this.collections.orders).doc(order.id).onSnapshot((doc) => {
+                latest = { id: doc.id, ...doc.data() };
+                
+                if (isSettled(latest)) {
+                    clearTimeout(timer);
+                    unsubscribe();
+                    resolve(latest);
+                }
+            }, (error) => {
+                console.error('Failed to watch order:', error);
+                clearTimeout(timer);
+                resolve(latest);
+            });
+        });
+    }
+    
+    // The webhook writes purchase_history server-side; pull it in before the next
+    // profile save so the local copy doesn't overwrite it
+    async syncPurchaseHistory() {
+        if (this.profileManager && this.profileManager.syncPurchaseHistory) {
+            await this.profileManager.syncPurchaseHistory();
+        }
     }
 
-    // Generate unique event ID
-    generateEventId() {
-        return `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    // ===== ORDER ADMIN =====
+    // Fulfilment for the admin orders dashboard (admin-orders.js), for staff and
+    // owners (orders:manage). Refunds need the Stripe key, so they go through the
+    // API server instead (server/admin.js), and only owners can make them.
+    
+    getAdminActor() {
+        return {
+            type: 'admin',
+            id: this.auth?.currentUser?.uid || null
+        };
+    }
+    
+    // Newest first, `pageSize` at a time - pass the returned cursor back for the
+    // next page. `from` / `to` are ISO timestamps; `to` is exclusive.
+    async getOrdersForAdmin({ status = null, from = null, to = null, cursor = null, pageSize = 25 } = {}) {
+        this.assertCan('orders:manage');
+        
+        let query = this.db.collection(this.collections.orders);
+        
+        if (status) query = query.where('status', '==', status);
+        if (from) query = query.where('timestamp', '>=', from);
+        if (to) query = query.where('timestamp', '<', to);
+        
+        query = query.orderBy('timestamp', 'desc');
+        if (cursor) query = query.startAfter(cursor);
+        
+        // One extra tells us whether there's another page
+        const snapshot = await query.limit(pageSize + 1).get();
+        const docs = snapshot.docs.slice(0, pageSize);
+        
+        return {
+            orders: docs.map(doc => ({ id: doc.id, ...doc.data() })),
+            cursor: docs[docs.length - 1] || null,
+            hasMore: snapshot.docs.length > pageSize
+        };
+    }
+    
+    async markOrderFulfilled(orderId, note = null) {
+        this.assertCan('orders:manage');
+        
+        return this.updateOrderStatus(orderId, 'fulfilled', {
+            actor: this.getAdminActor(),
+            note: note || 'Packed and ready to ship'
+        });
+    }
+    
+    // Ships the order with its tracking number, or corrects the tracking on an
+    // order that has already shipped. Throws on an unknown carrier or bad number.
+    async addOrderTracking(orderId, { carrier, trackingNumber }) {
+        this.assertCan('orders:manage');
+        
+        const tracking = createTracking(carrier, trackingNumber);
+        const note = `${tracking.carrier_name} ${tracking.tracking_number}`;
+        const order = await this.getOrder(orderId);
+        
+        if (order?.status !== 'shipped') {
+            return this.updateOrderStatus(orderId, 'shipped', {
+                actor: this.getAdminActor(),
+                note,
+                updates: { tracking },
+                purchaseUpdates: { tracking }
+            });
+        }
+        
+        const orderRef = this.db.collection(this.collections.orders).doc(orderId);
+        
+        const updated = await this.db.runTransaction(async (transaction) => {
+            const orderDoc = await transaction.get(orderRef);
+            const current = orderDoc.data();
+            
+            const profileRef = current.profile_id ? this.db.collection(this.collections.profiles).doc(current.profile_id) : null;
+            const profileDoc = profileRef ? await transaction.get(profileRef) : null;
+            
+            transaction.update(orderRef, { tracking });
+            this.updatePurchaseEntry(transaction, profileRef, profileDoc, orderId, { tracking });
+            
+            return { id: orderId, ...current, tracking };
+        });
+        
+        await this.logEvent('order_tracking_updated', { order_id: orderId, carrier: tracking.carrier });
+        return updated;
     }
 
-    // Update profile with lightweight analytics summary
-    async updateProfileAnalyticsSummary(eventName, eventData) {
-        if (!this.currentProfile || !this.db) return;
+    // ===== IMPROVED ANALYTICS & EVENTS =====
+    
+    async logEvent(eventName, eventData = {}) {
+        if (!this.isAnalyticsEnabled()) return null;
         
         try {
-            const profileRef = this.db.collection(this.collections.profiles).doc(this.currentProfile.id);
-            
-            // Use Firebase increment operations for counters
-            const updateData = {
-                'analytics.last_activity': new Date().toISOString(),
-                'analytics.total_events': firebase.firestore.FieldValue.increment(1),
-                [`analytics.event_counts.${eventName}`]: firebase.firestore.FieldValue.increment(1),
-                'updated_at': new Date().toISOString()
+            const eventId = this.generateEventId();
+            
+            const event = {
+                event_id: eventId,
+                event_name: eventName,
+                event_data: this.sanitizeEventData(eventData),
+                timestamp: new Date().toISOString(),
+                profile_id: this.currentProfile?.id || 'anonymous',
+                profile_type: this.currentProfile?.type || 'unknown',
+                session_id: this.currentProfile?.session_id || sessionStorage.getItem('session_id'),
+                page_url: window.location.href,
+                user_agent: navigator.userAgent
             };
             
-            // Add specific event data to summary
-            if (eventName === 'item_added_to_cart') {
-                updateData['analytics.cart_additions'] = firebase.firestore.FieldValue.increment(1);
-            } else if (eventName === 'page_view') {
-                updateData['analytics.page_views'] = firebase.firestore.FieldValue.increment(1);
+            this.eventQueue.push(event);
+            this.capEventQueue();
+            
+            if (this.analytics) {
+                this.analytics.logEvent(eventName, { profile_type: event.profile_type });
             }
             
-            await profileRef.update(updateData);
+            // Flush right away once a full batch is waiting, otherwise on the timer
+            if (this.eventQueue.length >= this.eventQueueConfig.maxBatchSize) {
+                await this.flushEventQueue();
+            } else {
+                this.scheduleEventFlush();
+            }
             
+            return eventId;
         } catch (error) {
-            console.warn('Failed to update profile analytics summary:', error);
+            // Never throw from here - error handlers log through this method too
+            console.warn('Failed to log event:', eventName, error);
+            return null;
         }
     }
-
-    // Update daily analytics aggregations
-    async updateDailyAnalytics(eventName, eventData, timestamp) {
-        if (!this.db) return;
+    
+    // ===== EVENT QUEUE =====
+    
+    setupEventQueue() {
+        this.restoreQueuedEvents();
+        
+        window.addEventListener('online', () => this.handleConnectionRestored());
+        window.addEventListener('offline', () => this.handleConnectionLost());
+        
+        // Writes started during unload rarely finish, so keep the queue for the next visit
+        window.addEventListener('beforeunload', () => this.persistQueuedEvents());
+        window.addEventListener('pagehide', () => this.persistQueuedEvents());
+        
+        if (this.eventQueue.length > 0) {
+            this.scheduleEventFlush();
+        }
+    }
+    
+    // Batched event writes, same idea as FirebaseProfileManager.batchUpdateProfile
+    scheduleEventFlush() {
+        if (this.eventFlushScheduled) return;
+        
+        this.eventFlushScheduled = true;
+        
+        setTimeout(async () => {
+            this.eventFlushScheduled = false;
+            await this.flushEventQueue();
+        }, this.eventQueueConfig.flushInterval);
+    }
+    
+    async flushEventQueue() {
+        if (this.isFlushingEvents || this.eventQueue.length === 0) return;
+        
+        // Rules only accept events from a signed-in user (guests sign in anonymously)
+        const uid = this.auth?.currentUser?.uid;
+        if (!this.db || !navigator.onLine || !uid) {
+            this.persistQueuedEvents();
+            return;
+        }
+        
+        this.isFlushingEvents = true;
         
         try {
-            const dateKey = timestamp.split('T')[0]; // YYYY-MM-DD
-            const dailyRef = this.db.collection(this.collections.dailyAnalytics).doc(dateKey);
+            while (this.eventQueue.length > 0) {
+                const events = this.eventQueue.slice(0, this.eventQueueConfig.maxBatchSize);
+                
+                try {
+                    await this.writeEvents(events, uid);
+                } catch (error) {
+                    // Retrying a batch the rules refuse would block every event behind it
+                    if (error.code !== 'permission-denied') throw error;
+                    console.warn(`Dropping ${events.length} analytics events the security rules refused:`, error);
+                }
+                
+                // By id - capEventQueue may have trimmed the front meanwhile
+                const flushedIds = new Set(events.map(event => event.event_id));
+                this.eventQueue = this.eventQueue.filter(event => !flushedIds.has(event.event_id));
+            }
+            
+            localStorage.removeItem(this.eventQueueConfig.storageKey);
+        } catch (error) {
+            console.warn('Failed to flush event queue, keeping events for retry:', error);
+            this.persistQueuedEvents();
+        } finally {
+            this.isFlushingEvents = false;
+        }
+    }
+    
+    // Event ids double as document ids, and events already in `analytics` are
+    // skipped: another tab may have restored the same queue from localStorage and
+    // flushed it first, and its summary counts mustn't be added twice.
+    async writeEvents(events, uid) {
+        const getEventRef = event => this.db.collection(this.collections.analytics).doc(event.event_id);
+        
+        await this.db.runTransaction(async (transaction) => {
+            const written = await Promise.all(events.map(event => transaction.get(getEventRef(event))));
+            const newEvents = events.filter((event, index) => !written[index].exists);
+            
+            newEvents.forEach(event => {
+                // recorded_by lets this user read the event back on a retry (firestore.rules)
+                transaction.set(getEventRef(event), { ...event, recorded_by: uid });
+                
+                // Events queued under an earlier profile (before signing in) only go to `analytics`
+                if (event.profile_id === uid) {
+                    const profileEventRef = this.db
+                        .collection(this.collections.profiles)
+                        .doc(event.profile_id)
+                        .collection('events')
+                        .doc(event.event_id);
+                    transaction.set(profileEventRef, event);
+                }
+            });
+            
+            this.addSummaryWrites(transaction, newEvents, uid);
+        });
+    }
+    
+    // A guest who signs in is the same shopper, so their queued events move to the
+    // account. Anyone else's stay store-wide only (see flushEventQueue).
+    rekeyQueuedEvents(previousProfile, profile) {
+        if (previousProfile?.type !== 'guest' || !profile || profile.type === 'guest' || previousProfile.id === profile.id) return;
+        
+        this.eventQueue.forEach(event => {
+            if (event.profile_id === previousProfile.id) {
+                event.profile_id = profile.id;
+                event.profile_type = profile.type;
+            }
+        });
+    }
+    
+    // Roll a batch of events up into one daily and one profile summary write each.
+    // Only the signed-in user's own profile gets a summary.
+    addSummaryWrites(transaction, events, uid) {
+        const increment = this.firebase.firestore.FieldValue.increment;
+        const now = new Date().toISOString();
+        const days = {};
+        const profiles = {};
+        
+        events.forEach(event => {
+            const dateKey = event.timestamp.split('T')[0];
             
-            const updateData = {
+            days[dateKey] = days[dateKey] || { total: 0, counts: {}, users: new Set() };
+            days[dateKey].total++;
+            days[dateKey].counts[event.event_name] = (days[dateKey].counts[event.event_name] || 0) + 1;
+            days[dateKey].users.add(event.profile_id);
+            
+            if (event.profile_id !== uid) return;
+            
+            const profile = profiles[event.profile_id] = profiles[event.profile_id] || {
+                total: 0, counts: {}, cart_additions: 0, page_views: 0, last_activity: event.timestamp
+            };
+            profile.total++;
+            profile.counts[event.event_name] = (profile.counts[event.event_name] || 0) + 1;
+            profile.last_activity = event.timestamp > profile.last_activity ? event.timestamp : profile.last_activity;
+            
+            if (event.event_name === 'item_added_to_cart') {
+                profile.cart_additions++;
+            } else if (event.event_name === 'page_view') {
+                profile.page_views++;
+            }
+        });
+        
+        const toIncrements = (counts) => Object.fromEntries(
+            Object.entries(counts).map(([name, count]) => [name, increment(count)])
+        );
+        
+        Object.entries(days).forEach(([dateKey, day]) => {
+            transaction.set(this.db.collection(this.collections.dailyAnalytics).doc(dateKey), {
                 date: dateKey,
-                total_events: firebase.firestore.FieldValue.increment(1),
-                [`event_counts.${eventName}`]: firebase.firestore.FieldValue.increment(1),
-                unique_users: firebase.firestore.FieldValue.arrayUnion(this.currentProfile?.id || 'anonymous'),
-                last_updated: new Date().toISOString()
+                total_events: increment(day.total),
+                event_counts: toIncrements(day.counts),
+                unique_users: this.firebase.firestore.FieldValue.arrayUnion(...day.users),
+                last_updated: now
+            }, { merge: true });
+        });
+        
+        Object.entries(profiles).forEach(([profileId, profile]) => {
+            const analytics = {
+                last_activity: profile.last_activity,
+                total_events: increment(profile.total),
+                event_counts: toIncrements(profile.counts)
             };
             
-            await dailyRef.set(updateData, { merge: true });
+            if (profile.cart_additions) analytics.cart_additions = increment(profile.cart_additions);
+            if (profile.page_views) analytics.page_views = increment(profile.page_views);
+            
+            transaction.set(this.db.collection(this.collections.profiles).doc(profileId), {
+                analytics,
+                updated_at: now
+            }, { merge: true });
+        });
+    }
+    
+    // Without Firestore nothing drains the queue, so only the newest events are
+    // kept - the same ones persistQueuedEvents would store
+    capEventQueue() {
+        const overflow = this.eventQueue.length - this.eventQueueConfig.maxStoredEvents;
+        if (overflow > 0) {
+            this.eventQueue.splice(0, overflow);
+        }
+    }
+    
+    persistQueuedEvents() {
+        if (this.eventQueue.length === 0) return;
+        
+        try {
+            const pending = this.eventQueue.slice(-this.eventQueueConfig.maxStoredEvents);
+            localStorage.setItem(this.eventQueueConfig.storageKey, JSON.stringify(pending));
+        } catch (error) {
+            console.warn('Failed to persist queued events:', error);
+        }
+    }
+    
+    restoreQueuedEvents() {
+        try {
+            const stored = localStorage.getItem(this.eventQueueConfig.storageKey);
+            if (!stored) return;
+            
+            const pending = JSON.parse(stored);
+            const queuedIds = new Set(this.eventQueue.map(event => event.event_id));
             
+            this.eventQueue = [
+                ...pending.filter(event => !queuedIds.has(event.event_id)),
+                ...this.eventQueue
+            ];
+            this.capEventQueue();
+            
+            console.log(`Restored ${pending.length} queued events from last visit`);
+        } catch (error) {
+            console.warn('Failed to restore queued events:', error);
+            localStorage.removeItem(this.eventQueueConfig.storageKey);
+        }
+    }
+    
+    // Firestore rejects undefined values and class instances (e.g. Error objects)
+    sanitizeEventData(eventData) {
+        try {
+            return JSON.parse(JSON.stringify(eventData, (key, value) => {
+                if (value instanceof Error) {
+                    return { message: value.message, stack: value.stack };
+                }
+                return value;
+            })) || {};
         } catch (error) {
-            console.warn('Failed to update daily analytics:', error);
+            return { unserializable: true };
+        }
+    }
+    
+    // ===== ANALYTICS CONSENT =====
+    
+    isAnalyticsEnabled() {
+        return localStorage.getItem('analytics_consent') !== 'denied';
+    }
+    
+    setAnalyticsConsent(enabled) {
+        localStorage.setItem('analytics_consent', enabled ? 'granted' : 'denied');
+        
+        if (!enabled) {
+            this.eventQueue = [];
+            localStorage.removeItem(this.eventQueueConfig.storageKey);
         }
+        
+        console.log(`Analytics ${enabled ? 'enabled' : 'disabled'}`);
+        return enabled;
+    }
+
+    // Generate unique event ID
+    generateEventId() {
+        return `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
     // ===== ANALYTICS QUERY METHODS =====
@@ -913,9 +2424,25 @@ class FirebaseManager {
             // Custom event history
             events: (eventType, limit = 20) => this.getEventHistory(eventType, limit),
             
+            // Open stock alerts
+            alerts: () => this.getStockAlerts().then(alerts => {
+                console.table(alerts.map(alert => ({
+                    product: alert.product?.name,
+                    type: alert.alert_type,
+                    severity: alert.severity,
+                    stock: alert.stock,
+                    occurrences: alert.occurrences,
+                    last_triggered: alert.last_triggered_at
+                })));
+                return alerts;
+            }),
+            
             // Custom date range
             range: (startDate, endDate) => this.generateAnalyticsReport(startDate, endDate),
             
+            // Tracking consent
+            consent: (enabled) => this.setAnalyticsConsent(enabled),
+            
             // Help
             help: () => {
                 console.log('=== ANALYTICS CONSOLE COMMANDS ===');
@@ -927,8 +2454,10 @@ class FirebaseManager {
                 console.log('analytics.pageViews() - Recent page views');
                 console.log('analytics.logins() - Recent logins');
                 console.log('analytics.search("email") - Search user by email');
+                console.log('analytics.alerts() - Open stock alerts');
                 console.log('analytics.events("event_name", 20) - Get event history');
                 console.log('analytics.range("2025-01-01", "2025-01-07") - Custom date range');
+                console.log('analytics.consent(false) - Disable event logging on this browser');
                 console.log('analytics.help() - Show this help');
             }
         };
@@ -1004,8 +2533,9 @@ class FirebaseManager {
 
     // ===== REPORTING =====
     
+    // Reads every order and event for the day, so only owners can run it
     async generateDailyReport() {
-        if (!this.db) return;
+        if (!this.db || !this.can('reports:read')) return;
         
         try {
             const today = new Date();
@@ -1034,10 +2564,25 @@ class FirebaseManager {
             const orders = [];
             let totalRevenue = 0;
             
+            // Only orders that were actually paid count, less anything refunded
+            const ordersByStatus = {};
+            let totalRefunded = 0;
+            
             ordersSnapshot.forEach(doc => {
                 const order = doc.data();
-                orders.push(order);
-                totalRevenue += order.totals?.total || 0;
+                const status = order.status || 'pending';
+                ordersByStatus[status] = (ordersByStatus[status] || 0) + 1;
+                
+                if (status === 'refunded') {
+                    totalRefunded += order.refund?.amount_refunded ?? order.totals?.total ?? 0;
+                }
+                
+                if (ORDER_REVENUE_STATUSES.includes(status)) {
+                    orders.push(order);
+                    const refunded = order.refund?.amount_refunded || 0;
+                    totalRevenue += (order.payment?.amount_total ?? order.totals?.total ?? 0) - refunded;
+                    totalRefunded += refunded;
+                }
             });
             
             const events = [];
@@ -1064,7 +2609,9 @@ class FirebaseManager {
                 orders: {
                     count: orders.length,
                     total_revenue: totalRevenue,
-                    average_order_value: orders.length > 0 ? totalRevenue / orders.length : 0
+                    average_order_value: orders.length > 0 ? totalRevenue / orders.length : 0,
+                    total_refunded: totalRefunded,
+                    by_status: ordersByStatus
                 },
                 traffic: {
                     unique_visitors: uniqueProfiles.size,
@@ -1145,6 +2692,7 @@ class FirebaseManager {
     getProfileStatus() {
         return {
             firebase_initialized: this.isInitialized,
+            offline: this.isOffline,
             profile_manager_exists: !!this.profileManager,
             current_profile_exists: !!this.currentProfile,
             current_profile_type: this.currentProfile?.type,
@@ -1155,7 +2703,18 @@ class FirebaseManager {
     }
 }
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = FirebaseManager;
-}
\ No newline at end of file
+// ===== ERRORS =====
+
+// Thrown when a stock change or cart hold asks for more units than are available
+export class InsufficientStockError extends Error {
+    constructor({ productId, productName, requested, available }) {
+        const name = productName || 'This item';
+        super(available > 0 ? `Only ${available} of ${name} left in stock` : `${name} just sold out`);
+        this.name = 'InsufficientStockError';
+        this.code = 'stock/insufficient';
+        this.productId = productId;
+        this.requested = requested;
+        this.available = Math.max(0, available);
+    }
+}
+
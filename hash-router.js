@@ -0,0 +1,146 @@
+// ===== ROUTER =====
+// Hash routes so products, categories and the cart/order views have URLs:
+//
+//   #/                   home
+//   #/category/girls     a category tab ("all" for every product)
+//   #/product/<id>       the product detail modal
+//   #/cart               the cart sidebar
+//   #/account/orders     order history
+//
+// Screens announce themselves with show(path) when opened from the UI and call
+// leave(path) when closed; back/forward and typed URLs run the route's enter/exit.
+// Hashes that don't start with "#/" are ordinary in-page anchors and are ignored.
+// Overlay routes (modals and the cart) sit on top of the page rather than replacing it.
+export class HashRouter {
+    constructor({ routes, fallback = () => '/', onRouteChange = null }) {
+        this.routes = routes.map(route => ({ ...route, ...this.compile(route.path) }));
+        this.fallback = fallback;
+        this.onRouteChange = onRouteChange;
+        this.current = null;
+        this.leaving = false;
+        this.pendingShow = null;
+    }
+
+    compile(path) {
+        const keys = [];
+        const source = path.replace(/:(\w+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+        return { regex: new RegExp(`^${source}$`), keys };
+    }
+
+    match(hash) {
+        if (!hash.startsWith('#/')) return null;
+        const path = hash.slice(1);
+        
+        for (const route of this.routes) {
+            const found = path.match(route.regex);
+            if (found) {
+                const params = {};
+                route.keys.forEach((key, i) => {
+                    params[key] = decodeURIComponent(found[i + 1]);
+                });
+                return { route, path, params };
+            }
+        }
+        
+        return null;
+    }
+
+    start() {
+        window.addEventListener('hashchange', () => this.resolve());
+        
+        // Route links go through navigate() so clicking the current one still runs it
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#/"]');
+            if (!link || e.defaultPrevented || e.metaKey || e.ctrlKey || e.shiftKey) return;
+            
+            e.preventDefault();
+            this.navigate(link.getAttribute('href').slice(1));
+        });
+        
+        return this.resolve();
+    }
+
+    async resolve() {
+        const wasLeaving = this.leaving;
+        this.leaving = false;
+        
+        const next = this.match(window.location.hash) || (window.location.hash.startsWith('#/') ? null : this.current);
+        if (next && next.path !== this.current?.path) {
+            const previous = this.current;
+            this.current = next;
+            
+            if (previous && previous.route !== next.route && previous.route.exit) {
+                previous.route.exit(previous.params);
+            }
+            this.notify(next);
+            
+            try {
+                await next.route.enter(next.params, previous);
+            } catch (error) {
+                console.error(`Failed to open ${next.path}:`, error);
+            }
+        } else if (!next && window.location.hash.startsWith('#/')) {
+            // Unknown route - send it somewhere sensible
+            this.replace(this.fallback());
+        }
+        
+        // Something opened while we were stepping back from a closed screen
+        if (wasLeaving && this.pendingShow) {
+            const path = this.pendingShow;
+            this.pendingShow = null;
+            this.show(path);
+        }
+    }
+
+    // Go to a route and run it, adding a history entry
+    navigate(path) {
+        if (this.current?.path === path) return this.current.route.enter(this.current.params);
+        
+        window.history.pushState({ inApp: true }, '', `#${path}`);
+        return this.resolve();
+    }
+
+    // The UI already shows `path`; record it in the URL without re-running it
+    show(path) {
+        if (this.leaving) {
+            this.pendingShow = path;
+            return;
+        }
+        if (this.current?.path === path) return;
+        
+        const next = this.match(`#${path}`);
+        if (!next) return;
+        
+        window.history.pushState({ inApp: true }, '', `#${path}`);
+        this.current = next;
+        this.notify(next);
+    }
+
+    // A screen at `path` was closed. Step back if we pushed it, otherwise swap
+    // the URL for the fallback so a deep link doesn't leave the tab on nothing.
+    leave(path) {
+        if (this.current?.path !== path) return;
+        
+        if (window.history.state?.inApp) {
+            this.leaving = true;
+            window.history.back();
+        } else {
+            this.replace(this.fallback());
+        }
+    }
+
+    replace(path) {
+        window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}#${path}`);
+        this.current = this.match(`#${path}`);
+        if (this.current) this.notify(this.current);
+    }
+
+    notify(match) {
+        if (this.onRouteChange) {
+            this.onRouteChange(match);
+        }
+    }
+}
@@ -0,0 +1,14 @@
+// ===== HTML UTILITIES =====
+// Shared by every view that builds markup from strings, and by the server's
+// product pages (server/seo.js).
+
+// Text for an element or a quoted attribute value. null and undefined are empty.
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
@@ -0,0 +1,51 @@
+// ===== INVENTORY MANAGEMENT =====
+// `inventoryConfig` is INVENTORY_CONFIG from firebase-config.js
+
+import { getStockStatusFor } from './product-variants.js';
+
+export class InventoryManager {
+    constructor(firebaseManager, productCatalog, inventoryConfig = {}) {
+        this.firebaseManager = firebaseManager;
+        this.productCatalog = productCatalog;
+        this.lowStockThreshold = inventoryConfig.lowStockThreshold ?? 5;
+    }
+
+    getStockStatus(product) {
+        return getStockStatusFor(product, this.lowStockThreshold);
+    }
+
+    getStockBadgeInfo(product) {
+        const status = this.getStockStatus(product);
+        const badges = {
+            'in-stock': { text: 'In Stock', class: 'in-stock' },
+            'low-stock': { text: `Only ${product.stock} left`, class: 'low-stock' },
+            'out-of-stock': { text: 'Sold Out', class: 'out-of-stock' },
+            'preorder': { text: 'Preorder', class: 'preorder' }
+        };
+        return badges[status];
+    }
+
+    async updateStock(productId, quantitySold, reason = 'sale') {
+        const product = this.productCatalog.get(productId);
+        if (!product) return false;
+
+        // product.stock is what's left after cart holds - adjust the stock on hand
+        let newStock = Math.max(0, (product.on_hand ?? product.stock) - quantitySold);
+
+        // Update in Firebase - the transaction's result wins over our local estimate.
+        // Throws InsufficientStockError rather than overselling.
+        if (this.firebaseManager) {
+            const confirmedStock = await this.firebaseManager.updateProductStock(productId, -quantitySold, reason);
+            if (confirmedStock !== null) {
+                newStock = confirmedStock;
+            }
+        }
+
+        // Update local copy
+        product.on_hand = newStock;
+        product.stock = Math.max(0, newStock - (product.reserved || 0));
+
+        console.log(`Inventory updated: ${product.name} - ${newStock} remaining`);
+        return true;
+    }
+}
@@ -0,0 +1,47 @@
+// ===== ENTRY POINT =====
+// Builds the storefront's services and starts the app. firebase-config.js is
+// gitignored, so it's picked up only if it exists - the bundle still builds
+// without it, and FirebaseManager then runs the store offline.
+
+import firebase from 'firebase/compat/app';
+import 'firebase/compat/auth';
+import 'firebase/compat/firestore';
+import 'firebase/compat/storage';
+import { FirebaseManager } from './firebase-manager.js';
+import { ProductCatalog } from './product-catalog.js';
+import { ProfileAwareCartManager } from './cart-manager.js';
+import { InventoryManager } from './inventory-manager.js';
+import { StripeIntegration } from './stripe-integration.js';
+import { initializeApp } from './script.js';
+
+const {
+    FIREBASE_CONFIG = null,
+    INVENTORY_CONFIG = {},
+    FIREBASE_EMULATORS = null
+} = Object.values(import.meta.glob('./firebase-config.js', { eager: true }))[0] || {};
+
+let productCatalog = null;
+
+const firebaseManager = new FirebaseManager({
+    firebase,
+    config: FIREBASE_CONFIG,
+    emulators: FIREBASE_EMULATORS,
+    findProduct: productId => productCatalog.get(productId)
+});
+
+productCatalog = new ProductCatalog(firebaseManager);
+
+const services = {
+    firebaseManager,
+    productCatalog,
+    cartManager: new ProfileAwareCartManager(firebaseManager, productCatalog),
+    inventoryManager: new InventoryManager(firebaseManager, productCatalog, INVENTORY_CONFIG),
+    stripeIntegration: new StripeIntegration(firebaseManager)
+};
+
+// Module scripts run after the document is parsed, but DOMContentLoaded may not have fired yet
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => initializeApp(services));
+} else {
+    initializeApp(services);
+}
@@ -0,0 +1,125 @@
+// ===== MOBILE MENU FUNCTIONALITY =====
+export class MobileMenu {
+    constructor(firebaseManager, router) {
+        this.firebaseManager = firebaseManager;
+        this.router = router;
+        this.menuButton = document.getElementById('mobileMenuBtn');
+        this.menu = document.getElementById('mobileMenu');
+        this.overlay = document.getElementById('mobileMenuOverlay');
+        this.closeButton = document.getElementById('mobileMenuClose');
+        this.menuLinks = document.querySelectorAll('.mobile-menu-nav a');
+        this.isOpen = false;
+        
+        this.init();
+    }
+    
+    init() {
+        if (!this.menuButton || !this.menu || !this.overlay) {
+            console.warn('Mobile menu elements not found');
+            return;
+        }
+
+        // Event listeners
+        this.menuButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggle();
+        });
+        
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', () => this.close());
+        }
+        
+        this.overlay.addEventListener('click', () => this.close());
+        
+        // Close menu when clicking nav links with filter routing
+        this.menuLinks.forEach(link => {
+            link.addEventListener('click', (e) => {
+                this.handleMobileNavClick(e, link);
+            });
+        });
+        
+        // Close menu on escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+        
+        // Handle window resize - close menu if screen gets larger
+        window.addEventListener('resize', () => {
+            if (window.innerWidth > 768 && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+    
+    // Category links are routes (#/category/girls), so the router does the
+    // filtering and scrolling - the menu only has to get out of the way
+    handleMobileNavClick(e, link) {
+        const route = this.router?.match(link.getAttribute('href') || '');
+        
+        if (route?.route.name === 'category') {
+            this.close();
+            
+            if (this.firebaseManager) {
+                this.firebaseManager.logEvent('mobile_nav_filter_used', {
+                    filter: route.params.category,
+                    navigation_method: 'mobile_menu',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } else {
+            // For other links, just close menu after a delay
+            setTimeout(() => this.close(), 150);
+        }
+    }
+    
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    open() {
+        this.isOpen = true;
+        this.menu.classList.add('open');
+        this.overlay.classList.add('show');
+        this.menuButton.classList.add('active');
+        document.body.classList.add('mobile-menu-open');
+        
+        // Focus management for accessibility
+        if (this.closeButton) {
+            this.closeButton.focus();
+        }
+        
+        // Analytics tracking if available
+        if (this.firebaseManager) {
+            this.firebaseManager.logEvent('mobile_menu_opened', {
+                timestamp: new Date().toISOString(),
+                screen_width: window.innerWidth
+            });
+        }
+        
+        console.log('Mobile menu opened');
+    }
+    
+    close() {
+        this.isOpen = false;
+        this.menu.classList.remove('open');
+        this.overlay.classList.remove('show');
+        this.menuButton.classList.remove('active');
+        document.body.classList.remove('mobile-menu-open');
+        
+        // Return focus to menu button for accessibility
+        this.menuButton.focus();
+        
+        console.log('Mobile menu closed');
+    }
+    
+    // Public method to check if menu is open
+    getIsOpen() {
+        return this.isOpen;
+    }
+}
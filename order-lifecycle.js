@@ -0,0 +1,110 @@
+// ===== ORDER LIFECYCLE =====
+// Shared by the storefront (FirebaseManager) and the API server (server/webhooks.js)
+// so both sides agree on which status changes are allowed, and on what an order costs.
+//
+//   pending -> paid -> fulfilled -> shipped -> delivered
+//   cancelled / refunded / partially_refunded branch off along the way
+
+export const ORDER_STATUS_TRANSITIONS = {
+    pending: ['paid', 'cancelled'],
+    paid: ['fulfilled', 'cancelled', 'refunded', 'partially_refunded'],
+    fulfilled: ['shipped', 'refunded', 'partially_refunded'],
+    shipped: ['delivered', 'refunded', 'partially_refunded'],
+    delivered: ['refunded', 'partially_refunded'],
+    // A partial refund doesn't stop the rest of the order from going out
+    partially_refunded: ['fulfilled', 'shipped', 'delivered', 'refunded', 'partially_refunded'],
+    cancelled: [],
+    refunded: []
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+// Statuses whose totals count as revenue
+export const ORDER_REVENUE_STATUSES = ['paid', 'fulfilled', 'shipped', 'delivered', 'partially_refunded'];
+
+export class InvalidOrderTransitionError extends Error {
+    constructor({ orderId, from, to }) {
+        super(`Order ${orderId} can't move from '${from}' to '${to}'`);
+        this.name = 'InvalidOrderTransitionError';
+        this.code = 'order/invalid-transition';
+        this.orderId = orderId;
+        this.from = from;
+        this.to = to;
+    }
+}
+
+export function canTransitionOrder(from, to) {
+    return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+export function assertOrderTransition(orderId, from, to) {
+    if (!ORDER_STATUSES.includes(to) || !canTransitionOrder(from, to)) {
+        throw new InvalidOrderTransitionError({ orderId, from, to });
+    }
+}
+
+// actor: { type: 'customer' | 'admin' | 'stripe' | 'system', id }
+export function createStatusHistoryEntry(status, actor = {}, note = null) {
+    return {
+        status,
+        timestamp: new Date().toISOString(),
+        actor: {
+            type: actor.type || 'system',
+            id: actor.id || null
+        },
+        note
+    };
+}
+
+// Carriers offered when adding tracking. `trackingUrl` is followed by the number.
+export const SHIPPING_CARRIERS = {
+    usps: { name: 'USPS', trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels=' },
+    ups: { name: 'UPS', trackingUrl: 'https://www.ups.com/track?tracknum=' },
+    fedex: { name: 'FedEx', trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr=' },
+    dhl: { name: 'DHL', trackingUrl: 'https://www.dhl.com/us-en/home/tracking/tracking-express.html?tracking-id=' },
+    canada_post: { name: 'Canada Post', trackingUrl: 'https://www.canadapost-postescanada.ca/track-reperage/en#/search?searchFor=' },
+    other: { name: 'Other', trackingUrl: null }
+};
+
+// Returns the `tracking` stored on shipped orders, or throws on a bad carrier or number
+export function createTracking(carrier, trackingNumber) {
+    const info = SHIPPING_CARRIERS[carrier];
+    const number = String(trackingNumber || '').replace(/\s+/g, '').toUpperCase();
+
+    if (!info) {
+        throw new Error(`Unknown carrier: ${carrier}`);
+    }
+    if (!/^[A-Z0-9-]{4,40}$/.test(number)) {
+        throw new Error('Tracking numbers are 4-40 letters, digits or dashes');
+    }
+
+    return {
+        carrier,
+        carrier_name: info.name,
+        tracking_number: number,
+        tracking_url: info.trackingUrl ? `${info.trackingUrl}${encodeURIComponent(number)}` : null,
+        added_at: new Date().toISOString()
+    };
+}
+
+// What the order costs: the lines and totals the checkout server priced and locked
+// to its session (`order.checkout`), with names and sizes from the order's own
+// lines. Until checkout starts there are only the storefront's figures - `locked`
+// tells the two apart.
+export function getCheckoutFigures(order) {
+    const items = order.items || [];
+
+    if (!order.checkout) {
+        return { lines: items, totals: order.totals || {}, locked: false };
+    }
+
+    // The server prices the order's lines one for one
+    const lines = order.checkout.lines.map((line, index) => ({
+        name: line.product_id,
+        ...(items[index]?.product_id === line.product_id ? items[index] : {}),
+        ...line,
+        total: Math.round(line.price * line.quantity * 100) / 100
+    }));
+
+    return { lines, totals: order.checkout.totals, locked: true };
+}
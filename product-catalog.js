@@ -0,0 +1,117 @@
+// ===== PRODUCT CATALOGUE =====
+// Products are fetched a page at a time per category tab and kept, so switching
+// tabs doesn't refetch. `byId` holds everything any page or lookup has loaded.
+export class ProductCatalog {
+    constructor(firebaseManager, pageSize = 24) {
+        this.firebaseManager = firebaseManager;
+        this.pageSize = pageSize;
+        this.byId = new Map();
+        this.lists = {};
+    }
+
+    getList(category) {
+        if (!this.lists[category]) {
+            this.lists[category] = { ids: [], cursor: null, hasMore: true, loading: null };
+        }
+        return this.lists[category];
+    }
+
+    isLoaded(category) {
+        const list = this.getList(category);
+        return list.ids.length > 0 || !list.hasMore;
+    }
+
+    hasMore(category) {
+        return this.getList(category).hasMore;
+    }
+
+    getProducts(category) {
+        return this.getList(category).ids.map(id => this.byId.get(id)).filter(Boolean);
+    }
+
+    getAll() {
+        return [...this.byId.values()];
+    }
+
+    get(productId) {
+        return this.byId.get(productId) || null;
+    }
+
+    // Refreshed copies update the object already in use, so references held by
+    // the detail modal and the cart stay live
+    add(product) {
+        const existing = this.byId.get(product.id);
+        if (existing) {
+            Object.assign(existing, product);
+        } else {
+            this.byId.set(product.id, product);
+        }
+    }
+
+    // Overlapping calls for the same tab (scrolling fast) share one request
+    async loadNextPage(category) {
+        const list = this.getList(category);
+        if (!list.hasMore) return [];
+        if (list.loading) return list.loading;
+        
+        list.loading = (async () => {
+            try {
+                const page = await this.firebaseManager.getProductPage({
+                    category,
+                    cursor: list.cursor,
+                    pageSize: this.pageSize
+                });
+                
+                page.products.forEach(product => {
+                    this.add(product);
+                    if (!list.ids.includes(product.id)) list.ids.push(product.id);
+                });
+                list.cursor = page.cursor;
+                list.hasMore = page.hasMore;
+                
+                return page.products;
+            } finally {
+                list.loading = null;
+            }
+        })();
+        
+        return list.loading;
+    }
+
+    // A product the admin created, edited or restored. New ones go to the top
+    // of their tabs, and a changed category moves it between tabs.
+    publish(product) {
+        this.add(product);
+        
+        Object.entries(this.lists).forEach(([category, list]) => {
+            const belongs = category === 'all' || category === product.category;
+            if (belongs && !list.ids.includes(product.id)) {
+                list.ids.unshift(product.id);
+            } else if (!belongs) {
+                list.ids = list.ids.filter(id => id !== product.id);
+            }
+        });
+    }
+
+    // Archived products leave every tab but stay known to carts and orders
+    unlist(productId) {
+        Object.values(this.lists).forEach(list => {
+            list.ids = list.ids.filter(id => id !== productId);
+        });
+    }
+
+    // Back online, what was loaded offline (the stand-in products) is dropped and
+    // every tab starts again from its first page
+    reset() {
+        this.byId.clear();
+        this.lists = {};
+    }
+
+    async ensureProducts(productIds) {
+        const missing = [...new Set(productIds)].filter(id => id && !this.byId.has(id));
+        if (missing.length === 0) return;
+        
+        const loaded = await this.firebaseManager.getProductsByIds(missing);
+        loaded.forEach(product => this.add(product));
+    }
+}
@@ -0,0 +1,248 @@
+// ===== PRODUCT CSV =====
+// Spreadsheet round trip for the admin catalog manager. Export writes the
+// products as normalizeProduct reads them; import matches rows to products by
+// SKU and plans creates and updates that can be previewed before applying.
+//
+//   sku,name,category,price,stock,reserved,available,preorder,archived,image,description,weight,dimensions,size_stock
+//
+// `size_stock` is stock on hand per size, as `<variant id>=<units>; ...`.
+// `reserved`, `available` and `archived` are exported for reference and ignored on import.
+
+import { validateProductData } from './product-schema.js';
+
+export const PRODUCT_CSV_COLUMNS = [
+    'sku', 'name', 'category', 'price', 'stock', 'reserved', 'available', 'preorder',
+    'archived', 'image', 'description', 'weight', 'dimensions', 'size_stock'
+];
+
+const PRODUCT_CSV_REQUIRED = ['sku', 'name', 'category', 'price'];
+
+// Fields an import row can change, in the order the preview lists them
+const PRODUCT_CSV_FIELDS = ['name', 'category', 'price', 'stock', 'preorder', 'image', 'description', 'weight', 'dimensions'];
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Spreadsheets like to leave blank lines at the end
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Text starting with = + - @ would run as a formula when the file is opened
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows) {
+    return rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Undo toCsvCell's formula guard
+function fromCsvCell(text) {
+    return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+}
+
+function formatSizeStock(product) {
+    return (product.variants || [])
+        .map(variant => `${variant.id}=${variant.on_hand ?? variant.stock}`)
+        .join('; ');
+}
+
+function parseSizeStock(text) {
+    const stock = {};
+    const errors = [];
+
+    text.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [id, units] = part.split('=').map(value => value.trim());
+        const count = Number(units);
+
+        if (!id || units === undefined || !Number.isInteger(count) || count < 0) {
+            errors.push(`"${part}" should look like <size id>=<units>`);
+        } else {
+            stock[id] = count;
+        }
+    });
+
+    return { stock, errors };
+}
+
+// Products as FirebaseManager.normalizeProduct returns them
+export function productsToCsv(products) {
+    return toCsv([
+        PRODUCT_CSV_COLUMNS,
+        ...products.map(product => {
+            const onHand = product.on_hand ?? product.stock;
+            return [
+                product.sku,
+                product.name,
+                product.category,
+                product.price.toFixed(2),
+                onHand,
+                product.reserved || 0,
+                product.stock,
+                product.preorder ? 'yes' : 'no',
+                product.archived ? 'yes' : 'no',
+                product.image,
+                product.description,
+                product.weight,
+                product.dimensions,
+                formatSizeStock(product)
+            ];
+        })
+    ]);
+}
+
+function parseBoolean(text) {
+    return ['yes', 'y', 'true', '1'].includes(text.trim().toLowerCase());
+}
+
+function formatChange(value) {
+    return typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value ?? '');
+}
+
+// Returns { plan, errors }. `errors` are problems with the whole file (missing
+// columns); otherwise `plan` has one entry per row:
+//
+//   { line, sku, action: 'create' | 'update' | 'unchanged' | 'error',
+//     product, data, variantStock, changes: [{ field, from, to }], errors: [] }
+//
+// `product` is the existing product for updates. New products are validated in
+// full; updates only check and change the cells that aren't blank.
+export function planProductImport(text, existingProducts) {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(name => name.trim().toLowerCase());
+
+    const missing = PRODUCT_CSV_REQUIRED.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        return { plan: [], errors: [`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`] };
+    }
+
+    const bySku = new Map(existingProducts.map(product => [String(product.sku).toUpperCase(), product]));
+    const seen = new Map();
+
+    const plan = rows.map((cells, index) => {
+        const line = index + 2;
+        const cell = column => {
+            const position = columns.indexOf(column);
+            return position === -1 ? '' : fromCsvCell((cells[position] || '').trim());
+        };
+
+        const sku = cell('sku').toUpperCase();
+        const product = bySku.get(sku) || null;
+        const entry = { line, sku, action: 'error', product, data: {}, variantStock: {}, changes: [], errors: [] };
+
+        if (!sku) {
+            entry.errors.push('SKU is required');
+            return entry;
+        }
+        if (seen.has(sku)) {
+            entry.errors.push(`SKU ${sku} is already on line ${seen.get(sku)}`);
+            return entry;
+        }
+        seen.set(sku, line);
+
+        // Blank cells leave an existing product alone
+        const data = { sku };
+        PRODUCT_CSV_FIELDS.forEach(field => {
+            const value = cell(field);
+            if (!columns.includes(field) || (product && value === '')) return;
+            data[field] = field === 'preorder' ? parseBoolean(value) : value;
+        });
+
+        const { product: fields, errors } = validateProductData(data, { partial: !!product });
+        entry.errors.push(...Object.values(errors));
+
+        const sizeStock = cell('size_stock');
+        if (sizeStock) {
+            const parsed = parseSizeStock(sizeStock);
+            entry.errors.push(...parsed.errors);
+
+            if (!product || !product.variants?.length) {
+                entry.errors.push('size_stock only applies to existing products with sizes');
+            } else {
+                Object.entries(parsed.stock).forEach(([variantId, units]) => {
+                    const variant = product.variants.find(existing => existing.id === variantId);
+                    if (!variant) {
+                        entry.errors.push(`${product.name} has no size "${variantId}"`);
+                    } else if (units !== (variant.on_hand ?? variant.stock)) {
+                        entry.variantStock[variantId] = units;
+                        entry.changes.push({ field: `size ${variantId}`, from: String(variant.on_hand ?? variant.stock), to: String(units) });
+                    }
+                });
+            }
+        }
+
+        if (product?.variants?.length > 0 && fields.stock !== undefined && fields.stock !== (product.on_hand ?? product.stock)) {
+            entry.errors.push('Products with sizes take their stock per size in size_stock');
+        }
+
+        if (entry.errors.length > 0) return entry;
+
+        if (!product) {
+            entry.action = 'create';
+            entry.data = fields;
+            entry.changes = PRODUCT_CSV_FIELDS
+                .filter(field => fields[field] !== undefined)
+                .map(field => ({ field, from: '', to: formatChange(fields[field]) }));
+            return entry;
+        }
+
+        const current = { ...product, stock: product.on_hand ?? product.stock };
+        PRODUCT_CSV_FIELDS.forEach(field => {
+            if (fields[field] === undefined || field === 'stock' && product.variants?.length > 0) return;
+            if (fields[field] !== current[field]) {
+                entry.data[field] = fields[field];
+                entry.changes.push({ field, from: formatChange(current[field]), to: formatChange(fields[field]) });
+            }
+        });
+
+        entry.action = entry.changes.length > 0 ? 'update' : 'unchanged';
+        return entry;
+    });
+
+    return { plan, errors: [] };
+}
@@ -0,0 +1,127 @@
+// ===== PRODUCT FILTERS =====
+// Facets and sort order for the products grid, and their round trip through the
+// URL query string so a filtered view can be shared and survives a reload:
+//
+//   /?category=girls&min_price=20&max_price=60&in_stock=1&sizes=S,M&sort=price_asc&q=dress
+
+export const DEFAULT_PRODUCT_FILTERS = {
+    category: 'all',
+    minPrice: null,
+    maxPrice: null,
+    inStock: false,
+    preorder: false,
+    sizes: [],
+    sort: 'featured'
+};
+
+function toTime(value) {
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    return Date.parse(value) || 0;
+}
+
+// `featured` is the order set in the admin catalog manager (see compareFeatured),
+// or search relevance while searching
+export const PRODUCT_SORTS = {
+    featured: null,
+    newest: (a, b) => toTime(b.created_at) - toTime(a.created_at),
+    price_asc: (a, b) => a.price - b.price,
+    price_desc: (a, b) => b.price - a.price,
+    popular: (a, b) => (b.sales_count || 0) - (a.sales_count || 0)
+};
+
+// Products the admin has placed come first, in their order; the rest keep the
+// order they loaded in (newest first)
+export function compareFeatured(a, b) {
+    const position = product => typeof product.position === 'number' ? product.position : Infinity;
+    return position(a) === position(b) ? 0 : position(a) - position(b);
+}
+
+function isAvailable(product, stock) {
+    return stock > 0 || !!product.preorder;
+}
+
+export function matchesProductFilters(product, filters) {
+    if (filters.category !== 'all' && product.category !== filters.category) return false;
+    if (filters.minPrice !== null && product.price < filters.minPrice) return false;
+    if (filters.maxPrice !== null && product.price > filters.maxPrice) return false;
+    if (filters.inStock && product.stock <= 0) return false;
+    if (filters.preorder && !product.preorder) return false;
+
+    // A size only counts if it can actually be bought
+    if (filters.sizes.length > 0) {
+        return (product.variants || []).some(variant =>
+            filters.sizes.includes(variant.size) && isAvailable(product, variant.stock));
+    }
+
+    return true;
+}
+
+export function filterProducts(products, filters) {
+    return products.filter(product => matchesProductFilters(product, filters));
+}
+
+// Every size on offer, in the order the catalogue lists them
+export function getAvailableSizes(products) {
+    const sizes = [];
+
+    products.forEach(product => {
+        (product.variants || []).forEach(variant => {
+            if (variant.size && !sizes.includes(variant.size)) {
+                sizes.push(variant.size);
+            }
+        });
+    });
+
+    return sizes;
+}
+
+export function hasActiveFilters(filters) {
+    return filters.minPrice !== null
+        || filters.maxPrice !== null
+        || filters.inStock
+        || filters.preorder
+        || filters.sizes.length > 0
+        || filters.sort !== DEFAULT_PRODUCT_FILTERS.sort;
+}
+
+function parsePrice(value) {
+    const price = parseFloat(value);
+    return isNaN(price) || price < 0 ? null : price;
+}
+
+// Unknown or malformed values fall back to the defaults rather than failing
+export function parseProductFilters(queryString) {
+    const params = new URLSearchParams(queryString);
+
+    return {
+        filters: {
+            category: params.get('category') || DEFAULT_PRODUCT_FILTERS.category,
+            minPrice: parsePrice(params.get('min_price')),
+            maxPrice: parsePrice(params.get('max_price')),
+            inStock: params.get('in_stock') === '1',
+            preorder: params.get('preorder') === '1',
+            sizes: (params.get('sizes') || '').split(',').filter(Boolean),
+            sort: Object.prototype.hasOwnProperty.call(PRODUCT_SORTS, params.get('sort'))
+                ? params.get('sort')
+                : DEFAULT_PRODUCT_FILTERS.sort
+        },
+        query: params.get('q') || ''
+    };
+}
+
+// Only what differs from the defaults goes into the URL
+export function serializeProductFilters(filters, query = '') {
+    const params = new URLSearchParams();
+
+    if (filters.category !== DEFAULT_PRODUCT_FILTERS.category) params.set('category', filters.category);
+    if (filters.minPrice !== null) params.set('min_price', filters.minPrice);
+    if (filters.maxPrice !== null) params.set('max_price', filters.maxPrice);
+    if (filters.inStock) params.set('in_stock', '1');
+    if (filters.preorder) params.set('preorder', '1');
+    if (filters.sizes.length > 0) params.set('sizes', filters.sizes.join(','));
+    if (filters.sort !== DEFAULT_PRODUCT_FILTERS.sort) params.set('sort', filters.sort);
+    if (query) params.set('q', query);
+
+    return params.toString();
+}
@@ -0,0 +1,127 @@
+// ===== PRODUCT SCHEMA =====
+// Shared by the storefront, the admin catalog manager and the API server.
+//
+// Documents in `products` may be missing fields - they were created by hand in
+// the Firestore console - so readers fill in PRODUCT_DEFAULTS. The admin writes
+// complete documents, validated here, using the same defaults for blank fields.
+
+export const PRODUCT_CATEGORIES = ['boys', 'girls', 'women', 'accessories'];
+
+export function getCategoryDisplayName(category) {
+    const names = {
+        'boys': 'Boys',
+        'girls': 'Girls',
+        'women': 'Women\'s Jewelry',
+        'accessories': 'Accessories'
+    };
+    return names[category] || category;
+}
+
+export const PRODUCT_DEFAULTS = {
+    name: 'Untitled Product',
+    category: 'uncategorized',
+    price: 0,
+    stock: 0,
+    preorder: false,
+    image: 'https://via.placeholder.com/600x800?text=No+Image',
+    description: 'No description available',
+    weight: 0.5,
+    dimensions: 'Standard fit'
+};
+
+export function getDefaultSku(productId) {
+    return `SKU-${productId}`;
+}
+
+export class ProductValidationError extends Error {
+    constructor(errors) {
+        super(Object.values(errors).join('. '));
+        this.name = 'ProductValidationError';
+        this.code = 'product/invalid';
+        this.errors = errors;
+    }
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+function toNumber(value) {
+    return typeof value === 'number' ? value : parseFloat(String(value).trim());
+}
+
+// Returns { product, errors } - `product` holds the cleaned fields, `errors` maps a
+// field to its message. With `partial` only the fields present in `data` are
+// checked, for edits; otherwise blanks get the defaults readers would show.
+export function validateProductData(data, { partial = false } = {}) {
+    const product = {};
+    const errors = {};
+    const has = field => !partial || Object.prototype.hasOwnProperty.call(data, field);
+
+    if (has('name')) {
+        if (isBlank(data.name)) errors.name = 'Name is required';
+        else if (String(data.name).trim().length > 120) errors.name = 'Name must be 120 characters or fewer';
+        else product.name = String(data.name).trim();
+    }
+
+    if (has('category')) {
+        if (!PRODUCT_CATEGORIES.includes(data.category)) {
+            errors.category = `Category must be one of ${PRODUCT_CATEGORIES.join(', ')}`;
+        } else {
+            product.category = data.category;
+        }
+    }
+
+    if (has('price')) {
+        const price = toNumber(data.price);
+        if (isBlank(data.price) || isNaN(price) || price < 0) errors.price = 'Price must be 0 or more';
+        else product.price = Math.round(price * 100) / 100;
+    }
+
+    if (has('stock')) {
+        const stock = isBlank(data.stock) ? PRODUCT_DEFAULTS.stock : toNumber(data.stock);
+        if (!Number.isInteger(stock) || stock < 0) errors.stock = 'Stock must be a whole number, 0 or more';
+        else product.stock = stock;
+    }
+
+    if (has('preorder')) {
+        product.preorder = data.preorder === true || data.preorder === 'true';
+    }
+
+    if (has('image')) {
+        const image = isBlank(data.image) ? PRODUCT_DEFAULTS.image : String(data.image).trim();
+        if (!/^https?:\/\//.test(image)) errors.image = 'Image must be an http(s) URL';
+        else product.image = image;
+    }
+
+    if (has('description')) {
+        product.description = isBlank(data.description) ? PRODUCT_DEFAULTS.description : String(data.description).trim();
+    }
+
+    if (has('sku') && !isBlank(data.sku)) {
+        const sku = String(data.sku).trim().toUpperCase();
+        if (!/^[A-Z0-9][A-Z0-9-]*$/.test(sku)) errors.sku = 'SKU may only use letters, numbers and dashes';
+        else product.sku = sku;
+    }
+
+    if (has('weight')) {
+        const weight = isBlank(data.weight) ? PRODUCT_DEFAULTS.weight : toNumber(data.weight);
+        if (isNaN(weight) || weight <= 0) errors.weight = 'Weight must be more than 0';
+        else product.weight = weight;
+    }
+
+    if (has('dimensions')) {
+        product.dimensions = isBlank(data.dimensions) ? PRODUCT_DEFAULTS.dimensions : String(data.dimensions).trim();
+    }
+
+    return { product, errors };
+}
+
+// Throws ProductValidationError instead of returning the errors
+export function assertValidProduct(data, options = {}) {
+    const { product, errors } = validateProductData(data, options);
+    if (Object.keys(errors).length > 0) {
+        throw new ProductValidationError(errors);
+    }
+    return product;
+}
@@ -0,0 +1,186 @@
+// ===== PRODUCT SEARCH =====
+// Fuzzy, token-based search over the loaded `products` array. Every word of the
+// query has to match something - exactly, as a prefix while typing, or within
+// a typo or two - and products are ranked by where the words matched.
+
+import { escapeHtml } from './html-utils.js';
+
+const SEARCH_FIELDS = [
+    { name: 'name', weight: 3 },
+    { name: 'sku', weight: 3 },
+    { name: 'category', weight: 2 },
+    { name: 'description', weight: 1 }
+];
+
+export function normalizeSearchText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+export function tokenizeSearch(text) {
+    const normalized = normalizeSearchText(text);
+    return normalized ? normalized.split(' ') : [];
+}
+
+// Levenshtein distance, giving up once it's past `max`
+export function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// Short words have to be typed right; longer ones can take a typo or two
+function allowedTypos(token) {
+    if (token.length <= 3) return 0;
+    return token.length <= 6 ? 1 : 2;
+}
+
+// 0..1 for how well a query token matches a word from a product
+function matchToken(token, word) {
+    if (word === token) return 1;
+    if (word.startsWith(token)) return 0.8;
+
+    const typos = allowedTypos(token);
+    if (typos === 0) return 0;
+
+    // Compare against the start of longer words too, so half-typed words with a typo
+    // still match - but only once there's enough typed to tell words apart
+    const prefixDistance = token.length >= 5 && word.length > token.length
+        ? editDistance(token, word.slice(0, token.length), typos)
+        : typos + 1;
+    const distance = Math.min(editDistance(token, word, typos), prefixDistance);
+
+    return distance <= typos ? 0.6 - (distance - 1) * 0.15 : 0;
+}
+
+function getSearchWords(product, field) {
+    const words = tokenizeSearch(product[field]);
+
+    // "DRS-001" should also be found as "drs001"
+    if (field === 'sku' && words.length > 1) {
+        words.push(words.join(''));
+    }
+
+    return words;
+}
+
+// Returns [{ product, score, matches }] best first. `matches` holds the
+// normalized product words that matched, for highlighting.
+export function searchProducts(products, query) {
+    const tokens = tokenizeSearch(query);
+    if (tokens.length === 0) return [];
+
+    const results = [];
+
+    products.forEach(product => {
+        const matches = new Set();
+        let score = 0;
+
+        const allMatched = tokens.every(token => {
+            let best = 0;
+
+            SEARCH_FIELDS.forEach(({ name, weight }) => {
+                getSearchWords(product, name).forEach(word => {
+                    const quality = matchToken(token, word);
+                    if (quality === 0) return;
+
+                    matches.add(word);
+                    best = Math.max(best, quality * weight);
+                });
+            });
+
+            score += best;
+            return best > 0;
+        });
+
+        if (allMatched) {
+            // Typing the whole name in order beats matching the words piecemeal
+            if (normalizeSearchText(product.name).includes(tokens.join(' '))) {
+                score += 2;
+            }
+            results.push({ product, score, matches });
+        }
+    });
+
+    return results.sort((a, b) => b.score - a.score || a.product.name.localeCompare(b.product.name));
+}
+
+// "Did you mean" for searches with no results: each query word swapped for the
+// closest word in the catalogue, if that finds anything
+export function getSearchSuggestions(products, query, limit = 3) {
+    const tokens = tokenizeSearch(query);
+    if (tokens.length === 0) return [];
+
+    const vocabulary = new Set();
+    products.forEach(product => {
+        ['name', 'category'].forEach(field => {
+            tokenizeSearch(product[field]).forEach(word => {
+                if (word.length > 2) vocabulary.add(word);
+            });
+        });
+    });
+
+    const closest = token => {
+        let best = null;
+        let bestDistance = Math.max(2, allowedTypos(token) + 1) + 1;
+
+        vocabulary.forEach(word => {
+            const distance = editDistance(token, word, bestDistance - 1);
+            if (distance < bestDistance) {
+                best = word;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    };
+
+    const suggestions = [];
+    const corrected = tokens.map(token => closest(token) || token).join(' ');
+    if (corrected !== tokens.join(' ') && searchProducts(products, corrected).length > 0) {
+        suggestions.push(corrected);
+    }
+
+    // Failing that, any single word of the query that finds something on its own
+    tokens.forEach(token => {
+        const word = closest(token);
+        if (word && !suggestions.includes(word) && searchProducts(products, word).length > 0) {
+            suggestions.push(word);
+        }
+    });
+
+    return suggestions.slice(0, limit);
+}
+
+// HTML for `text` with the matched words wrapped in <mark>
+export function highlightSearchMatches(text, matches) {
+    if (!matches || matches.size === 0) return escapeHtml(text);
+
+    return String(text)
+        .split(/([A-Za-z0-9\u00C0-\u024F]+)/)
+        .map(part => {
+            const html = escapeHtml(part);
+            return matches.has(normalizeSearchText(part)) ? `<mark class="search-highlight">${html}</mark>` : html;
+        })
+        .join('');
+}
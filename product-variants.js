@@ -0,0 +1,116 @@
+// ===== PRODUCT VARIANTS =====
+// Shared by the storefront and the API server.
+//
+// A product in the `products` collection either tracks stock itself
+// (`stock` / `reserved`) or has a `variants` array:
+//
+//   variants: [
+//     { id: 'm-navy', size: 'M', color: 'Navy', sku: 'DRS-001-M-NVY', price: 64, stock: 4, reserved: 0 }
+//   ]
+//
+// `price` is an optional override of the product price. When variants exist the
+// product-level `stock` / `reserved` are kept as their sums, so listings, alerts
+// and reports that only know about products keep working.
+
+function toCount(value) {
+    return typeof value === 'number' && !isNaN(value) ? value : 0;
+}
+
+export function getProductVariants(product) {
+    if (!Array.isArray(product?.variants)) return [];
+
+    return product.variants
+        .filter(variant => variant && variant.id)
+        .map(variant => ({
+            id: String(variant.id),
+            size: variant.size || null,
+            color: variant.color || null,
+            sku: variant.sku || `${product.sku || 'SKU'}-${variant.id}`.toUpperCase(),
+            price: typeof variant.price === 'number' ? variant.price : null,
+            stock: toCount(variant.stock),
+            reserved: toCount(variant.reserved)
+        }));
+}
+
+export function hasVariants(product) {
+    return getProductVariants(product).length > 0;
+}
+
+export function findProductVariant(product, variantId) {
+    if (!variantId) return null;
+    return getProductVariants(product).find(variant => variant.id === String(variantId)) || null;
+}
+
+export function getVariantLabel(variant) {
+    return variant ? [variant.size, variant.color].filter(Boolean).join(' / ') : '';
+}
+
+// On-hand and reserved units for a variant, or for the whole product
+export function getStockLevel(product, variantId = null) {
+    const variant = findProductVariant(product, variantId);
+    const source = variant || product || {};
+
+    return {
+        stock: toCount(source.stock),
+        reserved: toCount(source.reserved)
+    };
+}
+
+// Returns the product fields to write after adding the deltas to a variant (or the
+// product). Apply successive changes to the returned data when one transaction
+// touches several variants of the same product.
+export function applyStockChange(product, variantId, { stock = 0, reserved = 0 } = {}) {
+    if (!variantId || !hasVariants(product)) {
+        return {
+            stock: toCount(product.stock) + stock,
+            reserved: Math.max(0, toCount(product.reserved) + reserved)
+        };
+    }
+
+    const variants = getProductVariants(product).map(variant => variant.id !== String(variantId) ? variant : {
+        ...variant,
+        stock: variant.stock + stock,
+        reserved: Math.max(0, variant.reserved + reserved)
+    });
+
+    return {
+        variants,
+        stock: variants.reduce((sum, variant) => sum + variant.stock, 0),
+        reserved: variants.reduce((sum, variant) => sum + variant.reserved, 0)
+    };
+}
+
+// 'in-stock' | 'low-stock' | 'out-of-stock' | 'preorder' for a product (or variant)
+// whose `stock` is what can still be bought. Backs InventoryManager.getStockStatus
+// and the availability in the build-time product pages.
+export function getStockStatusFor({ stock = 0, preorder = false } = {}, lowStockThreshold = 5) {
+    if (preorder && stock === 0) return 'preorder';
+    if (stock === 0) return 'out-of-stock';
+    if (stock <= lowStockThreshold) return 'low-stock';
+    return 'in-stock';
+}
+
+// Cart holds and stock are tracked per product + variant
+export function getStockKey(productId, variantId = null) {
+    return variantId ? `${productId}__${variantId}` : String(productId);
+}
+
+// ===== CART LINES =====
+// A cart line is one product with one set of options - its variant (size and
+// color) and gift note - so two sizes of the same dress are two lines.
+
+// Short stable hash so free text can live in an id used in markup
+function hashText(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+// Takes the option fields as stored on cart items, so `getCartLineId(item.product_id, item)` works
+export function getCartLineId(productId, { variant_id = null, gift_note = '' } = {}) {
+    const note = (gift_note || '').trim();
+    const stockKey = getStockKey(productId, variant_id);
+    return note ? `${stockKey}__gift-${hashText(note)}` : stockKey;
+}
@@ -1,9 +1,28 @@
 // ===== PROFILE MANAGER CLASSES =====
+// FirebaseManager keeps the shopper's profile through one of these:
+// FirebaseProfileManager when Firebase is up, OfflineProfileManager (localStorage)
+// when it isn't.
+
+import { getCartLineId } from './product-variants.js';
+import { PROFILE_CHANNEL, mergeShopping, mergePurchaseHistory, markRemoved, hasSameEntries } from './profile-sync.js';
+
+// Auth and Firestore report a dropped or blocked connection with these codes.
+// FirebaseManager falls back to OfflineProfileManager when it sees one.
+const NETWORK_ERROR_CODES = ['auth/network-request-failed', 'unavailable', 'deadline-exceeded'];
+
+export function isNetworkError(error) {
+    return NETWORK_ERROR_CODES.includes(error?.code) || (typeof navigator !== 'undefined' && navigator.onLine === false);
+}
 
 // Base Profile Manager Interface
-class BaseProfileManager {
-    constructor() {
+export class BaseProfileManager {
+    // `findProduct(id)` looks up a loaded product, for cart totals.
+    // `onRemoteChange(profile)` runs when another tab or device changed the cart or wishlist.
+    constructor({ findProduct = () => null, onRemoteChange = () => {} } = {}) {
         this.currentProfile = null;
+        this.findProduct = findProduct;
+        this.onRemoteChange = onRemoteChange;
+        this.channel = null;
     }
 
     async initializeProfile() {
@@ -22,6 +41,48 @@ class BaseProfileManager {
         throw new Error('trackAction must be implemented by subclass');
     }
 
+    // ===== SYNC (profile-sync.js) =====
+    
+    // Other tabs of this browser hear about cart and wishlist changes straight
+    // away, without waiting for Firestore or localStorage
+    openChannel() {
+        if (this.channel || typeof BroadcastChannel === 'undefined') return;
+        
+        this.channel = new BroadcastChannel(PROFILE_CHANNEL);
+        this.channel.onmessage = ({ data }) => {
+            if (data?.profile_id && data.profile_id === this.currentProfile?.id) {
+                this.applyRemoteShopping(data.shopping);
+            }
+        };
+    }
+
+    broadcastShopping() {
+        if (!this.channel || !this.currentProfile) return;
+        
+        this.channel.postMessage({
+            profile_id: this.currentProfile.id,
+            shopping: JSON.parse(JSON.stringify(this.currentProfile.shopping))
+        });
+    }
+
+    // Resolves to whether the shopper's cart or wishlist changed
+    async applyRemoteShopping(remoteShopping) {
+        if (!this.currentProfile || !remoteShopping) return false;
+        
+        const before = this.currentProfile.shopping;
+        this.currentProfile.shopping = mergeShopping(before, remoteShopping);
+        if (hasSameEntries(before, this.currentProfile.shopping)) return false;
+        
+        await this.updateCartTotal();
+        this.onRemoteChange(this.currentProfile);
+        return true;
+    }
+
+    stopSync() {
+        this.channel?.close();
+        this.channel = null;
+    }
+
     generateProfileId() {
         return 'profile_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
@@ -104,142 +165,139 @@ class BaseProfileManager {
 }
 
 // Firebase Profile Manager
-class FirebaseProfileManager extends BaseProfileManager {
-    constructor(db, auth) {
-        super();
+export class FirebaseProfileManager extends BaseProfileManager {
+    // `firebase` is the compat SDK namespace, for FieldValue and auth credentials
+    constructor(db, auth, { firebase, findProduct, onRemoteChange } = {}) {
+        super({ findProduct, onRemoteChange });
         this.db = db;
         this.auth = auth;
+        this.firebase = firebase;
         this.profilesCollection = 'user_profiles';
         this.batchUpdateScheduled = false;
+        this.watchedProfileId = null;
+        this.unwatchProfile = null;
     }
 
     async initializeProfile() {
         try {
             const user = this.auth.currentUser;
             
-            if (user) {
+            if (user && !user.isAnonymous) {
                 this.currentProfile = await this.loadRegisteredProfile(user);
             } else {
                 this.currentProfile = await this.loadGuestProfile();
             }
             
+            this.watchProfile();
             return this.currentProfile;
         } catch (error) {
+            if (isNetworkError(error)) throw error;
+            
             console.error('Failed to initialize profile:', error);
             this.currentProfile = this.createFallbackProfile();
             return this.currentProfile;
         }
     }
 
-    async loadRegisteredProfile(user) {
+    // Guests are signed in anonymously so security rules can tell whose profile,
+    // orders and stock holds are whose - the profile id is the anonymous uid
+    async signInGuest() {
+        if (this.auth.currentUser?.isAnonymous) return this.auth.currentUser;
+        
         try {
-            const profileDoc = await this.db.collection(this.profilesCollection).doc(user.uid).get();
-            
-            if (profileDoc.exists) {
-                const profile = profileDoc.data();
-                
-                // Merge any guest session data if exists
-                await this.mergeGuestData(profile);
-                
-                // Update last active
-                await this.updateLastActive(user.uid);
-                
-                return profile;
-            } else {
-                // Create new registered profile
-                return await this.createRegisteredProfile(user);
-            }
+            const userCredential = await this.auth.signInAnonymously();
+            return userCredential.user;
         } catch (error) {
-            console.error('Failed to load registered profile:', error);
-            throw error;
+            if (isNetworkError(error)) throw error;
+            
+            console.warn('Anonymous sign-in failed, keeping the guest profile on this device only:', error);
+            return null;
         }
     }
 
-    async createRegisteredProfile(user) {
-        try {
-            const profileId = user.uid;
-            const profile = this.createBaseProfile(profileId, 'registered');
-            
-            // Add user-specific info
-            profile.personal_info.email = user.email;
-            profile.personal_info.name = user.displayName;
-            
-            // Merge any guest session data
-            await this.mergeGuestData(profile);
-            
-            // Save to Firebase
-            await this.db.collection(this.profilesCollection).doc(profileId).set(profile);
-            
-            console.log('Created new registered profile:', profileId);
-            return profile;
-        } catch (error) {
-            console.error('Failed to create registered profile:', error);
-            throw error;
+    // Signing in anonymously fires an auth change too, so both share one load
+    async loadGuestProfile() {
+        if (!this.guestProfileLoad) {
+            this.guestProfileLoad = this.fetchGuestProfile().finally(() => {
+                this.guestProfileLoad = null;
+            });
         }
+        return this.guestProfileLoad;
     }
 
-     async loadGuestProfile() {
+    async fetchGuestProfile() {
         try {
             const sessionId = this.generateSessionId();
-            const guestProfileKey = `guest_profile_${sessionId}`;
+            const guestProfileKey = 'guest_profile_' + sessionId;
+            const localProfile = JSON.parse(localStorage.getItem(guestProfileKey) || 'null');
+            const user = await this.signInGuest();
             
-            const localProfile = localStorage.getItem(guestProfileKey);
-            if (localProfile) {
-                const profile = JSON.parse(localProfile);
-                
-                try {
-                    await this.syncGuestProfileToFirebase(profile);
-                } catch (error) {
-                    console.warn('Failed to sync guest profile to Firebase:', error);
-                }
-                
+            if (!user) {
+                const profile = localProfile || this.createBaseProfile('guest_' + sessionId, 'guest');
+                localStorage.setItem(guestProfileKey, JSON.stringify(profile));
                 return profile;
             }
             
-            const profileId = `guest_${sessionId}`;
-            const profile = this.createBaseProfile(profileId, 'guest');
+            const profileRef = this.db.collection(this.profilesCollection).doc(user.uid);
+            const profileDoc = await profileRef.get();
+            let profile;
             
-            localStorage.setItem(guestProfileKey, JSON.stringify(profile));
-            
-            try {
-                await this.db.collection(this.profilesCollection).doc(profileId).set(profile);
-            } catch (error) {
-                console.warn('Failed to save guest profile to Firebase:', error);
+            if (profileDoc.exists) {
+                profile = profileDoc.data();
+            } else {
+                // This tab's guest data moves over to the anonymous user
+                profile = {
+                    ...(localProfile || this.createBaseProfile(user.uid, 'guest')),
+                    id: user.uid,
+                    type: 'guest'
+                };
+                await profileRef.set(profile);
             }
             
+            localStorage.setItem(guestProfileKey, JSON.stringify(profile));
             return profile;
         } catch (error) {
+            if (isNetworkError(error)) throw error;
+            
             console.error('Failed to load guest profile:', error);
             return this.createFallbackProfile();
         }
     }
 
-    // NEW METHOD: Convert guest session to registered profile
+    // CRITICAL: Add the missing convertGuestToRegistered method
     async convertGuestToRegistered(userInfo, password) {
         if (!this.currentProfile || this.currentProfile.type !== 'guest') {
-            throw new Error('No guest profile to convert');
+            throw new Error('No guest profile to convert or profile is already registered');
         }
 
         try {
-            // Create Firebase auth user
-            const userCredential = await this.auth.createUserWithEmailAndPassword(userInfo.email, password);
+            console.log('Starting guest to registered conversion...');
+            
+            // Store current guest profile data before conversion
+            const guestProfile = { ...this.currentProfile };
+            const oldGuestId = guestProfile.id;
+            const sessionId = this.generateSessionId();
+            const guestProfileKey = 'guest_profile_' + sessionId;
+
+            // Step 1: Create Firebase auth user. An anonymous guest is upgraded in
+            // place, keeping its uid so its orders and stock holds stay its own.
+            const anonymousUser = this.auth.currentUser?.isAnonymous ? this.auth.currentUser : null;
+            const userCredential = anonymousUser
+                ? await anonymousUser.linkWithCredential(this.firebase.auth.EmailAuthProvider.credential(userInfo.email, password))
+                : await this.auth.createUserWithEmailAndPassword(userInfo.email, password);
             const user = userCredential.user;
+            console.log('Firebase auth user created:', user.uid);
 
-            // Update user display name
+            // Step 2: Update user display name
             if (userInfo.name) {
                 await user.updateProfile({ displayName: userInfo.name });
             }
 
-            // Get current guest profile data
-            const guestProfile = { ...this.currentProfile };
-            const sessionId = this.generateSessionId();
-            const guestProfileKey = `guest_profile_${sessionId}`;
-
-            // Create new registered profile using SAME document ID (overwriting guest)
+            // Step 3: Create new registered profile with Firebase UID
             const registeredProfile = {
-                ...guestProfile, // Keep all existing data
-                id: user.uid, // Use Firebase Auth UID as the new profile ID
-                type: 'registered',
+                ...guestProfile, // Copy ALL existing guest data
+                id: user.uid, // CRITICAL: Change ID to Firebase Auth UID
+                type: 'registered', // CRITICAL: Change type to registered
                 updated_at: new Date().toISOString(),
                 personal_info: {
                     ...guestProfile.personal_info,
@@ -252,134 +310,170 @@ class FirebaseProfileManager extends BaseProfileManager {
                     marketing_emails: userInfo.marketing_emails || false
                 },
                 converted_from_guest: {
-                    original_guest_id: guestProfile.id,
+                    original_guest_id: oldGuestId,
                     converted_at: new Date().toISOString(),
                     guest_session_id: sessionId
                 }
             };
 
-            // CRITICAL: Delete the old guest document first
-            try {
-                await this.db.collection(this.profilesCollection).doc(guestProfile.id).delete();
-                console.log('Deleted old guest profile:', guestProfile.id);
-            } catch (error) {
-                console.warn('Failed to delete old guest profile:', error);
-            }
-
-            // Save new registered profile with user's UID
+            // Step 4: Save new registered profile to Firebase with user UID as document ID
             await this.db.collection(this.profilesCollection).doc(user.uid).set(registeredProfile);
+            console.log('New registered profile saved with ID:', user.uid);
 
-            // Clean up local storage
+            // Step 5: Delete old guest profile document, unless it was just overwritten
+            if (oldGuestId !== user.uid) {
+                try {
+                    await this.db.collection(this.profilesCollection).doc(oldGuestId).delete();
+                    console.log('Old guest profile deleted:', oldGuestId);
+                } catch (error) {
+                    console.warn('Failed to delete old guest profile:', error);
+                }
+            }
+
+            // Step 6: Clean up local storage
             localStorage.removeItem(guestProfileKey);
+            console.log('Local storage cleaned up');
 
-            // Update current profile reference
+            // Step 7: Update current profile reference
             this.currentProfile = registeredProfile;
+            this.watchProfile();
 
-            console.log('Successfully converted guest to registered profile:', user.uid);
-            
-            // Log conversion event
+            // Step 8: Log conversion event with correct data
             await this.trackAction('guest_converted_to_registered', {
-                original_guest_id: guestProfile.id,
+                original_guest_id: oldGuestId,
                 new_user_id: user.uid,
+                new_profile_type: 'registered', // This should now be 'registered'
                 cart_items: registeredProfile.shopping.cart.items.length,
-                cart_value: registeredProfile.shopping.cart.total
+                cart_value: registeredProfile.shopping.cart.total,
+                conversion_success: true
             });
 
+            console.log('Guest to registered conversion completed successfully');
             return registeredProfile;
 
         } catch (error) {
             console.error('Failed to convert guest to registered:', error);
+            
+            // Log conversion failure
+            if (this.currentProfile) {
+                await this.trackAction('guest_conversion_failed', {
+                    guest_id: this.currentProfile.id,
+                    error_message: error.message,
+                    error_code: error.code
+                });
+            }
+            
             throw error;
         }
     }
 
-    async syncGuestProfileToFirebase(profile) {
-        if (!this.db) return;
-        
+    async loadRegisteredProfile(user) {
         try {
-            await this.db.collection(this.profilesCollection).doc(profile.id).set(profile, { merge: true });
+            const profileDoc = await this.db.collection(this.profilesCollection).doc(user.uid).get();
+            
+            if (profileDoc.exists) {
+                const profile = profileDoc.data();
+                
+                // Ensure profile type is set correctly
+                if (profile.type !== 'registered') {
+                    profile.type = 'registered';
+                    await this.db.collection(this.profilesCollection).doc(user.uid).update({
+                        type: 'registered',
+                        updated_at: new Date().toISOString()
+                    });
+                }
+                
+                await this.updateLastActive(user.uid);
+                return profile;
+            } else {
+                return await this.createRegisteredProfile(user);
+            }
         } catch (error) {
-            console.warn('Failed to sync guest profile to Firebase:', error);
+            console.error('Failed to load registered profile:', error);
+            throw error;
         }
     }
 
-    async mergeGuestData(registeredProfile) {
+    async createRegisteredProfile(user) {
         try {
-            const sessionId = this.generateSessionId();
-            const guestProfileKey = `guest_profile_${sessionId}`;
-            const guestData = localStorage.getItem(guestProfileKey);
-            
-            if (!guestData) return;
-            
-            const guestProfile = JSON.parse(guestData);
-            
-            // Merge shopping data
-            if (guestProfile.shopping.cart.items.length > 0) {
-                registeredProfile.shopping.cart = guestProfile.shopping.cart;
-            }
-            
-            // Merge wishlist
-            if (guestProfile.shopping.wishlist.length > 0) {
-                registeredProfile.shopping.wishlist = [
-                    ...registeredProfile.shopping.wishlist,
-                    ...guestProfile.shopping.wishlist.filter(item => 
-                        !registeredProfile.shopping.wishlist.find(existing => existing.product_id === item.product_id)
-                    )
-                ];
-            }
-            
-            // Merge browsing history
-            registeredProfile.browsing.page_views = [
-                ...registeredProfile.browsing.page_views,
-                ...guestProfile.browsing.page_views
-            ];
-            
-            registeredProfile.browsing.product_views = [
-                ...registeredProfile.browsing.product_views,
-                ...guestProfile.browsing.product_views
-            ];
-            
-            // Merge analytics events
-            registeredProfile.analytics.events = [
-                ...registeredProfile.analytics.events,
-                ...guestProfile.analytics.events
-            ];
-            
-            // Update metadata
-            registeredProfile.metadata.visit_count += guestProfile.metadata.visit_count;
+            const profileId = user.uid;
+            const profile = this.createBaseProfile(profileId, 'registered');
             
-            // Clean up guest data
-            localStorage.removeItem(guestProfileKey);
+            profile.personal_info.email = user.email;
+            profile.personal_info.name = user.displayName;
             
-            // Update Firebase
-            await this.db.collection(this.profilesCollection).doc(registeredProfile.id).update(registeredProfile);
+            await this.db.collection(this.profilesCollection).doc(profileId).set(profile);
             
-            console.log('Successfully merged guest data into registered profile');
+            console.log('Created new registered profile:', profileId);
+            return profile;
         } catch (error) {
-            console.warn('Failed to merge guest data:', error);
+            console.error('Failed to create registered profile:', error);
+            throw error;
         }
     }
 
     async handleAuthChange(user) {
-        if (user && this.currentProfile?.type === 'guest') {
-            // User just logged in, merge guest data
+        console.log('Auth change detected:', user ? 'User logged in: ' + user.uid : 'User logged out');
+        
+        if (user && !user.isAnonymous) {
+            // Signed in, or was already - load their registered profile
             this.currentProfile = await this.loadRegisteredProfile(user);
-        } else if (!user && this.currentProfile?.type === 'registered') {
-            // User logged out, create new guest profile
+            console.log('Loaded registered profile after auth change');
+        } else if (this.currentProfile?.type !== 'guest' || (user && this.currentProfile.id !== user.uid)) {
+            // Signed out (or the anonymous user changed), switch to a guest profile
             this.currentProfile = await this.loadGuestProfile();
+            console.log('Loaded guest profile after auth change');
         }
+        
+        this.watchProfile();
+    }
+
+    // Follows the signed-in user's profile document, so cart and wishlist changes
+    // made on other devices show up here. Echoes of this tab's own writes are skipped.
+    watchProfile() {
+        const profileId = this.currentProfile?.id;
+        if (profileId === this.watchedProfileId) return;
+        
+        this.unwatchProfile?.();
+        this.unwatchProfile = null;
+        this.watchedProfileId = profileId;
+        
+        this.openChannel();
+        
+        // Fallback and local-only guest profiles have no document to follow
+        if (!profileId || profileId !== this.auth.currentUser?.uid) return;
+        
+        this.unwatchProfile = this.db.collection(this.profilesCollection).doc(profileId).onSnapshot((doc) => {
+            if (!doc.exists || doc.metadata.hasPendingWrites || profileId !== this.currentProfile?.id) return;
+            
+            const { shopping } = doc.data();
+            this.currentProfile.shopping.purchase_history = mergePurchaseHistory(
+                this.currentProfile.shopping.purchase_history, shopping?.purchase_history);
+            this.applyRemoteShopping(shopping);
+        }, (error) => {
+            console.warn('Stopped following profile changes:', error);
+        });
+    }
+
+    stopSync() {
+        super.stopSync();
+        this.unwatchProfile?.();
+        this.unwatchProfile = null;
+        this.watchedProfileId = null;
+    }
+
+    async getCurrentProfile() {
+        return this.currentProfile;
     }
 
     async updateProfile(updates) {
         if (!this.currentProfile) return null;
         
         try {
-            // Update local profile
             Object.assign(this.currentProfile.personal_info, updates.personal_info || {});
             Object.assign(this.currentProfile.preferences, updates.preferences || {});
             this.currentProfile.updated_at = new Date().toISOString();
             
-            // Save to Firebase
             if (this.db) {
                 await this.db.collection(this.profilesCollection).doc(this.currentProfile.id).update({
                     personal_info: this.currentProfile.personal_info,
@@ -388,10 +482,9 @@ class FirebaseProfileManager extends BaseProfileManager {
                 });
             }
             
-            // Save locally for guests
             if (this.currentProfile.type === 'guest') {
                 const sessionId = this.generateSessionId();
-                const guestProfileKey = `guest_profile_${sessionId}`;
+                const guestProfileKey = 'guest_profile_' + sessionId;
                 localStorage.setItem(guestProfileKey, JSON.stringify(this.currentProfile));
             }
             
@@ -414,17 +507,14 @@ class FirebaseProfileManager extends BaseProfileManager {
                 user_agent: navigator.userAgent
             };
             
-            // Add to profile
             this.currentProfile.analytics.events.push(event);
             this.currentProfile.browsing.last_active = new Date().toISOString();
             this.currentProfile.updated_at = new Date().toISOString();
             
-            // Keep only last 1000 events
             if (this.currentProfile.analytics.events.length > 1000) {
                 this.currentProfile.analytics.events = this.currentProfile.analytics.events.slice(-1000);
             }
             
-            // Save to Firebase (batched)
             await this.batchUpdateProfile();
             
         } catch (error) {
@@ -432,50 +522,11 @@ class FirebaseProfileManager extends BaseProfileManager {
         }
     }
 
-    async trackPageView(pageName, data = {}) {
-        if (!this.currentProfile) return;
-        
-        const pageView = {
-            page: pageName,
-            data,
-            timestamp: new Date().toISOString(),
-            url: window.location.href
-        };
-        
-        this.currentProfile.browsing.page_views.push(pageView);
-        this.currentProfile.browsing.last_active = new Date().toISOString();
-        
-        // Keep only last 500 page views
-        if (this.currentProfile.browsing.page_views.length > 500) {
-            this.currentProfile.browsing.page_views = this.currentProfile.browsing.page_views.slice(-500);
-        }
-        
-        await this.batchUpdateProfile();
-    }
-
-    async trackProductView(productId, productData = {}) {
-        if (!this.currentProfile) return;
-        
-        const productView = {
-            product_id: productId,
-            product_data: productData,
-            timestamp: new Date().toISOString()
-        };
-        
-        this.currentProfile.browsing.product_views.push(productView);
-        
-        // Keep only last 100 product views
-        if (this.currentProfile.browsing.product_views.length > 100) {
-            this.currentProfile.browsing.product_views = this.currentProfile.browsing.product_views.slice(-100);
-        }
-        
-        await this.batchUpdateProfile();
-    }
-
-    async addToCart(productId, quantity = 1) {
+    async addToCart(productId, quantity = 1, { variant = null, giftNote = '' } = {}) {
         if (!this.currentProfile) return;
         
-        const existingItem = this.currentProfile.shopping.cart.items.find(item => item.product_id === productId);
+        const lineId = getCartLineId(productId, { variant_id: variant?.id, gift_note: giftNote });
+        const existingItem = this.currentProfile.shopping.cart.items.find(item => getCartLineId(item.product_id, item) === lineId);
         
         if (existingItem) {
             existingItem.quantity += quantity;
@@ -484,6 +535,11 @@ class FirebaseProfileManager extends BaseProfileManager {
             this.currentProfile.shopping.cart.items.push({
                 product_id: productId,
                 quantity,
+                variant_id: variant?.id || null,
+                size: variant?.size || null,
+                color: variant?.color || null,
+                sku: variant?.sku || null,
+                gift_note: giftNote || null,
                 added_at: new Date().toISOString(),
                 updated_at: new Date().toISOString()
             });
@@ -493,24 +549,25 @@ class FirebaseProfileManager extends BaseProfileManager {
         await this.batchUpdateProfile();
     }
 
-    async removeFromCart(productId) {
+    async removeFromCart(lineId) {
         if (!this.currentProfile) return;
         
+        markRemoved(this.currentProfile.shopping, 'cart', lineId);
         this.currentProfile.shopping.cart.items = this.currentProfile.shopping.cart.items.filter(
-            item => item.product_id !== productId
+            item => getCartLineId(item.product_id, item) !== lineId
         );
         
         await this.updateCartTotal();
         await this.batchUpdateProfile();
     }
 
-    async updateCartQuantity(productId, quantity) {
+    async updateCartQuantity(lineId, quantity) {
         if (!this.currentProfile) return;
         
-        const item = this.currentProfile.shopping.cart.items.find(item => item.product_id === productId);
+        const item = this.currentProfile.shopping.cart.items.find(item => getCartLineId(item.product_id, item) === lineId);
         if (item) {
             if (quantity <= 0) {
-                await this.removeFromCart(productId);
+                await this.removeFromCart(lineId);
             } else {
                 item.quantity = quantity;
                 item.updated_at = new Date().toISOString();
@@ -523,19 +580,21 @@ class FirebaseProfileManager extends BaseProfileManager {
     async clearCart() {
         if (!this.currentProfile) return;
         
-        // Save as abandoned cart if it had items
         if (this.currentProfile.shopping.cart.items.length > 0) {
             this.currentProfile.shopping.abandoned_carts.push({
                 ...this.currentProfile.shopping.cart,
                 abandoned_at: new Date().toISOString()
             });
             
-            // Keep only last 10 abandoned carts
             if (this.currentProfile.shopping.abandoned_carts.length > 10) {
                 this.currentProfile.shopping.abandoned_carts = this.currentProfile.shopping.abandoned_carts.slice(-10);
             }
         }
         
+        this.currentProfile.shopping.cart.items.forEach(item => {
+            markRemoved(this.currentProfile.shopping, 'cart', getCartLineId(item.product_id, item));
+        });
+        
         this.currentProfile.shopping.cart = {
             items: [],
             total: 0,
@@ -553,7 +612,8 @@ class FirebaseProfileManager extends BaseProfileManager {
             this.currentProfile.shopping.wishlist.push({
                 product_id: productId,
                 product_data: productData,
-                added_at: new Date().toISOString()
+                added_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
             });
             
             await this.batchUpdateProfile();
@@ -563,6 +623,7 @@ class FirebaseProfileManager extends BaseProfileManager {
     async removeFromWishlist(productId) {
         if (!this.currentProfile) return;
         
+        markRemoved(this.currentProfile.shopping, 'wishlist', String(productId));
         this.currentProfile.shopping.wishlist = this.currentProfile.shopping.wishlist.filter(
             item => item.product_id !== productId
         );
@@ -579,21 +640,87 @@ class FirebaseProfileManager extends BaseProfileManager {
         };
         
         this.currentProfile.shopping.purchase_history.push(purchase);
-        
-        // Clear cart after purchase
         await this.clearCart();
+        await this.batchUpdateProfile();
+    }
+
+    async syncPurchaseHistory() {
+        if (!this.db || !this.currentProfile) return;
+        
+        try {
+            const profileDoc = await this.db.collection(this.profilesCollection).doc(this.currentProfile.id).get();
+            if (!profileDoc.exists) return;
+            
+            this.currentProfile.shopping.purchase_history = profileDoc.data().shopping?.purchase_history || [];
+            await this.batchUpdateProfile();
+        } catch (error) {
+            console.warn('Failed to sync purchase history:', error);
+        }
+    }
+
+    async trackPageView(pageName, data = {}) {
+        if (!this.currentProfile) return;
+        
+        const pageView = {
+            page: pageName,
+            data,
+            timestamp: new Date().toISOString(),
+            url: window.location.href
+        };
+        
+        this.currentProfile.browsing.page_views.push(pageView);
+        this.currentProfile.browsing.last_active = new Date().toISOString();
+        
+        if (this.currentProfile.browsing.page_views.length > 500) {
+            this.currentProfile.browsing.page_views = this.currentProfile.browsing.page_views.slice(-500);
+        }
+        
+        await this.batchUpdateProfile();
+    }
+
+    async trackProductView(productId, productData = {}) {
+        if (!this.currentProfile) return;
+        
+        const productView = {
+            product_id: productId,
+            product_data: productData,
+            timestamp: new Date().toISOString()
+        };
+        
+        this.currentProfile.browsing.product_views.push(productView);
+        
+        if (this.currentProfile.browsing.product_views.length > 100) {
+            this.currentProfile.browsing.product_views = this.currentProfile.browsing.product_views.slice(-100);
+        }
+        
+        await this.batchUpdateProfile();
+    }
+
+    async trackSearch(query, resultsCount) {
+        if (!this.currentProfile) return;
+        
+        this.currentProfile.browsing.search_queries.push({
+            query,
+            results_count: resultsCount,
+            timestamp: new Date().toISOString()
+        });
+        
+        if (this.currentProfile.browsing.search_queries.length > 100) {
+            this.currentProfile.browsing.search_queries = this.currentProfile.browsing.search_queries.slice(-100);
+        }
         
         await this.batchUpdateProfile();
     }
 
     async updateCartTotal() {
-        if (!this.currentProfile || typeof products === 'undefined') return;
+        if (!this.currentProfile) return;
         
         let total = 0;
         this.currentProfile.shopping.cart.items.forEach(item => {
-            const product = products.find(p => p.id === item.product_id);
+            const product = this.findProduct(item.product_id);
             if (product) {
-                total += product.price * item.quantity;
+                const variant = product.variants?.find(v => v.id === item.variant_id);
+                total += (variant?.price ?? product.price) * item.quantity;
             }
         });
         
@@ -607,74 +734,142 @@ class FirebaseProfileManager extends BaseProfileManager {
         try {
             await this.db.collection(this.profilesCollection).doc(profileId).update({
                 'browsing.last_active': new Date().toISOString(),
-                'metadata.visit_count': firebase.firestore.FieldValue.increment(1)
+                'metadata.visit_count': this.firebase.firestore.FieldValue.increment(1)
             });
         } catch (error) {
             console.warn('Failed to update last active:', error);
         }
     }
 
-    // Batched updates to prevent too many Firebase writes
-    batchUpdateScheduled = false;
+    // Folds a profile kept by OfflineProfileManager into this one and saves it
+    // right away. Cart and wishlist are merged like another tab's changes;
+    // browsing history and events are interleaved by time.
+    async mergeOfflineProfile(offlineProfile) {
+        if (!this.currentProfile || !offlineProfile) return this.currentProfile;
+        
+        this.currentProfile.shopping = mergeShopping(this.currentProfile.shopping, offlineProfile.shopping);
+        
+        const mergeRecent = (owner, key, entries = [], limit) => {
+            owner[key] = [...(owner[key] || []), ...entries]
+                .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''))
+                .slice(-limit);
+        };
+        
+        mergeRecent(this.currentProfile.browsing, 'page_views', offlineProfile.browsing?.page_views, 500);
+        mergeRecent(this.currentProfile.browsing, 'product_views', offlineProfile.browsing?.product_views, 100);
+        mergeRecent(this.currentProfile.browsing, 'search_queries', offlineProfile.browsing?.search_queries, 100);
+        mergeRecent(this.currentProfile.analytics, 'events', offlineProfile.analytics?.events, 1000);
+        
+        this.currentProfile.updated_at = new Date().toISOString();
+        await this.updateCartTotal();
+        await this.saveProfile();
+        
+        return this.currentProfile;
+    }
+
+    // Other tabs hear about the change now; Firestore gets it within 2s, batched
     async batchUpdateProfile() {
+        this.broadcastShopping();
+        
         if (this.batchUpdateScheduled) return;
         
         this.batchUpdateScheduled = true;
         
         setTimeout(async () => {
+            this.batchUpdateScheduled = false;
+            
             try {
-                if (this.db && this.currentProfile) {
-                    await this.db.collection(this.profilesCollection).doc(this.currentProfile.id).set(this.currentProfile, { merge: true });
-                }
-                
-                // Save locally for guests
-                if (this.currentProfile?.type === 'guest') {
-                    const sessionId = this.generateSessionId();
-                    const guestProfileKey = `guest_profile_${sessionId}`;
-                    localStorage.setItem(guestProfileKey, JSON.stringify(this.currentProfile));
-                }
+                await this.saveProfile();
             } catch (error) {
                 console.warn('Failed to batch update profile:', error);
-            } finally {
-                this.batchUpdateScheduled = false;
+                
+                // Firestore's own offline queue doesn't cover transactions
+                if (!navigator.onLine) {
+                    window.addEventListener('online', () => this.batchUpdateProfile(), { once: true });
+                } else if (isNetworkError(error)) {
+                    this.batchUpdateProfile();
+                }
             }
-        }, 2000); // Batch updates every 2 seconds
+        }, 2000);
+    }
+
+    // Another tab or device may have changed the cart or wishlist since this copy
+    // last heard from it, so the stored ones are merged in rather than overwritten.
+    // The stored purchase statuses always win over this copy's.
+    async saveProfile() {
+        if (this.db && this.currentProfile && this.currentProfile.id === this.auth.currentUser?.uid) {
+            const profileRef = this.db.collection(this.profilesCollection).doc(this.currentProfile.id);
+            
+            await this.db.runTransaction(async (transaction) => {
+                const profileDoc = await transaction.get(profileRef);
+                
+                if (!profileDoc.exists) {
+                    transaction.set(profileRef, this.currentProfile);
+                    return;
+                }
+                
+                const stored = profileDoc.data().shopping;
+                this.currentProfile.shopping = mergeShopping(this.currentProfile.shopping, stored);
+                this.currentProfile.shopping.purchase_history = mergePurchaseHistory(
+                    this.currentProfile.shopping.purchase_history, stored?.purchase_history);
+                await this.updateCartTotal();
+                
+                transaction.update(profileRef, this.getOwnFields());
+            });
+        }
+        
+        if (this.currentProfile?.type === 'guest') {
+            const guestProfileKey = 'guest_profile_' + this.generateSessionId();
+            localStorage.setItem(guestProfileKey, JSON.stringify(this.currentProfile));
+        }
+    }
+
+    // The parts of the profile this client writes: whole fields, so expired removals
+    // are dropped from the document too. The counters in `analytics` and
+    // `metadata.visit_count` are incremented elsewhere (FirebaseManager.addSummaryWrites,
+    // updateLastActive) and left alone.
+    getOwnFields() {
+        const { shopping, browsing, personal_info, preferences, analytics, updated_at } = this.currentProfile;
+        return {
+            shopping,
+            browsing,
+            personal_info,
+            preferences,
+            'analytics.events': analytics?.events || [],
+            updated_at
+        };
     }
 
     createFallbackProfile() {
-        const profileId = `fallback_${Date.now()}`;
+        const profileId = 'fallback_' + Date.now();
         return this.createBaseProfile(profileId, 'guest');
     }
 }
 
 // Offline Profile Manager
-class OfflineProfileManager extends BaseProfileManager {
-    constructor() {
-        super();
+export class OfflineProfileManager extends BaseProfileManager {
+    constructor({ findProduct, onRemoteChange } = {}) {
+        super({ findProduct, onRemoteChange });
         this.storageKey = 'offline_profile';
     }
 
     async initializeProfile() {
         try {
-            // Try to load existing profile from localStorage
             const storedProfile = localStorage.getItem(this.storageKey);
             
             if (storedProfile) {
                 this.currentProfile = JSON.parse(storedProfile);
-                
-                // Update visit count and last active
                 this.currentProfile.metadata.visit_count += 1;
                 this.currentProfile.browsing.last_active = new Date().toISOString();
                 this.currentProfile.updated_at = new Date().toISOString();
-                
                 await this.saveProfile();
             } else {
-                // Create new profile
                 const profileId = this.generateProfileId();
                 this.currentProfile = this.createBaseProfile(profileId, 'guest');
                 await this.saveProfile();
             }
             
+            this.openChannel();
             return this.currentProfile;
         } catch (error) {
             console.error('Failed to initialize offline profile:', error);
@@ -684,6 +879,10 @@ class OfflineProfileManager extends BaseProfileManager {
         }
     }
 
+    async getCurrentProfile() {
+        return this.currentProfile;
+    }
+
     async updateProfile(updates) {
         if (!this.currentProfile) return null;
         
@@ -710,7 +909,6 @@ class OfflineProfileManager extends BaseProfileManager {
         this.currentProfile.browsing.last_active = new Date().toISOString();
         this.currentProfile.updated_at = new Date().toISOString();
         
-        // Keep only last 1000 events
         if (this.currentProfile.analytics.events.length > 1000) {
             this.currentProfile.analytics.events = this.currentProfile.analytics.events.slice(-1000);
         }
@@ -718,48 +916,11 @@ class OfflineProfileManager extends BaseProfileManager {
         await this.saveProfile();
     }
 
-    async trackPageView(pageName, data = {}) {
+    async addToCart(productId, quantity = 1, { variant = null, giftNote = '' } = {}) {
         if (!this.currentProfile) return;
         
-        const pageView = {
-            page: pageName,
-            data,
-            timestamp: new Date().toISOString(),
-            url: window.location.href
-        };
-        
-        this.currentProfile.browsing.page_views.push(pageView);
-        this.currentProfile.browsing.last_active = new Date().toISOString();
-        
-        if (this.currentProfile.browsing.page_views.length > 500) {
-            this.currentProfile.browsing.page_views = this.currentProfile.browsing.page_views.slice(-500);
-        }
-        
-        await this.saveProfile();
-    }
-
-    async trackProductView(productId, productData = {}) {
-        if (!this.currentProfile) return;
-        
-        const productView = {
-            product_id: productId,
-            product_data: productData,
-            timestamp: new Date().toISOString()
-        };
-        
-        this.currentProfile.browsing.product_views.push(productView);
-        
-        if (this.currentProfile.browsing.product_views.length > 100) {
-            this.currentProfile.browsing.product_views = this.currentProfile.browsing.product_views.slice(-100);
-        }
-        
-        await this.saveProfile();
-    }
-
-    async addToCart(productId, quantity = 1) {
-        if (!this.currentProfile) return;
-        
-        const existingItem = this.currentProfile.shopping.cart.items.find(item => item.product_id === productId);
+        const lineId = getCartLineId(productId, { variant_id: variant?.id, gift_note: giftNote });
+        const existingItem = this.currentProfile.shopping.cart.items.find(item => getCartLineId(item.product_id, item) === lineId);
         
         if (existingItem) {
             existingItem.quantity += quantity;
@@ -768,6 +929,11 @@ class OfflineProfileManager extends BaseProfileManager {
             this.currentProfile.shopping.cart.items.push({
                 product_id: productId,
                 quantity,
+                variant_id: variant?.id || null,
+                size: variant?.size || null,
+                color: variant?.color || null,
+                sku: variant?.sku || null,
+                gift_note: giftNote || null,
                 added_at: new Date().toISOString(),
                 updated_at: new Date().toISOString()
             });
@@ -777,24 +943,20 @@ class OfflineProfileManager extends BaseProfileManager {
         await this.saveProfile();
     }
 
-    async removeFromCart(productId) {
+    async removeFromCart(lineId) {
         if (!this.currentProfile) return;
-        
-        this.currentProfile.shopping.cart.items = this.currentProfile.shopping.cart.items.filter(
-            item => item.product_id !== productId
-        );
-        
+        markRemoved(this.currentProfile.shopping, 'cart', lineId);
+        this.currentProfile.shopping.cart.items = this.currentProfile.shopping.cart.items.filter(item => getCartLineId(item.product_id, item) !== lineId);
         await this.updateCartTotal();
         await this.saveProfile();
     }
 
-    async updateCartQuantity(productId, quantity) {
+    async updateCartQuantity(lineId, quantity) {
         if (!this.currentProfile) return;
-        
-        const item = this.currentProfile.shopping.cart.items.find(item => item.product_id === productId);
+        const item = this.currentProfile.shopping.cart.items.find(item => getCartLineId(item.product_id, item) === lineId);
         if (item) {
             if (quantity <= 0) {
-                await this.removeFromCart(productId);
+                await this.removeFromCart(lineId);
             } else {
                 item.quantity = quantity;
                 item.updated_at = new Date().toISOString();
@@ -806,95 +968,127 @@ class OfflineProfileManager extends BaseProfileManager {
 
     async clearCart() {
         if (!this.currentProfile) return;
-        
         if (this.currentProfile.shopping.cart.items.length > 0) {
             this.currentProfile.shopping.abandoned_carts.push({
                 ...this.currentProfile.shopping.cart,
                 abandoned_at: new Date().toISOString()
             });
-            
             if (this.currentProfile.shopping.abandoned_carts.length > 10) {
                 this.currentProfile.shopping.abandoned_carts = this.currentProfile.shopping.abandoned_carts.slice(-10);
             }
         }
-        
-        this.currentProfile.shopping.cart = {
-            items: [],
-            total: 0,
-            updated_at: new Date().toISOString()
-        };
-        
+        this.currentProfile.shopping.cart.items.forEach(item => markRemoved(this.currentProfile.shopping, 'cart', getCartLineId(item.product_id, item)));
+        this.currentProfile.shopping.cart = { items: [], total: 0, updated_at: new Date().toISOString() };
         await this.saveProfile();
     }
 
     async addToWishlist(productId, productData = {}) {
         if (!this.currentProfile) return;
-        
         const existingItem = this.currentProfile.shopping.wishlist.find(item => item.product_id === productId);
         if (!existingItem) {
             this.currentProfile.shopping.wishlist.push({
                 product_id: productId,
                 product_data: productData,
-                added_at: new Date().toISOString()
+                added_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
             });
-            
             await this.saveProfile();
         }
     }
 
     async removeFromWishlist(productId) {
         if (!this.currentProfile) return;
-        
-        this.currentProfile.shopping.wishlist = this.currentProfile.shopping.wishlist.filter(
-            item => item.product_id !== productId
-        );
-        
+        markRemoved(this.currentProfile.shopping, 'wishlist', String(productId));
+        this.currentProfile.shopping.wishlist = this.currentProfile.shopping.wishlist.filter(item => item.product_id !== productId);
         await this.saveProfile();
     }
 
     async addPurchase(orderData) {
         if (!this.currentProfile) return;
-        
-        const purchase = {
-            ...orderData,
-            purchased_at: new Date().toISOString()
-        };
-        
+        const purchase = { ...orderData, purchased_at: new Date().toISOString() };
         this.currentProfile.shopping.purchase_history.push(purchase);
         await this.clearCart();
         await this.saveProfile();
     }
 
+    async trackPageView(pageName, data = {}) {
+        if (!this.currentProfile) return;
+        const pageView = { page: pageName, data, timestamp: new Date().toISOString(), url: window.location.href };
+        this.currentProfile.browsing.page_views.push(pageView);
+        this.currentProfile.browsing.last_active = new Date().toISOString();
+        if (this.currentProfile.browsing.page_views.length > 500) {
+            this.currentProfile.browsing.page_views = this.currentProfile.browsing.page_views.slice(-500);
+        }
+        await this.saveProfile();
+    }
+
+    async trackProductView(productId, productData = {}) {
+        if (!this.currentProfile) return;
+        const productView = { product_id: productId, product_data: productData, timestamp: new Date().toISOString() };
+        this.currentProfile.browsing.product_views.push(productView);
+        if (this.currentProfile.browsing.product_views.length > 100) {
+            this.currentProfile.browsing.product_views = this.currentProfile.browsing.product_views.slice(-100);
+        }
+        await this.saveProfile();
+    }
+
+    async trackSearch(query, resultsCount) {
+        if (!this.currentProfile) return;
+        this.currentProfile.browsing.search_queries.push({ query, results_count: resultsCount, timestamp: new Date().toISOString() });
+        if (this.currentProfile.browsing.search_queries.length > 100) {
+            this.currentProfile.browsing.search_queries = this.currentProfile.browsing.search_queries.slice(-100);
+        }
+        await this.saveProfile();
+    }
+
     async updateCartTotal() {
-        if (!this.currentProfile || typeof products === 'undefined') return;
-        
+        if (!this.currentProfile) return;
         let total = 0;
         this.currentProfile.shopping.cart.items.forEach(item => {
-            const product = products.find(p => p.id === item.product_id);
-            if (product) {
-                total += product.price * item.quantity;
-            }
+            const product = this.findProduct(item.product_id);
+            const variant = product?.variants?.find(v => v.id === item.variant_id);
+            if (product) total += (variant?.price ?? product.price) * item.quantity;
         });
-        
         this.currentProfile.shopping.cart.total = total;
         this.currentProfile.shopping.cart.updated_at = new Date().toISOString();
     }
 
-    async saveProfile() {
+    // Every tab saves its whole copy, so each one tells the others first
+    async saveProfile({ broadcast = true } = {}) {
         try {
             localStorage.setItem(this.storageKey, JSON.stringify(this.currentProfile));
         } catch (error) {
             console.error('Failed to save profile to localStorage:', error);
         }
+        
+        if (broadcast) {
+            this.broadcastShopping();
+        }
+    }
+
+    async applyRemoteShopping(remoteShopping) {
+        const changed = await super.applyRemoteShopping(remoteShopping);
+        if (changed) {
+            await this.saveProfile({ broadcast: false });
+        }
+        return changed;
+    }
+
+    // What was kept on this device while offline, for FirebaseManager to reconcile
+    getStoredProfile() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            console.warn('Ignoring unreadable offline profile:', error);
+            return null;
+        }
+    }
+
+    clearStoredProfile() {
+        localStorage.removeItem(this.storageKey);
     }
 
     async handleAuthChange(user) {
-        // In offline mode, we can't handle auth changes
         console.log('Auth change detected in offline mode - profile will remain local');
     }
 }
-
-// Export classes
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { FirebaseProfileManager, OfflineProfileManager };
-}
\ No newline at end of file
@@ -0,0 +1,104 @@
+// ===== PROFILE SYNC =====
+// The same profile can be open in several tabs and on several devices. Each copy
+// merges the others' cart and wishlist changes instead of overwriting them:
+// every cart line and wishlist entry carries `updated_at`, and the newest copy of
+// it wins. Removals are remembered in `shopping.removed` so they win too:
+//
+//   removed: { cart: { '<line id>': '<removed at>' }, wishlist: { '<product id>': '<removed at>' } }
+//
+// An entry survives only if it changed after it was last removed. Removals are
+// forgotten after REMOVAL_TTL_DAYS, by which time every copy has heard of them.
+
+import { getCartLineId } from './product-variants.js';
+
+export const REMOVAL_TTL_DAYS = 30;
+
+// Tabs of this browser post cart and wishlist changes here (BroadcastChannel)
+export const PROFILE_CHANNEL = 'profile_sync';
+
+function getCartKey(item) {
+    return getCartLineId(item.product_id, item);
+}
+
+function getWishlistKey(item) {
+    return String(item.product_id);
+}
+
+function getChangedAt(item) {
+    return item.updated_at || item.added_at || '';
+}
+
+// The later of both copies of each removal, minus the expired ones
+function mergeRemovals(local = {}, remote = {}, now) {
+    const cutoff = new Date(now.getTime() - REMOVAL_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const merged = {};
+
+    [local, remote].forEach(removals => {
+        Object.entries(removals).forEach(([key, removedAt]) => {
+            if (removedAt > cutoff && removedAt > (merged[key] || '')) {
+                merged[key] = removedAt;
+            }
+        });
+    });
+
+    return merged;
+}
+
+function mergeEntries(localItems = [], remoteItems = [], removals, getKey) {
+    const newest = new Map();
+
+    [...localItems, ...remoteItems].forEach(item => {
+        const key = getKey(item);
+        const current = newest.get(key);
+        if (!current || getChangedAt(item) > getChangedAt(current)) {
+            newest.set(key, item);
+        }
+    });
+
+    return [...newest.entries()]
+        .filter(([key, item]) => getChangedAt(item) > (removals[key] || ''))
+        .map(([, item]) => item)
+        .sort((a, b) => (a.added_at || '').localeCompare(b.added_at || ''));
+}
+
+// `local` with the other copy's cart and wishlist changes folded in. Everything
+// else in `shopping` (purchase history, abandoned carts) stays as `local` has it.
+export function mergeShopping(local, remote, now = new Date()) {
+    if (!remote) return local;
+
+    const removed = {
+        cart: mergeRemovals(local.removed?.cart, remote.removed?.cart, now),
+        wishlist: mergeRemovals(local.removed?.wishlist, remote.removed?.wishlist, now)
+    };
+
+    const items = mergeEntries(local.cart?.items, remote.cart?.items, removed.cart, getCartKey);
+    const cartUpdatedAt = [local.cart?.updated_at, remote.cart?.updated_at].filter(Boolean).sort().pop() || null;
+
+    return {
+        ...local,
+        cart: { ...local.cart, items, updated_at: cartUpdatedAt },
+        wishlist: mergeEntries(local.wishlist, remote.wishlist, removed.wishlist, getWishlistKey),
+        removed
+    };
+}
+
+// Purchase statuses (paid, shipped, refunded, tracking) are written by the webhook
+// and staff, so the stored copy of each purchase wins. Purchases only the local
+// copy has, not saved yet, are kept.
+export function mergePurchaseHistory(local = [], stored = []) {
+    const storedIds = new Set(stored.map(purchase => purchase.order_id));
+    return [...stored, ...local.filter(purchase => !storedIds.has(purchase.order_id))];
+}
+
+// Record that a cart line (by line id) or wishlist entry (by product id) was removed
+export function markRemoved(shopping, list, key, removedAt = new Date().toISOString()) {
+    shopping.removed = shopping.removed || { cart: {}, wishlist: {} };
+    shopping.removed[list] = shopping.removed[list] || {};
+    shopping.removed[list][key] = removedAt;
+}
+
+// Whether a merge changed anything the shopper can see
+export function hasSameEntries(a, b) {
+    const entries = shopping => JSON.stringify([shopping?.cart?.items || [], shopping?.wishlist || []]);
+    return entries(a) === entries(b);
+}
@@ -0,0 +1,1656 @@
+// ===== PROFILE UI =====
+// Profile, sign-in/sign-up, edit profile and order history modals. Buttons inside
+// the modals carry data-action (forms data-form) and are handled by one delegated
+// listener on the modal container.
+
+import { findProductVariant, getCartLineId } from './product-variants.js';
+import { escapeHtml } from './html-utils.js';
+
+export class ProfileUI {
+    constructor(firebaseManager, { cartManager = null, productCatalog = null, router = null, notify = null, onCartChange = () => {} } = {}) {
+        this.firebaseManager = firebaseManager;
+        this.cartManager = cartManager;
+        this.productCatalog = productCatalog;
+        this.router = router;
+        this.notify = notify;
+        this.onCartChange = onCartChange;
+        this.currentProfile = null;
+        this.modalContainer = null;
+        this.isInitialized = false;
+    }
+
+    initialize() {
+    this.setupModalContainer();
+    this.setupEventListeners();
+    this.loadProfile();
+    this.isInitialized = true;
+    
+    const enhancedSignInStyles = `
+
+.profile-btn-header.guest-with-cart {
+    position: relative;
+}
+
+.profile-btn-header.guest-with-cart:hover {
+    background: rgba(0, 0, 0, 0.08); /* subtle dark hover */
+}
+
+/* Animation for smooth transitions */
+.profile-btn-header {
+    transition: all 0.3s ease;
+}
+`;
+
+
+    if (!document.getElementById('signin-ui-styles')) {
+        const styleSheet = document.createElement('style');
+        styleSheet.id = 'signin-ui-styles';
+        styleSheet.textContent = enhancedSignInStyles; // Changed from signedInStyles to enhancedSignInStyles
+        document.head.appendChild(styleSheet);
+    }
+    
+    console.log('ProfileUI initialized');
+}
+
+    setupModalContainer() {
+        // Create modal container if it doesn't exist
+        this.modalContainer = document.getElementById('profileModalContainer');
+        if (!this.modalContainer) {
+            this.modalContainer = document.createElement('div');
+            this.modalContainer.id = 'profileModalContainer';
+            document.body.appendChild(this.modalContainer);
+        }
+
+        this.modalContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button || !this.modalContainer.contains(button)) return;
+            this.handleAction(button.dataset.action, button.dataset);
+        });
+
+        this.modalContainer.addEventListener('submit', (e) => {
+            const handlers = {
+                signup: () => this.handleSignup(e),
+                signin: () => this.handleSignIn(e),
+                'edit-profile': () => this.handleProfileUpdate(e)
+            };
+            handlers[e.target.dataset.form]?.();
+        });
+
+        // Settings that apply as soon as they're changed
+        this.modalContainer.addEventListener('change', (e) => {
+            if (e.target.dataset.setting === 'analytics') {
+                this.setAnalyticsConsent(e.target.checked);
+            }
+        });
+    }
+
+    // Remembered on this device, for guests as well as signed-in shoppers
+    setAnalyticsConsent(enabled) {
+        this.firebaseManager.setAnalyticsConsent(enabled);
+        this.showSuccessMessage(enabled ? 'Usage analytics are on - thank you!' : 'Usage analytics are off on this device.');
+    }
+
+    handleAction(action, data = {}) {
+        switch (action) {
+            case 'close-profile': return this.closeProfileModal();
+            case 'close-signup': return this.closeSignupPrompt();
+            case 'close-signin': return this.closeSignInModal();
+            case 'close-edit-profile': return this.closeEditProfile();
+            case 'close-order-history': return this.closeOrderHistory();
+            case 'show-signup': return this.showSignupPrompt();
+            case 'show-signin': return this.showSignInForm();
+            case 'forgot-password': return this.showForgotPassword();
+            case 'export-data': return this.exportGuestData();
+            case 'edit-profile': return this.showEditProfile();
+            case 'order-history': return this.showOrderHistory(Number(data.page) || 1);
+            case 'order-detail': return this.showOrderDetail(data.orderId);
+            case 'buy-again': return this.buyAgain(data.orderId);
+            case 'manage-catalog':
+                this.closeProfileModal();
+                return this.router?.navigate('/admin/products');
+            case 'manage-orders':
+                this.closeProfileModal();
+                return this.router?.navigate('/admin/orders');
+            case 'sign-out': return this.signOut();
+        }
+    }
+
+    setupEventListeners() {
+        const profileBtn = document.getElementById('profileBtn');
+        if (profileBtn) {
+            profileBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showProfileModal();
+            });
+        }
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeAllModals();
+            }
+        });
+    }
+
+    async loadProfile() {
+    if (!this.firebaseManager) return;
+    
+    try {
+        // Force refresh from Firebase/profile manager
+        if (this.firebaseManager.profileManager) {
+            this.currentProfile = await this.firebaseManager.profileManager.getCurrentProfile();
+        } else {
+            this.currentProfile = await this.firebaseManager.getCurrentProfile();
+        }
+        
+        console.log('Profile loaded:', this.currentProfile?.type, this.currentProfile?.id);
+        
+        // Update UI elements that depend on profile
+        this.updateProfileButton();
+        
+    } catch (error) {
+        console.error('Failed to load profile:', error);
+    }
+}
+
+    updateProfileButton() {
+    const profileBtn = document.getElementById('profileBtn');
+    if (!profileBtn || !this.currentProfile) return;
+
+    const isGuest = this.currentProfile.type === 'guest';
+    const isSignedIn = this.currentProfile.type === 'registered';
+    const cartItems = this.currentProfile.shopping?.cart?.items?.length || 0;
+    
+    // Clear previous state classes
+    profileBtn.classList.remove('signed-in', 'guest-with-cart');
+    
+    if (isSignedIn) {
+        // Remove guest indicator if it exists
+        const indicator = profileBtn.querySelector('.guest-indicator');
+        if (indicator) {
+            indicator.remove();
+        }
+        
+        // Add signed-in styling
+        profileBtn.classList.add('signed-in');
+        const userName = this.currentProfile.personal_info?.name || 'User';
+        profileBtn.title = `Signed in as ${userName}`;
+        
+        console.log('Profile button updated for signed-in user:', userName);
+        
+    } else if (isGuest && cartItems > 0) {
+        // Add visual indicator for guest users with items
+        profileBtn.classList.add('guest-with-cart');
+        profileBtn.style.position = 'relative';
+        
+        let indicator = profileBtn.querySelector('.guest-indicator');
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.className = 'guest-indicator';
+            indicator.style.cssText = `
+                position: absolute;
+                top: -2px;
+                right: -2px;
+                width: 8px;
+                height: 8px;
+                background: #f59e0b;
+                border-radius: 50%;
+                border: 2px solid white;
+            `;
+            profileBtn.appendChild(indicator);
+        }
+        profileBtn.title = 'Guest user - Sign in to save cart';
+        
+    } else {
+        // Clean guest state
+        const indicator = profileBtn.querySelector('.guest-indicator');
+        if (indicator) {
+            indicator.remove();
+        }
+        profileBtn.title = 'User Profile';
+    }
+}
+
+    showProfileModal() {
+        if (!this.currentProfile) {
+            alert('Profile not loaded yet. Please try again.');
+            return;
+        }
+
+        const modal = this.createProfileModal();
+        this.modalContainer.innerHTML = '';
+        this.modalContainer.appendChild(modal);
+        
+        // Show modal with animation
+        setTimeout(() => {
+            modal.classList.add('show');
+        }, 10);
+
+        // Track modal view
+        if (this.firebaseManager) {
+            this.firebaseManager.logEvent('profile_modal_opened', {
+                profile_type: this.currentProfile.type
+            });
+        }
+    }
+
+    createProfileModal() {
+        const modal = document.createElement('div');
+        modal.className = 'profile-modal';
+        modal.id = 'profileModal';
+        
+        const stats = this.calculateStats();
+        const isGuest = this.currentProfile.type === 'guest';
+        
+        modal.innerHTML = `
+            <div class="profile-modal-content">
+                <div class="profile-modal-header">
+                    <h2>${isGuest ? 'Guest Profile' : 'My Profile'}</h2>
+                    <button class="profile-modal-close" data-action="close-profile">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </div>
+                
+                <div class="profile-modal-body">
+                    ${isGuest ? this.createGuestProfileContent(stats) : this.createRegisteredProfileContent(stats)}
+                    ${this.createPrivacySettings()}
+                </div>
+                
+                <div class="profile-modal-footer">
+                    ${this.createProfileActions()}
+                </div>
+            </div>
+        `;
+
+        // Add click outside to close
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeProfileModal();
+            }
+        });
+
+        return modal;
+    }
+
+    createGuestProfileContent(stats) {
+        return `
+            <div class="profile-guest-content">
+                <div class="profile-guest-info">
+                    <div class="profile-guest-icon">
+                        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                            <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path>
+                            <circle cx="12" cy="7" r="4"></circle>
+                        </svg>
+                    </div>
+                    <h3>Browse as Guest</h3>
+                    <p>You're shopping as a guest. Create an account to save your cart and track orders.</p>
+                </div>
+                
+                <div class="profile-stats-grid">
+                    <div class="profile-stat">
+                        <div class="profile-stat-value">${stats.cartItems}</div>
+                        <div class="profile-stat-label">Cart Items</div>
+                    </div>
+                    <div class="profile-stat">
+                        <div class="profile-stat-value">${stats.wishlistItems}</div>
+                        <div class="profile-stat-label">Wishlist</div>
+                    </div>
+                    <div class="profile-stat">
+                        <div class="profile-stat-value">$${stats.cartTotal.toFixed(2)}</div>
+                        <div class="profile-stat-label">Cart Value</div>
+                    </div>
+                    <div class="profile-stat">
+                        <div class="profile-stat-value">${this.currentProfile.metadata.visit_count}</div>
+                        <div class="profile-stat-label">Visits</div>
+                    </div>
+                </div>
+                
+                ${stats.cartItems > 0 ? `
+                    <div class="profile-save-reminder">
+                        <div class="profile-save-icon">💾</div>
+                        <div>
+                            <h4>Don't lose your cart!</h4>
+                            <p>Create an account to save ${stats.cartItems} item${stats.cartItems !== 1 ? 's' : ''} worth $${stats.cartTotal.toFixed(2)}</p>
+                        </div>
+                    </div>
+                ` : ''}      
+        `;
+    }
+
+    createRegisteredProfileContent(stats) {
+        const profile = this.currentProfile;
+        const personalInfo = profile.personal_info || {};
+        
+        return `
+            <div class="profile-registered-content">
+                <div class="profile-header-info">
+                    <div class="profile-avatar">
+                        ${personalInfo.name ? personalInfo.name.charAt(0).toUpperCase() : 'U'}
+                    </div>
+                    <div class="profile-user-info">
+                        <h3>${personalInfo.name || 'User'}</h3>
+                        <p>${personalInfo.email || 'No email set'}</p>
+                        <small>Member since ${new Date(profile.created_at).toLocaleDateString()}</small>
+                    </div>
+                </div>
+                
+                <div class="profile-stats-grid">
+                    <div class="profile-stat">
+                        <div class="profile-stat-value">${stats.totalOrders}</div>
+                        <div class="profile-stat-label">Orders</div>
+                    </div>
+                    <div class="profile-stat">
+                        <div class="profile-stat-value">$${stats.totalSpent.toFixed(2)}</div>
+                        <div class="profile-stat-label">Total Spent</div>
+                    </div>
+                    <div class="profile-stat">
+                        <div class="profile-stat-value">${stats.cartItems}</div>
+                        <div class="profile-stat-label">Cart Items</div>
+                    </div>
+                    <div class="profile-stat">
+                        <div class="profile-stat-value">${stats.wishlistItems}</div>
+                        <div class="profile-stat-label">Wishlist</div>
+                    </div>
+                </div>
+                
+                <div class="profile-sections">
+                    <div class="profile-section">
+                        <h4>Personal Information</h4>
+                        <div class="profile-info-item">
+                            <label>Name:</label>
+                            <span>${personalInfo.name || 'Not set'}</span>
+                        </div>
+                        <div class="profile-info-item">
+                            <label>Email:</label>
+                            <span>${personalInfo.email || 'Not set'}</span>
+                        </div>
+                        <div class="profile-info-item">
+                            <label>Phone:</label>
+                            <span>${personalInfo.phone || 'Not set'}</span>
+                        </div>
+                    </div>
+                    
+                    <div class="profile-section">
+                        <h4>Shopping Summary</h4>
+                        <div class="profile-info-item">
+                            <label>Last Order:</label>
+                            <span>${this.getLastOrderDate()}</span>
+                        </div>
+                        <div class="profile-info-item">
+                            <label>Favorite Category:</label>
+                            <span>${this.getFavoriteCategory()}</span>
+                        </div>
+                        <div class="profile-info-item">
+                            <label>Cart Value:</label>
+                            <span>$${stats.cartTotal.toFixed(2)}</span>
+                        </div>
+                    </div>
+                </div>
+                
+            </div>
+        `;
+    }
+
+    // Guests are tracked too, so both profiles offer the opt-out
+    createPrivacySettings() {
+        return `
+            <div class="profile-section">
+                <h4>Privacy</h4>
+                <div class="form-group checkbox-group">
+                    <label class="checkbox-label">
+                        <input type="checkbox" data-setting="analytics" ${this.firebaseManager?.isAnalyticsEnabled() ? 'checked' : ''}>
+                        Share how I use the shop (pages, searches, cart) to help improve it
+                    </label>
+                </div>
+            </div>
+        `;
+    }
+
+    createActivityList() {
+        const events = this.currentProfile.analytics?.events || [];
+        const recentEvents = events.slice(-5).reverse();
+        
+        if (recentEvents.length === 0) {
+            return '<p class="profile-no-activity">No recent activity</p>';
+        }
+    }
+
+    createProfileActions() {
+        const isGuest = this.currentProfile.type === 'guest';
+        
+        if (isGuest) {
+            return `
+                <div class="profile-actions">
+                    <button class="profile-btn profile-btn-primary" data-action="show-signup">
+                        Create Account
+                    </button>
+                    <button class="profile-btn profile-btn-secondary" data-action="show-signin">
+                        Sign In
+                    </button>
+                    <button class="profile-btn profile-btn-tertiary" data-action="export-data">
+                        Export Data
+                    </button>
+                    ${this.currentProfile.shopping?.purchase_history?.length > 0 ? `
+                        <button class="profile-btn profile-btn-secondary" data-action="order-history">
+                            Order History
+                        </button>
+                    ` : ''}
+                </div>
+            `;
+        } else {
+            return `
+                <div class="profile-actions">
+                    <button class="profile-btn profile-btn-primary" data-action="edit-profile">
+                        Edit Profile
+                    </button>
+                    <button class="profile-btn profile-btn-secondary" data-action="order-history">
+                        Order History
+                    </button>
+                    ${this.firebaseManager?.can('catalog:write') ? `
+                        <button class="profile-btn profile-btn-secondary" data-action="manage-catalog">
+                            Manage Catalog
+                        </button>
+                    ` : ''}
+                    ${this.firebaseManager?.can('orders:manage') ? `
+                        <button class="profile-btn profile-btn-secondary" data-action="manage-orders">
+                            Manage Orders
+                        </button>
+                    ` : ''}
+                    <button class="profile-btn profile-btn-tertiary" data-action="sign-out">
+                        Sign Out
+                    </button>
+                </div>
+            `;
+        }
+    }
+
+    showSignupPrompt() {
+        const modal = this.createSignupPromptModal();
+        this.modalContainer.appendChild(modal);
+        
+        setTimeout(() => {
+            modal.classList.add('show');
+        }, 10);
+
+        if (this.firebaseManager) {
+            this.firebaseManager.logEvent('signup_prompt_shown', {
+                cart_items: this.currentProfile.shopping?.cart?.items?.length || 0,
+                cart_value: this.currentProfile.shopping?.cart?.total || 0
+            });
+        }
+    }
+
+    createSignupPromptModal() {
+    const modal = document.createElement('div');
+    modal.className = 'signup-prompt-modal';
+    modal.id = 'signupPromptModal';
+    
+    const stats = this.calculateStats();
+    
+    modal.innerHTML = `
+        <div class="signup-prompt-content">
+            <div class="signup-prompt-header">
+                <h2>Save Your Shopping Progress</h2>
+                <button class="signup-prompt-close" data-action="close-signup">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+            
+            <div class="signup-prompt-body">
+                <div class="signup-prompt-benefits">
+                    <div class="signup-benefit">
+                        <div class="benefit-icon">🛒</div>
+                        <div>
+                            <h4>Save Your Cart</h4>
+                            <p>Keep ${stats.cartItems} item${stats.cartItems !== 1 ? 's' : ''} ($${stats.cartTotal.toFixed(2)}) safe</p>
+                        </div>
+                    </div>
+                    <div class="signup-benefit">
+                        <div class="benefit-icon">📦</div>
+                        <div>
+                            <h4>Track Orders</h4>
+                            <p>Get updates on your purchases and delivery</p>
+                        </div>
+                    </div>
+                    <div class="signup-benefit">
+                        <div class="benefit-icon">❤️</div>
+                        <div>
+                            <h4>Wishlist & Favorites</h4>
+                            <p>Save items for later and get restock alerts</p>
+                        </div>
+                    </div>
+                    <div class="signup-benefit">
+                        <div class="benefit-icon">🎯</div>
+                        <div>
+                            <h4>Personal Recommendations</h4>
+                            <p>Get suggestions based on your browsing</p>
+                        </div>
+                    </div>
+                </div>
+                
+                <form class="signup-form" data-form="signup">
+                    <div class="form-group">
+                        <label for="signupName">Full Name</label>
+                        <input type="text" id="signupName" name="name" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="signupEmail">Email Address</label>
+                        <input type="email" id="signupEmail" name="email" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="signupPassword">Password</label>
+                        <input type="password" id="signupPassword" name="password" minlength="6" required>
+                        <small class="form-help">Minimum 6 characters</small>
+                    </div>
+                    <div class="form-group">
+                        <label for="signupConfirmPassword">Confirm Password</label>
+                        <input type="password" id="signupConfirmPassword" name="confirmPassword" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="signupPhone">Phone (Optional)</label>
+                        <input type="tel" id="signupPhone" name="phone">
+                    </div>
+                    <div class="form-group checkbox-group">
+                        <label class="checkbox-label">
+                            <input type="checkbox" id="signupMarketing" name="marketing">
+                            Send me style updates and exclusive offers
+                        </label>
+                    </div>
+                    <button type="submit" class="signup-submit-btn">Create Free Account</button>
+                </form>
+                
+                <div class="signup-footer">
+                    <p>Already have an account? <button type="button" class="link-btn" data-action="show-signin">Sign In</button></p>
+                </div>
+            </div>
+        </div>
+    `;
+
+    // Add click outside to close
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            this.closeSignupPrompt();
+        }
+    });
+
+    return modal;
+}
+
+    async handleSignup(event) {
+    event.preventDefault();
+    
+    const formData = new FormData(event.target);
+    const password = formData.get('password');
+    const confirmPassword = formData.get('confirmPassword');
+    
+    // Validate passwords match
+    if (password !== confirmPassword) {
+        this.showErrorMessage('Passwords do not match');
+        return;
+    }
+    
+    // Validate password strength
+    if (password.length < 6) {
+        this.showErrorMessage('Password must be at least 6 characters long');
+        return;
+    }
+    
+    const userData = {
+        name: formData.get('name'),
+        email: formData.get('email'),
+        phone: formData.get('phone') || null,
+        marketing_emails: formData.get('marketing') === 'on'
+    };
+
+    try {
+        const submitBtn = event.target.querySelector('.signup-submit-btn');
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = 'Creating Account...';
+        submitBtn.disabled = true;
+
+        console.log('ProfileUI: Starting signup process...');
+        console.log('ProfileUI: Current profile before signup:', this.currentProfile?.type);
+        console.log('ProfileUI: Current profile ID:', this.currentProfile?.id);
+
+        // CRITICAL: Use the convertGuestToRegistered method directly
+        if (this.firebaseManager.profileManager && 
+            typeof this.firebaseManager.profileManager.convertGuestToRegistered === 'function') {
+            
+            console.log('ProfileUI: Using convertGuestToRegistered method');
+            await this.firebaseManager.profileManager.convertGuestToRegistered(userData, password);
+            
+        } else {
+            console.error('ProfileUI: convertGuestToRegistered method not found!');
+            throw new Error('Profile conversion method not available');
+        }
+
+        console.log('ProfileUI: Signup completed successfully');
+
+        // Log conversion event
+        await this.firebaseManager.logEvent('guest_converted_to_user', {
+            cart_items: this.currentProfile?.shopping?.cart?.items?.length || 0,
+            cart_value: this.currentProfile?.shopping?.cart?.total || 0,
+            marketing_opt_in: userData.marketing_emails,
+            conversion_method: 'signup_form'
+        });
+
+        // Reload profile to get updated data
+        await this.loadProfile();
+        
+        console.log('ProfileUI: Profile reloaded. New profile type:', this.currentProfile?.type);
+        console.log('ProfileUI: New profile ID:', this.currentProfile?.id);
+
+        // Show success message
+        this.showSuccessMessage('Account created successfully! Your cart and preferences have been saved.');
+        
+        // Close modals
+        this.closeAllModals();
+        
+        // Update cart display to reflect new profile
+        if (this.cartManager) {
+            await this.cartManager.syncWithProfile();
+            this.onCartChange();
+        }
+        
+        // Update profile button display
+        this.updateProfileButton();
+        
+    } catch (error) {
+        console.error('ProfileUI: Signup failed:', error);
+        
+        // Show specific error messages
+        if (error.code === 'auth/email-already-in-use') {
+            this.showErrorMessage('This email is already registered. Please sign in instead.');
+        } else if (error.code === 'auth/weak-password') {
+            this.showErrorMessage('Password is too weak. Please choose a stronger password.');
+        } else if (error.code === 'auth/invalid-email') {
+            this.showErrorMessage('Please enter a valid email address.');
+        } else if (error.code === 'auth/network-request-failed') {
+            this.showErrorMessage('Network error. Please check your connection and try again.');
+        } else {
+            this.showErrorMessage(`Failed to create account: ${error.message}`);
+        }
+        
+        const submitBtn = event.target.querySelector('.signup-submit-btn');
+        submitBtn.textContent = 'Create Free Account';
+        submitBtn.disabled = false;
+    }
+}
+
+    // Replace the showSignInForm method in your ProfileUI class with this complete implementation:
+
+showSignInForm() {
+    // Close signup prompt first if it's open
+    this.closeSignupPrompt();
+    
+    const modal = this.createSignInModal();
+    this.modalContainer.appendChild(modal);
+    
+    setTimeout(() => {
+        modal.classList.add('show');
+    }, 10);
+
+    if (this.firebaseManager) {
+        this.firebaseManager.logEvent('signin_modal_opened', {
+            profile_type: this.currentProfile?.type || 'unknown'
+        });
+    }
+}
+
+createSignInModal() {
+    const modal = document.createElement('div');
+    modal.className = 'profile-modal';
+    modal.id = 'signInModal';
+    
+    modal.innerHTML = `
+        <div class="profile-modal-content">
+            <div class="profile-modal-header">
+                <h2>Sign In to Your Account</h2>
+                <button class="profile-modal-close" data-action="close-signin">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+            
+            <div class="profile-modal-body">
+                <div class="signin-benefits">
+                    <div class="signin-welcome">
+                        <h3>Welcome Back!</h3>
+                        <p>Sign in to access your saved cart, order history, and personalized recommendations.</p>
+                    </div>
+                </div>
+                
+                <form class="signin-form" data-form="signin">
+                    <div class="form-group">
+                        <label for="signinEmail">Email Address</label>
+                        <input type="email" id="signinEmail" name="email" required autocomplete="email">
+                    </div>
+                    <div class="form-group">
+                        <label for="signinPassword">Password</label>
+                        <input type="password" id="signinPassword" name="password" required autocomplete="current-password">
+                    </div>
+                    <div class="form-group checkbox-group">
+                        <label class="checkbox-label">
+                            <input type="checkbox" id="rememberMe" name="rememberMe">
+                            Remember me
+                        </label>
+                    </div>
+                    <button type="submit" class="signin-submit-btn">Sign In</button>
+                </form>
+                
+                <div class="signin-options">
+                    <button type="button" class="forgot-password-btn" data-action="forgot-password">
+                        Forgot your password?
+                    </button>
+                </div>
+                
+                <div class="signin-footer">
+                    <p>Don't have an account? <button type="button" class="link-btn" data-action="show-signup">Create Account</button></p>
+                </div>
+            </div>
+        </div>
+    `;
+
+    // Add click outside to close
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            this.closeSignInModal();
+        }
+    });
+
+    return modal;
+}
+
+// Updated handleSignIn method with proper UI refresh
+async handleSignIn(event) {
+    event.preventDefault();
+    
+    const formData = new FormData(event.target);
+    const email = formData.get('email');
+    const password = formData.get('password');
+    const rememberMe = formData.get('rememberMe') === 'on';
+
+    const submitBtn = event.target.querySelector('.signin-submit-btn');
+    const originalText = submitBtn.textContent;
+
+    try {
+        submitBtn.textContent = 'Signing In...';
+        submitBtn.disabled = true;
+
+        console.log('ProfileUI: Starting sign in process...');
+
+        // Store current guest data before sign in
+        const currentGuestData = this.currentProfile?.type === 'guest' ? { ...this.currentProfile } : null;
+
+        // Sign in with Firebase Auth - the guest cart's stock holds are handed back first
+        const signIn = () => this.firebaseManager.auth.signInWithEmailAndPassword(email, password);
+        const userCredential = this.cartManager ? await this.cartManager.switchUser(signIn) : await signIn();
+        const user = userCredential.user;
+
+        console.log('ProfileUI: Sign in successful for user:', user.uid);
+
+        // Set persistence based on "remember me"
+        await this.firebaseManager.setAuthPersistence(rememberMe);
+
+        // If user was a guest with data, merge it with their registered account
+        if (currentGuestData && currentGuestData.shopping.cart.items.length > 0) {
+            await this.mergeGuestDataIntoRegistered(currentGuestData, user);
+        }
+
+        // Log successful sign in
+        await this.firebaseManager.logEvent('user_signed_in', {
+            uid: user.uid,
+            email: user.email,
+            remember_me: rememberMe,
+            had_guest_data: !!currentGuestData
+        });
+
+        // CRITICAL: Wait for auth state change to complete and profile to reload
+        await this.waitForProfileUpdate(user.uid);
+        
+        console.log('ProfileUI: Profile updated. User profile type:', this.currentProfile?.type);
+
+        // Close the sign-in modal
+        this.closeSignInModal();
+        
+        // Show success message
+        this.showSuccessMessage('Signed in successfully! Welcome back.');
+        
+        // Update all UI components with new profile data
+        await this.refreshUIAfterSignIn();
+        
+    } catch (error) {
+        console.error('ProfileUI: Sign in failed:', error);
+        
+        // Show specific error messages
+        if (error.code === 'auth/user-not-found') {
+            this.showErrorMessage('No account found with this email address. Please check your email or create a new account.');
+        } else if (error.code === 'auth/wrong-password') {
+            this.showErrorMessage('Incorrect password. Please try again or reset your password.');
+        } else if (error.code === 'auth/invalid-email') {
+            this.showErrorMessage('Please enter a valid email address.');
+        } else if (error.code === 'auth/user-disabled') {
+            this.showErrorMessage('This account has been disabled. Please contact support.');
+        } else if (error.code === 'auth/too-many-requests') {
+            this.showErrorMessage('Too many failed attempts. Please try again later or reset your password.');
+        } else if (error.code === 'auth/network-request-failed') {
+            this.showErrorMessage('Network error. Please check your connection and try again.');
+        } else {
+            this.showErrorMessage(`Sign in failed: ${error.message}`);
+        }
+        
+        // Only reset button state on error
+        submitBtn.textContent = originalText;
+        submitBtn.disabled = false;
+    }
+}
+// New method to wait for profile update after authentication
+async waitForProfileUpdate(expectedUserId, maxWaitTime = 5000) {
+    const startTime = Date.now();
+    
+    while (Date.now() - startTime < maxWaitTime) {
+        // Force reload the profile
+        await this.loadProfile();
+        
+        // Check if we now have a registered profile with the correct user ID
+        if (this.currentProfile && 
+            this.currentProfile.type === 'registered' && 
+            this.currentProfile.id === expectedUserId) {
+            console.log('Profile successfully updated to registered user');
+            return;
+        }
+        
+        // Wait a bit before checking again
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    
+    console.warn('Profile update took longer than expected');
+}
+async refreshUIAfterSignIn() {
+    try {
+        // 1. Update profile button display
+        this.updateProfileButton();
+        
+        // 2. Sync cart with new profile, and hold the merged guest lines for this user
+        if (this.cartManager) {
+            await this.cartManager.syncWithProfile();
+            const trimmedItems = await this.cartManager.refreshReservations();
+            this.onCartChange();
+            
+            if (trimmedItems.length > 0) {
+                this.showErrorMessage(`Some items in your cart are no longer available: ${trimmedItems.join(', ')}`);
+            }
+        }
+        
+        // 3. If profile modal is open, refresh it with new data
+        const profileModal = document.getElementById('profileModal');
+        if (profileModal && profileModal.classList.contains('show')) {
+            // Close current modal and reopen with new data
+            this.closeProfileModal();
+            setTimeout(() => {
+                this.showProfileModal();
+            }, 300); // Wait for close animation
+        }
+        
+        // 4. Update any other UI components that depend on profile state
+        this.updateHeaderUserDisplay();
+        
+        console.log('UI refresh completed after sign-in');
+        
+    } catch (error) {
+        console.error('Error refreshing UI after sign-in:', error);
+    }
+}
+
+// New method to update header user display
+updateHeaderUserDisplay() {
+    const profileBtn = document.getElementById('profileBtn');
+    if (!profileBtn || !this.currentProfile) return;
+
+    const isSignedIn = this.currentProfile.type === 'registered';
+    
+    if (isSignedIn) {
+        // Add signed-in class for styling
+        profileBtn.classList.add('signed-in');
+        
+        // Remove guest indicator if it exists
+        const indicator = profileBtn.querySelector('.guest-indicator');
+        if (indicator) {
+            indicator.remove();
+        }
+        
+        // Update title and styling
+        const userName = this.currentProfile.personal_info?.name || 'User';
+        profileBtn.title = `Signed in as ${userName} - Click to view profile`;
+        
+        // Add user initial or icon if desired
+        const userIcon = profileBtn.querySelector('svg');
+        if (userIcon && userName) {
+            // You could replace the icon with user initial
+            // userIcon.innerHTML = `<text x="12" y="16" text-anchor="middle" fill="currentColor" font-size="10" font-weight="600">${userName.charAt(0).toUpperCase()}</text>`;
+        }
+        
+    } else {
+        // Remove signed-in styling
+        profileBtn.classList.remove('signed-in');
+        profileBtn.title = 'User Profile';
+    }
+}
+// Helper method to merge guest data into registered account
+async mergeGuestDataIntoRegistered(guestData, user) {
+    try {
+        console.log('Merging guest cart data into registered account...');
+        
+        // Load the user's registered profile
+        const registeredProfileDoc = await this.firebaseManager.db.collection('user_profiles').doc(user.uid).get();
+        
+        if (registeredProfileDoc.exists) {
+            const registeredProfile = registeredProfileDoc.data();
+            
+            // Merge cart items (avoid duplicates)
+            const existingCartItems = registeredProfile.shopping?.cart?.items || [];
+            const guestCartItems = guestData.shopping?.cart?.items || [];
+            
+            guestCartItems.forEach(guestItem => {
+                const lineId = getCartLineId(guestItem.product_id, guestItem);
+                const existingItem = existingCartItems.find(item => getCartLineId(item.product_id, item) === lineId);
+                if (existingItem) {
+                    // Add quantities together
+                    existingItem.quantity += guestItem.quantity;
+                    existingItem.updated_at = new Date().toISOString();
+                } else {
+                    // Add new item
+                    existingCartItems.push(guestItem);
+                }
+            });
+            
+            // Update the registered profile
+            await this.firebaseManager.db.collection('user_profiles').doc(user.uid).update({
+                'shopping.cart.items': existingCartItems,
+                'shopping.cart.updated_at': new Date().toISOString(),
+                'updated_at': new Date().toISOString()
+            });
+            
+            // Clean up guest profile from Firebase and localStorage
+            if (guestData.id.startsWith('guest_')) {
+                try {
+                    await this.firebaseManager.db.collection('user_profiles').doc(guestData.id).delete();
+                    
+                    // Clean up localStorage
+                    const sessionId = guestData.session_id;
+                    if (sessionId) {
+                        localStorage.removeItem(`guest_profile_${sessionId}`);
+                    }
+                } catch (cleanupError) {
+                    console.warn('Failed to clean up guest data:', cleanupError);
+                }
+            }
+            
+            console.log('Successfully merged guest data into registered account');
+        }
+    } catch (error) {
+        console.error('Failed to merge guest data:', error);
+        // Don't throw - sign in should still succeed even if merge fails
+    }
+}
+
+showForgotPassword() {
+    const email = document.getElementById('signinEmail')?.value || '';
+    
+    if (!email) {
+        this.showErrorMessage('Please enter your email address first, then click "Forgot your password?"');
+        return;
+    }
+    
+    this.sendPasswordReset(email);
+}
+
+async sendPasswordReset(email) {
+    try {
+        await this.firebaseManager.auth.sendPasswordResetEmail(email);
+        
+        this.showSuccessMessage(`Password reset email sent to ${email}. Please check your inbox and spam folder.`);
+        
+        // Log password reset event
+        await this.firebaseManager.logEvent('password_reset_requested', {
+            email: email
+        });
+        
+    } catch (error) {
+        console.error('Password reset failed:', error);
+        
+        if (error.code === 'auth/user-not-found') {
+            this.showErrorMessage('No account found with this email address.');
+        } else if (error.code === 'auth/invalid-email') {
+            this.showErrorMessage('Please enter a valid email address.');
+        } else {
+            this.showErrorMessage('Failed to send password reset email. Please try again.');
+        }
+    }
+}
+
+closeSignInModal() {
+    const modal = document.getElementById('signInModal');
+    if (modal) {
+        modal.classList.remove('show');
+        setTimeout(() => {
+            modal.remove();
+        }, 300);
+    }
+}
+
+    async exportGuestData() {
+        try {
+            const exportData = await this.firebaseManager.exportProfileData();
+            
+            if (exportData) {
+                const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `profile-data-${new Date().toISOString().split('T')[0]}.json`;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+
+                this.showSuccessMessage('Profile data exported successfully!');
+            }
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showErrorMessage('Failed to export data.');
+        }
+    }
+
+    showEditProfile() {
+        // Create edit profile modal
+        const modal = this.createEditProfileModal();
+        this.modalContainer.appendChild(modal);
+        
+        setTimeout(() => {
+            modal.classList.add('show');
+        }, 10);
+    }
+
+    createEditProfileModal() {
+        const modal = document.createElement('div');
+        modal.className = 'profile-modal';
+        modal.id = 'editProfileModal';
+        
+        const personalInfo = this.currentProfile.personal_info || {};
+        const preferences = this.currentProfile.preferences || {};
+        
+        modal.innerHTML = `
+            <div class="profile-modal-content">
+                <div class="profile-modal-header">
+                    <h2>Edit Profile</h2>
+                    <button class="profile-modal-close" data-action="close-edit-profile">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </div>
+                
+                <div class="profile-modal-body">
+                    <form class="edit-profile-form" data-form="edit-profile">
+                        <div class="form-section">
+                            <h4>Personal Information</h4>
+                            <div class="form-group">
+                                <label for="editName">Full Name</label>
+                                <input type="text" id="editName" name="name" value="${personalInfo.name || ''}" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="editEmail">Email Address</label>
+                                <input type="email" id="editEmail" name="email" value="${personalInfo.email || ''}" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="editPhone">Phone Number</label>
+                                <input type="tel" id="editPhone" name="phone" value="${personalInfo.phone || ''}">
+                            </div>
+                        </div>
+                        
+                        <div class="form-section">
+                            <h4>Preferences</h4>
+                            <div class="form-group checkbox-group">
+                                <label class="checkbox-label">
+                                    <input type="checkbox" name="notifications" ${preferences.notifications ? 'checked' : ''}>
+                                    Email notifications
+                                </label>
+                            </div>
+                            <div class="form-group checkbox-group">
+                                <label class="checkbox-label">
+                                    <input type="checkbox" name="marketing_emails" ${preferences.marketing_emails ? 'checked' : ''}>
+                                    Marketing emails and offers
+                                </label>
+                            </div>
+                            <div class="form-group">
+                                <label for="editCurrency">Preferred Currency</label>
+                                <select id="editCurrency" name="currency">
+                                    <option value="USD" ${preferences.currency === 'USD' ? 'selected' : ''}>USD ($)</option>
+                                    <option value="EUR" ${preferences.currency === 'EUR' ? 'selected' : ''}>EUR (€)</option>
+                                    <option value="GBP" ${preferences.currency === 'GBP' ? 'selected' : ''}>GBP (£)</option>
+                                </select>
+                            </div>
+                        </div>
+                        
+                        <div class="form-actions">
+                            <button type="button" class="profile-btn profile-btn-secondary" data-action="close-edit-profile">
+                                Cancel
+                            </button>
+                            <button type="submit" class="profile-btn profile-btn-primary">
+                                Save Changes
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeEditProfile();
+            }
+        });
+
+        return modal;
+    }
+
+    async handleProfileUpdate(event) {
+        event.preventDefault();
+        
+        const formData = new FormData(event.target);
+        const updates = {
+            personal_info: {
+                name: formData.get('name'),
+                email: formData.get('email'),
+                phone: formData.get('phone') || null
+            },
+            preferences: {
+                notifications: formData.get('notifications') === 'on',
+                marketing_emails: formData.get('marketing_emails') === 'on',
+                currency: formData.get('currency')
+            }
+        };
+
+        try {
+            const submitBtn = event.target.querySelector('button[type="submit"]');
+            const originalText = submitBtn.textContent;
+            submitBtn.textContent = 'Saving...';
+            submitBtn.disabled = true;
+
+            await this.firebaseManager.updateProfile(updates);
+            await this.loadProfile();
+
+            this.showSuccessMessage('Profile updated successfully!');
+            this.closeEditProfile();
+            
+        } catch (error) {
+            console.error('Profile update failed:', error);
+            this.showErrorMessage('Failed to update profile. Please try again.');
+            
+            const submitBtn = event.target.querySelector('button[type="submit"]');
+            submitBtn.textContent = 'Save Changes';
+            submitBtn.disabled = false;
+        }
+    }
+
+    // ===== ORDER HISTORY =====
+
+    async showOrderHistory(page = 1) {
+        // The webhook updates purchase_history server-side, so refresh before listing
+        if (page === 1 && this.firebaseManager?.syncPurchaseHistory) {
+            await this.firebaseManager.syncPurchaseHistory();
+        }
+
+        const orders = this.getOrderHistory();
+        const pageSize = 5;
+        const totalPages = Math.max(1, Math.ceil(orders.length / pageSize));
+        const currentPage = Math.min(Math.max(1, page), totalPages);
+        const pageOrders = orders.slice((currentPage - 1) * pageSize, currentPage * pageSize);
+
+        const body = orders.length === 0
+            ? '<p class="profile-no-activity">No orders yet. Start shopping to see your orders here!</p>'
+            : `
+                <div class="order-history-list">
+                    ${pageOrders.map(order => this.createOrderSummary(order)).join('')}
+                </div>
+                ${totalPages > 1 ? `
+                    <div class="order-history-pagination">
+                        <button class="profile-btn profile-btn-tertiary" ${currentPage === 1 ? 'disabled' : ''}
+                                data-action="order-history" data-page="${currentPage - 1}">Previous</button>
+                        <span>Page ${currentPage} of ${totalPages}</span>
+                        <button class="profile-btn profile-btn-tertiary" ${currentPage === totalPages ? 'disabled' : ''}
+                                data-action="order-history" data-page="${currentPage + 1}">Next</button>
+                    </div>
+                ` : ''}
+            `;
+
+        this.renderOrderHistoryModal('Order History', body);
+
+        if (page === 1 && this.firebaseManager) {
+            this.firebaseManager.logEvent('order_history_viewed', { order_count: orders.length });
+        }
+    }
+
+    showOrderDetail(orderId) {
+        const order = this.getOrderHistory().find(entry => entry.order_id === orderId);
+        if (!order) return;
+
+        const totals = order.totals || {};
+        const history = order.status_history || [];
+
+        const body = `
+            <div class="order-detail">
+                <button class="order-detail-back" data-action="order-history">&larr; All orders</button>
+
+                <div class="order-summary-header">
+                    <div>
+                        <div class="order-summary-id">Order ${escapeHtml(order.order_id)}</div>
+                        <div class="order-summary-date">${this.formatOrderDate(order)}</div>
+                    </div>
+                    ${this.createOrderStatusBadge(order.status)}
+                </div>
+
+                <div class="order-detail-items">
+                    ${(order.items || []).map(item => `
+                        <div class="order-detail-item">
+                            ${this.createOrderThumbnail(item)}
+                            <div class="order-detail-item-info">
+                                <div>${escapeHtml(item.name)}</div>
+                                <small>${item.sku ? `${escapeHtml(item.sku)} &middot; ` : ''}Qty ${item.quantity} &times; ${this.formatMoney(item.price)}</small>
+                            </div>
+                            <div>${this.formatMoney(item.total ?? item.price * item.quantity)}</div>
+                        </div>
+                    `).join('')}
+                </div>
+
+                <div class="order-detail-totals">
+                    <div class="profile-info-item"><label>Subtotal</label><span>${this.formatMoney(totals.subtotal)}</span></div>
+                    <div class="profile-info-item"><label>Shipping</label><span>${this.formatMoney(totals.shipping)}</span></div>
+                    <div class="profile-info-item"><label>Tax</label><span>${this.formatMoney(totals.tax)}</span></div>
+                    <div class="profile-info-item order-detail-total"><label>Total</label><span>${this.formatMoney(this.getOrderTotal(order))}</span></div>
+                    ${order.refund ? `<div class="profile-info-item"><label>Refunded</label><span>-${this.formatMoney(order.refund.amount_refunded)}</span></div>` : ''}
+                </div>
+
+                ${order.tracking ? `
+                    <div class="profile-section order-detail-tracking">
+                        <h4>Tracking</h4>
+                        <div class="profile-info-item">
+                            <label>${escapeHtml(order.tracking.carrier_name)}</label>
+                            <span>${order.tracking.tracking_url
+                                ? `<a href="${escapeHtml(order.tracking.tracking_url)}" target="_blank" rel="noopener">${escapeHtml(order.tracking.tracking_number)}</a>`
+                                : escapeHtml(order.tracking.tracking_number)}</span>
+                        </div>
+                    </div>
+                ` : ''}
+
+                ${history.length > 0 ? `
+                    <div class="profile-section order-detail-history">
+                        <h4>Status History</h4>
+                        ${history.map(entry => `
+                            <div class="profile-info-item">
+                                <label>${escapeHtml(this.formatOrderStatus(entry.status))}</label>
+                                <span>${new Date(entry.timestamp).toLocaleString()}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+
+                <div class="profile-actions">
+                    <button class="profile-btn profile-btn-primary" data-action="buy-again" data-order-id="${escapeHtml(order.order_id)}">
+                        Buy Again
+                    </button>
+                </div>
+            </div>
+        `;
+
+        this.renderOrderHistoryModal('Order Details', body);
+    }
+
+    // Re-adds whatever is still available; anything sold out or removed is reported back
+    async buyAgain(orderId) {
+        const order = this.getOrderHistory().find(entry => entry.order_id === orderId);
+        if (!order || !this.cartManager) return;
+
+        const added = [];
+        const unavailable = [];
+
+        try {
+            await this.productCatalog.ensureProducts((order.items || []).map(item => item.product_id));
+        } catch (error) {
+            console.error('Failed to load order products:', error);
+        }
+
+        for (const item of order.items || []) {
+            const product = this.productCatalog?.get(item.product_id);
+            const variant = product ? findProductVariant(product, item.variant_id) : null;
+            const stock = variant ? variant.stock : product?.stock;
+
+            if (!product || stock <= 0 || (product.variants.length > 0 && !variant)) {
+                unavailable.push(item.name);
+                continue;
+            }
+
+            try {
+                const quantity = Math.min(item.quantity, stock);
+                const options = { variantId: variant?.id || null, giftNote: item.gift_note || '' };
+                if (await this.cartManager.addToCart(product.id, quantity, options)) {
+                    added.push(item.name);
+                } else {
+                    unavailable.push(item.name);
+                }
+            } catch (error) {
+                console.warn(`Could not re-add ${item.name} to cart:`, error);
+                unavailable.push(item.name);
+            }
+        }
+
+        this.onCartChange();
+
+        if (added.length > 0 && unavailable.length === 0) {
+            this.showSuccessMessage(`Added ${added.length} item${added.length === 1 ? '' : 's'} to your cart`);
+        } else if (added.length > 0) {
+            this.showSuccessMessage(`Added ${added.length} item${added.length === 1 ? '' : 's'} - no longer available: ${unavailable.join(', ')}`);
+        } else {
+            this.showErrorMessage('None of the items from this order are available right now');
+        }
+
+        if (this.firebaseManager) {
+            this.firebaseManager.logEvent('order_buy_again', {
+                order_id: orderId,
+                items_added: added.length,
+                items_unavailable: unavailable.length
+            });
+        }
+
+        if (added.length > 0) {
+            this.closeOrderHistory();
+            this.router?.navigate('/cart');
+        }
+    }
+
+    renderOrderHistoryModal(title, body) {
+        let modal = document.getElementById('orderHistoryModal');
+
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.className = 'profile-modal';
+            modal.id = 'orderHistoryModal';
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.closeOrderHistory();
+                }
+            });
+            this.modalContainer.appendChild(modal);
+
+            setTimeout(() => {
+                modal.classList.add('show');
+            }, 10);
+        }
+
+        modal.innerHTML = `
+            <div class="profile-modal-content order-history-content">
+                <div class="profile-modal-header">
+                    <h2>${title}</h2>
+                    <button class="profile-modal-close" data-action="close-order-history">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </div>
+                <div class="profile-modal-body">
+                    ${body}
+                </div>
+            </div>
+        `;
+
+        this.router?.show('/account/orders');
+    }
+
+    createOrderSummary(order) {
+        const items = order.items || [];
+        const itemCount = items.reduce((sum, item) => sum + (item.quantity || 0), 0);
+
+        return `
+            <div class="order-summary" data-action="order-detail" data-order-id="${escapeHtml(order.order_id)}">
+                <div class="order-summary-header">
+                    <div>
+                        <div class="order-summary-id">Order ${escapeHtml(order.order_id)}</div>
+                        <div class="order-summary-date">${this.formatOrderDate(order)}</div>
+                    </div>
+                    ${this.createOrderStatusBadge(order.status)}
+                </div>
+                <div class="order-summary-thumbnails">
+                    ${items.slice(0, 4).map(item => this.createOrderThumbnail(item)).join('')}
+                    ${items.length > 4 ? `<span class="order-thumbnail-more">+${items.length - 4}</span>` : ''}
+                </div>
+                <div class="order-summary-footer">
+                    <span>${itemCount} item${itemCount === 1 ? '' : 's'}</span>
+                    <strong>${this.formatMoney(this.getOrderTotal(order))}</strong>
+                </div>
+            </div>
+        `;
+    }
+
+    createOrderThumbnail(item) {
+        const product = this.productCatalog?.get(item.product_id);
+        const image = item.image || product?.image;
+
+        return image
+            ? `<img class="order-thumbnail" src="${escapeHtml(image)}" alt="${escapeHtml(item.name)}" loading="lazy">`
+            : `<span class="order-thumbnail order-thumbnail-placeholder">${escapeHtml((item.name || '?').charAt(0))}</span>`;
+    }
+
+    createOrderStatusBadge(status = 'pending') {
+        return `<span class="order-status order-status-${escapeHtml(status)}">${escapeHtml(this.formatOrderStatus(status))}</span>`;
+    }
+
+    getOrderHistory() {
+        const orders = [...(this.currentProfile?.shopping?.purchase_history || [])];
+        return orders.sort((a, b) => (b.purchased_at || b.timestamp || '').localeCompare(a.purchased_at || a.timestamp || ''));
+    }
+
+    getOrderTotal(order) {
+        return order.payment?.amount_total ?? order.totals?.total ?? 0;
+    }
+
+    formatOrderStatus(status = 'pending') {
+        return status.charAt(0).toUpperCase() + status.slice(1).replace(/_/g, ' ');
+    }
+
+    formatOrderDate(order) {
+        const date = order.purchased_at || order.timestamp;
+        return date ? new Date(date).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }) : '';
+    }
+
+    formatMoney(amount) {
+        return `$${(amount || 0).toFixed(2)}`;
+    }
+
+    async signOut() {
+        try {
+            // The cart's stock holds are handed back while they're still ours to release
+            if (this.cartManager) {
+                await this.cartManager.switchUser(() => this.firebaseManager.signOutUser());
+            } else if (this.firebaseManager.signOutUser) {
+                await this.firebaseManager.signOutUser();
+            }
+            
+            // Clear profile and reload
+            this.currentProfile = await this.firebaseManager.getCurrentProfile();
+            this.updateProfileButton();
+            this.closeAllModals();
+            
+            this.showSuccessMessage('Signed out successfully.');
+            
+        } catch (error) {
+            console.error('Sign out failed:', error);
+            this.showErrorMessage('Failed to sign out.');
+        }
+    }
+
+    // Utility methods
+    calculateStats() {
+        if (!this.currentProfile) return { totalOrders: 0, totalSpent: 0, cartItems: 0, wishlistItems: 0, cartTotal: 0 };
+
+        const shopping = this.currentProfile.shopping || {};
+        const totalOrders = shopping.purchase_history?.length || 0;
+        const totalSpent = shopping.purchase_history?.reduce((sum, order) => sum + (order.totals?.total || 0), 0) || 0;
+        const cartItems = shopping.cart?.items?.length || 0;
+        const wishlistItems = shopping.wishlist?.length || 0;
+        const cartTotal = shopping.cart?.total || 0;
+
+        return { totalOrders, totalSpent, cartItems, wishlistItems, cartTotal };
+    }
+
+    getLastOrderDate() {
+        const orders = this.currentProfile.shopping?.purchase_history || [];
+        if (orders.length === 0) return 'No orders yet';
+        
+        const lastOrder = orders[orders.length - 1];
+        return new Date(lastOrder.purchased_at).toLocaleDateString();
+    }
+
+    getFavoriteCategory() {
+        const productViews = this.currentProfile.browsing?.product_views || [];
+        if (productViews.length === 0) return 'None yet';
+        
+        const categories = {};
+        productViews.forEach(view => {
+            const category = view.product_data?.category;
+            if (category) {
+                categories[category] = (categories[category] || 0) + 1;
+            }
+        });
+        
+        const sortedCategories = Object.entries(categories).sort(([,a], [,b]) => b - a);
+        return sortedCategories.length > 0 ? this.formatCategoryName(sortedCategories[0][0]) : 'None yet';
+    }
+
+    formatCategoryName(category) {
+        const names = {
+            'boys': 'Boys Clothing',
+            'girls': 'Girls Clothing',
+            'women': 'Women\'s Jewelry',
+            'accessories': 'Accessories'
+        };
+        return names[category] || category;
+    }
+
+    getActivityIcon(action) {
+        const icons = {
+            'item_added_to_cart': '🛒',
+            'item_removed_from_cart': '🗑️',
+            'cart_quantity_updated': '📝',
+            'page_view': '👀',
+            'product_view': '🔍',
+            'filter_used': '🔧',
+            'checkout_initiated': '💳',
+            'default': '📋'
+        };
+        return icons[action] || icons.default;
+    }
+
+    formatActivityAction(action) {
+        const labels = {
+            'item_added_to_cart': 'Added item to cart',
+            'item_removed_from_cart': 'Removed item from cart',
+            'cart_quantity_updated': 'Updated cart quantity',
+            'page_view': 'Viewed page',
+            'product_view': 'Viewed product',
+            'filter_used': 'Used filter',
+            'checkout_initiated': 'Started checkout'
+        };
+        return labels[action] || action.replace(/_/g, ' ');
+    }
+
+    formatTime(timestamp) {
+        const now = new Date();
+        const time = new Date(timestamp);
+        const diff = now - time;
+        
+        if (diff < 60000) return 'Just now';
+        if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`;
+        if (diff < 86400000) return `${Math.floor(diff / 3600000)}h ago`;
+        return `${Math.floor(diff / 86400000)}d ago`;
+    }
+
+    showSuccessMessage(message) {
+        this.showMessage(message, 'success');
+    }
+
+    showErrorMessage(message) {
+        this.showMessage(message, 'error');
+    }
+
+    showMessage(message, type = 'success') {
+        // Use existing notification system
+        if (this.notify) {
+            this.notify(message, type);
+        } else {
+            alert(message);
+        }
+    }
+
+    // Modal management
+    closeProfileModal() {
+        const modal = document.getElementById('profileModal');
+        if (modal) {
+            modal.classList.remove('show');
+            setTimeout(() => {
+                modal.remove();
+            }, 300);
+        }
+    }
+
+    closeSignupPrompt() {
+        const modal = document.getElementById('signupPromptModal');
+        if (modal) {
+            modal.classList.remove('show');
+            setTimeout(() => {
+                modal.remove();
+            }, 300);
+        }
+    }
+
+    closeEditProfile() {
+        const modal = document.getElementById('editProfileModal');
+        if (modal) {
+            modal.classList.remove('show');
+            setTimeout(() => {
+                modal.remove();
+            }, 300);
+        }
+    }
+
+    closeOrderHistory() {
+        const modal = document.getElementById('orderHistoryModal');
+        if (modal) {
+            modal.classList.remove('show');
+            setTimeout(() => {
+                modal.remove();
+            }, 300);
+
+            this.router?.leave('/account/orders');
+        }
+    }
+
+    closeAllModals() {
+        this.closeProfileModal();
+        this.closeSignupPrompt();
+        this.closeSignInModal();
+        this.closeEditProfile();
+        this.closeOrderHistory();
+    }
+}
+
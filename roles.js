@@ -0,0 +1,28 @@
+// ===== ROLES =====
+// Shared by the storefront, the API server and server/set-role.js.
+//
+//   shopper   everyone, including anonymous guests - the default
+//   staff     runs the catalog and ships orders
+//   owner     everything staff can do, plus refunds and store-wide reports
+//
+// A user's role is their `role` custom claim (npm run set-role). firestore.rules
+// and storage.rules check the same claim, so keep ROLE_PERMISSIONS in step with them.
+
+export const ROLES = ['shopper', 'staff', 'owner'];
+
+export const ROLE_PERMISSIONS = {
+    shopper: [],
+    staff: ['catalog:write', 'orders:manage'],
+    owner: ['catalog:write', 'orders:manage', 'orders:refund', 'reports:read']
+};
+
+// Claims from getIdTokenResult() or verifyIdToken(). The `admin: true` claim the
+// old set-admin script granted counts as owner.
+export function getRoleFromClaims(claims = {}) {
+    if (ROLES.includes(claims.role)) return claims.role;
+    return claims.admin === true ? 'owner' : 'shopper';
+}
+
+export function roleCan(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
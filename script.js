@@ -1,353 +1,39 @@
-// ===== MAIN APPLICATION SCRIPT WITH PROFILE INTEGRATION =====
-// Dependencies: firebase-config.js, firebase-manager.js, and profile-managers.js must be loaded first
-
-// ===== STRIPE CONFIGURATION =====
-const STRIPE_CONFIG = {
-    publishableKey: 'pk_test_51S5YU8FKyDLT77ug2RZh3OVCAzDsHVPZIvyBWxjuTcylKHLcza1XhFTjEzpWbdgilo5fpTl16ivKardNXM23c6AI00eknKjdiV'
-};
-
-// ===== GLOBAL STATE =====
-let cart = [];
-let currentFilter = 'all';
-let stripe = null;
+// ===== STOREFRONT =====
+// The product grid, search and facets, cart sidebar, product detail and checkout
+// views. main.js creates the Firebase manager, catalogue, cart and Stripe
+// integration and passes them to initializeApp; the UI pieces are built here.
+
+import { DEFAULT_PRODUCT_FILTERS, PRODUCT_SORTS, compareFeatured, filterProducts, getAvailableSizes, hasActiveFilters, parseProductFilters, serializeProductFilters } from './product-filters.js';
+import { searchProducts, getSearchSuggestions, highlightSearchMatches } from './product-search.js';
+import { escapeHtml } from './html-utils.js';
+import { getCategoryDisplayName } from './product-schema.js';
+import { getVariantLabel, getCartLineId } from './product-variants.js';
+import { InsufficientStockError } from './firebase-manager.js';
+import { getCheckoutFigures } from './order-lifecycle.js';
+import { ProfileUI } from './profile-ui.js';
+import { AdminCatalogUI } from './admin-catalog.js';
+import { AdminOrdersUI } from './admin-orders.js';
+import { HashRouter } from './hash-router.js';
+import { MobileMenu } from './mobile-menu.js';
+
+// ===== STATE =====
+let activeFilters = { ...DEFAULT_PRODUCT_FILTERS };
+let searchQuery = '';
 let firebaseManager = null;
+let productCatalog = null;
+let cartManager = null;
+let inventoryManager = null;
+let stripeIntegration = null;
 let profileUI = null;
-let products = []; // This will be populated from Firebase
+let products = []; // Every product loaded so far - see ProductCatalog
+let appRouter = null;
+let adminCatalogUI = null;
+let adminOrdersUI = null;
+let mobileMenuInstance = null;
 let currentDetailProduct = null;
-        let selectedSize = '';
-        let detailQuantity = 1;
-        let isInWishlist = false;
-// ===== PROFILE-AWARE CART MANAGEMENT =====
-class ProfileAwareCartManager {
-    constructor(firebaseManager) {
-        this.firebaseManager = firebaseManager;
-        this.localCart = [];
-    }
-
-    async initialize() {
-        await this.syncWithProfile();
-    }
-
-    async syncWithProfile() {
-        if (!this.firebaseManager || !this.firebaseManager.currentProfile) return;
-        
-        const profileCart = this.firebaseManager.currentProfile.shopping.cart.items;
-        
-        this.localCart = profileCart.map(item => {
-            const product = products.find(p => p.id === item.product_id);
-            if (!product) return null;
-            
-            return {
-                ...product,
-                quantity: item.quantity
-            };
-        }).filter(Boolean);
-        
-        cart = this.localCart;
-    }
-
-    async addToCart(productId, quantity = 1) {
-        if (this.firebaseManager) {
-            await this.firebaseManager.addToCart(productId, quantity);
-        }
-        
-        const product = products.find(p => p.id === productId);
-        if (!product) return false;
-
-        const existingItem = this.localCart.find(item => item.id === productId);
-        if (existingItem) {
-            existingItem.quantity += quantity;
-        } else {
-            this.localCart.push({ ...product, quantity });
-        }
-        
-        cart = this.localCart;
-        return true;
-    }
-
-    async removeFromCart(productId) {
-        if (this.firebaseManager) {
-            await this.firebaseManager.removeFromCart(productId);
-        }
-        
-        this.localCart = this.localCart.filter(item => item.id !== productId);
-        cart = this.localCart;
-    }
-
-    async updateQuantity(productId, quantity) {
-        if (this.firebaseManager) {
-            await this.firebaseManager.updateCartQuantity(productId, quantity);
-        }
-        
-        const item = this.localCart.find(item => item.id === productId);
-        if (item) {
-            if (quantity <= 0) {
-                await this.removeFromCart(productId);
-            } else {
-                item.quantity = quantity;
-                cart = this.localCart;
-            }
-        }
-    }
-
-    async clearCart() {
-        if (this.firebaseManager) {
-            await this.firebaseManager.clearCart();
-        }
-        
-        this.localCart = [];
-        cart = [];
-    }
-
-    getCart() {
-        return this.localCart;
-    }
-
-    getCartCount() {
-        return this.localCart.reduce((sum, item) => sum + item.quantity, 0);
-    }
-
-    getCartTotal() {
-        return this.localCart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    }
-}
-
-// ===== STRIPE INTEGRATION =====
-class StripeIntegration {
-    constructor() {
-        this.publishableKey = STRIPE_CONFIG.publishableKey;
-        this.stripe = null;
-        this.elements = null;
-        this.isLocalDevelopment = window.location.protocol === 'file:' || window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
-    }
-
-    async initialize() {
-        try {
-            if (!window.Stripe) {
-                await this.loadStripeJS();
-            }
-            
-            this.stripe = window.Stripe(this.publishableKey);
-            console.log('Stripe initialized successfully');
-            return this.stripe;
-        } catch (error) {
-            console.error('Failed to initialize Stripe:', error);
-            if (this.isLocalDevelopment) {
-                console.log('Running locally - some Stripe features may be limited');
-            }
-            return null;
-        }
-    }
-
-    async loadStripeJS() {
-        return new Promise((resolve, reject) => {
-            if (window.Stripe) {
-                resolve();
-                return;
-            }
-
-            const script = document.createElement('script');
-            script.src = 'https://js.stripe.com/v3/';
-            script.onload = resolve;
-            script.onerror = (error) => {
-                if (this.isLocalDevelopment) {
-                    console.log('Stripe.js failed to load - this is expected when running locally');
-                    resolve();
-                } else {
-                    reject(error);
-                }
-            };
-            document.head.appendChild(script);
-        });
-    }
-
-    async createCheckoutSession(items, customerInfo = {}) {
-        if (this.isLocalDevelopment) {
-            console.log('Local development mode - simulating Stripe checkout');
-            console.log('Items to checkout:', items);
-            
-            await this.logCheckoutToFirebase(items, customerInfo);
-            
-            showNotification('Local development mode - checkout simulated');
-            
-            setTimeout(async () => {
-                if (window.cartManager) {
-                    await window.cartManager.clearCart();
-                    updateCartCount();
-                    updateCartDisplay();
-                    closeCart();
-                }
-            }, 2000);
-            
-            return;
-        }
-
-        if (!this.stripe) {
-            throw new Error('Stripe not initialized');
-        }
-
-        try {
-            await this.logCheckoutToFirebase(items, customerInfo);
-
-            const lineItems = items.map(item => ({
-                price_data: {
-                    currency: 'usd',
-                    product_data: {
-                        name: item.name,
-                        description: item.description,
-                        images: [item.image],
-                        metadata: {
-                            product_id: item.id,
-                            sku: item.sku,
-                            category: item.category
-                        }
-                    },
-                    unit_amount: Math.round(item.price * 100)
-                },
-                quantity: item.quantity
-            }));
-
-            const { error } = await this.stripe.redirectToCheckout({
-                lineItems,
-                mode: 'payment',
-                successUrl: `${window.location.origin}/success?session_id={CHECKOUT_SESSION_ID}`,
-                cancelUrl: `${window.location.origin}/cart`,
-                customerEmail: customerInfo.email,
-                shippingAddressCollection: {
-                    allowedCountries: ['US', 'CA']
-                },
-                metadata: {
-                    order_source: 'all_seasons_sprouts',
-                    customer_ip: await this.getClientIP(),
-                    profile_id: firebaseManager?.currentProfile?.id
-                }
-            });
-
-            if (error) {
-                throw error;
-            }
-
-        } catch (error) {
-            console.error('Stripe checkout error:', error);
-            await firebaseManager.logEvent('checkout_error', {
-                error: error.message,
-                cart_items: items.length,
-                cart_value: items.reduce((sum, item) => sum + (item.price * item.quantity), 0)
-            });
-            throw error;
-        }
-    }
-
-    async logCheckoutToFirebase(items, customerInfo) {
-        const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        const shippingCost = this.calculateShipping(items);
-        const tax = this.calculateTax(subtotal);
-        const total = subtotal + shippingCost + tax;
-
-        const orderData = {
-            customer: customerInfo,
-            items: items.map(item => ({
-                product_id: item.id,
-                name: item.name,
-                sku: item.sku,
-                price: item.price,
-                quantity: item.quantity,
-                total: item.price * item.quantity
-            })),
-            totals: {
-                subtotal,
-                shipping: shippingCost,
-                tax,
-                total
-            },
-            payment_method: 'stripe',
-            order_source: 'website',
-            order_id: 'order_' + Date.now()
-        };
-
-        await firebaseManager.logOrder(orderData);
-    }
-
-    calculateShipping(items) {
-        const totalWeight = items.reduce((sum, item) => sum + (item.weight * item.quantity), 0);
-
-        if (totalWeight < 1) return 5.99;
-        if (totalWeight < 3) return 8.99;
-        if (totalWeight < 5) return 12.99;
-        return 15.99;
-    }
-
-    calculateTax(subtotal) {
-        return subtotal * 0.085;
-    }
-
-    async getClientIP() {
-        try {
-            const response = await fetch('https://api.ipify.org?format=json');
-            const data = await response.json();
-            return data.ip;
-        } catch (error) {
-            return 'unknown';
-        }
-    }
-}
-
-// ===== INVENTORY MANAGEMENT =====
-class InventoryManager {
-    constructor() {
-        this.lowStockThreshold = INVENTORY_CONFIG.lowStockThreshold;
-        this.ownerEmail = INVENTORY_CONFIG.ownerEmail;
-    }
-
-    getStockStatus(product) {
-        if (product.preorder && product.stock === 0) return 'preorder';
-        if (product.stock === 0) return 'out-of-stock';
-        if (product.stock <= this.lowStockThreshold) return 'low-stock';
-        return 'in-stock';
-    }
-
-    getStockBadgeInfo(product) {
-        const status = this.getStockStatus(product);
-        const badges = {
-            'in-stock': { text: 'In Stock', class: 'in-stock' },
-            'low-stock': { text: `Only ${product.stock} left`, class: 'low-stock' },
-            'out-of-stock': { text: 'Sold Out', class: 'out-of-stock' },
-            'preorder': { text: 'Preorder', class: 'preorder' }
-        };
-        return badges[status];
-    }
-
-    async updateStock(productId, quantitySold, reason = 'sale') {
-        const product = products.find(p => p.id === productId);
-        if (!product) return false;
-
-        const previousStock = product.stock;
-        const wasLowStock = previousStock <= this.lowStockThreshold;
-        const wasInStock = previousStock > 0;
-
-        const newStock = Math.max(0, product.stock - quantitySold);
-        product.stock = newStock; // Update local copy
-
-        // Update in Firebase
-        if (firebaseManager) {
-            await firebaseManager.updateProductStock(productId, newStock, reason);
-        }
-
-        if (newStock === 0 && wasInStock) {
-            await firebaseManager.sendStockAlert(productId, 'sold_out');
-        } else if (newStock <= this.lowStockThreshold && !wasLowStock && newStock > 0) {
-            await firebaseManager.sendStockAlert(productId, 'low_stock');
-        }
-
-        console.log(`Inventory updated: ${product.name} - ${newStock} remaining`);
-        return true;
-    }
-}
-
-// ===== INITIALIZE MANAGERS =====
-const stripeIntegration = new StripeIntegration();
-const inventoryManager = new InventoryManager();
-let cartManager = null;
+let selectedVariant = null;
+let detailQuantity = 1;
+let isInWishlist = false;
 
 // ===== DOM ELEMENTS =====
 const loadingScreen = document.getElementById('loadingScreen');
@@ -362,30 +48,37 @@ const cartTotal = document.getElementById('cartTotal');
 const checkoutBtn = document.getElementById('checkoutBtn');
 const productsGrid = document.getElementById('productsGrid');
 const filterTabs = document.querySelectorAll('.filter-tab');
+const searchPanel = document.getElementById('searchPanel');
+const searchInput = document.getElementById('searchInput');
+const searchSummary = document.getElementById('searchSummary');
+const facetMinPrice = document.getElementById('facetMinPrice');
+const facetMaxPrice = document.getElementById('facetMaxPrice');
+const facetInStock = document.getElementById('facetInStock');
+const facetPreorder = document.getElementById('facetPreorder');
+const sortSelect = document.getElementById('sortSelect');
+const productsSentinel = document.getElementById('productsSentinel');
 const notification = document.getElementById('notification');
 const notificationText = document.getElementById('notificationText');
 
 // ===== PRODUCT LOADING & RENDERING =====
+let productsObserver = null;
+let renderedProductIds = new Set();
+
+// First page of the current tab; later pages come from the scroll sentinel
 async function loadProducts() {
     try {
         showSkeletonLoading();
         
-        if (firebaseManager && firebaseManager.isInitialized) {
-            // Load products from Firebase and update global products array
-            products = await firebaseManager.getProducts();
-            
-            if (products.length === 0) {
-                console.warn('No products found in Firebase');
-                showEmptyState();
-                return;
-            }
-        } else {
-            console.warn('Firebase not initialized, using fallback');
-            products = firebaseManager ? await firebaseManager.getFallbackProducts() : [];
+        await productCatalog.loadNextPage(activeFilters.category);
+        products = productCatalog.getAll();
+        
+        if (products.length === 0) {
+            console.warn('No products found in Firebase');
         }
         
         await new Promise(resolve => setTimeout(resolve, 500));
-        renderProducts();
+        showLoadedProducts();
+        setupInfiniteScroll();
         
     } catch (error) {
         console.error('Failed to load products:', error);
@@ -393,50 +86,163 @@ async function loadProducts() {
     }
 }
 
+function showLoadedProducts() {
+    renderSizeFacets();
+    renderProducts();
+    updateSearchSummary();
+    updateSentinel();
+}
+
+async function loadMoreProducts() {
+    const category = activeFilters.category;
+    if (!productCatalog.hasMore(category)) return;
+    
+    productsSentinel.classList.add('loading');
+    
+    try {
+        await productCatalog.loadNextPage(category);
+        products = productCatalog.getAll();
+    } catch (error) {
+        console.error('Failed to load more products:', error);
+        productsSentinel.classList.remove('loading');
+        if (!productCatalog.isLoaded(category)) {
+            showErrorState();
+        } else {
+            showNotification('Failed to load more products', 'error');
+        }
+        return;
+    }
+    
+    productsSentinel.classList.remove('loading');
+    
+    // The shopper may have switched tabs while the page was on its way
+    if (category === activeFilters.category) {
+        showLoadedProducts();
+    }
+}
+
+function setupInfiniteScroll() {
+    if (productsObserver || !('IntersectionObserver' in window)) return;
+    
+    productsObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadMoreProducts();
+        }
+    }, { rootMargin: '400px 0px' });
+    
+    updateSentinel();
+}
+
+// Without IntersectionObserver the sentinel's Load More button does the job
+function updateSentinel() {
+    productsSentinel.style.display = productCatalog.hasMore(activeFilters.category) ? 'flex' : 'none';
+    
+    // Observing again reports straight away if the sentinel is still on screen,
+    // e.g. when the filters hid most of the page that just arrived
+    if (productsObserver) {
+        productsObserver.unobserve(productsSentinel);
+        productsObserver.observe(productsSentinel);
+    }
+}
+
+// Cart lines and past orders can name products the grid hasn't paged in yet
+async function ensureProductsLoaded(productIds) {
+    try {
+        await productCatalog.ensureProducts(productIds);
+        products = productCatalog.getAll();
+    } catch (error) {
+        console.error('Failed to load products by id:', error);
+    }
+}
+
+// The admin catalog manager saved these - show the changes without a reload
+function refreshCatalogProducts(changedProducts) {
+    if (!productCatalog) return;
+    
+    changedProducts.forEach(product => {
+        if (product.archived) {
+            productCatalog.add(product);
+            productCatalog.unlist(product.id);
+        } else {
+            productCatalog.publish(product);
+        }
+    });
+    
+    products = productCatalog.getAll();
+    renderProducts();
+}
+
 function showErrorState() {
     productsGrid.innerHTML = `
         <div style="grid-column: 1 / -1; text-align: center; padding: 4rem 2rem; color: #dc2626;">
             <h3 style="margin-bottom: 1rem;">Failed to load products</h3>
             <p style="margin-bottom: 2rem;">Please check your internet connection and try again.</p>
-            <button onclick="loadProducts()" style="background: var(--color-primary); color: white; padding: 12px 24px; border: none; border-radius: 6px; cursor: pointer;">
+            <button style="background: var(--color-primary); color: white; padding: 12px 24px; border: none; border-radius: 6px; cursor: pointer;">
                 Retry Loading
             </button>
         </div>
     `;
+    
+    productsGrid.querySelector('button').addEventListener('click', loadProducts);
 }
 
 function renderProducts(productsToRender = null) {
-    const filteredProducts = productsToRender || getFilteredProducts();
+    const results = productsToRender
+        ? productsToRender.map(product => ({ product, matches: null }))
+        : getSearchResults();
+    
+    // Only cards that weren't on screen before animate in, with the stagger capped
+    // so a freshly loaded page doesn't take seconds to appear
+    const previouslyRendered = renderedProductIds;
+    renderedProductIds = new Set(results.map(({ product }) => product.id));
     
     productsGrid.innerHTML = '';
     
-    if (filteredProducts.length === 0) {
-        showEmptyState();
+    if (results.length === 0) {
+        if (searchQuery && !productsToRender) {
+            showNoSearchResults();
+        } else {
+            showEmptyState();
+        }
         return;
     }
     
-    filteredProducts.forEach((product, index) => {
-        const productCard = createProductCard(product);
+    let newCards = 0;
+    
+    results.forEach(({ product, matches }) => {
+        const productCard = createProductCard(product, matches);
+        productsGrid.appendChild(productCard);
+        
+        if (previouslyRendered.has(product.id)) return;
+        
         productCard.style.opacity = '0';
         productCard.style.transform = 'translateY(20px)';
-        productsGrid.appendChild(productCard);
         
         setTimeout(() => {
             productCard.style.transition = 'all 0.6s cubic-bezier(0.4, 0, 0.2, 1)';
             productCard.style.opacity = '1';
             productCard.style.transform = 'translateY(0)';
-        }, index * 100);
+        }, Math.min(newCards++, 8) * 60);
     });
 }
 
+// Products that pass the facets, ranked by the search if there is one, then sorted
+function getSearchResults() {
+    const filtered = filterProducts(productCatalog.getProducts(activeFilters.category), activeFilters);
+    const results = searchQuery
+        ? searchProducts(filtered, searchQuery)
+        : filtered.map(product => ({ product, matches: null }));
+    
+    const compare = PRODUCT_SORTS[activeFilters.sort] || (searchQuery ? null : compareFeatured);
+    return compare ? [...results].sort((a, b) => compare(a.product, b.product)) : results;
+}
+
 function getFilteredProducts() {
-    if (currentFilter === 'all') {
-        return products;
-    }
-    return products.filter(product => product.category === currentFilter);
+    return getSearchResults().map(result => result.product);
 }
 
-function createProductCard(product) {
+// `matches` are the words a search matched, highlighted on the card
+function createProductCard(product, matches = null) {
     const card = document.createElement('div');
     card.className = 'product-card';
     
@@ -448,23 +254,26 @@ function createProductCard(product) {
             <img src="${product.image}" alt="${product.name}" class="product-image" loading="lazy" 
      onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNjAwIiBoZWlnaHQ9IjgwMCIgdmlld0JveD0iMCAwIDYwMCA4MDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSI2MDAiIGhlaWdodD0iODAwIiBmaWxsPSIjRjNGNEY2Ii8+Cjx0ZXh0IHg9IjMwMCIgeT0iNDAwIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBmaWxsPSIjOUNBM0FGIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIyNCI+SW1hZ2UgTm90IEZvdW5kPC90ZXh0Pgo8L3N2Zz4K'">
             <div class="stock-badge ${stockInfo.class}">${stockInfo.text}</div>
-            <button class="quick-add-btn" onclick="addToCart('${product.id}')" ${isOutOfStock ? 'disabled' : ''}>
+            <button class="quick-add-btn" ${isOutOfStock ? 'disabled' : ''}>
                 ${getAddToCartText(product)}
             </button>
-            <button class="wishlist-btn" onclick="addToWishlist('${product.id}')" title="Add to Wishlist">
+            <button class="wishlist-btn" title="Add to Wishlist">
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
                 </svg>
             </button>
         </div>
         <div class="product-info">
-            <div class="product-category">${getCategoryDisplayName(product.category)}</div>
-            <h3 class="product-title">${product.name}</h3>
+            <div class="product-category">${highlightSearchMatches(getCategoryDisplayName(product.category), matches)}</div>
+            <h3 class="product-title">${highlightSearchMatches(product.name, matches)}</h3>
             <div class="product-price">$${product.price.toFixed(2)}</div>
-            ${product.sku ? `<div class="product-sku">SKU: ${product.sku}</div>` : ''}
+            ${product.sku ? `<div class="product-sku">SKU: ${highlightSearchMatches(product.sku, matches)}</div>` : ''}
         </div>
     `;
 
+    card.querySelector('.quick-add-btn').addEventListener('click', (e) => addToCart(product.id, e.currentTarget));
+    card.querySelector('.wishlist-btn').addEventListener('click', (e) => addToWishlist(product.id, e.currentTarget));
+
     card.addEventListener('click', async (e) => {
     if (!e.target.closest('.quick-add-btn') && !e.target.closest('.wishlist-btn')) {
         // Show product detail modal
@@ -478,19 +287,10 @@ function createProductCard(product) {
 function getAddToCartText(product) {
     if (product.stock === 0 && !product.preorder) return 'Sold Out';
     if (product.preorder) return 'Preorder';
+    if (product.variants.length > 0) return 'Choose Size';
     return 'Add to Cart';
 }
 
-function getCategoryDisplayName(category) {
-    const names = {
-        'boys': 'Boys',
-        'girls': 'Girls',
-        'women': 'Women\'s Jewelry',
-        'accessories': 'Accessories'
-    };
-    return names[category] || category;
-}
-
 function showSkeletonLoading() {
     productsGrid.innerHTML = '';
     
@@ -518,30 +318,268 @@ function showEmptyState() {
 
 // ===== FILTER HANDLING =====
 async function handleFilterChange(e) {
-    const newFilter = e.target.dataset.filter;
+    await appRouter.navigate(getCategoryPath(e.target.dataset.filter));
+}
+
+function setupFacets() {
+    const readPrice = input => input.value === '' ? null : Math.max(0, parseFloat(input.value));
     
-    filterTabs.forEach(tab => tab.classList.remove('active'));
-    e.target.classList.add('active');
+    facetMinPrice.addEventListener('change', () => updateFilters({ minPrice: readPrice(facetMinPrice) }));
+    facetMaxPrice.addEventListener('change', () => updateFilters({ maxPrice: readPrice(facetMaxPrice) }));
+    facetInStock.addEventListener('change', () => updateFilters({ inStock: facetInStock.checked }));
+    facetPreorder.addEventListener('change', () => updateFilters({ preorder: facetPreorder.checked }));
+    sortSelect.addEventListener('change', () => updateFilters({ sort: sortSelect.value }));
     
-    currentFilter = newFilter;
-    renderProducts();
+    document.getElementById('facetReset').addEventListener('click', () => updateFilters({
+        ...DEFAULT_PRODUCT_FILTERS,
+        category: activeFilters.category
+    }));
+}
+
+async function updateFilters(changes) {
+    activeFilters = { ...activeFilters, ...changes };
+    
+    updateFacetControls();
+    syncFiltersToUrl();
+    
+    // A tab's first visit fetches its first page; after that it comes from the cache
+    if (productCatalog.isLoaded(activeFilters.category)) {
+        renderProducts();
+        updateSearchSummary();
+        updateSentinel();
+    } else {
+        showSkeletonLoading();
+        await loadMoreProducts();
+    }
     
     if (firebaseManager) {
         await firebaseManager.logEvent('filter_used', {
-            filter: newFilter,
+            filter: activeFilters.category,
+            facets: { ...activeFilters },
+            search_query: searchQuery || null,
             products_shown: getFilteredProducts().length
         });
     }
 }
 
+function toggleSizeFacet(size) {
+    const sizes = activeFilters.sizes.includes(size)
+        ? activeFilters.sizes.filter(selected => selected !== size)
+        : [...activeFilters.sizes, size];
+    
+    updateFilters({ sizes });
+}
+
+// Size chips depend on the catalogue, so they're rebuilt whenever products load
+function renderSizeFacets() {
+    const sizes = getAvailableSizes(products);
+    const container = document.getElementById('facetSizes');
+    
+    document.getElementById('facetSizesGroup').style.display = sizes.length > 0 ? 'flex' : 'none';
+    container.innerHTML = '';
+    
+    sizes.forEach(size => {
+        const chip = document.createElement('button');
+        chip.className = 'facet-size';
+        chip.dataset.size = size;
+        chip.textContent = size;
+        chip.onclick = () => toggleSizeFacet(size);
+        container.appendChild(chip);
+    });
+    
+    updateFacetControls();
+}
+
+// Puts the controls in step with activeFilters, e.g. after restoring them from the URL
+function updateFacetControls() {
+    filterTabs.forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.filter === activeFilters.category);
+    });
+    
+    facetMinPrice.value = activeFilters.minPrice ?? '';
+    facetMaxPrice.value = activeFilters.maxPrice ?? '';
+    facetInStock.checked = activeFilters.inStock;
+    facetPreorder.checked = activeFilters.preorder;
+    sortSelect.value = activeFilters.sort;
+    
+    document.querySelectorAll('.facet-size').forEach(chip => {
+        chip.classList.toggle('selected', activeFilters.sizes.includes(chip.dataset.size));
+    });
+    
+    document.getElementById('facetReset').style.display = hasActiveFilters(activeFilters) ? 'inline-block' : 'none';
+}
+
+// ===== URL STATE =====
+function restoreFiltersFromUrl() {
+    const { filters, query } = parseProductFilters(window.location.search);
+    
+    // The category lives in the route (#/category/girls); ?category= is kept for old links
+    const route = appRouter?.match(window.location.hash);
+    if (route?.route.name === 'category') {
+        filters.category = route.params.category;
+    }
+    
+    activeFilters = filters;
+    searchQuery = query;
+    
+    if (query) {
+        searchInput.value = query;
+        searchPanel.classList.add('open');
+    }
+    
+    updateFacetControls();
+}
+
+// replaceState so filter tweaks don't each add a history entry
+function syncFiltersToUrl() {
+    const queryString = serializeProductFilters({ ...activeFilters, category: DEFAULT_PRODUCT_FILTERS.category }, searchQuery);
+    const url = `${window.location.pathname}${queryString ? `?${queryString}` : ''}${window.location.hash}`;
+    
+    window.history.replaceState(window.history.state, '', url);
+}
+
+// ===== SEARCH =====
+let searchRenderTimer = null;
+let searchTrackTimer = null;
+let lastTrackedSearch = '';
+
+function setupSearch() {
+    document.getElementById('searchBtn').addEventListener('click', toggleSearch);
+    document.getElementById('searchClose').addEventListener('click', closeSearch);
+    document.getElementById('searchClear').addEventListener('click', closeSearch);
+    
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchRenderTimer);
+        searchRenderTimer = setTimeout(() => applySearch(searchInput.value), 150);
+    });
+    
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            clearTimeout(searchRenderTimer);
+            applySearch(searchInput.value);
+            recordSearch();
+        }
+    });
+}
+
+function toggleSearch() {
+    if (searchPanel.classList.contains('open')) {
+        closeSearch();
+    } else {
+        openSearch();
+    }
+}
+
+function openSearch() {
+    searchPanel.classList.add('open');
+    searchInput.focus();
+}
+
+function closeSearch() {
+    searchPanel.classList.remove('open');
+    searchInput.value = '';
+    applySearch('');
+}
+
+function applySearch(query) {
+    const trimmed = query.trim();
+    if (trimmed === searchQuery) return;
+    
+    const startingSearch = !searchQuery && trimmed;
+    searchQuery = trimmed;
+    
+    renderProducts();
+    updateSearchSummary();
+    syncFiltersToUrl();
+    
+    if (startingSearch) {
+        document.getElementById('collections').scrollIntoView({ behavior: 'smooth' });
+    }
+    
+    // Record what the shopper settled on, not every keystroke
+    clearTimeout(searchTrackTimer);
+    if (searchQuery) {
+        searchTrackTimer = setTimeout(recordSearch, 1500);
+    }
+}
+
+async function recordSearch() {
+    clearTimeout(searchTrackTimer);
+    if (searchQuery.length < 2 || searchQuery === lastTrackedSearch || !firebaseManager) return;
+    
+    lastTrackedSearch = searchQuery;
+    const resultsCount = getFilteredProducts().length;
+    
+    try {
+        await firebaseManager.trackSearch(searchQuery, resultsCount);
+        await firebaseManager.logEvent('search', {
+            query: searchQuery,
+            results_count: resultsCount,
+            filter: activeFilters.category
+        });
+    } catch (error) {
+        console.error('Failed to record search:', error);
+    }
+}
+
+function runSuggestedSearch(query) {
+    searchInput.value = query;
+    openSearch();
+    applySearch(query);
+    recordSearch();
+}
+
+function updateSearchSummary() {
+    if (!searchQuery) {
+        searchSummary.style.display = 'none';
+        return;
+    }
+    
+    const count = getFilteredProducts().length;
+    searchSummary.querySelector('.search-summary-text').textContent =
+        `${count} result${count === 1 ? '' : 's'} for “${searchQuery}”`;
+    searchSummary.style.display = 'flex';
+}
+
+function showNoSearchResults() {
+    // Suggestions come from the whole catalogue, not just the current category
+    const suggestions = getSearchSuggestions(products, searchQuery);
+    const foundElsewhere = activeFilters.category !== 'all' && searchProducts(products, searchQuery).length > 0;
+    
+    const suggestionButtons = suggestions
+        .map(suggestion => `<button class="search-suggestion" data-suggestion="${escapeHtml(suggestion)}">${escapeHtml(suggestion)}</button>`)
+        .join(' or ');
+    
+    productsGrid.innerHTML = `
+        <div class="search-empty">
+            <h3>No results for “${escapeHtml(searchQuery)}”</h3>
+            <p>${suggestions.length > 0 ? `Did you mean ${suggestionButtons}?` : 'Check the spelling or try a more general word.'}</p>
+            ${foundElsewhere ? `<button class="search-suggestion" data-search-all>Search all categories</button>` : ''}
+        </div>
+    `;
+    
+    productsGrid.querySelectorAll('[data-suggestion]').forEach(button => {
+        button.addEventListener('click', () => runSuggestedSearch(button.dataset.suggestion));
+    });
+    productsGrid.querySelector('[data-search-all]')?.addEventListener('click', () => {
+        document.querySelector('.filter-tab[data-filter=all]').click();
+    });
+}
+
 // ===== CART FUNCTIONALITY =====
-async function addToCart(productId) {
+async function addToCart(productId, button) {
     const product = products.find(p => p.id === productId);
     if (!product || (product.stock === 0 && !product.preorder)) {
         return;
     }
     
-    const button = event.target;
+    // Sized products need a choice first
+    if (product.variants.length > 0) {
+        showProductDetail(productId);
+        return;
+    }
+    
     const originalText = button.textContent;
     
     button.style.background = '#2d5a27';
@@ -549,10 +587,6 @@ async function addToCart(productId) {
     button.disabled = true;
     
     try {
-        if (!product.preorder && firebaseManager) {
-            await inventoryManager.updateStock(productId, 1);
-        }
-        
         await cartManager.addToCart(productId, 1);
         
         if (firebaseManager) {
@@ -577,12 +611,12 @@ async function addToCart(productId) {
             button.style.background = '';
             button.textContent = originalText;
             button.disabled = false;
-            loadProducts(); // Reload to show updated stock
+            renderProducts(); // Show the stock left after our hold
         }, 1500);
         
     } catch (error) {
         console.error('Failed to add item to cart:', error);
-        showNotification('Failed to add item to cart', 'error');
+        showNotification(error instanceof InsufficientStockError ? error.message : 'Failed to add item to cart', 'error');
         
         button.style.background = '';
         button.textContent = originalText;
@@ -590,7 +624,7 @@ async function addToCart(productId) {
     }
 }
 
-async function addToWishlist(productId) {
+async function addToWishlist(productId, wishlistBtn = null) {
     const product = products.find(p => p.id === productId);
     if (!product || !firebaseManager) return;
 
@@ -604,7 +638,6 @@ async function addToWishlist(productId) {
 
         showNotification(`${product.name} added to wishlist`);
         
-        const wishlistBtn = event.target.closest('.wishlist-btn');
         if (wishlistBtn) {
             wishlistBtn.style.color = '#2d5a27';
         }
@@ -614,39 +647,49 @@ async function addToWishlist(productId) {
     }
 }
 
-async function removeFromCart(productId) {
-    await cartManager.removeFromCart(productId);
+async function removeFromCart(lineId) {
+    const item = cartManager.findLine(lineId);
+    await cartManager.removeFromCart(lineId);
     
     updateCartCount();
     updateCartDisplay();
     
-    if (firebaseManager) {
+    if (firebaseManager && item) {
         await firebaseManager.logEvent('item_removed_from_cart', {
-            product_id: productId,
+            product_id: item.id,
+            variant_id: item.variant_id,
             cart_total_items: cartManager.getCartCount(),
             cart_total_value: cartManager.getCartTotal()
         });
     }
 }
 
-async function updateQuantity(productId, change) {
-    const currentCart = cartManager.getCart();
-    const item = currentCart.find(item => item.id === productId);
+async function updateQuantity(lineId, change) {
+    const item = cartManager.findLine(lineId);
     if (!item) return;
     
-    const newQuantity = item.quantity + change;
+    const oldQuantity = item.quantity;
+    const newQuantity = oldQuantity + change;
     
     if (newQuantity <= 0) {
-        await removeFromCart(productId);
+        await removeFromCart(lineId);
     } else {
-        await cartManager.updateQuantity(productId, newQuantity);
+        try {
+            await cartManager.updateQuantity(lineId, newQuantity);
+        } catch (error) {
+            console.error('Failed to update quantity:', error);
+            showNotification(error instanceof InsufficientStockError ? error.message : 'Failed to update quantity', 'error');
+            return;
+        }
+        
         updateCartCount();
         updateCartDisplay();
         
         if (firebaseManager) {
             await firebaseManager.logEvent('cart_quantity_updated', {
-                product_id: productId,
-                old_quantity: item.quantity,
+                product_id: item.id,
+                variant_id: item.variant_id,
+                old_quantity: oldQuantity,
                 new_quantity: newQuantity,
                 cart_total_items: cartManager.getCartCount(),
                 cart_total_value: cartManager.getCartTotal()
@@ -705,15 +748,36 @@ function updateCartDisplay() {
                 </div>
                 <div class="cart-item-controls">
                     <div class="quantity-controls">
-                        <button class="quantity-btn" onclick="updateQuantity('${item.id}', -1)">−</button>
+                        <button class="quantity-btn" data-change="-1">−</button>
                         <span class="quantity">${item.quantity}</span>
-                        <button class="quantity-btn" onclick="updateQuantity('${item.id}', 1)">+</button>
+                        <button class="quantity-btn" data-change="1">+</button>
                     </div>
                     <div class="item-price">$${itemTotal.toFixed(2)}</div>
                 </div>
-                <button class="remove-item" onclick="removeFromCart('${item.id}')">Remove</button>
+                <button class="remove-item">Remove</button>
             </div>
         `;
+        
+        cartItem.querySelectorAll('.quantity-btn').forEach(button => {
+            button.addEventListener('click', () => updateQuantity(item.line_id, Number(button.dataset.change)));
+        });
+        cartItem.querySelector('.remove-item').addEventListener('click', () => removeFromCart(item.line_id));
+        
+        // Chosen options go in as text - the gift note is whatever the shopper typed
+        const info = cartItem.querySelector('.cart-item-info');
+        if (item.variant_label) {
+            const option = document.createElement('p');
+            option.className = 'cart-item-option';
+            option.textContent = item.variant_label;
+            info.appendChild(option);
+        }
+        if (item.gift_note) {
+            const note = document.createElement('p');
+            note.className = 'cart-item-option cart-item-gift-note';
+            note.textContent = `Gift note: “${item.gift_note}”`;
+            info.appendChild(note);
+        }
+        
         cartItems.appendChild(cartItem);
     });
     
@@ -725,6 +789,8 @@ async function openCart() {
     cartOverlay.classList.add('show');
     document.body.style.overflow = 'hidden';
     
+    appRouter?.show('/cart');
+    
     if (firebaseManager) {
         await firebaseManager.logEvent('cart_opened', {
             cart_items: cartManager.getCartCount(),
@@ -737,16 +803,34 @@ function closeCart() {
     cartSidebar.classList.remove('open');
     cartOverlay.classList.remove('show');
     document.body.style.overflow = '';
+    
+    appRouter?.leave('/cart');
 }
 
 async function proceedToCheckout() {
     const currentCart = cartManager.getCart();
     if (currentCart.length === 0) return;
     
+    // Orders and stock live in Firestore - the cart waits on this device until we're back
+    if (firebaseManager.isOffline) {
+        showNotification("You're offline - checkout will be available once you're back online");
+        return;
+    }
+    
     try {
         checkoutBtn.textContent = 'Processing...';
         checkoutBtn.disabled = true;
         
+        // Holds lapse after half an hour - renew them, and let the shopper see what
+        // had to be trimmed before paying for it
+        const trimmedItems = await cartManager.refreshReservations();
+        if (trimmedItems.length > 0) {
+            updateCartCount();
+            updateCartDisplay();
+            showNotification(`Some items in your cart are no longer available: ${trimmedItems.join(', ')}`, 'error');
+            return;
+        }
+        
         const profile = await firebaseManager.getCurrentProfile();
         const customerInfo = {
             email: profile?.personal_info?.email || null,
@@ -774,8 +858,8 @@ async function proceedToCheckout() {
             }
         }
         
+        // Redirects to Stripe - the cart is emptied when the shopper comes back paid
         await stripeIntegration.createCheckoutSession(currentCart, customerInfo);
-        
     } catch (error) {
         console.error('Checkout failed:', error);
         showNotification('Checkout failed. Please try again.', 'error');
@@ -789,74 +873,279 @@ async function proceedToCheckout() {
         }
     } finally {
         checkoutBtn.textContent = 'Proceed to Checkout';
-        checkoutBtn.disabled = currentCart.length === 0;
+        checkoutBtn.disabled = cartManager.getCart().length === 0;
     }
 }
 
 // ===== INITIALIZATION =====
-document.addEventListener('DOMContentLoaded', function() {
-    initializeApp();
-});
-
-async function initializeApp() {
+// Called by main.js once the DOM is ready
+export async function initializeApp(services) {
+    ({ firebaseManager, productCatalog, cartManager, inventoryManager, stripeIntegration } = services);
+    
     try {
         // Initialize Firebase
-        firebaseManager = new FirebaseManager();
         await firebaseManager.initialize();
         
         // Initialize cart manager with profile integration
-        cartManager = new ProfileAwareCartManager(firebaseManager);
         await cartManager.initialize();
         
+        // Screens take the router to record themselves in the URL
+        appRouter = createAppRouter();
+        
         // Initialize Profile UI
-        profileUI = new ProfileUI();
-        profileUI.initialize(firebaseManager);
+        profileUI = new ProfileUI(firebaseManager, {
+            cartManager,
+            productCatalog,
+            router: appRouter,
+            notify: showNotification,
+            onCartChange: () => {
+                updateCartCount();
+                updateCartDisplay();
+            }
+        });
+        profileUI.initialize();
+        
+        // Signing in or out reloads the profile; the cart manager re-syncs itself
+        firebaseManager.onAuthChange(async () => {
+            await profileUI.loadProfile();
+            updateCartCount();
+            updateCartDisplay();
+        });
         
-        // Make available globally
-        window.profileUI = profileUI;
-        window.firebaseManager = firebaseManager;
-        window.cartManager = cartManager;
+        // Products loaded offline are stand-ins, and stock may have moved meanwhile
+        firebaseManager.onConnectionChange(async (online) => {
+            if (!online) {
+                showNotification("You're offline - checkout will be available once you're back online");
+                return;
+            }
+            
+            productCatalog.reset();
+            await loadProducts();
+            const trimmedItems = await cartManager.resume();
+            products = productCatalog.getAll();
+            
+            updateCartCount();
+            updateCartDisplay();
+            
+            if (trimmedItems.length > 0) {
+                showNotification(`Some items in your cart are no longer available: ${trimmedItems.join(', ')}`, 'error');
+            } else {
+                showNotification("You're back online");
+            }
+        });
+        
+        // Owner-only catalog manager (#/admin/products)
+        adminCatalogUI = new AdminCatalogUI(firebaseManager, {
+            router: appRouter,
+            notify: showNotification,
+            onProductsChanged: refreshCatalogProducts
+        });
+        
+        // Admin orders dashboard (#/admin/orders)
+        adminOrdersUI = new AdminOrdersUI(firebaseManager, {
+            router: appRouter,
+            notify: showNotification
+        });
         
         // Initialize Stripe
         await stripeIntegration.initialize();
         
-        // Setup event listeners
-        setupEventListeners();
-        setupHeaderScroll();
-        setupNavigationRouting();
+        // Setup event listeners
+        setupEventListeners();
+        setupHeaderScroll();
+        
+        // Shared links and reloads come back to the same filtered view
+        if (!getCheckoutReturn()) {
+            restoreFiltersFromUrl();
+        }
+        
+        // Load products (THIS IS CRITICAL - must populate products array)
+        await loadProducts();
+        
+        // The saved cart may hold products from pages that haven't loaded
+        await ensureProductsLoaded(
+            (firebaseManager.currentProfile?.shopping.cart.items || []).map(item => item.product_id)
+        );
+        
+        // Re-match the saved cart against loaded products and renew its stock holds
+        await firebaseManager.releaseExpiredReservations();
+        await cartManager.syncWithProfile();
+        
+        // Back from a paid checkout the order owns that stock, so the cart isn't re-held
+        const checkoutReturn = getCheckoutReturn();
+        if (checkoutReturn?.view !== 'success') {
+            const trimmedItems = await cartManager.refreshReservations();
+            if (trimmedItems.length > 0) {
+                showNotification(`Some items in your cart are no longer available: ${trimmedItems.join(', ')}`, 'error');
+            }
+        }
+        
+        // Update cart display
+        updateCartCount();
+        updateCartDisplay();
+        
+        // Open whatever the URL points at - a product, the cart, order history
+        await appRouter.start();
+        
+        // Hide loading screen
+        setTimeout(() => {
+            loadingScreen.classList.add('hidden');
+            
+            if (checkoutReturn) {
+                handleCheckoutReturn(checkoutReturn);
+            } else if (firebaseManager.isOffline) {
+                showNotification("You're offline - your cart and wishlist are saved on this device");
+            }
+        }, 1500);
+        
+        // Setup remaining features
+        scheduleDailyReport();
+        scheduleReservationSweep();
+        
+        await firebaseManager.logEvent('app_initialized', {
+            user_agent: navigator.userAgent,
+            screen_resolution: `${screen.width}x${screen.height}`,
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+        
+        await trackUserSession();
+        setupSignupPrompts();
+        
+        console.log('App initialized successfully with profile system');
+        
+    } catch (error) {
+        console.error('App initialization failed:', error);
+        showNotification('Failed to initialize app', 'error');
+    }
+}
+
+// ===== CHECKOUT RETURN VIEWS =====
+// Stripe sends customers back to /success?session_id=... or /cart (see server/checkout.js)
+
+function getCheckoutReturn() {
+    const path = window.location.pathname.replace(/\/+$/, '');
+    
+    if (path === '/success') {
+        return {
+            view: 'success',
+            sessionId: new URLSearchParams(window.location.search).get('session_id')
+        };
+    }
+    
+    if (path === '/cart') {
+        return { view: 'cancel' };
+    }
+    
+    return null;
+}
+
+async function handleCheckoutReturn({ view, sessionId }) {
+    // Refreshing shouldn't replay the confirmation or reopen the cart
+    window.history.replaceState(null, '', '/');
+    
+    if (view === 'cancel') {
+        openCart();
+        showNotification('Checkout cancelled - your cart is just as you left it');
+        await firebaseManager.logEvent('checkout_cancelled', {
+            cart_items: cartManager.getCartCount(),
+            cart_value: cartManager.getCartTotal()
+        });
+        return;
+    }
+    
+    openOrderConfirmation();
+    
+    try {
+        const order = sessionId ? await firebaseManager.waitForOrderPayment(sessionId) : null;
+        
+        if (!order) {
+            renderOrderConfirmationMessage('Order not found', 'We couldn\'t find an order for this checkout. If you were charged, please contact us.');
+            return;
+        }
+        
+        if (order.payment?.status === 'failed' && order.status === 'pending') {
+            renderOrderConfirmationMessage('Payment failed', order.payment.failure_message || 'Your payment didn\'t go through. Your cart has been kept so you can try again.');
+            await cartManager.refreshReservations();
+            return;
+        }
+        
+        if (order.status === 'pending') {
+            renderOrderConfirmationMessage('Payment processing', 'We\'re still waiting for confirmation from our payment provider. Your cart has been kept, and we\'ll email you once your order is confirmed.');
+            return;
+        }
         
-        // Load products (THIS IS CRITICAL - must populate products array)
-        await loadProducts();
+        renderOrderConfirmation(order);
         
-        // Update cart display
+        // Only now is it safe to empty the cart
+        await firebaseManager.syncPurchaseHistory();
+        await cartManager.clearCart();
         updateCartCount();
         updateCartDisplay();
         
-        // Hide loading screen
-        setTimeout(() => {
-            loadingScreen.classList.add('hidden');
-        }, 1500);
-        
-        // Setup remaining features
-        scheduleDailyReport();
-        
-        await firebaseManager.logEvent('app_initialized', {
-            user_agent: navigator.userAgent,
-            screen_resolution: `${screen.width}x${screen.height}`,
-            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        await firebaseManager.logEvent('checkout_completed', {
+            order_id: order.id,
+            order_value: order.payment?.amount_total ?? getCheckoutFigures(order).totals.total ?? 0,
+            items: order.items?.length || 0
         });
-        
-        await trackUserSession();
-        setupSignupPrompts();
-        
-        console.log('App initialized successfully with profile system');
-        
     } catch (error) {
-        console.error('App initialization failed:', error);
-        showNotification('Failed to initialize app', 'error');
+        console.error('Failed to load order confirmation:', error);
+        renderOrderConfirmationMessage('Something went wrong', 'We couldn\'t load your order. If you were charged, your order is safe - please contact us.');
     }
 }
 
+function openOrderConfirmation() {
+    const modal = document.getElementById('orderConfirmationModal');
+    modal.classList.add('show');
+    document.body.style.overflow = 'hidden';
+    
+    document.getElementById('orderConfirmationClose').onclick = closeOrderConfirmation;
+    modal.onclick = (e) => {
+        if (e.target === modal || e.target.closest('[data-action="close-order-confirmation"]')) closeOrderConfirmation();
+    };
+}
+
+function closeOrderConfirmation() {
+    document.getElementById('orderConfirmationModal').classList.remove('show');
+    document.body.style.overflow = '';
+}
+
+function renderOrderConfirmationMessage(title, message) {
+    document.getElementById('orderConfirmationTitle').textContent = title;
+    document.getElementById('orderConfirmationBody').innerHTML = `
+        <div class="order-confirmation-status">
+            <p>${escapeHtml(message)}</p>
+        </div>
+        <button class="checkout-btn" data-action="close-order-confirmation">Continue Shopping</button>
+    `;
+}
+
+function renderOrderConfirmation(order) {
+    const { lines, totals } = getCheckoutFigures(order);
+    const formatMoney = (amount) => `$${(amount || 0).toFixed(2)}`;
+    
+    document.getElementById('orderConfirmationTitle').textContent = 'Thank you for your order';
+    document.getElementById('orderConfirmationBody').innerHTML = `
+        <p class="order-confirmation-meta">
+            Order ${escapeHtml(order.order_id || order.id)}${order.customer?.email ? ` &middot; confirmation sent to ${escapeHtml(order.customer.email)}` : ''}
+        </p>
+        <div class="order-lines">
+            ${lines.map(item => `
+                <div class="order-line">
+                    <span>${escapeHtml(item.name)} &times; ${item.quantity}</span>
+                    <span>${formatMoney(item.total ?? item.price * item.quantity)}</span>
+                </div>
+            `).join('')}
+        </div>
+        <div class="order-totals">
+            <div class="order-line"><span>Subtotal</span><span>${formatMoney(totals.subtotal)}</span></div>
+            <div class="order-line"><span>Shipping</span><span>${formatMoney(totals.shipping)}</span></div>
+            <div class="order-line"><span>Tax</span><span>${formatMoney(totals.tax)}</span></div>
+            <div class="order-line total"><span>Total</span><span>${formatMoney(order.payment?.amount_total ?? totals.total)}</span></div>
+        </div>
+        <button class="checkout-btn" data-action="close-order-confirmation">Continue Shopping</button>
+    `;
+}
+
 // ===== SIGNUP PROMPT TRIGGERS =====
 function setupSignupPrompts() {
     let actionsCount = 0;
@@ -900,6 +1189,7 @@ function setupEventListeners() {
     cartClose.addEventListener('click', closeCart);
     cartOverlay.addEventListener('click', closeCart);
     checkoutBtn.addEventListener('click', proceedToCheckout);
+    document.getElementById('loadMoreBtn').addEventListener('click', loadMoreProducts);
 
     const heroCTA = document.querySelector('.hero-cta');
     if (heroCTA) {
@@ -913,10 +1203,20 @@ function setupEventListeners() {
 
     document.addEventListener('keydown', handleKeyboardShortcuts);
 
-    const mobileMenuBtn = document.getElementById('mobileMenuBtn');
-    if (mobileMenuBtn) {
-        mobileMenuBtn.addEventListener('click', toggleMobileMenu);
-    }
+    setupSearch();
+    setupFacets();
+    setupProductDetail();
+
+    mobileMenuInstance = new MobileMenu(firebaseManager, appRouter);
+    
+    document.getElementById('mobileAccountBtn').addEventListener('click', () => {
+        profileUI?.showProfileModal();
+        mobileMenuInstance.close();
+    });
+    document.getElementById('mobileCartBtn').addEventListener('click', () => {
+        openCart();
+        mobileMenuInstance.close();
+    });
 }
 
 function setupHeaderScroll() {
@@ -957,237 +1257,18 @@ function handleKeyboardShortcuts(e) {
         if (profileUI && document.getElementById('signupPromptModal')?.classList.contains('show')) {
             profileUI.closeSignupPrompt();
         }
-        if (mobileMenuInstance && mobileMenuInstance.getIsOpen()) {
-            mobileMenuInstance.close();
+        if (profileUI && document.getElementById('orderHistoryModal')?.classList.contains('show')) {
+            profileUI.closeOrderHistory();
+        }
+        if (document.getElementById('orderConfirmationModal')?.classList.contains('show')) {
+            closeOrderConfirmation();
         }
-        // Add this line:
         if (document.getElementById('productDetailModal')?.classList.contains('show')) {
             closeProductDetail();
         }
-    }
-}
-
-// ===== MOBILE MENU FUNCTIONALITY =====
-class MobileMenu {
-    constructor() {
-        this.menuButton = document.getElementById('mobileMenuBtn');
-        this.menu = document.getElementById('mobileMenu');
-        this.overlay = document.getElementById('mobileMenuOverlay');
-        this.closeButton = document.getElementById('mobileMenuClose');
-        this.menuLinks = document.querySelectorAll('.mobile-menu-nav a');
-        this.isOpen = false;
-        
-        this.init();
-    }
-    
-    init() {
-        if (!this.menuButton || !this.menu || !this.overlay) {
-            console.warn('Mobile menu elements not found');
-            return;
-        }
-
-        // Event listeners
-        this.menuButton.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.toggle();
-        });
-        
-        if (this.closeButton) {
-            this.closeButton.addEventListener('click', () => this.close());
-        }
-        
-        this.overlay.addEventListener('click', () => this.close());
-        
-        // Close menu when clicking nav links with filter routing
-        this.menuLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                this.handleMobileNavClick(e, link);
-            });
-        });
-        
-        // Close menu on escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isOpen) {
-                this.close();
-            }
-        });
-        
-        // Handle window resize - close menu if screen gets larger
-        window.addEventListener('resize', () => {
-            if (window.innerWidth > 768 && this.isOpen) {
-                this.close();
-            }
-        });
-    }
-    
-    handleMobileNavClick(e, link) {
-        const href = link.getAttribute('href');
-        
-        // Map nav links to filter values (same as desktop)
-        const navToFilterMap = {
-            '#boys': 'boys',
-            '#girls': 'girls',
-            '#women': 'women',
-            '#collections': 'all'
-        };
-        
-        // Skip home and contact - just close menu
-        if (href === '#home' || href === '#contact') {
-            setTimeout(() => this.close(), 150);
-            return;
-        }
-        
-        // Handle filter routing
-        if (navToFilterMap[href]) {
-            e.preventDefault();
-            
-            // Close mobile menu immediately
-            this.close();
-            
-            // Find the collections section
-            const collectionsSection = document.querySelector('.collections-section') || 
-                                     document.getElementById('collections');
-            
-            if (collectionsSection) {
-                // Scroll to collections section with header offset
-                const headerHeight = 100;
-                const elementTop = collectionsSection.getBoundingClientRect().top + window.pageYOffset;
-                const offsetPosition = elementTop - headerHeight;
-                
-                window.scrollTo({
-                    top: offsetPosition,
-                    behavior: 'smooth'
-                });
-            }
-            
-            // Activate the correct filter tab after scroll
-            setTimeout(() => {
-                const targetFilter = navToFilterMap[href];
-                const targetTab = document.querySelector(`[data-filter="${targetFilter}"]`);
-                
-                if (targetTab) {
-                    // Simulate clicking the filter tab
-                    targetTab.click();
-                }
-                
-                // Log mobile navigation event
-                if (firebaseManager) {
-                    firebaseManager.logEvent('mobile_nav_filter_used', {
-                        filter: targetFilter,
-                        navigation_method: 'mobile_menu',
-                        timestamp: new Date().toISOString()
-                    });
-                }
-            }, 600); // Wait for scroll animation
-        } else {
-            // For other links, just close menu after a delay
-            setTimeout(() => this.close(), 150);
-        }
-    }
-    
-    toggle() {
-        if (this.isOpen) {
-            this.close();
-        } else {
-            this.open();
-        }
-    }
-    
-    open() {
-        this.isOpen = true;
-        this.menu.classList.add('open');
-        this.overlay.classList.add('show');
-        this.menuButton.classList.add('active');
-        document.body.classList.add('mobile-menu-open');
-        
-        // Focus management for accessibility
-        if (this.closeButton) {
-            this.closeButton.focus();
-        }
-        
-        // Analytics tracking if available
-        if (firebaseManager) {
-            firebaseManager.logEvent('mobile_menu_opened', {
-                timestamp: new Date().toISOString(),
-                screen_width: window.innerWidth
-            });
-        }
-        
-        console.log('Mobile menu opened');
-    }
-    
-    close() {
-        this.isOpen = false;
-        this.menu.classList.remove('open');
-        this.overlay.classList.remove('show');
-        this.menuButton.classList.remove('active');
-        document.body.classList.remove('mobile-menu-open');
-        
-        // Return focus to menu button for accessibility
-        this.menuButton.focus();
-        
-        console.log('Mobile menu closed');
-    }
-    
-    // Public method to check if menu is open
-    getIsOpen() {
-        return this.isOpen;
-    }
-}
-
-// Initialize mobile menu and make it globally available
-let mobileMenuInstance = null;
-
-// Update your existing setupEventListeners function
-function setupEventListeners() {
-    filterTabs.forEach(tab => {
-        tab.addEventListener('click', handleFilterChange);
-    });
-
-    cartBtn.addEventListener('click', openCart);
-    cartClose.addEventListener('click', closeCart);
-    cartOverlay.addEventListener('click', closeCart);
-    checkoutBtn.addEventListener('click', proceedToCheckout);
-
-    const heroCTA = document.querySelector('.hero-cta');
-    if (heroCTA) {
-        heroCTA.addEventListener('click', (e) => {
-            e.preventDefault();
-            document.getElementById('collections').scrollIntoView({ 
-                behavior: 'smooth' 
-            });
-        });
-    }
-
-    document.addEventListener('keydown', handleKeyboardShortcuts);
-
-    // Initialize mobile menu instead of the old event listener
-    mobileMenuInstance = new MobileMenu();
-    
-    // Make it globally available
-    window.mobileMenuInstance = mobileMenuInstance;
-}
-
-// Remove the old toggleMobileMenu function completely and replace with:
-function toggleMobileMenu() {
-    if (mobileMenuInstance) {
-        mobileMenuInstance.toggle();
-    }
-}
-
-// Update your handleKeyboardShortcuts function to include mobile menu
-function handleKeyboardShortcuts(e) {
-    if (e.key === 'Escape') {
-        if (cartSidebar.classList.contains('open')) {
-            closeCart();
-        }
-        if (profileUI && document.getElementById('profileModal')?.classList.contains('show')) {
-            profileUI.closeProfileModal();
-        }
-        if (profileUI && document.getElementById('signupPromptModal')?.classList.contains('show')) {
-            profileUI.closeSignupPrompt();
+        if (searchPanel.classList.contains('open')) {
+            closeSearch();
         }
-        // Add mobile menu escape handling
         if (mobileMenuInstance && mobileMenuInstance.getIsOpen()) {
             mobileMenuInstance.close();
         }
@@ -1212,10 +1293,20 @@ function scheduleDailyReport() {
     }, msUntilTomorrow);
 }
 
+// Periodically hand back stock held by abandoned carts
+function scheduleReservationSweep() {
+    setInterval(() => {
+        if (firebaseManager) {
+            firebaseManager.releaseExpiredReservations();
+        }
+    }, 5 * 60 * 1000);
+}
+
 // ===== ANALYTICS HELPER FUNCTIONS =====
-async function trackPageView(pageName) {
+async function trackPageView(pageName, data = {}) {
     if (firebaseManager) {
         await firebaseManager.trackPageView(pageName, {
+            ...data,
             timestamp: new Date().toISOString(),
             referrer: document.referrer
         });
@@ -1295,75 +1386,114 @@ window.addEventListener('unhandledrejection', async (e) => {
 // ===== INITIALIZE PERFORMANCE MONITORING =====
 measurePerformance();
 
-// ===== EXPOSE GLOBAL FUNCTIONS =====
-window.addToCart = addToCart;
-window.addToWishlist = addToWishlist;
-window.removeFromCart = removeFromCart;
-window.updateQuantity = updateQuantity;
-window.updateCartCount = updateCartCount;
-window.updateCartDisplay = updateCartDisplay;
-
 // ===== ADDITIONAL INITIALIZATION =====
 setTimeout(async () => {
+    // Page views are tracked by the router
     if (firebaseManager && firebaseManager.isInitialized) {
-        await trackPageView('home');
         await trackUserSession();
     }
 }, 2000);
 
-// Navigation to Filter Routing - Direct to filter-tabs section
-function setupNavigationRouting() {
-    const navLinks = document.querySelectorAll('.nav-menu a');
-    
-    // Map nav links to filter values
-    const navToFilterMap = {
-        '#boys': 'boys',
-        '#girls': 'girls',
-        '#women': 'women',
-        '#collections': 'all'
-    };
-    
-    navLinks.forEach(link => {
-        link.addEventListener('click', function(e) {
-            const href = this.getAttribute('href');
-            
-            // Skip home and contact
-            if (href === '#home' || href === '#contact') return;
-            
-            // Handle filter routing
-            if (navToFilterMap[href]) {
-                e.preventDefault();
-                
-                // Find the collections section to keep it in view
-                const collectionsSection = document.querySelector('.collections-section') || 
-                                         document.getElementById('collections');
-                
-                if (collectionsSection) {
-                    // Scroll to show the collections section with proper header offset
-                    const headerHeight = 100; // Adjust based on your header height
-                    const elementTop = collectionsSection.getBoundingClientRect().top + window.pageYOffset;
-                    const offsetPosition = elementTop - headerHeight;
-                    
-                    window.scrollTo({
-                        top: offsetPosition,
-                        behavior: 'smooth'
-                    });
-                }
-                
-                // Activate the correct filter tab after scroll
-                setTimeout(() => {
-                    const targetFilter = navToFilterMap[href];
-                    const targetTab = document.querySelector(`[data-filter="${targetFilter}"]`);
-                    
-                    if (targetTab) {
-                        // Simulate clicking the filter tab - this will trigger your existing handleFilterChange
-                        targetTab.click();
+
+function getCategoryPath(category) {
+    return `/category/${category}`;
+}
+
+function createAppRouter() {
+    return new HashRouter({
+        fallback: () => activeFilters.category === 'all' ? '/' : getCategoryPath(activeFilters.category),
+        onRouteChange: ({ route, path, params }) => trackPageView(route.name, { path, ...params }),
+        routes: [
+            {
+                name: 'home',
+                path: '/',
+                enter: () => activeFilters.category !== 'all' ? updateFilters({ category: 'all' }) : null
+            },
+            {
+                name: 'category',
+                path: '/category/:category',
+                enter: async ({ category }, previous) => {
+                    if (category !== activeFilters.category) {
+                        await updateFilters({ category });
                     }
-                }, 600); // Wait for scroll animation to complete
+                    // Closing a modal shouldn't move the page underneath it
+                    if (!previous?.route.overlay) {
+                        scrollToCollections();
+                    }
+                }
+            },
+            {
+                name: 'product',
+                path: '/product/:id',
+                overlay: true,
+                enter: ({ id }) => openProductRoute(id),
+                exit: () => closeProductDetail()
+            },
+            {
+                name: 'cart',
+                path: '/cart',
+                overlay: true,
+                enter: () => openCart(),
+                exit: () => closeCart()
+            },
+            {
+                name: 'orders',
+                path: '/account/orders',
+                overlay: true,
+                enter: () => profileUI?.showOrderHistory(),
+                exit: () => profileUI?.closeOrderHistory()
+            },
+            {
+                name: 'admin-products',
+                path: '/admin/products',
+                overlay: true,
+                enter: () => adminCatalogUI?.open(),
+                exit: () => adminCatalogUI?.close()
+            },
+            {
+                name: 'admin-orders',
+                path: '/admin/orders',
+                overlay: true,
+                enter: () => adminOrdersUI?.open(),
+                exit: () => adminOrdersUI?.exitRoute()
+            },
+            {
+                name: 'admin-order',
+                path: '/admin/orders/:id',
+                overlay: true,
+                enter: ({ id }) => adminOrdersUI?.open(id),
+                exit: () => adminOrdersUI?.exitRoute()
             }
-        });
+        ]
+    });
+}
+
+// Deep links can name a product no page has loaded yet
+async function openProductRoute(productId) {
+    await ensureProductsLoaded([productId]);
+    
+    if (products.some(product => product.id === productId && !product.archived)) {
+        showProductDetail(productId);
+    } else {
+        showNotification('That product is no longer available', 'error');
+        appRouter.replace(appRouter.fallback());
+    }
+}
+
+// Keeps the header from covering the filter tabs
+function scrollToCollections() {
+    const collectionsSection = document.getElementById('collections');
+    if (!collectionsSection) return;
+    
+    const headerHeight = 100;
+    const elementTop = collectionsSection.getBoundingClientRect().top + window.pageYOffset;
+    
+    window.scrollTo({
+        top: elementTop - headerHeight,
+        behavior: 'smooth'
     });
 }
+
  // Product Detail Modal Implementation
         
 
@@ -1382,6 +1512,8 @@ function setupNavigationRouting() {
             modal.classList.add('show');
             document.body.style.overflow = 'hidden';
             
+            appRouter?.show(`/product/${productId}`);
+            
             // Track product view
             if (firebaseManager) {
                 firebaseManager.trackProductView(productId, {
@@ -1398,9 +1530,13 @@ function setupNavigationRouting() {
             modal.classList.remove('show');
             document.body.style.overflow = '';
             
+            if (currentDetailProduct) {
+                appRouter?.leave(`/product/${currentDetailProduct.id}`);
+            }
+            
             // Reset state
             currentDetailProduct = null;
-            selectedSize = '';
+            selectedVariant = null;
             detailQuantity = 1;
             isInWishlist = false;
         }
@@ -1429,11 +1565,14 @@ function setupNavigationRouting() {
             // Stock status
             updateStockBadge(product);
             
-            // Size selection (only for clothing)
+            document.getElementById('giftNoteInput').value = '';
+            
+            // Size selection (only for products sold in sizes)
             const sizeSection = document.getElementById('sizeSection');
-            if (product.category !== 'women') {
+            selectedVariant = null;
+            if (product.variants.length > 0) {
                 sizeSection.style.display = 'block';
-                populateSizeSelection();
+                populateSizeSelection(product);
             } else {
                 sizeSection.style.display = 'none';
             }
@@ -1498,9 +1637,15 @@ function updateWishlistButton() {
     }
 }
 
+        // Stock, price and SKU of the chosen size, or of the product itself
+        function getSelectedStockItem(product) {
+            if (!selectedVariant || product !== currentDetailProduct) return product;
+            return { ...product, ...selectedVariant };
+        }
+
         function updateStockBadge(product) {
             const badge = document.getElementById('productDetailStockBadge');
-            const stockInfo = getStockInfo(product);
+            const stockInfo = getStockInfo(getSelectedStockItem(product));
             
             badge.textContent = stockInfo.text;
             badge.className = `product-detail-stock-badge stock-${stockInfo.status}`;
@@ -1518,37 +1663,60 @@ function updateWishlistButton() {
             }
         }
 
-        function populateSizeSelection() {
-            const sizes = ['XS', 'S', 'M', 'L', 'XL'];
+        function populateSizeSelection(product) {
             const container = document.getElementById('sizeSelection');
             container.innerHTML = '';
             
-            sizes.forEach(size => {
+            product.variants.forEach(variant => {
                 const sizeButton = document.createElement('button');
                 sizeButton.className = 'size-option';
-                sizeButton.textContent = size;
-                sizeButton.onclick = () => selectSize(size);
+                sizeButton.dataset.variantId = variant.id;
+                sizeButton.textContent = getVariantLabel(variant);
+                
+                if (variant.stock === 0 && !product.preorder) {
+                    sizeButton.disabled = true;
+                    sizeButton.title = 'Sold out in this size';
+                }
+                
+                sizeButton.onclick = () => selectSize(variant.id);
                 container.appendChild(sizeButton);
             });
             
-            // Select first size by default
-            selectedSize = sizes[0];
-            container.firstChild.classList.add('selected');
+            // Select the first size that's in stock by default
+            const firstAvailable = product.variants.find(variant => variant.stock > 0 || product.preorder);
+            if (firstAvailable) {
+                selectSize(firstAvailable.id);
+            }
         }
 
-        function selectSize(size) {
-            selectedSize = size;
+        function selectSize(variantId) {
+            if (!currentDetailProduct) return;
+            
+            selectedVariant = currentDetailProduct.variants.find(variant => variant.id === variantId) || null;
             
             // Update UI
-            const sizeButtons = document.querySelectorAll('.size-option');
-            sizeButtons.forEach(btn => btn.classList.remove('selected'));
-            event.target.classList.add('selected');
+            document.querySelectorAll('.size-option').forEach(btn => {
+                btn.classList.toggle('selected', btn.dataset.variantId === variantId);
+            });
+            
+            const selected = getSelectedStockItem(currentDetailProduct);
+            document.getElementById('productDetailPrice').textContent = `${selected.price.toFixed(2)}`;
+            const skuElement = document.getElementById('productDetailSku');
+            skuElement.textContent = `SKU: ${selected.sku}`;
+            skuElement.style.display = 'block';
+            
+            detailQuantity = 1;
+            document.getElementById('quantityDisplay').textContent = '1';
+            
+            updateStockBadge(currentDetailProduct);
+            updateCartStatus(currentDetailProduct);
         }
 
         function updateDetailQuantity(change) {
             if (!currentDetailProduct) return;
             
-            const newQuantity = Math.max(1, Math.min(currentDetailProduct.stock, detailQuantity + change));
+            const stock = getSelectedStockItem(currentDetailProduct).stock;
+            const newQuantity = Math.max(1, Math.min(stock, detailQuantity + change));
             detailQuantity = newQuantity;
             document.getElementById('quantityDisplay').textContent = newQuantity;
         }
@@ -1557,7 +1725,7 @@ function updateWishlistButton() {
     if (!cartManager) return;
     
     try {
-        const cartItem = cartManager.getCart().find(item => item.id === product.id);
+        const cartItem = cartManager.findLine(getDetailLineId(product));
         const inCartIndicator = document.getElementById('inCartIndicator');
         const addToCartBtn = document.getElementById('addToCartBtn');
         const actionsRow = document.getElementById('actionsRow');
@@ -1590,7 +1758,7 @@ function updateWishlistButton() {
                 viewCartBtn.id = 'viewCartBtn';
                 viewCartBtn.className = 'secondary-action-btn';
                 viewCartBtn.onclick = () => {
-                    if (window.openCart) openCart();
+                    openCart();
                     closeProductDetail();
                 };
                 viewCartBtn.textContent = 'View Cart';
@@ -1616,7 +1784,7 @@ function updateWishlistButton() {
             actionsRow.className = 'actions-row two-buttons';
             
             // Update primary button based on stock
-            const stockInfo = getStockInfo(product);
+            const stockInfo = getStockInfo(getSelectedStockItem(product));
             if (stockInfo.status === 'out-of-stock' && !product.preorder) {
                 addToCartBtn.textContent = 'Out of Stock';
                 addToCartBtn.disabled = true;
@@ -1633,12 +1801,25 @@ function updateWishlistButton() {
     }
 }
 
+        // The cart line the current size and gift note would add to
+        function getDetailLineId(product) {
+            return getCartLineId(product.id, {
+                variant_id: product === currentDetailProduct ? selectedVariant?.id : null,
+                gift_note: document.getElementById('giftNoteInput').value
+            });
+        }
+
         async function addToCartFromDetail() {
             if (!currentDetailProduct || !cartManager) return;
             
-            const stockInfo = getStockInfo(currentDetailProduct);
+            const stockInfo = getStockInfo(getSelectedStockItem(currentDetailProduct));
             if (stockInfo.status === 'out-of-stock' && !currentDetailProduct.preorder) return;
             
+            if (currentDetailProduct.variants.length > 0 && !selectedVariant) {
+                showNotification('Please choose a size', 'error');
+                return;
+            }
+            
             try {
                 const btn = document.getElementById('addToCartBtn');
                 const originalText = btn.textContent;
@@ -1646,15 +1827,14 @@ function updateWishlistButton() {
                 btn.disabled = true;
                 
                 // Add to cart with selected options
-                const success = await cartManager.addToCart(currentDetailProduct.id, detailQuantity);
+                const success = await cartManager.addToCart(currentDetailProduct.id, detailQuantity, {
+                    variantId: selectedVariant?.id || null,
+                    giftNote: document.getElementById('giftNoteInput').value
+                });
                 
                 if (success) {
-                    // Update inventory if not preorder
-                    if (!currentDetailProduct.preorder && inventoryManager) {
-                        await inventoryManager.updateStock(currentDetailProduct.id, detailQuantity);
-                        currentDetailProduct.stock -= detailQuantity;
-                        updateStockBadge(currentDetailProduct);
-                    }
+                    // Stock was held by the cart manager
+                    updateStockBadge(currentDetailProduct);
                     
                     // Track event
                     if (firebaseManager) {
@@ -1666,24 +1846,23 @@ function updateWishlistButton() {
                                 category: currentDetailProduct.category
                             },
                             quantity: detailQuantity,
-                            selected_size: selectedSize,
+                            variant_id: selectedVariant?.id || null,
+                            selected_size: getVariantLabel(selectedVariant),
                             cart_total_items: cartManager.getCartCount(),
                             cart_total_value: cartManager.getCartTotal()
                         });
                     }
                     
                     // Update UI
-                    if (window.updateCartCount) updateCartCount();
-                    if (window.updateCartDisplay) updateCartDisplay();
+                    updateCartCount();
+                    updateCartDisplay();
                     updateCartStatus(currentDetailProduct);
                     
                     // Show success feedback
                     btn.style.background = '#10b981';
                     btn.textContent = 'Added!';
                     
-                    if (window.showNotification) {
-                        showNotification(`${currentDetailProduct.name} added to cart`);
-                    }
+                    showNotification(`${currentDetailProduct.name} added to cart`);
                     
                     // Reset button after delay
                     setTimeout(() => {
@@ -1697,9 +1876,7 @@ function updateWishlistButton() {
                 
             } catch (error) {
                 console.error('Failed to add to cart from detail:', error);
-                if (window.showNotification) {
-                    showNotification('Failed to add item to cart', 'error');
-                }
+                showNotification(error.message || 'Failed to add item to cart', 'error');
                 
                 const btn = document.getElementById('addToCartBtn');
                 btn.textContent = 'Add to Cart';
@@ -1719,9 +1896,7 @@ function updateWishlistButton() {
                     await firebaseManager.removeFromWishlist(currentDetailProduct.id);
                     isInWishlist = false;
                     
-                    if (window.showNotification) {
-                        showNotification(`${currentDetailProduct.name} removed from wishlist`);
-                    }
+                    showNotification(`${currentDetailProduct.name} removed from wishlist`);
                     
                     // Visual feedback for removal
                     btn.style.background = '#6b7280';
@@ -1737,13 +1912,11 @@ function updateWishlistButton() {
                         price: currentDetailProduct.price,
                         category: currentDetailProduct.category,
                         image: currentDetailProduct.image,
-                        selected_size: selectedSize
+                        selected_size: selectedVariant?.size || null
                     });
                     isInWishlist = true;
                     
-                    if (window.showNotification) {
-                        showNotification(`${currentDetailProduct.name} added to wishlist`);
-                    }
+                    showNotification(`${currentDetailProduct.name} added to wishlist`);
                     
                     // Visual feedback for addition
                     btn.style.background = '#ef4444';
@@ -1755,29 +1928,27 @@ function updateWishlistButton() {
                 
             } catch (error) {
                 console.error('Failed to toggle wishlist:', error);
-                if (window.showNotification) {
-                    showNotification('Failed to update wishlist', 'error');
-                }
+                showNotification('Failed to update wishlist', 'error');
             }
         }
 
-        // Close modal when clicking outside
-        document.getElementById('productDetailModal').addEventListener('click', (e) => {
-            if (e.target === e.currentTarget) {
-                closeProductDetail();
-            }
-        });
-
-        // Close modal with escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && document.getElementById('productDetailModal').classList.contains('show')) {
-                closeProductDetail();
-            }
-        });
-
-        // Make functions globally available
-        window.showProductDetail = showProductDetail;
-        window.closeProductDetail = closeProductDetail;
-
-// Add this line to your initializeApp() function after setupEventListeners():
-// setupNavigationRouting();
\ No newline at end of file
+        // The modal's markup is static in index.html
+        function setupProductDetail() {
+            const modal = document.getElementById('productDetailModal');
+            
+            // Close modal when clicking outside
+            modal.addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) {
+                    closeProductDetail();
+                }
+            });
+            
+            document.getElementById('productDetailClose').addEventListener('click', closeProductDetail);
+            document.getElementById('addToCartBtn').addEventListener('click', addToCartFromDetail);
+            document.getElementById('wishlistBtn').addEventListener('click', toggleWishlistFromDetail);
+            document.getElementById('giftNoteInput').addEventListener('input', () => updateCartStatus(currentDetailProduct));
+            
+            modal.querySelectorAll('[data-quantity-change]').forEach(button => {
+                button.addEventListener('click', () => updateDetailQuantity(Number(button.dataset.quantityChange)));
+            });
+        }
@@ -0,0 +1,95 @@
+// ===== ADMIN API =====
+// Actions the storefront's admin screens can't do with Firestore alone. Callers
+// send their Firebase ID token as `Authorization: Bearer <token>`, and their
+// `role` claim (npm run set-role) must grant the permission - see roles.js.
+
+const { RequestError } = require('./http');
+const { verifyIdToken } = require('./auth');
+const { getStripe } = require('./stripe');
+const { getDb, getFieldValue } = require('./firestore');
+const { toCents } = require('./pricing');
+const { canTransitionOrder } = require('../order-lifecycle');
+const { getRoleFromClaims, roleCan } = require('../roles');
+
+// The actor recorded on what the request does, once the token's role allows it
+function getTokenActor(token, permission) {
+    const role = getRoleFromClaims(token);
+    if (!roleCan(role, permission)) {
+        throw new RequestError('Your account doesn\'t have access to that', 403);
+    }
+
+    return { type: 'admin', id: token.uid, email: token.email || null, role };
+}
+
+async function verifyRole(req, permission) {
+    return getTokenActor(await verifyIdToken(req), permission);
+}
+
+// Amount left to refund, in dollars like the rest of the order
+function getRefundableAmount(order) {
+    const paid = order.payment?.amount_total || 0;
+    const refunded = order.refund?.amount_refunded || 0;
+    return Math.round((paid - refunded) * 100) / 100;
+}
+
+// Checks the request against the order; resolves to the amount to refund in dollars
+function validateRefundRequest(order, amount) {
+    if (!canTransitionOrder(order.status, 'refunded')) {
+        throw new RequestError(`A ${order.status.replace('_', ' ')} order can't be refunded`, 409);
+    }
+    if (!order.payment?.payment_intent) {
+        throw new RequestError('This order has no Stripe payment to refund', 409);
+    }
+
+    const refundable = getRefundableAmount(order);
+    const requested = amount === undefined || amount === null || amount === ''
+        ? refundable
+        : Math.round(Number(amount) * 100) / 100;
+
+    if (!(requested > 0) || requested > refundable) {
+        throw new RequestError(`Refund must be between $0.01 and $${refundable.toFixed(2)}`);
+    }
+
+    return requested;
+}
+
+// Only asks Stripe for the refund. The charge.refunded webhook moves the order
+// to refunded / partially_refunded, the same as a refund from the dashboard.
+async function requestRefund(body, admin) {
+    if (!body.order_id) {
+        throw new RequestError('order_id is required');
+    }
+
+    const orderRef = getDb().collection('orders').doc(String(body.order_id));
+    const orderDoc = await orderRef.get();
+
+    if (!orderDoc.exists) {
+        throw new RequestError(`Order ${body.order_id} not found`, 404);
+    }
+
+    const order = orderDoc.data();
+    const amount = validateRefundRequest(order, body.amount);
+    const reason = typeof body.reason === 'string' ? body.reason.trim().slice(0, 500) : '';
+
+    const refund = await getStripe().refunds.create({
+        payment_intent: order.payment.payment_intent,
+        amount: toCents(amount),
+        metadata: { order_id: orderRef.id, requested_by: admin.id }
+    });
+
+    const request = {
+        refund_id: refund.id,
+        amount,
+        reason: reason || null,
+        status: refund.status,
+        requested_by: { id: admin.id, email: admin.email },
+        requested_at: new Date().toISOString()
+    };
+
+    await orderRef.update({ refund_requests: getFieldValue().arrayUnion(request) });
+
+    console.log(`Refund ${refund.id} of $${amount.toFixed(2)} requested for order ${orderRef.id} by ${admin.email || admin.id}`);
+    return request;
+}
+
+module.exports = { verifyRole, getTokenActor, validateRefundRequest, requestRefund };
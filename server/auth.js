@@ -0,0 +1,23 @@
+// ===== CALLER IDENTITY =====
+// Storefront requests carry the caller's Firebase ID token as
+// `Authorization: Bearer <token>` - guests have one too, from anonymous sign-in.
+
+const { RequestError } = require('./http');
+const { getDb } = require('./firestore');
+
+// Resolves to the decoded token: `uid`, plus `email` and custom claims like `role`
+async function verifyIdToken(req) {
+    const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+    if (!match) {
+        throw new RequestError('Sign in first', 401);
+    }
+
+    try {
+        getDb(); // initializes the admin app
+        return await require('firebase-admin').auth().verifyIdToken(match[1]);
+    } catch (error) {
+        throw new RequestError('Your sign-in has expired, please sign in again', 401);
+    }
+}
+
+module.exports = { verifyIdToken };
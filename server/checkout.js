@@ -0,0 +1,220 @@
+// ===== CHECKOUT SESSIONS =====
+// The storefront logs a pending order, then asks for a session to pay it. The
+// order is priced here from its own lines and locked to the session, so the
+// webhook can check that what Stripe charged is what this order costs.
+
+const config = require('./config');
+const { RequestError } = require('./http');
+const { getDb } = require('./firestore');
+const { getProductsByIds } = require('./products');
+const { readOrderStock, mergeStockLines, holdOrderStock } = require('./inventory');
+const { priceCart, toCents } = require('./pricing');
+const { getStripe } = require('./stripe');
+const { hasVariants, findProductVariant } = require('../product-variants');
+
+// Only ids and quantities are trusted from the client
+function validateItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new RequestError('Cart is empty');
+    }
+
+    return items.map(item => {
+        const quantity = Number(item?.quantity);
+
+        if (!item?.product_id) {
+            throw new RequestError('Every item needs a product_id');
+        }
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > config.maxQuantityPerItem) {
+            throw new RequestError(`Invalid quantity for ${item.product_id}`);
+        }
+
+        return {
+            product_id: String(item.product_id),
+            variant_id: item.variant_id ? String(item.variant_id) : null,
+            quantity
+        };
+    });
+}
+
+// Products sold by size must name one that exists, so we ship the right thing
+function validateVariants(items, productsById) {
+    items.forEach(item => {
+        const product = productsById[item.product_id];
+
+        if (hasVariants(product) && !findProductVariant(product, item.variant_id)) {
+            throw new RequestError(item.variant_id
+                ? `Unknown option ${item.variant_id} for ${product.name}`
+                : `Choose a size for ${product.name}`);
+        }
+    });
+}
+
+// Only the caller's own unpaid order can be paid, and only through one session
+function assertCheckoutableOrder(order, uid) {
+    if (!order || order.profile_id !== uid) {
+        throw new RequestError('Order not found', 404);
+    }
+    if (order.status !== 'pending') {
+        throw new RequestError(`This order is already ${order.status.replace('_', ' ')}`, 409);
+    }
+    if (order.checkout) {
+        throw new RequestError('This order is already being paid for', 409);
+    }
+}
+
+// Cart holds lapse after half an hour, so the stock is held again - past the
+// session's expiry - before the shopper is sent to pay. Throws a 409 naming
+// whatever has sold out meanwhile.
+async function holdCheckoutStock(items, uid) {
+    const db = getDb();
+    const holdUntilMs = Date.now() + (config.checkoutSessionMinutes + config.checkoutHoldGraceMinutes) * 60 * 1000;
+
+    await db.runTransaction(async (transaction) => {
+        const entries = await readOrderStock(transaction, db, { profile_id: uid, items: mergeStockLines(items) });
+        const { shortfalls } = holdOrderStock(transaction, entries, uid, holdUntilMs);
+
+        if (shortfalls.length > 0) {
+            const names = shortfalls.map(shortfall => `${shortfall.product_name} (${shortfall.available} left)`);
+            throw new RequestError(`Not enough stock for ${names.join(', ')}`, 409);
+        }
+    });
+}
+
+// What Stripe will charge for these lines - summed per line as Stripe does, not rounded from the total
+function getAmountTotal(lines, totals) {
+    const lineItems = buildLineItems(lines, totals);
+    return lineItems.reduce((sum, item) => sum + item.price_data.unit_amount * item.quantity, 0) + toCents(totals.shipping);
+}
+
+// What the webhook compares the completed session against
+function createCheckoutLock(session, lines, totals) {
+    return {
+        session_id: session.id,
+        amount_total: getAmountTotal(lines, totals),
+        currency: config.currency,
+        lines: lines.map(line => ({
+            product_id: line.product_id,
+            variant_id: line.variant_id,
+            quantity: line.quantity,
+            price: line.price
+        })),
+        totals,
+        created_at: new Date().toISOString()
+    };
+}
+
+function buildLineItems(lines, totals) {
+    const lineItems = lines.map(line => ({
+        price_data: {
+            currency: config.currency,
+            product_data: {
+                name: line.variant_label ? `${line.name} (${line.variant_label})` : line.name,
+                description: line.description,
+                images: /^https?:\/\//.test(line.image) ? [line.image] : [],
+                metadata: {
+                    product_id: line.product_id,
+                    variant_id: line.variant_id || '',
+                    sku: line.sku,
+                    category: line.category
+                }
+            },
+            unit_amount: toCents(line.price)
+        },
+        quantity: line.quantity
+    }));
+
+    if (totals.tax > 0) {
+        lineItems.push({
+            price_data: {
+                currency: config.currency,
+                product_data: { name: 'Sales tax' },
+                unit_amount: toCents(totals.tax)
+            },
+            quantity: 1
+        });
+    }
+
+    return lineItems;
+}
+
+// `caller` is the verified ID token of the shopper paying
+async function createCheckoutSession(body, caller) {
+    if (!body.order_id) {
+        throw new RequestError('order_id is required');
+    }
+
+    const orderRef = getDb().collection('orders').doc(String(body.order_id));
+    const orderDoc = await orderRef.get();
+    assertCheckoutableOrder(orderDoc.exists ? orderDoc.data() : null, caller.uid);
+
+    // Only ids and quantities are taken from the order - prices come from the catalogue
+    const items = validateItems(orderDoc.data().items);
+    const productsById = await getProductsByIds(items.map(item => item.product_id));
+
+    // Archived products stay readable for old orders but can't be bought
+    const missing = items.filter(item => !productsById[item.product_id] || productsById[item.product_id].archived);
+    if (missing.length > 0) {
+        throw new RequestError(`Unknown products: ${missing.map(item => item.product_id).join(', ')}`);
+    }
+
+    validateVariants(items, productsById);
+
+    const { lines, totals } = priceCart(items, productsById);
+    await holdCheckoutStock(items, caller.uid);
+
+    const metadata = {
+        order_source: 'all_seasons_sprouts',
+        profile_id: caller.uid,
+        order_id: orderRef.id
+    };
+
+    const session = await getStripe().checkout.sessions.create({
+        mode: 'payment',
+        expires_at: Math.floor(Date.now() / 1000) + config.checkoutSessionMinutes * 60,
+        line_items: buildLineItems(lines, totals),
+        shipping_options: [{
+            shipping_rate_data: {
+                type: 'fixed_amount',
+                display_name: 'Standard shipping',
+                fixed_amount: {
+                    amount: toCents(totals.shipping),
+                    currency: config.currency
+                }
+            }
+        }],
+        shipping_address_collection: {
+            allowed_countries: config.allowedCountries
+        },
+        customer_email: typeof body.customer_email === 'string' && body.customer_email.includes('@')
+            ? body.customer_email
+            : undefined,
+        success_url: `${config.siteUrl}/success?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${config.siteUrl}/cart`,
+        metadata,
+        // Copied so payment_intent.* webhooks can find the order too
+        payment_intent_data: { metadata }
+    });
+
+    // Another request may have locked the order while Stripe was answering
+    await getDb().runTransaction(async (transaction) => {
+        const current = await transaction.get(orderRef);
+        assertCheckoutableOrder(current.data(), caller.uid);
+
+        transaction.update(orderRef, {
+            checkout: createCheckoutLock(session, lines, totals),
+            // The success page finds the order by the session id Stripe redirects with
+            checkout_session_id: session.id
+        });
+    });
+
+    console.log(`Checkout session created: ${session.id} for order ${orderRef.id} (${lines.length} lines, $${totals.total.toFixed(2)})`);
+
+    return {
+        id: session.id,
+        url: session.url,
+        totals,
+        items: lines.map(({ description, image, weight, ...line }) => line)
+    };
+}
+
+module.exports = { createCheckoutSession, validateItems, validateVariants, assertCheckoutableOrder, createCheckoutLock, getAmountTotal };
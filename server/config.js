@@ -0,0 +1,54 @@
+// ===== SERVER CONFIGURATION =====
+// Everything comes from the environment so secrets never live in the repo
+
+// INVENTORY_CONFIG from the storefront's firebase-config.js, when this checkout
+// has one, so the threshold and owner email only need setting once
+function loadStorefrontInventoryConfig() {
+    try {
+        return require('../firebase-config.js').INVENTORY_CONFIG || {};
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        return {};
+    }
+}
+
+const storefrontInventory = loadStorefrontInventoryConfig();
+const siteUrl = process.env.SITE_URL || 'http://localhost:5173';
+
+const config = {
+    port: parseInt(process.env.PORT || '3001', 10),
+    siteUrl,
+    allowedOrigin: process.env.ALLOWED_ORIGIN || null,
+
+    stripe: {
+        secretKey: process.env.STRIPE_SECRET_KEY || 'sk_test_local',
+        // Point these at server/stripe-mock.js to run checkout without network
+        apiHost: process.env.STRIPE_API_HOST || null,
+        apiPort: process.env.STRIPE_API_PORT ? parseInt(process.env.STRIPE_API_PORT, 10) : null,
+        apiProtocol: process.env.STRIPE_API_PROTOCOL || 'http',
+        webhookSecret: process.env.STRIPE_WEBHOOK_SECRET || null
+    },
+
+    // The environment wins over INVENTORY_CONFIG in firebase-config.js. Stock alerts
+    // are emailed through the mail queue ('mail') or printed ('console'); local
+    // development prints them unless STOCK_ALERT_NOTIFIER says otherwise.
+    inventory: {
+        lowStockThreshold: parseInt(process.env.LOW_STOCK_THRESHOLD ?? storefrontInventory.lowStockThreshold ?? '5', 10),
+        ownerEmail: process.env.OWNER_EMAIL || storefrontInventory.ownerEmail || null,
+        alertNotifier: process.env.STOCK_ALERT_NOTIFIER || (new URL(siteUrl).hostname === 'localhost' ? 'console' : 'mail')
+    },
+
+    // Optional Firestore export (JSON array or { products: [...] }) used instead of live Firestore
+    productsFile: process.env.PRODUCTS_FILE || null,
+
+    // Checkout sessions stay open for Stripe's minimum; the order's stock is held
+    // a few minutes longer so the webhook still finds the holds
+    checkoutSessionMinutes: 30,
+    checkoutHoldGraceMinutes: 5,
+
+    currency: 'usd',
+    allowedCountries: ['US', 'CA'],
+    maxQuantityPerItem: 99
+};
+
+module.exports = config;
@@ -0,0 +1,22 @@
+// ===== FIRESTORE (ADMIN SDK) =====
+// Loaded lazily so the server can run against a products file without credentials.
+// Uses GOOGLE_APPLICATION_CREDENTIALS, or FIRESTORE_EMULATOR_HOST for the emulator.
+
+let db = null;
+
+function getDb() {
+    if (!db) {
+        const admin = require('firebase-admin');
+        if (!admin.apps.length) {
+            admin.initializeApp();
+        }
+        db = admin.firestore();
+    }
+    return db;
+}
+
+function getFieldValue() {
+    return require('firebase-admin').firestore.FieldValue;
+}
+
+module.exports = { getDb, getFieldValue };
@@ -0,0 +1,46 @@
+// ===== HTTP HELPERS =====
+
+// Errors with a status are reported to the caller; anything else is a 500
+class RequestError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'RequestError';
+        this.status = status;
+    }
+}
+
+function readBody(req, limit = 1024 * 1024) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new RequestError('Request body too large', 413));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+async function readJson(req) {
+    const raw = await readBody(req);
+
+    try {
+        return raw.length > 0 ? JSON.parse(raw.toString('utf8')) : {};
+    } catch (error) {
+        throw new RequestError('Invalid JSON body');
+    }
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+module.exports = { RequestError, readBody, readJson, sendJson };
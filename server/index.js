@@ -0,0 +1,81 @@
+// ===== API SERVER =====
+// Run with `npm run server`. In development Vite proxies /api here.
+
+const http = require('http');
+const config = require('./config');
+const { RequestError, readBody, readJson, sendJson } = require('./http');
+const { createCheckoutSession } = require('./checkout');
+const { verifyWebhook, handleStripeEvent, getDeliveryStatus } = require('./webhooks');
+const { verifyRole, requestRefund } = require('./admin');
+const { verifyIdToken } = require('./auth');
+
+const routes = {
+    'POST /api/checkout-session': async (req, res) => {
+        const caller = await verifyIdToken(req);
+        const session = await createCheckoutSession(await readJson(req), caller);
+        sendJson(res, 200, session);
+    },
+
+    // Signature is checked against the raw bytes, so the body is not parsed first
+    'POST /api/stripe-webhook': async (req, res) => {
+        const event = verifyWebhook(await readBody(req), req.headers['stripe-signature']);
+        const result = await handleStripeEvent(event);
+        sendJson(res, getDeliveryStatus(result), { received: true, ...result });
+    },
+
+    'POST /api/admin/refunds': async (req, res) => {
+        const admin = await verifyRole(req, 'orders:refund');
+        const refund = await requestRefund(await readJson(req), admin);
+        sendJson(res, 200, refund);
+    },
+
+    'GET /api/health': async (req, res) => {
+        sendJson(res, 200, { status: 'ok' });
+    }
+};
+
+function createServer() {
+    return http.createServer(async (req, res) => {
+        if (config.allowedOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', config.allowedOrigin);
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const path = req.url.split('?')[0];
+        const handler = routes[`${req.method} ${path}`];
+
+        if (!handler) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        try {
+            await handler(req, res);
+        } catch (error) {
+            if (error instanceof RequestError) {
+                sendJson(res, error.status, { error: error.message });
+            } else {
+                console.error(`${req.method} ${path} failed:`, error);
+                sendJson(res, 500, { error: 'Internal server error' });
+            }
+        }
+    });
+}
+
+if (require.main === module) {
+    createServer().listen(config.port, () => {
+        console.log(`API server listening on http://localhost:${config.port}`);
+        if (config.stripe.apiHost) {
+            console.log(`Using Stripe stand-in at ${config.stripe.apiProtocol}://${config.stripe.apiHost}:${config.stripe.apiPort || 12111}`);
+        }
+    });
+}
+
+module.exports = { createServer, routes };
@@ -0,0 +1,346 @@
+// ===== INVENTORY (SERVER) =====
+// Server-side counterpart of FirebaseManager.reserveStock and commitReservedStock,
+// plus the stock alerts and the notifiers that deliver them. Documents keep the same shape so
+// the storefront and admin views read them unchanged.
+
+const config = require('./config');
+const { getStockLevel, applyStockChange, getStockKey, findProductVariant, getVariantLabel } = require('../product-variants');
+
+const collections = {
+    products: 'products',
+    reservations: 'stock_reservations',
+    inventory: 'inventory_alerts',
+    mail: 'mail'
+};
+
+function getReservationRef(db, productId, profileId, variantId = null) {
+    return db.collection(collections.reservations).doc(`${profileId}__${getStockKey(productId, variantId)}`);
+}
+
+// Reads every product and hold an order touches. Must run before any transaction writes.
+async function readOrderStock(transaction, db, order) {
+    const items = (order.items || []).filter(item => item.product_id && item.quantity > 0);
+    if (items.length === 0) return [];
+
+    const productRefs = items.map(item => db.collection(collections.products).doc(item.product_id.toString()));
+    const holdRefs = items.map(item => getReservationRef(db, item.product_id, order.profile_id, item.variant_id || null));
+    const docs = await transaction.getAll(...productRefs, ...holdRefs);
+
+    return items.map((item, index) => ({
+        item,
+        productRef: productRefs[index],
+        holdRef: holdRefs[index],
+        productDoc: docs[index],
+        holdDoc: docs[items.length + index]
+    }));
+}
+
+// Lines for one product and size share a hold, whatever their gift notes
+function mergeStockLines(items) {
+    const merged = {};
+
+    for (const item of items) {
+        const key = getStockKey(item.product_id, item.variant_id || null);
+        merged[key] = merged[key]
+            ? { ...merged[key], quantity: merged[key].quantity + item.quantity }
+            : { product_id: item.product_id, variant_id: item.variant_id || null, quantity: item.quantity };
+    }
+
+    return Object.values(merged);
+}
+
+// Holds the order's stock for the shopper until `expiresAtMs`, so it can't sell
+// out while they pay. Holds that lapsed or fall short are topped up from the
+// unreserved stock - an expired hold still counts in `reserved` until it's swept,
+// so its units are reused. Lines that can't be covered are returned in
+// `shortfalls`; the caller aborts the transaction. `entries` come from
+// readOrderStock with the lines merged by mergeStockLines.
+function holdOrderStock(transaction, entries, profileId, expiresAtMs) {
+    const now = new Date().toISOString();
+    const shortfalls = [];
+    // Several sizes of one product share a document, so changes build on each other
+    const working = {};
+
+    for (const { item, productRef, holdRef, productDoc, holdDoc } of entries) {
+        // Products served from PRODUCTS_FILE have no stock in Firestore to hold
+        if (!productDoc.exists) continue;
+
+        const product = working[productRef.id]?.data || productDoc.data();
+        if (product.preorder) continue;
+
+        const variantId = item.variant_id || null;
+        const hold = holdDoc.exists ? holdDoc.data() : null;
+        const held = hold?.quantity || 0;
+        const level = getStockLevel(product, variantId);
+
+        if (item.quantity - held > level.stock - level.reserved) {
+            const label = getVariantLabel(findProductVariant(product, variantId));
+            shortfalls.push({
+                product_id: item.product_id,
+                variant_id: variantId,
+                product_name: label ? `${product.name} (${label})` : product.name || 'Unknown',
+                requested: item.quantity,
+                available: Math.max(0, level.stock - level.reserved + held)
+            });
+            continue;
+        }
+
+        working[productRef.id] = {
+            ref: productRef,
+            data: { ...product, ...applyStockChange(product, variantId, { reserved: item.quantity - held }) }
+        };
+
+        transaction.set(holdRef, {
+            profile_id: profileId,
+            product_id: String(item.product_id),
+            variant_id: variantId,
+            quantity: item.quantity,
+            created_at: hold?.created_at || now,
+            updated_at: now,
+            expires_at: new Date(expiresAtMs).toISOString(),
+            expires_at_ms: expiresAtMs
+        });
+    }
+
+    for (const { ref, data } of Object.values(working)) {
+        transaction.update(ref, {
+            reserved: data.reserved,
+            ...(data.variants ? { variants: data.variants } : {}),
+            updated_at: now
+        });
+    }
+
+    return { shortfalls };
+}
+
+// Turns the order's holds into sold stock. The customer has already paid, so a
+// shortfall (e.g. the hold expired and someone else bought the last one) is
+// recorded in `shortfalls` for the owner to resolve instead of failing.
+function writeOrderStock(transaction, db, entries, orderId) {
+    const now = new Date().toISOString();
+    const changes = [];
+    const shortfalls = [];
+    // Several sizes of one product share a document, so changes build on each other
+    const working = {};
+
+    for (const { item, productRef, holdRef, productDoc, holdDoc } of entries) {
+        const variantId = item.variant_id || null;
+
+        if (holdDoc.exists) {
+            transaction.delete(holdRef);
+        }
+
+        if (!productDoc.exists) {
+            shortfalls.push({ product_id: item.product_id, variant_id: variantId, requested: item.quantity, available: 0 });
+            continue;
+        }
+
+        const product = working[productRef.id] || productDoc.data();
+        if (product.preorder) continue;
+
+        const level = getStockLevel(product, variantId);
+        const held = holdDoc.exists ? holdDoc.data().quantity || 0 : 0;
+        const available = Math.max(0, level.stock - Math.max(0, level.reserved - held));
+        // Never sell below zero - the shortfall is reported instead
+        const sold = Math.min(item.quantity, level.stock);
+
+        if (item.quantity > available) {
+            shortfalls.push({ product_id: item.product_id, variant_id: variantId, requested: item.quantity, available });
+        }
+
+        const update = applyStockChange(product, variantId, { stock: -sold, reserved: -held });
+        // Units ordered, for sorting the storefront by popularity
+        working[productRef.id] = { ...product, ...update, sales_count: (product.sales_count || 0) + item.quantity };
+
+        transaction.set(db.collection(collections.inventory).doc(), {
+            product_id: item.product_id,
+            variant_id: variantId,
+            product_name: product.name || 'Unknown',
+            previous_stock: product.stock || 0,
+            new_stock: update.stock,
+            delta: update.stock - (product.stock || 0),
+            reason: 'sale',
+            order_id: orderId,
+            timestamp: now,
+            profile_id: null
+        });
+
+        changes.push({
+            product_id: item.product_id,
+            product: { id: productRef.id, ...product },
+            previous_stock: product.stock || 0,
+            new_stock: update.stock
+        });
+    }
+
+    for (const [productId, data] of Object.entries(working)) {
+        transaction.update(db.collection(collections.products).doc(productId), {
+            stock: data.stock,
+            reserved: data.reserved,
+            ...(data.variants ? { variants: data.variants } : {}),
+            sales_count: data.sales_count,
+            updated_at: now,
+            update_reason: 'sale'
+        });
+    }
+
+    return { changes, shortfalls };
+}
+
+// ===== STOCK ALERT NOTIFIERS =====
+// A notifier only needs an async notify(alert) method
+
+function describeStock(alert) {
+    return alert.alert_type === 'sold_out' ? 'sold out' : `low on stock (${alert.stock} left)`;
+}
+
+// Development notifier - prints alerts to the console
+class ConsoleStockAlertNotifier {
+    async notify(alert) {
+        console.warn(`[STOCK ALERT] ${alert.severity.toUpperCase()}: ${alert.product.name} (${alert.product.sku}) is ${describeStock(alert)}`, {
+            to: alert.recipient,
+            threshold: alert.threshold
+        });
+    }
+}
+
+// Queues an email in the collection watched by the Firebase "Trigger Email" extension
+class MailQueueStockAlertNotifier {
+    constructor(db, collection = collections.mail) {
+        this.db = db;
+        this.collection = collection;
+    }
+
+    async notify(alert) {
+        if (!alert.recipient) {
+            console.warn('No owner email configured (OWNER_EMAIL), stock alert not emailed');
+            return;
+        }
+
+        const status = describeStock(alert);
+        await this.db.collection(this.collection).add({
+            to: alert.recipient,
+            message: {
+                subject: `Stock alert: ${alert.product.name} is ${status}`,
+                text: [
+                    `${alert.product.name} (SKU ${alert.product.sku}) is ${status}.`,
+                    `Low stock threshold: ${alert.threshold}`,
+                    `Triggered at: ${new Date(alert.timestamp).toLocaleString()}`
+                ].join('\n')
+            },
+            alert_id: alert.alert_id,
+            created_at: new Date().toISOString()
+        });
+    }
+}
+
+// Picked by config.inventory.alertNotifier unless set explicitly (tests, other channels)
+let stockAlertNotifier = null;
+
+function setStockAlertNotifier(notifier) {
+    stockAlertNotifier = notifier;
+}
+
+function getStockAlertNotifier(db) {
+    if (!stockAlertNotifier) {
+        stockAlertNotifier = config.inventory.alertNotifier === 'mail'
+            ? new MailQueueStockAlertNotifier(db)
+            : new ConsoleStockAlertNotifier();
+    }
+    return stockAlertNotifier;
+}
+
+function getAlertType(previousStock, newStock) {
+    const threshold = config.inventory.lowStockThreshold;
+
+    if (newStock === 0 && previousStock > 0) return 'sold_out';
+    if (newStock > 0 && newStock <= threshold && previousStock > threshold) return 'low_stock';
+    return null;
+}
+
+// One open alert per product and type; repeats bump its count. Once staff have
+// acknowledged it, the next sale opens a new alert and the old one stays as history.
+async function sendStockAlert(db, FieldValue, change, alertType) {
+    const { product } = change;
+    const openAlerts = db.collection(collections.inventory)
+        .where('product_id', '==', change.product_id)
+        .where('alert_type', '==', alertType)
+        .where('status', '==', 'open')
+        .limit(1);
+    const now = new Date().toISOString();
+
+    const alert = {
+        product_id: change.product_id,
+        alert_type: alertType,
+        severity: alertType === 'sold_out' ? 'critical' : 'warning',
+        status: 'open',
+        threshold: config.inventory.lowStockThreshold,
+        stock: change.new_stock,
+        product: {
+            name: product.name || 'Unknown',
+            sku: product.sku || `SKU-${change.product_id}`,
+            category: product.category || 'uncategorized',
+            price: typeof product.price === 'number' ? product.price : 0,
+            image: product.image || null
+        },
+        recipient: config.inventory.ownerEmail,
+        occurrences: 1,
+        timestamp: now,
+        last_triggered_at: now,
+        profile_id: null
+    };
+
+    // Two sales settling at once still open only one alert
+    const { alertRef, isNew } = await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(openAlerts);
+
+        if (!existing.empty) {
+            transaction.update(existing.docs[0].ref, {
+                occurrences: FieldValue.increment(1),
+                stock: change.new_stock,
+                last_triggered_at: now
+            });
+            return { alertRef: existing.docs[0].ref, isNew: false };
+        }
+
+        const newRef = db.collection(collections.inventory).doc();
+        transaction.set(newRef, { ...alert, alert_id: newRef.id });
+        return { alertRef: newRef, isNew: true };
+    });
+
+    if (isNew) {
+        try {
+            await getStockAlertNotifier(db).notify({ ...alert, alert_id: alertRef.id });
+            await alertRef.update({ notified_at: new Date().toISOString() });
+        } catch (error) {
+            console.error('Failed to deliver stock alert:', error);
+        }
+    }
+
+    return alertRef.id;
+}
+
+async function sendStockAlerts(db, FieldValue, changes) {
+    for (const change of changes) {
+        const alertType = getAlertType(change.previous_stock, change.new_stock);
+        if (!alertType) continue;
+
+        try {
+            await sendStockAlert(db, FieldValue, change, alertType);
+        } catch (error) {
+            console.error(`Failed to send stock alert for ${change.product_id}:`, error);
+        }
+    }
+}
+
+module.exports = {
+    collections,
+    readOrderStock,
+    mergeStockLines,
+    holdOrderStock,
+    writeOrderStock,
+    sendStockAlerts,
+    setStockAlertNotifier,
+    ConsoleStockAlertNotifier,
+    MailQueueStockAlertNotifier
+};
@@ -0,0 +1,70 @@
+// ===== SERVER-SIDE PRICING =====
+// Same rules as StripeIntegration.calculateShipping/calculateTax in script.js,
+// but applied to prices read from the products collection, never the client
+
+const { findProductVariant, getVariantLabel } = require('../product-variants');
+
+const TAX_RATE = 0.085;
+
+function calculateShipping(items) {
+    const totalWeight = items.reduce((sum, item) => sum + (item.weight * item.quantity), 0);
+
+    if (totalWeight < 1) return 5.99;
+    if (totalWeight < 3) return 8.99;
+    if (totalWeight < 5) return 12.99;
+    return 15.99;
+}
+
+function calculateTax(subtotal) {
+    return roundCents(subtotal * TAX_RATE);
+}
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function toCents(amount) {
+    return Math.round(amount * 100);
+}
+
+// Build the authoritative order lines and totals for a cart
+function priceCart(cartItems, productsById) {
+    const lines = cartItems.map(cartItem => {
+        const product = productsById[cartItem.product_id];
+        const variant = findProductVariant(product, cartItem.variant_id);
+        const price = variant?.price ?? product.price;
+
+        return {
+            product_id: cartItem.product_id,
+            variant_id: variant?.id || null,
+            size: variant?.size || null,
+            color: variant?.color || null,
+            name: product.name,
+            variant_label: getVariantLabel(variant),
+            description: product.description,
+            image: product.image,
+            sku: variant?.sku || product.sku,
+            category: product.category,
+            weight: product.weight,
+            price,
+            quantity: cartItem.quantity,
+            total: roundCents(price * cartItem.quantity)
+        };
+    });
+
+    const subtotal = roundCents(lines.reduce((sum, line) => sum + line.total, 0));
+    const shipping = calculateShipping(lines);
+    const tax = calculateTax(subtotal);
+
+    return {
+        lines,
+        totals: {
+            subtotal,
+            shipping,
+            tax,
+            total: roundCents(subtotal + shipping + tax)
+        }
+    };
+}
+
+module.exports = { calculateShipping, calculateTax, priceCart, toCents, TAX_RATE };
@@ -0,0 +1,82 @@
+// ===== PRODUCT LOOKUP =====
+
+const fs = require('fs');
+const config = require('./config');
+const { getDb } = require('./firestore');
+const { getProductVariants } = require('../product-variants');
+const { PRODUCT_DEFAULTS, getDefaultSku } = require('../product-schema');
+
+// Same defaults FirebaseManager.getProducts fills in on the client
+function normalizeProduct(id, data) {
+    const sku = data.sku || getDefaultSku(id);
+
+    return {
+        id,
+        name: data.name || PRODUCT_DEFAULTS.name,
+        category: data.category || PRODUCT_DEFAULTS.category,
+        price: typeof data.price === 'number' ? data.price : PRODUCT_DEFAULTS.price,
+        stock: typeof data.stock === 'number' && !isNaN(data.stock) ? data.stock : PRODUCT_DEFAULTS.stock,
+        reserved: typeof data.reserved === 'number' && !isNaN(data.reserved) ? data.reserved : 0,
+        preorder: !!data.preorder,
+        archived: !!data.archived,
+        image: data.image || PRODUCT_DEFAULTS.image,
+        description: data.description || PRODUCT_DEFAULTS.description,
+        sku,
+        variants: getProductVariants({ ...data, sku }),
+        weight: data.weight || PRODUCT_DEFAULTS.weight,
+        dimensions: data.dimensions || PRODUCT_DEFAULTS.dimensions,
+        created_at: data.created_at,
+        updated_at: data.updated_at
+    };
+}
+
+let fileProducts = null;
+
+function loadProductsFile() {
+    if (!fileProducts) {
+        const raw = JSON.parse(fs.readFileSync(config.productsFile, 'utf8'));
+        const list = Array.isArray(raw) ? raw : raw.products || [];
+        fileProducts = {};
+        list.forEach(product => {
+            fileProducts[product.id] = normalizeProduct(product.id, product);
+        });
+    }
+    return fileProducts;
+}
+
+// Resolves to { [productId]: product } for the ids that exist
+async function getProductsByIds(productIds) {
+    const ids = [...new Set(productIds.map(String))];
+
+    if (config.productsFile) {
+        const all = loadProductsFile();
+        return Object.fromEntries(ids.filter(id => all[id]).map(id => [id, all[id]]));
+    }
+
+    const db = getDb();
+    const refs = ids.map(id => db.collection('products').doc(id));
+    const docs = refs.length > 0 ? await db.getAll(...refs) : [];
+
+    const productsById = {};
+    docs.forEach(doc => {
+        if (doc.exists) {
+            productsById[doc.id] = normalizeProduct(doc.id, doc.data());
+        }
+    });
+
+    return productsById;
+}
+
+// The whole catalogue on sale, for build steps like the SEO pages
+async function getAllProducts() {
+    if (config.productsFile) {
+        return Object.values(loadProductsFile()).filter(product => !product.archived);
+    }
+
+    const snapshot = await getDb().collection('products').get();
+    return snapshot.docs
+        .map(doc => normalizeProduct(doc.id, doc.data()))
+        .filter(product => !product.archived);
+}
+
+module.exports = { getProductsByIds, getAllProducts, normalizeProduct };
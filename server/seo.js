@@ -0,0 +1,188 @@
+// ===== PRODUCT SEO PAGES =====
+// The storefront renders products client-side, so crawlers and link previews only
+// see index.html. At build time (see vite.config.js) every product also gets a
+// static page with its own title, Open Graph tags and schema.org Product JSON-LD:
+//
+//   /products/<id>/index.html   links through to /#/product/<id>
+//   /sitemap.xml                the home page and every product page
+
+const config = require('./config');
+const { getAllProducts } = require('./products');
+const { getProductVariants, getVariantLabel, getStockStatusFor } = require('../product-variants');
+const { escapeHtml } = require('../html-utils');
+
+const SITE_NAME = 'All Seasons Sprouts';
+
+const SCHEMA_AVAILABILITY = {
+    'in-stock': 'https://schema.org/InStock',
+    'low-stock': 'https://schema.org/LimitedAvailability',
+    'out-of-stock': 'https://schema.org/OutOfStock',
+    'preorder': 'https://schema.org/PreOrder'
+};
+
+// JSON inside <script> must not be able to close the tag
+function toScriptJson(data) {
+    return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+// Firestore Timestamps, Dates and ISO strings all come back as YYYY-MM-DD
+function toDateString(value) {
+    if (!value) return null;
+    const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    return isNaN(date) ? null : date.toISOString().slice(0, 10);
+}
+
+function getProductPath(product) {
+    return `/products/${encodeURIComponent(product.id)}/`;
+}
+
+function getShopLink(product) {
+    return `/#/product/${encodeURIComponent(product.id)}`;
+}
+
+// Server-side products keep stock on hand and holds apart; shoppers can buy the difference
+function getAvailability(item, preorder, lowStockThreshold) {
+    const stock = Math.max(0, (item.stock || 0) - (item.reserved || 0));
+    return SCHEMA_AVAILABILITY[getStockStatusFor({ stock, preorder }, lowStockThreshold)];
+}
+
+function truncate(text, length = 160) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > length ? `${clean.slice(0, length - 1).trimEnd()}…` : clean;
+}
+
+function buildProductJsonLd(product, options = {}) {
+    const {
+        siteUrl = config.siteUrl,
+        currency = config.currency,
+        lowStockThreshold = config.inventory.lowStockThreshold
+    } = options;
+    const url = `${siteUrl}${getProductPath(product)}`;
+    const variants = getProductVariants(product);
+
+    const offer = (item, sku) => ({
+        '@type': 'Offer',
+        url,
+        sku,
+        price: (item.price ?? product.price).toFixed(2),
+        priceCurrency: currency.toUpperCase(),
+        availability: getAvailability(item, product.preorder, lowStockThreshold),
+        itemCondition: 'https://schema.org/NewCondition'
+    });
+
+    // One offer per size, so each carries its own price and stock
+    const offers = variants.length > 0
+        ? variants.map(variant => ({ ...offer(variant, variant.sku), name: getVariantLabel(variant) }))
+        : offer(product, product.sku);
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name: product.name,
+        description: product.description,
+        image: [product.image],
+        sku: product.sku,
+        category: product.category,
+        brand: { '@type': 'Brand', name: SITE_NAME },
+        offers
+    };
+}
+
+function renderProductPage(product, options = {}) {
+    const siteUrl = options.siteUrl || config.siteUrl;
+    const url = `${siteUrl}${getProductPath(product)}`;
+    const title = `${product.name} | ${SITE_NAME}`;
+    const description = truncate(product.description);
+    const price = `$${product.price.toFixed(2)}`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <meta name="description" content="${escapeHtml(description)}">
+    <link rel="canonical" href="${escapeHtml(url)}">
+    <meta property="og:type" content="product">
+    <meta property="og:site_name" content="${SITE_NAME}">
+    <meta property="og:title" content="${escapeHtml(product.name)}">
+    <meta property="og:description" content="${escapeHtml(description)}">
+    <meta property="og:url" content="${escapeHtml(url)}">
+    <meta property="og:image" content="${escapeHtml(product.image)}">
+    <meta property="product:price:amount" content="${product.price.toFixed(2)}">
+    <meta property="product:price:currency" content="${(options.currency || config.currency).toUpperCase()}">
+    <meta name="twitter:card" content="summary_large_image">
+    <script type="application/ld+json">
+${toScriptJson(buildProductJsonLd(product, options))}
+    </script>
+    <style>
+        body { font-family: Georgia, serif; max-width: 960px; margin: 0 auto; padding: 2rem 1rem; color: #2c2c2c; }
+        .product { display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 2rem; align-items: start; }
+        .product img { width: 100%; height: auto; }
+        .product a { display: inline-block; padding: 0.75rem 1.5rem; background: #2c2c2c; color: #fff; text-decoration: none; }
+    </style>
+</head>
+<body>
+    <p><a href="/">${SITE_NAME}</a></p>
+    <main class="product">
+        <img src="${escapeHtml(product.image)}" alt="${escapeHtml(product.name)}">
+        <div>
+            <h1>${escapeHtml(product.name)}</h1>
+            <p><strong>${price}</strong></p>
+            <p>${escapeHtml(product.description)}</p>
+            <a href="${escapeHtml(getShopLink(product))}">Shop now</a>
+        </div>
+    </main>
+</body>
+</html>
+`;
+}
+
+function renderSitemap(products, options = {}) {
+    const siteUrl = options.siteUrl || config.siteUrl;
+    const entry = (loc, lastmod) => [
+        '  <url>',
+        `    <loc>${escapeHtml(loc)}</loc>`,
+        lastmod ? `    <lastmod>${lastmod}</lastmod>` : null,
+        '  </url>'
+    ].filter(Boolean).join('\n');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        entry(`${siteUrl}/`),
+        ...products.map(product => entry(
+            `${siteUrl}${getProductPath(product)}`,
+            toDateString(product.updated_at || product.created_at)
+        )),
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+// Products come from PRODUCTS_FILE (a Firestore export) or Firestore itself -
+// point FIRESTORE_EMULATOR_HOST at the emulator to build without credentials.
+function hasProductSource() {
+    return !!(config.productsFile || process.env.FIRESTORE_EMULATOR_HOST || process.env.GOOGLE_APPLICATION_CREDENTIALS);
+}
+
+// Resolves to [{ fileName, source }] relative to the build output
+async function generateSeoFiles(options = {}) {
+    const products = options.products || await getAllProducts();
+
+    return [
+        ...products.map(product => ({
+            fileName: `${getProductPath(product).slice(1)}index.html`,
+            source: renderProductPage(product, options)
+        })),
+        { fileName: 'sitemap.xml', source: renderSitemap(products, options) }
+    ];
+}
+
+module.exports = {
+    buildProductJsonLd,
+    renderProductPage,
+    renderSitemap,
+    hasProductSource,
+    generateSeoFiles
+};
@@ -0,0 +1,48 @@
+// ===== ROLE CLAIM =====
+// Sets a user's `role` custom claim (roles.js), which the storefront, the API
+// server and the security rules all read. `shopper` removes the claim. The user
+// has to sign in again before the new role shows up.
+//
+//   npm run set-role -- staff@example.com staff
+//   npm run set-role -- owner@example.com owner
+
+const { getDb } = require('./firestore');
+const { ROLES } = require('../roles');
+
+async function setRoleClaim(email, role) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+    }
+
+    getDb(); // initializes the admin app
+    const auth = require('firebase-admin').auth();
+
+    const user = await auth.getUserByEmail(email);
+    const claims = { ...user.customClaims };
+    delete claims.role;
+    delete claims.admin; // set by the old set-admin script
+    await auth.setCustomUserClaims(user.uid, role === 'shopper' ? claims : { ...claims, role });
+
+    return user.uid;
+}
+
+if (require.main === module) {
+    const [email, role] = process.argv.slice(2);
+
+    if (!email || !role) {
+        console.error(`Usage: node server/set-role.js <email> <${ROLES.join('|')}>`);
+        process.exit(1);
+    }
+
+    setRoleClaim(email, role)
+        .then(uid => {
+            console.log(`${email} (${uid}) is now ${role === 'owner' ? 'an' : 'a'} ${role}`);
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('Failed to update role claim:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { setRoleClaim };
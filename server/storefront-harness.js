@@ -0,0 +1,269 @@
+// ===== STOREFRONT INTEGRATION HARNESS =====
+// Builds the storefront's services (the same ones main.js builds) on a jsdom
+// page of index.html, with the Firebase compat SDK pointed at the Auth and
+// Firestore emulators. The emulators load firestore.rules, so the storefront
+// runs under the real security rules.
+//
+//   npm run test:integration      starts the emulators and runs server/test/storefront.test.js
+//
+// Test data is written and read back with the rules switched off.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+const { doc, getDoc, setDoc, deleteDoc } = require('firebase/firestore');
+const { FirebaseManager } = require('../firebase-manager.js');
+const { ProductCatalog } = require('../product-catalog.js');
+const { ProfileAwareCartManager } = require('../cart-manager.js');
+const { StripeIntegration } = require('../stripe-integration.js');
+
+const ROOT = path.join(__dirname, '..');
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-all-seasons-sprouts';
+
+const emulators = {
+    auth: process.env.FIREBASE_AUTH_EMULATOR_HOST,
+    firestore: process.env.FIRESTORE_EMULATOR_HOST
+};
+
+const skip = !(emulators.auth && emulators.firestore)
+    && 'needs the Auth and Firestore emulators (npm run test:integration)';
+
+// The webhook handlers use the Admin SDK, which finds the emulator on its own
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+
+let testEnv = null;
+
+async function getTestEnvironment() {
+    if (!testEnv) {
+        testEnv = await initializeTestEnvironment({
+            projectId: PROJECT_ID,
+            firestore: { rules: fs.readFileSync(path.join(ROOT, 'firestore.rules'), 'utf8') }
+        });
+    }
+    return testEnv;
+}
+
+// Empties Firestore and deletes every Auth account
+async function resetEmulators() {
+    const env = await getTestEnvironment();
+    await env.clearFirestore();
+
+    const response = await fetch(`http://${emulators.auth}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+    if (!response.ok) {
+        throw new Error(`Failed to clear the Auth emulator: ${response.status}`);
+    }
+}
+
+// `docs` maps document paths to their data: { 'products/hat': { ... } }
+async function seed(docs) {
+    const env = await getTestEnvironment();
+    await env.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        for (const [docPath, data] of Object.entries(docs)) {
+            await setDoc(doc(db, docPath), data);
+        }
+    });
+}
+
+// Resolves to the document's data, or null
+async function readDoc(docPath) {
+    const env = await getTestEnvironment();
+    let data = null;
+    await env.withSecurityRulesDisabled(async (context) => {
+        const snapshot = await getDoc(doc(context.firestore(), docPath));
+        data = snapshot.exists() ? snapshot.data() : null;
+    });
+    return data;
+}
+
+async function removeDoc(docPath) {
+    const env = await getTestEnvironment();
+    await env.withSecurityRulesDisabled(async (context) => {
+        await deleteDoc(doc(context.firestore(), docPath));
+    });
+}
+
+// An existing customer account, as if they had signed up on an earlier visit
+async function createUser(email, password) {
+    const response = await fetch(`http://${emulators.auth}/identitytoolkit.googleapis.com/v1/accounts:signUp?key=fake-api-key`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password, returnSecureToken: true })
+    });
+    const body = await response.json();
+
+    if (!response.ok) {
+        throw new Error(`Failed to create ${email}: ${body.error?.message}`);
+    }
+    return body.localId;
+}
+
+async function waitFor(condition, { timeout = 10000, interval = 50, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeout;
+
+    while (!(await condition())) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+// The compat SDK keeps one namespace per process; pages take turns with it
+function loadFirebase() {
+    const app = require('firebase/compat/app');
+    const firebase = app.default || app;
+    require('firebase/compat/auth');
+    require('firebase/compat/firestore');
+    return firebase;
+}
+
+// What firebase-config.js exports on a real deployment
+const FIREBASE_CONFIG = { apiKey: 'fake-api-key', authDomain: `${PROJECT_ID}.firebaseapp.com`, projectId: PROJECT_ID };
+const INVENTORY_CONFIG = { lowStockThreshold: 5, ownerEmail: null };
+
+// The storefront modules use the browser globals directly, so an open page
+// installs its own and close() puts the previous ones back. The page's console
+// goes to the virtual console, which STOREFRONT_LOGS forwards.
+const PAGE_GLOBALS = ['window', 'document', 'localStorage', 'sessionStorage', 'navigator', 'screen', 'console'];
+
+function installPageGlobals(window) {
+    const previous = PAGE_GLOBALS.map(name => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+
+    PAGE_GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, {
+            value: name === 'window' ? window : window[name],
+            configurable: true,
+            writable: true
+        });
+    });
+
+    return () => previous.forEach(([name, descriptor]) => {
+        if (descriptor) {
+            Object.defineProperty(globalThis, name, descriptor);
+        } else {
+            delete globalThis[name];
+        }
+    });
+}
+
+class Storefront {
+    constructor(dom, restoreGlobals, { config = FIREBASE_CONFIG } = {}) {
+        this.dom = dom;
+        this.window = dom.window;
+        this.restoreGlobals = restoreGlobals;
+
+        this.firebaseManager = new FirebaseManager({
+            firebase: loadFirebase(),
+            config,
+            emulators,
+            findProduct: productId => this.productCatalog.get(productId)
+        });
+        this.productCatalog = new ProductCatalog(this.firebaseManager);
+        this.cartManager = new ProfileAwareCartManager(this.firebaseManager, this.productCatalog);
+        this.stripeIntegration = new StripeIntegration(this.firebaseManager);
+
+        // What the cart trimmed the last time the connection came back
+        this.trimmedItems = null;
+    }
+
+    // Copies, so later changes in the page don't show through
+    toPlain(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    // The first steps of initializeApp in script.js - Firebase, the profile and
+    // the cart - without the UI, Stripe and product grid
+    async boot() {
+        await this.firebaseManager.initialize();
+        await this.cartManager.initialize();
+
+        // Back online, script.js reloads the catalogue and resumes the cart the same way
+        this.firebaseManager.onConnectionChange(async (online) => {
+            if (!online) return;
+
+            this.productCatalog.reset();
+            await this.productCatalog.loadNextPage('all');
+            this.trimmedItems = await this.cartManager.resume();
+        });
+        return this;
+    }
+
+    // Puts products in the catalogue the cart reads from
+    async loadProducts(productIds) {
+        await this.productCatalog.ensureProducts(productIds);
+    }
+
+    // Flips navigator.onLine and fires the event the browser would
+    setOnline(online) {
+        Object.defineProperty(this.window.navigator, 'onLine', { get: () => online, configurable: true });
+        this.window.dispatchEvent(new this.window.Event(online ? 'online' : 'offline'));
+    }
+
+    get profile() {
+        return this.toPlain(this.firebaseManager.currentProfile);
+    }
+
+    get user() {
+        return this.firebaseManager.auth?.currentUser || null;
+    }
+
+    get cart() {
+        return this.toPlain(this.cartManager.getCart());
+    }
+
+    async close() {
+        clearTimeout(this.firebaseManager.reconnectTimer);
+        this.firebaseManager.profileManager?.stopSync();
+        if (this.firebaseManager.app) {
+            await this.firebaseManager.app.delete();
+        }
+        this.window.close();
+        this.restoreGlobals();
+    }
+}
+
+// A fresh page load of index.html. Its scripts aren't run - the storefront
+// services are built by Storefront instead, so script.js's UI never starts.
+// `config: null` is a deployment without firebase-config.js.
+async function openStorefront(options = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+    const virtualConsole = new VirtualConsole();
+    if (process.env.STOREFRONT_LOGS) {
+        virtualConsole.forwardTo(console);
+    }
+
+    const dom = new JSDOM(html, {
+        url: 'http://localhost:5173/',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+
+    return new Storefront(dom, installPageGlobals(dom.window), options);
+}
+
+// Open connections would keep the test process running
+async function cleanup() {
+    if (testEnv) {
+        await testEnv.cleanup();
+        testEnv = null;
+    }
+
+    const admin = require('firebase-admin');
+    await Promise.all(admin.apps.map(app => app.delete()));
+}
+
+module.exports = {
+    PROJECT_ID,
+    skip,
+    resetEmulators,
+    seed,
+    readDoc,
+    removeDoc,
+    createUser,
+    waitFor,
+    openStorefront,
+    cleanup
+};
@@ -0,0 +1,296 @@
+// ===== LOCAL STRIPE STAND-IN =====
+// Implements just enough of the Stripe API for checkout to run without network.
+// Start with `npm run stripe-mock`, then run the API server with
+// STRIPE_API_HOST=localhost STRIPE_API_PORT=12111.
+//
+// Sessions live in memory. Their `url` opens a fake hosted checkout page with
+// Pay / Cancel buttons that redirect to success_url / cancel_url like Stripe does.
+// Paying also sends a signed webhook to STRIPE_WEBHOOK_URL, as do refunds.
+
+const http = require('http');
+const crypto = require('crypto');
+const Stripe = require('stripe');
+const { readBody } = require('./http');
+
+const PORT = parseInt(process.env.STRIPE_MOCK_PORT || '12111', 10);
+const WEBHOOK_URL = process.env.STRIPE_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3001}/api/stripe-webhook`;
+
+const sessions = new Map();
+
+function randomId(prefix) {
+    return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Decode Stripe's form encoding (line_items[0][price_data][currency]=usd) into objects
+function parseForm(body) {
+    const result = {};
+
+    new URLSearchParams(body).forEach((value, key) => {
+        const path = key.replace(/\]/g, '').split('[');
+        let target = result;
+
+        path.forEach((part, index) => {
+            if (index === path.length - 1) {
+                if (Array.isArray(target) && part === '') {
+                    target.push(value);
+                } else {
+                    target[part] = value;
+                }
+                return;
+            }
+
+            if (target[part] === undefined) {
+                target[part] = /^\d*$/.test(path[index + 1]) ? [] : {};
+            }
+            target = target[part];
+        });
+    });
+
+    return result;
+}
+
+function stripeError(res, status, message, type = 'invalid_request_error') {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { type, message } }));
+}
+
+function sendJson(res, data) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+function createSession(params) {
+    const lineItems = (params.line_items || []).map(item => {
+        const quantity = parseInt(item.quantity || '1', 10);
+        const unitAmount = parseInt(item.price_data?.unit_amount || '0', 10);
+
+        return {
+            id: randomId('li'),
+            object: 'item',
+            description: item.price_data?.product_data?.name,
+            quantity,
+            amount_subtotal: unitAmount * quantity,
+            amount_total: unitAmount * quantity,
+            currency: item.price_data?.currency || 'usd',
+            price: {
+                object: 'price',
+                unit_amount: unitAmount,
+                currency: item.price_data?.currency || 'usd',
+                product_data: item.price_data?.product_data
+            }
+        };
+    });
+
+    if (lineItems.length === 0) {
+        throw new Error('line_items must contain at least one item');
+    }
+
+    const shippingAmount = parseInt(params.shipping_options?.[0]?.shipping_rate_data?.fixed_amount?.amount || '0', 10);
+    const subtotal = lineItems.reduce((sum, item) => sum + item.amount_total, 0);
+    const id = randomId('cs_test');
+
+    const session = {
+        id,
+        object: 'checkout.session',
+        mode: params.mode || 'payment',
+        status: 'open',
+        payment_status: 'unpaid',
+        currency: lineItems[0].currency,
+        amount_subtotal: subtotal,
+        amount_total: subtotal + shippingAmount,
+        shipping_cost: { amount_total: shippingAmount },
+        customer_email: params.customer_email || null,
+        metadata: params.metadata || {},
+        success_url: params.success_url,
+        cancel_url: params.cancel_url,
+        payment_intent: randomId('pi_test'),
+        created: Math.floor(Date.now() / 1000),
+        expires_at: params.expires_at ? parseInt(params.expires_at, 10) : Math.floor(Date.now() / 1000) + 24 * 60 * 60,
+        url: `http://localhost:${PORT}/pay/${id}`
+    };
+
+    sessions.set(id, { session, lineItems });
+    return session;
+}
+
+function renderPaymentPage(session) {
+    const total = (session.amount_total / 100).toFixed(2);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Stripe stand-in checkout</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 4rem auto; text-align: center;">
+    <h1>Test checkout</h1>
+    <p>Session <code>${session.id}</code></p>
+    <p>Total: <strong>$${total} ${session.currency.toUpperCase()}</strong></p>
+    <form method="POST" action="/pay/${session.id}/complete"><button type="submit">Pay</button></form>
+    <form method="POST" action="/pay/${session.id}/cancel" style="margin-top: 1rem;"><button type="submit">Cancel</button></form>
+</body>
+</html>`;
+}
+
+function redirect(res, location) {
+    res.writeHead(303, { Location: location });
+    res.end();
+}
+
+// Delivers an event to the API like Stripe would.
+// Needs the same STRIPE_WEBHOOK_SECRET the API server verifies with.
+async function sendWebhook(type, object) {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) {
+        console.warn('[stripe-mock] STRIPE_WEBHOOK_SECRET not set, skipping webhook delivery');
+        return;
+    }
+
+    const payload = JSON.stringify({
+        id: randomId('evt'),
+        object: 'event',
+        type,
+        created: Math.floor(Date.now() / 1000),
+        livemode: false,
+        data: { object }
+    });
+
+    try {
+        const response = await fetch(WEBHOOK_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Stripe-Signature': Stripe.webhooks.generateTestHeaderString({ payload, secret })
+            },
+            body: payload
+        });
+        console.log(`[stripe-mock] ${type} -> ${WEBHOOK_URL} (${response.status})`);
+    } catch (error) {
+        console.error(`[stripe-mock] Failed to deliver ${type}:`, error.message);
+    }
+}
+
+async function completeSession(stored) {
+    stored.session.status = 'complete';
+    stored.session.payment_status = 'paid';
+    stored.session.customer_details = {
+        email: stored.session.customer_email || 'test@example.com',
+        name: 'Test Customer',
+        phone: null
+    };
+    stored.session.shipping_details = {
+        name: 'Test Customer',
+        address: { line1: '123 Garden Lane', line2: null, city: 'Portland', state: 'OR', postal_code: '97201', country: 'US' }
+    };
+    await sendWebhook('checkout.session.completed', stored.session);
+}
+
+// Refunds against a paid session's payment intent, followed by charge.refunded
+function createRefund(params) {
+    const stored = [...sessions.values()].find(entry => entry.session.payment_intent === params.payment_intent);
+    if (!stored || stored.session.payment_status !== 'paid') {
+        throw new Error(`No such payment_intent: '${params.payment_intent}'`);
+    }
+
+    const { session } = stored;
+    const refunded = stored.amountRefunded || 0;
+    const amount = params.amount ? parseInt(params.amount, 10) : session.amount_total - refunded;
+
+    if (!(amount > 0) || refunded + amount > session.amount_total) {
+        throw new Error(`Refund amount (${amount}) is greater than the unrefunded amount (${session.amount_total - refunded})`);
+    }
+
+    stored.amountRefunded = refunded + amount;
+
+    const refund = {
+        id: randomId('re_test'),
+        object: 'refund',
+        amount,
+        currency: session.currency,
+        payment_intent: session.payment_intent,
+        reason: params.reason || null,
+        metadata: params.metadata || {},
+        status: 'succeeded',
+        created: Math.floor(Date.now() / 1000)
+    };
+
+    const charge = {
+        id: `ch_${session.payment_intent.replace(/^pi_/, '')}`,
+        object: 'charge',
+        amount: session.amount_total,
+        amount_refunded: stored.amountRefunded,
+        refunded: stored.amountRefunded >= session.amount_total,
+        currency: session.currency,
+        payment_intent: session.payment_intent,
+        metadata: session.metadata
+    };
+
+    return { refund, charge };
+}
+
+const server = http.createServer(async (req, res) => {
+    const path = req.url.split('?')[0];
+    console.log(`[stripe-mock] ${req.method} ${path}`);
+
+    try {
+        // Hosted checkout page
+        let match = path.match(/^\/pay\/([^/]+)(?:\/(complete|cancel))?$/);
+        if (match) {
+            const stored = sessions.get(match[1]);
+            if (!stored) return stripeError(res, 404, 'No such checkout session');
+
+            if (req.method === 'GET' && !match[2]) {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(renderPaymentPage(stored.session));
+                return;
+            }
+
+            if (req.method === 'POST' && match[2] === 'complete') {
+                await completeSession(stored);
+                return redirect(res, stored.session.success_url.replace('{CHECKOUT_SESSION_ID}', stored.session.id));
+            }
+
+            if (req.method === 'POST' && match[2] === 'cancel') {
+                stored.session.status = 'expired';
+                return redirect(res, stored.session.cancel_url);
+            }
+        }
+
+        if (!/^Bearer sk_/.test(req.headers.authorization || '')) {
+            return stripeError(res, 401, 'Invalid API key provided', 'authentication_error');
+        }
+
+        if (req.method === 'POST' && path === '/v1/checkout/sessions') {
+            const params = parseForm((await readBody(req)).toString('utf8'));
+            return sendJson(res, createSession(params));
+        }
+
+        if (req.method === 'POST' && path === '/v1/refunds') {
+            const { refund, charge } = createRefund(parseForm((await readBody(req)).toString('utf8')));
+            sendJson(res, refund);
+            // Stripe sends the webhook after answering, so the API never waits on itself
+            sendWebhook('charge.refunded', charge);
+            return;
+        }
+
+        match = path.match(/^\/v1\/checkout\/sessions\/([^/]+)(\/line_items)?$/);
+        if (req.method === 'GET' && match) {
+            const stored = sessions.get(match[1]);
+            if (!stored) return stripeError(res, 404, `No such checkout session: '${match[1]}'`);
+
+            if (match[2]) {
+                return sendJson(res, { object: 'list', data: stored.lineItems, has_more: false, url: path });
+            }
+            return sendJson(res, stored.session);
+        }
+
+        stripeError(res, 404, `Unrecognized request URL (${req.method}: ${path})`);
+    } catch (error) {
+        stripeError(res, 400, error.message);
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Stripe stand-in listening on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { server, sessions, parseForm };
@@ -0,0 +1,24 @@
+// ===== STRIPE CLIENT =====
+
+const Stripe = require('stripe');
+const config = require('./config');
+
+let stripe = null;
+
+function getStripe() {
+    if (!stripe) {
+        const options = {};
+
+        // Talk to the local stand-in (server/stripe-mock.js) instead of api.stripe.com
+        if (config.stripe.apiHost) {
+            options.host = config.stripe.apiHost;
+            options.port = config.stripe.apiPort || 12111;
+            options.protocol = config.stripe.apiProtocol;
+        }
+
+        stripe = new Stripe(config.stripe.secretKey, options);
+    }
+    return stripe;
+}
+
+module.exports = { getStripe };
@@ -0,0 +1,56 @@
+// Run with `npm test`. Covers the checks made before a refund reaches Stripe;
+// the refund itself is exercised against server/stripe-mock.js.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getTokenActor, validateRefundRequest } = require('../admin');
+const { RequestError } = require('../http');
+
+const paidOrder = {
+    status: 'paid',
+    payment: { payment_intent: 'pi_test_fixture', amount_total: 94.79 }
+};
+
+test('only owners can refund; the old admin claim counts as owner', () => {
+    const owner = getTokenActor({ uid: 'u1', email: 'owner@example.com', role: 'owner' }, 'orders:refund');
+    assert.deepStrictEqual(owner, { type: 'admin', id: 'u1', email: 'owner@example.com', role: 'owner' });
+    assert.strictEqual(getTokenActor({ uid: 'u2', admin: true }, 'orders:refund').role, 'owner');
+
+    for (const token of [{ uid: 'u3', role: 'staff' }, { uid: 'u4' }, { uid: 'u5', role: 'superuser' }]) {
+        assert.throws(
+            () => getTokenActor(token, 'orders:refund'),
+            error => error instanceof RequestError && error.status === 403
+        );
+    }
+});
+
+test('a refund without an amount is for everything not yet refunded', () => {
+    assert.strictEqual(validateRefundRequest(paidOrder), 94.79);
+    assert.strictEqual(validateRefundRequest({
+        ...paidOrder,
+        status: 'partially_refunded',
+        refund: { amount_refunded: 20 }
+    }, ''), 74.79);
+});
+
+test('partial refunds are rounded to cents and capped at the refundable amount', () => {
+    assert.strictEqual(validateRefundRequest(paidOrder, '10.005'), 10.01);
+    assert.throws(
+        () => validateRefundRequest(paidOrder, 100),
+        error => error instanceof RequestError && error.status === 400
+    );
+    assert.throws(() => validateRefundRequest(paidOrder, 0), RequestError);
+});
+
+test('orders that are unpaid, cancelled or already refunded are refused', () => {
+    for (const status of ['pending', 'cancelled', 'refunded']) {
+        assert.throws(
+            () => validateRefundRequest({ ...paidOrder, status }),
+            error => error instanceof RequestError && error.status === 409
+        );
+    }
+    assert.throws(
+        () => validateRefundRequest({ status: 'paid', payment: {} }),
+        error => error.status === 409
+    );
+});
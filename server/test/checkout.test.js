@@ -0,0 +1,79 @@
+// Run with `npm test`. Covers what the checkout server accepts before it asks
+// Stripe for a session; creating one against the emulator and server/stripe-mock.js
+// is in storefront.test.js.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateItems, validateVariants, assertCheckoutableOrder, createCheckoutLock, getAmountTotal } = require('../checkout');
+const { priceCart } = require('../pricing');
+const { RequestError } = require('../http');
+const { getCheckoutFigures } = require('../../order-lifecycle');
+
+const dress = {
+    name: 'Linen Dress',
+    price: 64,
+    weight: 0.6,
+    variants: [{ id: 's-sage', size: 'S', color: 'Sage', price: 60.99, stock: 3 }]
+};
+
+const pendingOrder = { profile_id: 'shopper-uid', status: 'pending', items: [{ product_id: 'dress', variant_id: 's-sage', quantity: 1 }] };
+
+function rejectsWith(status) {
+    return error => error instanceof RequestError && error.status === status;
+}
+
+test('only ids and quantities are kept from each line', () => {
+    assert.deepStrictEqual(validateItems([{ product_id: 'hat', quantity: '2', price: 0.01, name: 'Free hat' }]), [
+        { product_id: 'hat', variant_id: null, quantity: 2 }
+    ]);
+
+    for (const items of [[], null, [{ quantity: 1 }], [{ product_id: 'hat', quantity: 0 }], [{ product_id: 'hat', quantity: 100 }], [{ product_id: 'hat', quantity: 1.5 }]]) {
+        assert.throws(() => validateItems(items), rejectsWith(400));
+    }
+});
+
+test('products sold by size need a size that exists', () => {
+    const productsById = { dress };
+
+    validateVariants([{ product_id: 'dress', variant_id: 's-sage' }], productsById);
+    assert.throws(() => validateVariants([{ product_id: 'dress', variant_id: null }], productsById), /Choose a size/);
+    assert.throws(() => validateVariants([{ product_id: 'dress', variant_id: 'xl-rose' }], productsById), /Unknown option xl-rose/);
+});
+
+test("a session is only opened for the caller's own pending order", () => {
+    assertCheckoutableOrder(pendingOrder, 'shopper-uid');
+
+    assert.throws(() => assertCheckoutableOrder(null, 'shopper-uid'), rejectsWith(404));
+    assert.throws(() => assertCheckoutableOrder(pendingOrder, 'guest-uid'), rejectsWith(404));
+    assert.throws(() => assertCheckoutableOrder({ ...pendingOrder, status: 'paid' }, 'shopper-uid'), rejectsWith(409));
+    assert.throws(() => assertCheckoutableOrder({ ...pendingOrder, status: 'cancelled' }, 'shopper-uid'), rejectsWith(409));
+    assert.throws(() => assertCheckoutableOrder({ ...pendingOrder, checkout: { session_id: 'cs_test_1' } }, 'shopper-uid'), rejectsWith(409));
+});
+
+test('the order is locked to the session with the amount Stripe will charge', () => {
+    const { lines, totals } = priceCart([{ product_id: 'dress', variant_id: 's-sage', quantity: 3 }], { dress });
+    const lock = createCheckoutLock({ id: 'cs_test_1' }, lines, totals);
+
+    // 3 x 60.99 + 15.55 tax + 8.99 shipping
+    assert.strictEqual(lock.amount_total, 18297 + 1555 + 899);
+    assert.strictEqual(lock.amount_total, getAmountTotal(lines, totals));
+    assert.strictEqual(lock.session_id, 'cs_test_1');
+    assert.strictEqual(lock.currency, 'usd');
+    assert.deepStrictEqual(lock.lines, [{ product_id: 'dress', variant_id: 's-sage', quantity: 3, price: 60.99 }]);
+});
+
+test('orders show the locked figures once checkout has priced them', () => {
+    const storefrontOrder = {
+        ...pendingOrder,
+        items: [{ product_id: 'dress', variant_id: 's-sage', name: 'Linen Dress', size: 'S', quantity: 3, price: 0.01, total: 0.03 }],
+        totals: { subtotal: 0.03, shipping: 8.99, tax: 0, total: 9.02 }
+    };
+    assert.deepStrictEqual(getCheckoutFigures(storefrontOrder), { lines: storefrontOrder.items, totals: storefrontOrder.totals, locked: false });
+
+    const { lines, totals } = priceCart([{ product_id: 'dress', variant_id: 's-sage', quantity: 3 }], { dress });
+    const figures = getCheckoutFigures({ ...storefrontOrder, checkout: createCheckoutLock({ id: 'cs_test_1' }, lines, totals) });
+
+    assert.strictEqual(figures.locked, true);
+    assert.deepStrictEqual(figures.totals, totals);
+    assert.deepStrictEqual(figures.lines.map(line => [line.name, line.size, line.quantity, line.price, line.total]), [['Linen Dress', 'S', 3, 60.99, 182.97]]);
+});
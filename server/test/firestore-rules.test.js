@@ -0,0 +1,250 @@
+// Run with `npm run test:rules`, which starts the Firestore emulator (Firebase
+// CLI) and runs this file against firestore.rules. `npm test` skips it unless
+// FIRESTORE_EMULATOR_HOST points at a running emulator.
+
+const test = require('node:test');
+const fs = require('node:fs');
+const path = require('node:path');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const {
+    doc, collection, getDoc, getDocs, setDoc, updateDoc, deleteDoc, query, where, writeBatch
+} = require('firebase/firestore');
+
+const skip = !process.env.FIRESTORE_EMULATOR_HOST && 'needs the Firestore emulator (npm run test:rules)';
+
+const HOUR = 60 * 60 * 1000;
+
+let env;
+
+const as = {
+    nobody: () => env.unauthenticatedContext().firestore(),
+    guest: () => env.authenticatedContext('guest-uid', { firebase: { sign_in_provider: 'anonymous' } }).firestore(),
+    shopper: () => env.authenticatedContext('shopper-uid', { email: 'shopper@example.com' }).firestore(),
+    staff: () => env.authenticatedContext('staff-uid', { role: 'staff' }).firestore(),
+    owner: () => env.authenticatedContext('owner-uid', { role: 'owner' }).firestore(),
+    legacyAdmin: () => env.authenticatedContext('legacy-uid', { admin: true }).firestore()
+};
+
+const variants = [
+    { id: 's-sage', size: 'S', price: 60, stock: 3, reserved: 0 },
+    { id: 'm-sage', size: 'M', price: 64, stock: 4, reserved: 1 }
+];
+
+// A hold and the product's `reserved` move together, as reserveStock and
+// releaseStock write them. `hold` null deletes the hold.
+function holdBatch(db, holdId, hold, productUpdate) {
+    const batch = writeBatch(db);
+    const holdRef = doc(db, `stock_reservations/${holdId}`);
+
+    if (hold) {
+        batch.set(holdRef, hold);
+    } else {
+        batch.delete(holdRef);
+    }
+    batch.update(doc(db, `products/${holdId.split('__')[1]}`), { ...productUpdate, hold_id: holdId });
+
+    return batch.commit();
+}
+
+async function seed() {
+    await env.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        const now = Date.now();
+
+        await setDoc(doc(db, 'products/hat'), { name: 'Sun Hat', price: 18, stock: 10, reserved: 0 });
+        await setDoc(doc(db, 'products/dress'), { name: 'Linen Dress', price: 64, stock: 7, reserved: 1, variants });
+
+        await setDoc(doc(db, 'user_profiles/shopper-uid'), {
+            id: 'shopper-uid',
+            type: 'registered',
+            personal_info: { name: 'Sam Shopper' },
+            shopping: { cart: { items: [] }, purchase_history: [{ order_id: 'paid-order', status: 'paid' }] }
+        });
+
+        await setDoc(doc(db, 'orders/pending-order'), {
+            profile_id: 'shopper-uid', status: 'pending', stock_committed: false, status_history: []
+        });
+        await setDoc(doc(db, 'orders/paid-order'), {
+            profile_id: 'shopper-uid', status: 'paid', stock_committed: true, status_history: [],
+            payment: { status: 'paid', payment_intent: 'pi_test_fixture' }
+        });
+
+        await setDoc(doc(db, 'stock_reservations/shopper-uid__hat'), {
+            profile_id: 'shopper-uid', product_id: 'hat', quantity: 1, expires_at_ms: now - 1000
+        });
+        await setDoc(doc(db, 'stock_reservations/shopper-uid__dress__m-sage'), {
+            profile_id: 'shopper-uid', product_id: 'dress', variant_id: 'm-sage', quantity: 1, expires_at_ms: now + HOUR / 2
+        });
+
+        await setDoc(doc(db, 'analytics/evt-shopper'), { event_name: 'page_view', profile_id: 'shopper-uid' });
+        await setDoc(doc(db, 'analytics/evt-guest'), { event_name: 'page_view', profile_id: 'guest-uid' });
+        await setDoc(doc(db, 'analytics/evt-signed-in'), { event_name: 'page_view', profile_id: 'guest-uid', recorded_by: 'shopper-uid' });
+        await setDoc(doc(db, 'stripe_events/evt_test'), { type: 'checkout.session.completed' });
+    });
+}
+
+test.before(async () => {
+    if (skip) return;
+    env = await initializeTestEnvironment({
+        projectId: 'demo-all-seasons-sprouts',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', '..', 'firestore.rules'), 'utf8') }
+    });
+});
+
+test.beforeEach(async () => {
+    if (skip) return;
+    await env.clearFirestore();
+    await seed();
+});
+
+test.after(async () => {
+    if (env) await env.cleanup();
+});
+
+test('anyone can browse products; staff edit them and only owners delete them', { skip }, async () => {
+    await assertSucceeds(getDoc(doc(as.nobody(), 'products/hat')));
+    await assertFails(updateDoc(doc(as.shopper(), 'products/hat'), { price: 1 }));
+    await assertFails(setDoc(doc(as.shopper(), 'products/new'), { name: 'Free Stuff', price: 0 }));
+
+    await assertSucceeds(updateDoc(doc(as.staff(), 'products/hat'), { price: 20, stock: 12 }));
+    await assertSucceeds(setDoc(doc(as.staff(), 'products/new'), { name: 'Rain Boots', price: 35, stock: 5 }));
+    await assertFails(deleteDoc(doc(as.staff(), 'products/new')));
+
+    await assertSucceeds(deleteDoc(doc(as.owner(), 'products/new')));
+    await assertSucceeds(deleteDoc(doc(as.legacyAdmin(), 'products/hat')));
+});
+
+test('shoppers can only move reserved stock along with their own hold', { skip }, async () => {
+    const db = as.guest();
+    const hold = { profile_id: 'guest-uid', product_id: 'hat', quantity: 2, expires_at_ms: Date.now() + HOUR / 2 };
+
+    await assertSucceeds(holdBatch(db, 'guest-uid__hat', hold, { reserved: 2, updated_at: new Date().toISOString() }));
+    await assertFails(holdBatch(db, 'guest-uid__hat', { ...hold, quantity: 3 }, { reserved: 5 }));
+    await assertFails(holdBatch(db, 'guest-uid__hat', { ...hold, quantity: 12 }, { reserved: 12 }));
+    await assertFails(updateDoc(doc(db, 'products/hat'), { reserved: 0, hold_id: 'guest-uid__hat' }));
+    await assertFails(updateDoc(doc(db, 'products/hat'), { reserved: 0, hold_id: 'guest-uid__dress__s-sage' }));
+    await assertFails(setDoc(doc(db, 'stock_reservations/guest-uid__hat'), { ...hold, quantity: 1 }));
+    await assertFails(holdBatch(db, 'guest-uid__hat', { ...hold, quantity: 1 }, { reserved: 1, stock: 0 }));
+    await assertFails(holdBatch(as.nobody(), 'guest-uid__hat', { ...hold, quantity: 1 }, { reserved: 1 }));
+    await assertSucceeds(holdBatch(db, 'guest-uid__hat', null, { reserved: 0 }));
+
+    const dressHold = { profile_id: 'guest-uid', product_id: 'dress', variant_id: 's-sage', quantity: 1, expires_at_ms: Date.now() + HOUR / 2 };
+    const withSize = (id, changes) => variants.map(variant => variant.id === id ? { ...variant, ...changes } : variant);
+
+    await assertFails(holdBatch(db, 'guest-uid__dress__s-sage', dressHold, { variants: withSize('s-sage', { reserved: 1, size: 'XL' }), reserved: 2 }));
+    await assertFails(holdBatch(db, 'guest-uid__dress__s-sage', dressHold, { variants: withSize('m-sage', { reserved: 2 }), reserved: 2 }));
+    await assertFails(holdBatch(db, 'guest-uid__dress__s-sage', dressHold, { variants: withSize('s-sage', { reserved: 1, price: 1 }), reserved: 2 }));
+    await assertFails(holdBatch(db, 'guest-uid__dress__s-sage', dressHold, { variants: variants.slice(0, 1), reserved: 0 }));
+    await assertSucceeds(holdBatch(db, 'guest-uid__dress__s-sage', dressHold, { variants: withSize('s-sage', { reserved: 1 }), reserved: 2 }));
+    await assertSucceeds(holdBatch(db, 'guest-uid__dress__s-sage', null, { variants, reserved: 1 }));
+});
+
+test('profiles are private; staff can only update purchase history', { skip }, async () => {
+    await assertSucceeds(getDoc(doc(as.shopper(), 'user_profiles/shopper-uid')));
+    await assertFails(getDoc(doc(as.guest(), 'user_profiles/shopper-uid')));
+    await assertSucceeds(setDoc(doc(as.guest(), 'user_profiles/guest-uid'), { id: 'guest-uid', type: 'guest' }));
+    await assertFails(setDoc(doc(as.guest(), 'user_profiles/someone-else'), { id: 'someone-else', type: 'guest' }));
+
+    const staff = as.staff();
+    await assertSucceeds(getDoc(doc(staff, 'user_profiles/shopper-uid')));
+    await assertSucceeds(updateDoc(doc(staff, 'user_profiles/shopper-uid'), {
+        'shopping.purchase_history': [{ order_id: 'paid-order', status: 'fulfilled' }]
+    }));
+    await assertFails(updateDoc(doc(staff, 'user_profiles/shopper-uid'), { 'personal_info.name': 'Changed' }));
+    await assertFails(updateDoc(doc(staff, 'user_profiles/shopper-uid'), { 'shopping.cart.items': [] }));
+
+    await assertSucceeds(setDoc(doc(as.shopper(), 'user_profiles/shopper-uid/events/evt-1'), { event_name: 'page_view' }));
+    await assertFails(setDoc(doc(as.guest(), 'user_profiles/shopper-uid/events/evt-2'), { event_name: 'page_view' }));
+    await assertFails(deleteDoc(doc(as.staff(), 'user_profiles/shopper-uid')));
+});
+
+test('customers create pending orders for themselves and can cancel before paying', { skip }, async () => {
+    const db = as.shopper();
+    const order = { profile_id: 'shopper-uid', status: 'pending', stock_committed: false, items: [], totals: { total: 18 } };
+
+    await assertSucceeds(setDoc(doc(db, 'orders/new-order'), order));
+    await assertFails(setDoc(doc(db, 'orders/paid'), { ...order, status: 'paid' }));
+    await assertFails(setDoc(doc(db, 'orders/with-payment'), { ...order, payment: { status: 'paid' } }));
+    await assertFails(setDoc(doc(db, 'orders/someone-elses'), { ...order, profile_id: 'guest-uid' }));
+
+    await assertSucceeds(getDoc(doc(db, 'orders/pending-order')));
+    await assertFails(getDoc(doc(as.guest(), 'orders/pending-order')));
+    await assertSucceeds(getDocs(query(collection(db, 'orders'), where('profile_id', '==', 'shopper-uid'))));
+    await assertFails(getDocs(collection(db, 'orders')));
+
+    await assertFails(setDoc(doc(db, 'orders/locked'), { ...order, checkout: { session_id: 'cs_test_123' } }));
+    await assertFails(updateDoc(doc(db, 'orders/pending-order'), { checkout_session_id: 'cs_test_123' }));
+    await assertFails(updateDoc(doc(db, 'orders/pending-order'), { status: 'paid' }));
+    await assertSucceeds(updateDoc(doc(db, 'orders/pending-order'), { status: 'cancelled', status_history: [{ status: 'cancelled' }] }));
+    await assertFails(updateDoc(doc(db, 'orders/paid-order'), { status: 'cancelled' }));
+    await assertFails(deleteDoc(doc(db, 'orders/paid-order')));
+});
+
+test('staff move orders along the lifecycle; payments stay server-only', { skip }, async () => {
+    const db = as.staff();
+
+    await assertSucceeds(getDocs(collection(db, 'orders')));
+    await assertFails(updateDoc(doc(db, 'orders/pending-order'), { status: 'paid' }));
+    await assertFails(updateDoc(doc(db, 'orders/paid-order'), { status: 'delivered' }));
+    await assertFails(updateDoc(doc(db, 'orders/paid-order'), { 'payment.status': 'refunded' }));
+
+    await assertSucceeds(updateDoc(doc(db, 'orders/paid-order'), {
+        status: 'fulfilled',
+        status_updated_at: new Date().toISOString(),
+        status_history: [{ status: 'fulfilled' }]
+    }));
+    await assertSucceeds(updateDoc(doc(db, 'orders/paid-order'), {
+        status: 'shipped',
+        tracking: { carrier: 'usps', tracking_number: '9400111899223817' }
+    }));
+    await assertSucceeds(updateDoc(doc(db, 'orders/paid-order'), {
+        tracking: { carrier: 'ups', tracking_number: '1Z999AA10123456784' }
+    }));
+    await assertFails(deleteDoc(doc(as.owner(), 'orders/paid-order')));
+});
+
+test('stock holds belong to their shopper, and anyone can clear an expired one', { skip }, async () => {
+    const hold = { profile_id: 'shopper-uid', product_id: 'hat', quantity: 1, expires_at_ms: Date.now() + HOUR / 2 };
+
+    await assertFails(holdBatch(as.shopper(), 'shopper-uid__hat', { ...hold, expires_at_ms: Date.now() + 2 * HOUR }, { reserved: 1 }));
+    await assertFails(holdBatch(as.shopper(), 'shopper-uid__hat', { ...hold, quantity: 100 }, { reserved: 100 }));
+    await assertFails(holdBatch(as.shopper(), 'shopper-uid__hat', { ...hold, product_id: 'dress' }, { reserved: 1 }));
+    await assertFails(holdBatch(as.guest(), 'shopper-uid__hat', hold, { reserved: 1 }));
+    await assertFails(holdBatch(as.guest(), 'guest-uid__hat', hold, { reserved: 1 }));
+
+    await assertFails(getDocs(collection(as.nobody(), 'stock_reservations')));
+
+    // The seeded hat hold has expired; the dress hold is still live
+    await assertFails(deleteDoc(doc(as.guest(), 'stock_reservations/shopper-uid__hat')));
+    await assertSucceeds(holdBatch(as.guest(), 'shopper-uid__hat', null, { reserved: 0 }));
+    const released = variants.map(variant => ({ ...variant, reserved: 0 }));
+    await assertFails(holdBatch(as.guest(), 'shopper-uid__dress__m-sage', null, { variants: released, reserved: 0 }));
+    await assertSucceeds(holdBatch(as.shopper(), 'shopper-uid__dress__m-sage', null, { variants: released, reserved: 0 }));
+});
+
+test('analytics are write-only for shoppers; reports and alerts need a role, mail is server-only', { skip }, async () => {
+    const shopper = as.shopper();
+
+    await assertSucceeds(setDoc(doc(shopper, 'analytics/evt-new'), { event_name: 'page_view', profile_id: 'shopper-uid' }));
+    await assertSucceeds(getDoc(doc(shopper, 'analytics/evt-shopper')));
+    await assertFails(getDoc(doc(shopper, 'analytics/evt-guest')));
+    await assertSucceeds(getDoc(doc(as.owner(), 'analytics/evt-guest')));
+    // Checked before flushing, so a batch another tab wrote isn't counted twice
+    await assertSucceeds(getDoc(doc(shopper, 'analytics/evt-not-written-yet')));
+    await assertSucceeds(getDoc(doc(shopper, 'analytics/evt-signed-in')));
+
+    await assertSucceeds(setDoc(doc(shopper, 'daily_analytics/2026-10-19'), { date: '2026-10-19', total_events: 1 }));
+    await assertFails(setDoc(doc(shopper, 'daily_analytics/2026-10-19'), { date: '2026-10-19', revenue: 1000 }));
+    await assertFails(getDoc(doc(shopper, 'daily_analytics/2026-10-19')));
+
+    await assertFails(setDoc(doc(as.staff(), 'daily_reports/2026-10-19'), { total_orders: 1 }));
+    await assertSucceeds(setDoc(doc(as.owner(), 'daily_reports/2026-10-19'), { total_orders: 1 }));
+
+    await assertFails(setDoc(doc(shopper, 'inventory_alerts/hat_low_stock'), { status: 'open' }));
+    await assertSucceeds(setDoc(doc(as.staff(), 'inventory_alerts/hat_low_stock'), { status: 'open' }));
+    await assertFails(setDoc(doc(shopper, 'mail/alert'), { to: 'owner@example.com' }));
+    await assertFails(setDoc(doc(as.staff(), 'mail/alert'), { to: 'owner@example.com' }));
+    await assertFails(getDoc(doc(as.staff(), 'mail/alert')));
+
+    await assertFails(getDoc(doc(as.owner(), 'stripe_events/evt_test')));
+});
@@ -0,0 +1,131 @@
+// Run with `npm test`. Holding an order's stock at checkout, and how stock alerts
+// reach the owner.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeStockLines, holdOrderStock, ConsoleStockAlertNotifier, MailQueueStockAlertNotifier } = require('../inventory');
+
+// A readOrderStock entry for one line, its product and (optional) hold
+function stockEntry(item, product, hold = null) {
+    const key = item.variant_id ? `${item.product_id}__${item.variant_id}` : item.product_id;
+    return {
+        item,
+        productRef: { id: item.product_id },
+        holdRef: { id: `uid__${key}` },
+        productDoc: { exists: true, data: () => product },
+        holdDoc: { exists: !!hold, data: () => hold }
+    };
+}
+
+// Records what a transaction writes, by document id
+function fakeTransaction() {
+    const writes = {};
+    return {
+        writes,
+        set: (ref, data) => { writes[ref.id] = data; },
+        update: (ref, data) => { writes[ref.id] = { ...writes[ref.id], ...data }; }
+    };
+}
+
+const dress = {
+    name: 'Linen Dress',
+    stock: 7,
+    reserved: 1,
+    variants: [
+        { id: 's-sage', size: 'S', color: 'Sage', stock: 3, reserved: 1 },
+        { id: 'm-sage', size: 'M', color: 'Sage', stock: 4, reserved: 0 }
+    ]
+};
+
+test('lines for the same size share one hold, whatever their gift notes', () => {
+    assert.deepStrictEqual(mergeStockLines([
+        { product_id: 'hat', variant_id: null, quantity: 1 },
+        { product_id: 'dress', variant_id: 's-sage', quantity: 1 },
+        { product_id: 'hat', variant_id: null, quantity: 2 }
+    ]), [
+        { product_id: 'hat', variant_id: null, quantity: 3 },
+        { product_id: 'dress', variant_id: 's-sage', quantity: 1 }
+    ]);
+});
+
+test("an order's lapsed and short holds are topped up from the unreserved stock", () => {
+    const transaction = fakeTransaction();
+    const expiresAtMs = Date.parse('2026-10-19T12:35:00.000Z');
+    const { shortfalls } = holdOrderStock(transaction, [
+        // Held one of two - its hold expired, but still counts in `reserved`
+        stockEntry({ product_id: 'dress', variant_id: 's-sage', quantity: 2 }, dress,
+            { quantity: 1, created_at: '2026-10-19T11:00:00.000Z', expires_at_ms: 0 }),
+        stockEntry({ product_id: 'dress', variant_id: 'm-sage', quantity: 3 }, dress)
+    ], 'uid', expiresAtMs);
+
+    assert.deepStrictEqual(shortfalls, []);
+    assert.deepStrictEqual(transaction.writes.dress.variants.map(variant => variant.reserved), [2, 3]);
+    assert.strictEqual(transaction.writes.dress.reserved, 5);
+    assert.strictEqual(transaction.writes['uid__dress__s-sage'].quantity, 2);
+    assert.strictEqual(transaction.writes['uid__dress__s-sage'].created_at, '2026-10-19T11:00:00.000Z');
+    assert.strictEqual(transaction.writes['uid__dress__m-sage'].expires_at, '2026-10-19T12:35:00.000Z');
+    assert.strictEqual(transaction.writes['uid__dress__m-sage'].expires_at_ms, expiresAtMs);
+});
+
+test('stock that sold out since the cart held it comes back as a shortfall', () => {
+    const { shortfalls } = holdOrderStock(fakeTransaction(), [
+        stockEntry({ product_id: 'dress', variant_id: 's-sage', quantity: 3 }, dress),
+        stockEntry({ product_id: 'hat', variant_id: null, quantity: 1 }, { name: 'Sun Hat', stock: 1, reserved: 0, preorder: true })
+    ], 'uid', Date.now());
+
+    assert.deepStrictEqual(shortfalls, [{
+        product_id: 'dress',
+        variant_id: 's-sage',
+        product_name: 'Linen Dress (S / Sage)',
+        requested: 3,
+        available: 2
+    }]);
+});
+
+const alert = {
+    alert_id: 'alert-1',
+    alert_type: 'low_stock',
+    severity: 'warning',
+    threshold: 5,
+    stock: 3,
+    product: { name: 'Sun Hat', sku: 'HAT-1' },
+    recipient: 'owner@example.com',
+    timestamp: '2026-10-19T12:00:00.000Z'
+};
+
+// Records what would be added to each collection
+function fakeDb() {
+    const added = [];
+    return {
+        added,
+        collection: name => ({ add: async data => added.push({ collection: name, data }) })
+    };
+}
+
+test('the mail queue notifier queues one email for the owner', async () => {
+    const db = fakeDb();
+    await new MailQueueStockAlertNotifier(db).notify(alert);
+
+    assert.strictEqual(db.added.length, 1);
+    const [{ collection, data }] = db.added;
+    assert.strictEqual(collection, 'mail');
+    assert.strictEqual(data.to, 'owner@example.com');
+    assert.strictEqual(data.message.subject, 'Stock alert: Sun Hat is low on stock (3 left)');
+    assert.strictEqual(data.alert_id, 'alert-1');
+});
+
+test('without an owner email nothing is queued', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const db = fakeDb();
+    await new MailQueueStockAlertNotifier(db).notify({ ...alert, recipient: null });
+
+    assert.deepStrictEqual(db.added, []);
+});
+
+test('the console notifier prints the alert', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    await new ConsoleStockAlertNotifier().notify({ ...alert, alert_type: 'sold_out', severity: 'critical' });
+
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /CRITICAL: Sun Hat \(HAT-1\) is sold out/);
+});
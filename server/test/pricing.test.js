@@ -0,0 +1,56 @@
+// Run with `npm test`. The server's prices and totals, which Stripe charges.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateShipping, calculateTax, priceCart, toCents } = require('../pricing');
+
+const productsById = {
+    hat: { name: 'Sun Hat', price: 18, weight: 0.2, sku: 'HAT-1', category: 'accessories' },
+    dress: {
+        name: 'Linen Dress',
+        price: 64,
+        weight: 0.6,
+        sku: 'DRESS',
+        category: 'girls',
+        variants: [
+            { id: 's-sage', size: 'S', color: 'Sage', price: 60, stock: 3, sku: 'DRESS-S-SAGE' },
+            { id: 'm-sage', size: 'M', color: 'Sage', stock: 4, sku: 'DRESS-M-SAGE' }
+        ]
+    }
+};
+
+test('shipping goes up with the total weight', () => {
+    assert.strictEqual(calculateShipping([{ weight: 0.2, quantity: 4 }]), 5.99);
+    assert.strictEqual(calculateShipping([{ weight: 0.5, quantity: 2 }]), 8.99);
+    assert.strictEqual(calculateShipping([{ weight: 1, quantity: 4 }]), 12.99);
+    assert.strictEqual(calculateShipping([{ weight: 1, quantity: 5 }]), 15.99);
+});
+
+test('tax is rounded to cents', () => {
+    assert.strictEqual(calculateTax(100), 8.5);
+    assert.strictEqual(calculateTax(19.99), 1.7);
+    assert.strictEqual(toCents(19.99), 1999);
+});
+
+test('variant prices win over the product price, which is the fallback', () => {
+    const { lines } = priceCart([
+        { product_id: 'dress', variant_id: 's-sage', quantity: 1 },
+        { product_id: 'dress', variant_id: 'm-sage', quantity: 2 }
+    ], productsById);
+
+    assert.deepStrictEqual(lines.map(line => [line.variant_id, line.price, line.total, line.sku]), [
+        ['s-sage', 60, 60, 'DRESS-S-SAGE'],
+        ['m-sage', 64, 128, 'DRESS-M-SAGE']
+    ]);
+    assert.strictEqual(lines[0].variant_label, 'S / Sage');
+});
+
+test('totals add shipping and tax to the subtotal', () => {
+    const { lines, totals } = priceCart([
+        { product_id: 'hat', variant_id: null, quantity: 2 },
+        { product_id: 'dress', variant_id: 's-sage', quantity: 1 }
+    ], productsById);
+
+    assert.strictEqual(lines[0].variant_id, null);
+    assert.deepStrictEqual(totals, { subtotal: 96, shipping: 8.99, tax: 8.16, total: 113.15 });
+});
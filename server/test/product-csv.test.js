@@ -0,0 +1,104 @@
+// Run with `npm test`. Import plans are built against products shaped like
+// FirebaseManager.normalizeProduct's output.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, productsToCsv, planProductImport } = require('../../product-csv');
+
+const dress = {
+    id: 'dress-1',
+    sku: 'DRS-001',
+    name: 'Linen Dress',
+    category: 'girls',
+    price: 58,
+    stock: 3,
+    on_hand: 5,
+    reserved: 2,
+    preorder: false,
+    archived: false,
+    image: 'https://images.example/dress.jpg',
+    description: 'A light, "breezy" dress,\nlined',
+    weight: 0.4,
+    dimensions: 'Standard fit',
+    variants: []
+};
+
+const shirt = {
+    ...dress,
+    id: 'shirt-1',
+    sku: 'SHT-001',
+    name: '=Oxford Shirt',
+    category: 'boys',
+    stock: 6,
+    on_hand: 6,
+    reserved: 0,
+    variants: [
+        { id: 's', size: 'S', stock: 2, on_hand: 2, reserved: 0 },
+        { id: 'm', size: 'M', stock: 4, on_hand: 4, reserved: 0 }
+    ]
+};
+
+test('quoted fields keep their commas, quotes and line breaks', () => {
+    assert.deepStrictEqual(parseCsv('a,"b, ""c""",d\r\n"e\nf",g,\n\n'), [
+        ['a', 'b, "c"', 'd'],
+        ['e\nf', 'g', '']
+    ]);
+});
+
+test('an exported catalog imports back unchanged', () => {
+    const csv = productsToCsv([dress, shirt]);
+
+    assert.ok(csv.includes(",'=Oxford Shirt,"), 'formulas are neutralised');
+
+    const { plan, errors } = planProductImport(csv, [dress, shirt]);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(plan.map(entry => entry.action), ['unchanged', 'unchanged']);
+});
+
+test('rows are matched by SKU into creates and updates with a diff', () => {
+    const csv = [
+        'SKU,Name,Category,Price,Stock,size_stock',
+        'drs-001,,girls,62,5,',
+        'SHT-001,,,,,s=2; m=9',
+        'NEW-001,Wool Beanie,accessories,24,10,'
+    ].join('\n');
+
+    const { plan } = planProductImport(csv, [dress, shirt]);
+
+    assert.strictEqual(plan[0].action, 'update');
+    assert.deepStrictEqual(plan[0].data, { price: 62 });
+    assert.deepStrictEqual(plan[0].changes, [{ field: 'price', from: '58', to: '62' }]);
+
+    assert.strictEqual(plan[1].action, 'update');
+    assert.deepStrictEqual(plan[1].variantStock, { m: 9 });
+
+    assert.strictEqual(plan[2].action, 'create');
+    assert.strictEqual(plan[2].data.sku, 'NEW-001');
+    assert.strictEqual(plan[2].data.stock, 10);
+});
+
+test('invalid rows report why and are not applied', () => {
+    const csv = [
+        'sku,name,category,price,stock',
+        'BAD-001,Hat,hats,-4,2.5',
+        ',No SKU,boys,10,1',
+        'NEW-002,Scarf,accessories,30,1',
+        'NEW-002,Scarf again,accessories,30,1',
+        'SHT-001,,,,20'
+    ].join('\n');
+
+    const { plan } = planProductImport(csv, [dress, shirt]);
+
+    assert.deepStrictEqual(plan.map(entry => entry.action), ['error', 'error', 'create', 'error', 'error']);
+    assert.strictEqual(plan[0].errors.length, 3);
+    assert.match(plan[1].errors[0], /SKU is required/);
+    assert.match(plan[3].errors[0], /already on line 4/);
+    assert.match(plan[4].errors[0], /per size/);
+});
+
+test('a file without the required columns is rejected up front', () => {
+    const { plan, errors } = planProductImport('sku,name\nA-1,Thing', []);
+
+    assert.deepStrictEqual(plan, []);
+    assert.match(errors[0], /category, price/);
+});
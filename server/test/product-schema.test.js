@@ -0,0 +1,38 @@
+// Run with `npm test`. Validation shared by the admin catalog manager and the server.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PRODUCT_DEFAULTS, validateProductData, assertValidProduct, ProductValidationError } = require('../../product-schema');
+const { normalizeProduct } = require('../products');
+
+test('blank optional fields get the defaults readers fill in', () => {
+    const product = assertValidProduct({ name: ' Linen Dress ', category: 'girls', price: '58', stock: '', image: '', weight: '' });
+
+    assert.strictEqual(product.name, 'Linen Dress');
+    assert.strictEqual(product.price, 58);
+    assert.strictEqual(product.stock, PRODUCT_DEFAULTS.stock);
+    assert.strictEqual(product.image, PRODUCT_DEFAULTS.image);
+    assert.strictEqual(product.description, PRODUCT_DEFAULTS.description);
+    assert.strictEqual(product.weight, PRODUCT_DEFAULTS.weight);
+    assert.strictEqual(product.dimensions, PRODUCT_DEFAULTS.dimensions);
+    assert.strictEqual(product.preorder, false);
+
+    // A document written like this reads back exactly as validated
+    const read = normalizeProduct('dress-1', product);
+    ['name', 'price', 'stock', 'image', 'description', 'weight', 'dimensions', 'preorder']
+        .forEach(field => assert.strictEqual(read[field], product[field], field));
+});
+
+test('invalid fields are reported by name', () => {
+    const { errors } = validateProductData({ name: '', category: 'hats', price: -1, stock: 1.5, weight: 0, sku: 'bad sku' });
+
+    assert.deepStrictEqual(Object.keys(errors).sort(), ['category', 'name', 'price', 'sku', 'stock', 'weight']);
+    assert.throws(() => assertValidProduct({ name: 'Dress' }), error => error instanceof ProductValidationError && !!error.errors.category);
+});
+
+test('partial validation only checks the fields being changed', () => {
+    const { product, errors } = validateProductData({ price: '12.499' }, { partial: true });
+
+    assert.deepStrictEqual(errors, {});
+    assert.deepStrictEqual(product, { price: 12.5 });
+});
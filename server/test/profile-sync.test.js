@@ -0,0 +1,166 @@
+// Run with `npm test`. Two copies of one profile's `shopping`, as two tabs or
+// devices would hold them.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeShopping, mergePurchaseHistory, markRemoved, hasSameEntries, REMOVAL_TTL_DAYS } = require('../../profile-sync');
+const { FirebaseProfileManager } = require('../../profile-manager');
+
+const now = new Date('2026-03-10T12:00:00.000Z');
+
+function at(minutes) {
+    return new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+}
+
+function line(productId, quantity, updatedAt, extra = {}) {
+    return { product_id: productId, quantity, variant_id: null, gift_note: null, added_at: at(0), updated_at: updatedAt, ...extra };
+}
+
+function shopping({ items = [], wishlist = [], removed } = {}) {
+    return { cart: { items, total: 0, updated_at: null }, wishlist, purchase_history: [], abandoned_carts: [], removed };
+}
+
+const quantities = merged => merged.cart.items.map(item => [item.product_id, item.variant_id, item.quantity]);
+
+test('lines added on either side are kept', () => {
+    const local = shopping({ items: [line('hat', 1, at(1))] });
+    const remote = shopping({ items: [line('dress', 2, at(2), { variant_id: 'm-sage' })] });
+
+    assert.deepStrictEqual(quantities(mergeShopping(local, remote, now)), [['hat', null, 1], ['dress', 'm-sage', 2]]);
+});
+
+test('the most recently changed copy of a line wins', () => {
+    const local = shopping({ items: [line('hat', 1, at(5))] });
+    const remote = shopping({ items: [line('hat', 3, at(2))] });
+
+    assert.deepStrictEqual(quantities(mergeShopping(local, remote, now)), [['hat', null, 1]]);
+    assert.deepStrictEqual(quantities(mergeShopping(remote, local, now)), [['hat', null, 1]]);
+});
+
+test('sizes and gift notes are separate lines', () => {
+    const local = shopping({ items: [line('dress', 1, at(1), { variant_id: 's-sage' })] });
+    const remote = shopping({ items: [line('dress', 1, at(1), { variant_id: 's-sage', gift_note: 'Happy birthday' })] });
+
+    assert.strictEqual(mergeShopping(local, remote, now).cart.items.length, 2);
+});
+
+test('a removal beats older copies of the line but not a later re-add', () => {
+    const local = shopping({ items: [] });
+    markRemoved(local, 'cart', 'hat', at(3));
+
+    const stale = shopping({ items: [line('hat', 2, at(1))] });
+    assert.deepStrictEqual(quantities(mergeShopping(local, stale, now)), []);
+    assert.deepStrictEqual(quantities(mergeShopping(stale, local, now)), []);
+
+    const readded = shopping({ items: [line('hat', 1, at(4))] });
+    assert.deepStrictEqual(quantities(mergeShopping(local, readded, now)), [['hat', null, 1]]);
+});
+
+test('wishlist entries merge by product, with removals', () => {
+    const local = shopping({ wishlist: [{ product_id: 'hat', added_at: at(1), updated_at: at(1) }] });
+    markRemoved(local, 'wishlist', 'dress', at(5));
+    const remote = shopping({
+        wishlist: [
+            { product_id: 'dress', added_at: at(2), updated_at: at(2) },
+            { product_id: 'socks', added_at: at(3) }
+        ]
+    });
+
+    const merged = mergeShopping(local, remote, now);
+    assert.deepStrictEqual(merged.wishlist.map(item => item.product_id), ['hat', 'socks']);
+    assert.deepStrictEqual(merged.removed.wishlist, { dress: at(5) });
+});
+
+test('expired removals are forgotten', () => {
+    const local = shopping();
+    markRemoved(local, 'cart', 'hat', at(-(REMOVAL_TTL_DAYS + 1) * 24 * 60));
+    markRemoved(local, 'cart', 'socks', at(-60));
+
+    assert.deepStrictEqual(Object.keys(mergeShopping(local, shopping(), now).removed.cart), ['socks']);
+});
+
+test('the rest of shopping stays as the local copy has it', () => {
+    const local = shopping({ items: [line('hat', 1, at(1))] });
+    local.purchase_history = [{ order_id: 'order-1' }];
+    const remote = shopping();
+    remote.purchase_history = [];
+
+    const merged = mergeShopping(local, remote, now);
+    assert.deepStrictEqual(merged.purchase_history, [{ order_id: 'order-1' }]);
+    assert.strictEqual(mergeShopping(local, null, now), local);
+});
+
+test('hasSameEntries ignores removals and totals', () => {
+    const a = shopping({ items: [line('hat', 1, at(1))] });
+    const b = { ...shopping({ items: [line('hat', 1, at(1))] }), removed: { cart: { socks: at(2) }, wishlist: {} } };
+    b.cart.total = 18;
+
+    assert.strictEqual(hasSameEntries(a, b), true);
+    assert.strictEqual(hasSameEntries(a, shopping()), false);
+});
+
+test('stored purchases win, and purchases not saved yet are kept', () => {
+    const local = [{ order_id: 'order-1', status: 'pending' }, { order_id: 'order-2', status: 'paid' }];
+    const stored = [{ order_id: 'order-1', status: 'shipped' }];
+
+    assert.deepStrictEqual(mergePurchaseHistory(local, stored), [
+        { order_id: 'order-1', status: 'shipped' },
+        { order_id: 'order-2', status: 'paid' }
+    ]);
+    assert.deepStrictEqual(mergePurchaseHistory(local, undefined), local);
+});
+
+// Just enough of Firestore for saveProfile's transaction on one profile document
+function fakeProfileDb(stored) {
+    const db = {
+        stored,
+        collection: () => ({ doc: () => ({}) }),
+        runTransaction: async (update) => update({
+            get: async () => ({ exists: true, data: () => structuredClone(db.stored) }),
+            update: (ref, fields) => {
+                Object.entries(fields).forEach(([path, value]) => {
+                    const keys = path.split('.');
+                    const parent = keys.slice(0, -1).reduce((owner, key) => (owner[key] = owner[key] || {}), db.stored);
+                    parent[keys.at(-1)] = value;
+                });
+            }
+        })
+    };
+    return db;
+}
+
+test("saving a cart change doesn't revert an order status or counters changed meanwhile", async () => {
+    const profile = {
+        id: 'shopper-uid',
+        type: 'registered',
+        analytics: { events: [{ action: 'page_view' }], total_events: 3 },
+        metadata: { visit_count: 2 },
+        shopping: {
+            ...shopping({ items: [line('hat', 1, at(1)), line('socks', 2, at(5))] }),
+            purchase_history: [{ order_id: 'order-1', status: 'paid' }]
+        }
+    };
+    // The webhook shipped the order after this tab loaded the profile, and other
+    // tabs' events and visits were counted
+    const db = fakeProfileDb({
+        ...structuredClone(profile),
+        analytics: { events: [], total_events: 9 },
+        metadata: { visit_count: 5 },
+        shopping: {
+            ...shopping({ items: [line('hat', 1, at(1))] }),
+            purchase_history: [{ order_id: 'order-1', status: 'shipped', tracking: { tracking_number: '1Z999' } }]
+        }
+    });
+
+    const manager = new FirebaseProfileManager(db, { currentUser: { uid: 'shopper-uid' } });
+    manager.currentProfile = structuredClone(profile);
+    await manager.saveProfile();
+
+    assert.deepStrictEqual(quantities(db.stored.shopping), [['hat', null, 1], ['socks', null, 2]]);
+    assert.deepStrictEqual(db.stored.shopping.purchase_history, [
+        { order_id: 'order-1', status: 'shipped', tracking: { tracking_number: '1Z999' } }
+    ]);
+    assert.strictEqual(manager.currentProfile.shopping.purchase_history[0].status, 'shipped');
+    assert.deepStrictEqual(db.stored.analytics, { events: [{ action: 'page_view' }], total_events: 9 });
+    assert.deepStrictEqual(db.stored.metadata, { visit_count: 5 });
+});
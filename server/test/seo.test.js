@@ -0,0 +1,64 @@
+// Run with `npm test`. The rendering is pure, so these use products built inline
+// rather than Firestore.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProductJsonLd, renderProductPage, renderSitemap, generateSeoFiles } = require('../seo');
+
+const options = { siteUrl: 'https://shop.example', currency: 'usd', lowStockThreshold: 5 };
+
+const dress = {
+    id: 'dress-1',
+    name: 'Linen Dress',
+    category: 'girls',
+    price: 58,
+    stock: 12,
+    reserved: 0,
+    preorder: false,
+    image: 'https://images.example/dress.jpg',
+    description: 'A light summer dress',
+    sku: 'DRS-001',
+    variants: [
+        { id: 's', size: 'S', stock: 3, reserved: 3 },
+        { id: 'm', size: 'M', stock: 9, reserved: 1, price: 62 }
+    ],
+    updated_at: '2026-09-01T10:00:00.000Z'
+};
+
+test('variant offers carry their own price and availability after holds', () => {
+    const jsonLd = buildProductJsonLd(dress, options);
+
+    assert.strictEqual(jsonLd['@type'], 'Product');
+    assert.deepStrictEqual(jsonLd.offers.map(offer => [offer.name, offer.price, offer.availability]), [
+        ['S', '58.00', 'https://schema.org/OutOfStock'],
+        ['M', '62.00', 'https://schema.org/InStock']
+    ]);
+    assert.strictEqual(jsonLd.offers[0].priceCurrency, 'USD');
+});
+
+test('products without variants get a single offer using the stock status rules', () => {
+    const lowStock = buildProductJsonLd({ ...dress, variants: [], stock: 4 }, options);
+    const preorder = buildProductJsonLd({ ...dress, variants: [], stock: 0, preorder: true }, options);
+
+    assert.strictEqual(lowStock.offers.availability, 'https://schema.org/LimitedAvailability');
+    assert.strictEqual(preorder.offers.availability, 'https://schema.org/PreOrder');
+});
+
+test('product pages escape product text and link back into the shop', () => {
+    const html = renderProductPage({ ...dress, name: 'Dress </script><b>' }, options);
+
+    assert.ok(html.includes('<title>Dress &lt;/script&gt;&lt;b&gt; | All Seasons Sprouts</title>'));
+    assert.ok(html.includes('"name": "Dress \\u003c/script>\\u003cb>"'));
+    assert.ok(html.includes('<link rel="canonical" href="https://shop.example/products/dress-1/">'));
+    assert.ok(html.includes('href="/#/product/dress-1"'));
+});
+
+test('the sitemap lists the home page and every product page', async () => {
+    const sitemap = renderSitemap([dress], options);
+    assert.ok(sitemap.includes('<loc>https://shop.example/</loc>'));
+    assert.ok(sitemap.includes('<loc>https://shop.example/products/dress-1/</loc>'));
+    assert.ok(sitemap.includes('<lastmod>2026-09-01</lastmod>'));
+
+    const files = await generateSeoFiles({ ...options, products: [dress] });
+    assert.deepStrictEqual(files.map(file => file.fileName), ['products/dress-1/index.html', 'sitemap.xml']);
+});
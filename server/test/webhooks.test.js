@@ -0,0 +1,102 @@
+// Run with `npm test`. Replays the signed fixtures through the real
+// verification path and checks which sessions may settle an order; applying
+// them needs Firestore and is covered in storefront.test.js.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { verifyWebhook, handleStripeEvent, handlers, checkSessionAgainstOrder, createPaymentReview, getDeliveryStatus } = require('../webhooks');
+const { RequestError } = require('../http');
+const { listFixtures, loadFixture, signPayload } = require('../webhook-fixtures');
+
+const SECRET = 'whsec_test_fixture_secret';
+
+test('every fixture is an event type the webhook handles', () => {
+    for (const name of listFixtures()) {
+        const event = loadFixture(name);
+        assert.strictEqual(event.type, name);
+        assert.ok(handlers[event.type], `no handler for ${event.type}`);
+    }
+});
+
+test('signed fixtures verify and parse back into the event', () => {
+    for (const name of listFixtures()) {
+        const payload = JSON.stringify(loadFixture(name, { orderId: 'order_123', profileId: 'profile_abc' }));
+        const event = verifyWebhook(Buffer.from(payload), signPayload(payload, SECRET), SECRET);
+
+        assert.strictEqual(event.type, name);
+        assert.strictEqual(event.data.object.metadata.order_id, 'order_123');
+        assert.strictEqual(event.data.object.metadata.profile_id, 'profile_abc');
+    }
+});
+
+test('a tampered payload is rejected with a 400', () => {
+    const payload = JSON.stringify(loadFixture('checkout.session.completed'));
+    const signature = signPayload(payload, SECRET);
+    const tampered = payload.replace('"amount_total":9479', '"amount_total":1');
+
+    assert.throws(
+        () => verifyWebhook(Buffer.from(tampered), signature, SECRET),
+        error => error instanceof RequestError && error.status === 400
+    );
+});
+
+test('a payload signed with another secret is rejected', () => {
+    const payload = JSON.stringify(loadFixture('charge.refunded'));
+
+    assert.throws(
+        () => verifyWebhook(Buffer.from(payload), signPayload(payload, 'whsec_other'), SECRET),
+        error => error instanceof RequestError && error.status === 400
+    );
+});
+
+test('a missing signature header is rejected', () => {
+    const payload = JSON.stringify(loadFixture('charge.refunded'));
+
+    assert.throws(
+        () => verifyWebhook(Buffer.from(payload), undefined, SECRET),
+        error => error instanceof RequestError && error.status === 400
+    );
+});
+
+test('unhandled event types are acknowledged without touching Firestore', async () => {
+    const result = await handleStripeEvent({ id: 'evt_other', type: 'customer.created', data: { object: {} } });
+    assert.deepStrictEqual(result, { handled: false, reason: 'unhandled_event_type' });
+});
+
+const lockedOrder = {
+    status: 'pending',
+    checkout: { session_id: 'cs_test_fixture', amount_total: 9479, currency: 'usd' }
+};
+
+test('only the locked session, for the locked amount, settles a pending order', () => {
+    const session = loadFixture('checkout.session.completed').data.object;
+
+    assert.strictEqual(checkSessionAgainstOrder(session, lockedOrder), null);
+    assert.strictEqual(checkSessionAgainstOrder({ ...session, amount_total: 100 }, lockedOrder), 'amount_mismatch');
+    assert.strictEqual(checkSessionAgainstOrder({ ...session, currency: 'cad' }, lockedOrder), 'amount_mismatch');
+    assert.strictEqual(checkSessionAgainstOrder({ ...session, id: 'cs_test_other' }, lockedOrder), 'session_mismatch');
+    assert.strictEqual(checkSessionAgainstOrder(session, { status: 'pending' }), 'no_checkout_session');
+    assert.strictEqual(checkSessionAgainstOrder(session, { ...lockedOrder, status: 'cancelled' }), 'order_cancelled');
+});
+
+test('money taken for a closed order is flagged for a refund, a wrong amount for review', () => {
+    const session = loadFixture('checkout.session.completed').data.object;
+    const now = '2026-03-10T12:00:00.000Z';
+
+    assert.deepStrictEqual(createPaymentReview(session, { ...lockedOrder, status: 'cancelled' }, 'order_cancelled', now), {
+        session_id: 'cs_test_fixture',
+        payment_intent: 'pi_test_fixture',
+        amount_total: 94.79,
+        currency: 'usd',
+        reason: 'order_cancelled',
+        action: 'refund',
+        flagged_at: now
+    });
+    assert.strictEqual(createPaymentReview(session, lockedOrder, 'amount_mismatch', now).action, 'review');
+});
+
+test('Stripe is asked to retry completions whose order is missing', () => {
+    assert.strictEqual(getDeliveryStatus({ handled: false, reason: 'order_not_found' }), 404);
+    assert.strictEqual(getDeliveryStatus({ handled: false, reason: 'payment_not_paid' }), 200);
+    assert.strictEqual(getDeliveryStatus({ handled: true, order_id: 'order_123', flagged: 'order_cancelled' }), 200);
+});
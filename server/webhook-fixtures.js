@@ -0,0 +1,107 @@
+// ===== WEBHOOK FIXTURES =====
+// Signs the recorded events in server/fixtures/webhooks exactly like Stripe does,
+// so tests and local runs can replay them against /api/stripe-webhook.
+//
+//   STRIPE_WEBHOOK_SECRET=whsec_test npm run replay-webhook -- checkout.session.completed \
+//       --order <orders doc id> --profile <profile id> \
+//       --session <the order's checkout.session_id> --amount <its checkout.amount_total>
+
+const fs = require('fs');
+const path = require('path');
+const { getStripe } = require('./stripe');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'webhooks');
+
+function listFixtures() {
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.replace(/\.json$/, ''));
+}
+
+// Point the fixture at a real order; each replay gets a fresh event id
+// so it isn't skipped as an already-processed delivery
+function loadFixture(name, overrides = {}) {
+    const event = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+    const object = event.data.object;
+
+    if (overrides.eventId !== false) {
+        event.id = overrides.eventId || `${event.id}_${Date.now()}`;
+    }
+    if (overrides.orderId) object.metadata.order_id = overrides.orderId;
+    if (overrides.profileId) object.metadata.profile_id = overrides.profileId;
+    if (overrides.paymentIntent && 'payment_intent' in object) object.payment_intent = overrides.paymentIntent;
+
+    // A completed session only settles the order it was locked to, for the locked amount
+    if (object.object === 'checkout.session') {
+        if (overrides.sessionId) object.id = overrides.sessionId;
+        if (overrides.amountTotal !== undefined) object.amount_total = Number(overrides.amountTotal);
+    }
+
+    return event;
+}
+
+function signPayload(payload, secret) {
+    return getStripe().webhooks.generateTestHeaderString({ payload, secret });
+}
+
+async function replayFixture(name, { url, secret, ...overrides }) {
+    const payload = JSON.stringify(loadFixture(name, overrides));
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Stripe-Signature': signPayload(payload, secret)
+        },
+        body: payload
+    });
+
+    return { status: response.status, body: await response.json() };
+}
+
+const FLAGS = {
+    '--order': 'orderId',
+    '--profile': 'profileId',
+    '--payment-intent': 'paymentIntent',
+    '--session': 'sessionId',
+    '--amount': 'amountTotal',
+    '--url': 'url'
+};
+
+function parseArgs(args) {
+    const options = { name: null };
+
+    for (let i = 0; i < args.length; i++) {
+        if (FLAGS[args[i]]) {
+            options[FLAGS[args[i]]] = args[++i];
+        } else {
+            options.name = args[i];
+        }
+    }
+
+    return options;
+}
+
+if (require.main === module) {
+    const { name, url: urlOption, ...overrides } = parseArgs(process.argv.slice(2));
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+    if (!name || !listFixtures().includes(name) || !secret) {
+        console.error(`Usage: STRIPE_WEBHOOK_SECRET=whsec_... node server/webhook-fixtures.js <${listFixtures().join('|')}> [--order id] [--profile id] [--session id] [--amount cents] [--payment-intent id] [--url url]`);
+        process.exit(1);
+    }
+
+    const url = urlOption || `http://localhost:${process.env.PORT || 3001}/api/stripe-webhook`;
+
+    replayFixture(name, { url, secret, ...overrides })
+        .then(({ status, body }) => {
+            console.log(`${status}`, body);
+            process.exit(status === 200 ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('Replay failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { listFixtures, loadFixture, signPayload, replayFixture };
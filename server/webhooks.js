@@ -0,0 +1,394 @@
+// ===== STRIPE WEBHOOKS =====
+// Stripe is the source of truth for payment: orders stay `pending` until
+// checkout.session.completed arrives here, then stock is committed and the
+// purchase is added to the buyer's profile.
+//
+// Only the session the order was locked to (server/checkout.js) can settle it.
+// Any other paid session - wrong amount, a second session, an order that was
+// cancelled meanwhile - is flagged on the order for a refund or review.
+
+const config = require('./config');
+const { RequestError } = require('./http');
+const { getStripe } = require('./stripe');
+const { getDb, getFieldValue } = require('./firestore');
+const { collections: inventoryCollections, readOrderStock, writeOrderStock, sendStockAlerts } = require('./inventory');
+const { canTransitionOrder, createStatusHistoryEntry, getCheckoutFigures } = require('../order-lifecycle');
+
+const collections = {
+    orders: 'orders',
+    profiles: 'user_profiles',
+    events: 'stripe_events'
+};
+
+function verifyWebhook(rawBody, signature, secret = config.stripe.webhookSecret) {
+    if (!secret) {
+        throw new RequestError('STRIPE_WEBHOOK_SECRET is not configured', 500);
+    }
+    if (!signature) {
+        throw new RequestError('Missing Stripe-Signature header');
+    }
+
+    try {
+        return getStripe().webhooks.constructEvent(rawBody, signature, secret);
+    } catch (error) {
+        throw new RequestError(`Webhook signature verification failed: ${error.message}`);
+    }
+}
+
+// Orders are found by the metadata the checkout session was created with.
+// The profile id must match so a forged order id can't touch someone else's order.
+async function findOrder(db, metadata = {}) {
+    if (!metadata.order_id) return null;
+
+    const orderRef = db.collection(collections.orders).doc(metadata.order_id);
+    const orderDoc = await orderRef.get();
+
+    if (!orderDoc.exists) return null;
+
+    if (metadata.profile_id && orderDoc.data().profile_id !== metadata.profile_id) {
+        console.warn(`Order ${metadata.order_id} does not belong to profile ${metadata.profile_id}`);
+        return null;
+    }
+
+    return orderRef;
+}
+
+async function findOrderByPaymentIntent(db, paymentIntentId) {
+    const snapshot = await db.collection(collections.orders)
+        .where('payment.payment_intent', '==', paymentIntentId)
+        .limit(1)
+        .get();
+
+    return snapshot.empty ? null : snapshot.docs[0].ref;
+}
+
+// Newer API versions moved shipping_details under collected_information
+function getShippingDetails(session) {
+    const details = session.collected_information?.shipping_details || session.shipping_details;
+    if (!details?.address) return null;
+
+    const { line1, line2, city, state, postal_code, country } = details.address;
+    return {
+        name: details.name || session.customer_details?.name || null,
+        address: { line1, line2: line2 || null, city, state, postal_code, country }
+    };
+}
+
+function getCustomerDetails(session) {
+    const details = session.customer_details || {};
+    return {
+        email: details.email || session.customer_email || null,
+        name: details.name || null,
+        phone: details.phone || null
+    };
+}
+
+function stripeActor(event) {
+    return { type: 'stripe', id: event.id };
+}
+
+// Replace the profile's copy of the order, or append it the first time
+function upsertPurchase(profile, purchase) {
+    const history = [...(profile.shopping?.purchase_history || [])];
+    const index = history.findIndex(entry => entry.order_id === purchase.order_id);
+
+    if (index === -1) {
+        history.push(purchase);
+    } else {
+        history[index] = { ...history[index], ...purchase };
+    }
+
+    return history;
+}
+
+// Why a paid session can't settle the order, or null if it can. The session
+// was created from the locked lines, so a matching id and amount means Stripe
+// charged for exactly those.
+function checkSessionAgainstOrder(session, order) {
+    if (order.status !== 'pending') return `order_${order.status}`;
+
+    const lock = order.checkout;
+    if (!lock) return 'no_checkout_session';
+    if (lock.session_id !== session.id) return 'session_mismatch';
+    if (lock.amount_total !== session.amount_total || lock.currency !== session.currency) return 'amount_mismatch';
+
+    return null;
+}
+
+// Money taken for an order that is no longer waiting for it has to go back;
+// a pending order that was charged the wrong amount needs a person to look
+function createPaymentReview(session, order, reason, now) {
+    return {
+        session_id: session.id,
+        payment_intent: session.payment_intent || null,
+        amount_total: (session.amount_total || 0) / 100,
+        currency: session.currency,
+        reason,
+        action: order.status === 'pending' ? 'review' : 'refund',
+        flagged_at: now
+    };
+}
+
+async function notifyPaymentReview(db, orderId, review) {
+    const recipient = config.inventory.ownerEmail;
+    if (!recipient) return;
+
+    await db.collection(inventoryCollections.mail).add({
+        to: recipient,
+        message: {
+            subject: `Payment needs a ${review.action}: order ${orderId}`,
+            text: [
+                `Checkout session ${review.session_id} took ${review.amount_total.toFixed(2)} ${(review.currency || '').toUpperCase()} for order ${orderId}.`,
+                `It was not applied to the order (${review.reason.replace(/_/g, ' ')}).`,
+                review.payment_intent ? `Payment intent: ${review.payment_intent}` : null
+            ].filter(Boolean).join('\n')
+        },
+        order_id: orderId,
+        created_at: review.flagged_at
+    });
+}
+
+// ===== EVENT HANDLERS =====
+
+async function handleCheckoutCompleted(session, event) {
+    const db = getDb();
+    const orderRef = await findOrder(db, session.metadata);
+
+    if (!orderRef) {
+        console.warn(`No order found for checkout session ${session.id}`);
+        return { handled: false, reason: 'order_not_found' };
+    }
+
+    if (session.payment_status !== 'paid') {
+        // Delayed payment methods complete the session before the money arrives
+        console.log(`Checkout session ${session.id} completed with payment_status ${session.payment_status}`);
+        return { handled: false, reason: 'payment_not_paid' };
+    }
+
+    const result = await db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        const order = orderDoc.data();
+
+        if (order.payment?.session_id === session.id) {
+            return { alreadyProcessed: true, changes: [] };
+        }
+
+        const reason = checkSessionAgainstOrder(session, order);
+        if (reason) {
+            const review = createPaymentReview(session, order, reason, new Date().toISOString());
+            const reviews = (order.payment_reviews || []).filter(entry => entry.session_id !== session.id);
+
+            transaction.update(orderRef, { payment_reviews: [...reviews, review] });
+            return { review };
+        }
+
+        const profileRef = order.profile_id ? db.collection(collections.profiles).doc(order.profile_id) : null;
+        const profileDoc = profileRef ? await transaction.get(profileRef) : null;
+        // Stock is committed for what was paid for, not whatever the order says now
+        const stockEntries = await readOrderStock(transaction, db, { ...order, items: order.checkout.lines });
+
+        const entry = createStatusHistoryEntry('paid', stripeActor(event), `Checkout session ${session.id}`);
+        const now = entry.timestamp;
+        const { changes, shortfalls } = writeOrderStock(transaction, db, stockEntries, orderRef.id);
+
+        const payment = {
+            provider: 'stripe',
+            status: 'paid',
+            session_id: session.id,
+            payment_intent: session.payment_intent || null,
+            amount_total: (session.amount_total || 0) / 100,
+            currency: session.currency,
+            paid_at: now
+        };
+
+        transaction.update(orderRef, {
+            status: 'paid',
+            status_updated_at: now,
+            status_history: [...(order.status_history || []), entry],
+            payment,
+            customer_details: getCustomerDetails(session),
+            shipping: getShippingDetails(session),
+            stock_committed: true,
+            stock_shortfalls: shortfalls
+        });
+
+        if (profileDoc?.exists) {
+            // The customer's copy shows what they were charged, not the storefront's estimate
+            const { lines, totals } = getCheckoutFigures(order);
+            const purchase = {
+                order_id: orderRef.id,
+                ...order,
+                items: lines,
+                totals,
+                status: 'paid',
+                status_updated_at: now,
+                payment,
+                purchased_at: now
+            };
+
+            transaction.update(profileRef, {
+                'shopping.purchase_history': upsertPurchase(profileDoc.data(), purchase),
+                updated_at: now
+            });
+        }
+
+        return { alreadyProcessed: false, changes, shortfalls };
+    });
+
+    if (result.alreadyProcessed) {
+        console.log(`Order ${orderRef.id} already processed, ignoring duplicate completion`);
+        return { handled: true, order_id: orderRef.id, duplicate: true };
+    }
+
+    if (result.review) {
+        console.warn(`Checkout session ${session.id} was paid but not applied to order ${orderRef.id} (${result.review.reason}), flagged for ${result.review.action}`);
+        await notifyPaymentReview(db, orderRef.id, result.review);
+        return { handled: true, order_id: orderRef.id, flagged: result.review.reason };
+    }
+
+    if (result.shortfalls.length > 0) {
+        console.warn(`Order ${orderRef.id} was paid for more stock than was available:`, result.shortfalls);
+    }
+
+    await sendStockAlerts(db, getFieldValue(), result.changes);
+
+    console.log(`Order ${orderRef.id} paid via ${session.id}`);
+    return { handled: true, order_id: orderRef.id };
+}
+
+// The order stays pending - the customer can retry on the same session
+// until it expires, and their holds lapse on their own if they give up.
+async function handlePaymentFailed(paymentIntent) {
+    const db = getDb();
+    const orderRef = await findOrder(db, paymentIntent.metadata);
+
+    if (!orderRef) {
+        console.warn(`No order found for payment intent ${paymentIntent.id}`);
+        return { handled: false, reason: 'order_not_found' };
+    }
+
+    const error = paymentIntent.last_payment_error || {};
+
+    await orderRef.update({
+        'payment.provider': 'stripe',
+        'payment.status': 'failed',
+        'payment.payment_intent': paymentIntent.id,
+        'payment.failure_code': error.code || null,
+        'payment.failure_message': error.message || null,
+        'payment.failed_at': new Date().toISOString()
+    });
+
+    console.log(`Payment failed for order ${orderRef.id}: ${error.message || 'unknown reason'}`);
+    return { handled: true, order_id: orderRef.id };
+}
+
+async function handleChargeRefunded(charge, event) {
+    const db = getDb();
+    const orderRef = await findOrder(db, charge.metadata)
+        || (charge.payment_intent ? await findOrderByPaymentIntent(db, charge.payment_intent) : null);
+
+    if (!orderRef) {
+        console.warn(`No order found for refunded charge ${charge.id}`);
+        return { handled: false, reason: 'order_not_found' };
+    }
+
+    const status = charge.amount_refunded >= charge.amount ? 'refunded' : 'partially_refunded';
+
+    const applied = await db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        const order = orderDoc.data();
+
+        // Refunds issued from the Stripe dashboard can't be refused, so an
+        // unexpected transition is logged rather than retried forever
+        if (!canTransitionOrder(order.status, status)) {
+            console.warn(`Order ${orderRef.id} is ${order.status}, not recording ${status}`);
+            return false;
+        }
+
+        const profileRef = order.profile_id ? db.collection(collections.profiles).doc(order.profile_id) : null;
+        const profileDoc = profileRef ? await transaction.get(profileRef) : null;
+
+        const entry = createStatusHistoryEntry(status, stripeActor(event), `Charge ${charge.id}`);
+        const now = entry.timestamp;
+        const refund = {
+            charge_id: charge.id,
+            amount_refunded: charge.amount_refunded / 100,
+            refunded_at: now
+        };
+
+        transaction.update(orderRef, {
+            status,
+            status_updated_at: now,
+            status_history: [...(order.status_history || []), entry],
+            refund
+        });
+
+        if (profileDoc?.exists) {
+            transaction.update(profileRef, {
+                'shopping.purchase_history': upsertPurchase(profileDoc.data(), {
+                    order_id: orderRef.id,
+                    status,
+                    status_updated_at: now,
+                    refund
+                }),
+                updated_at: now
+            });
+        }
+
+        return true;
+    });
+
+    if (!applied) {
+        return { handled: false, order_id: orderRef.id, reason: 'invalid_transition' };
+    }
+
+    console.log(`Order ${orderRef.id} ${status.replace('_', ' ')}`);
+    return { handled: true, order_id: orderRef.id };
+}
+
+const handlers = {
+    'checkout.session.completed': handleCheckoutCompleted,
+    'payment_intent.payment_failed': handlePaymentFailed,
+    'charge.refunded': handleChargeRefunded
+};
+
+// Stripe redelivers on any non-2xx response for up to three days, which
+// covers a completion that arrives before its order can be found
+function getDeliveryStatus(result) {
+    return result.reason === 'order_not_found' ? 404 : 200;
+}
+
+// Stripe retries deliveries, so handled event ids are recorded and skipped.
+// Events that weren't handled stay unrecorded so a retry or replay can still apply them.
+async function handleStripeEvent(event) {
+    const handler = handlers[event.type];
+
+    if (!handler) {
+        return { handled: false, reason: 'unhandled_event_type' };
+    }
+
+    const db = getDb();
+    const eventRef = db.collection(collections.events).doc(event.id);
+
+    if ((await eventRef.get()).exists) {
+        console.log(`Stripe event ${event.id} already processed`);
+        return { handled: true, duplicate: true };
+    }
+
+    const result = await handler(event.data.object, event);
+
+    if (!result.handled) {
+        return result;
+    }
+
+    await eventRef.set({
+        type: event.type,
+        object_id: event.data.object.id,
+        result,
+        processed_at: new Date().toISOString()
+    });
+
+    return result;
+}
+
+module.exports = { verifyWebhook, handleStripeEvent, handlers, checkSessionAgainstOrder, createPaymentReview, getDeliveryStatus };
@@ -0,0 +1,180 @@
+// ===== STRIPE CONFIGURATION =====
+export const STRIPE_CONFIG = {
+    publishableKey: 'pk_test_51S5YU8FKyDLT77ug2RZh3OVCAzDsHVPZIvyBWxjuTcylKHLcza1XhFTjEzpWbdgilo5fpTl16ivKardNXM23c6AI00eknKjdiV',
+    // Sessions are created server-side (server/index.js) so prices can't be tampered with
+    apiBase: '/api'
+};
+
+// ===== STRIPE INTEGRATION =====
+export class StripeIntegration {
+    constructor(firebaseManager) {
+        this.firebaseManager = firebaseManager;
+        this.publishableKey = STRIPE_CONFIG.publishableKey;
+        this.stripe = null;
+        this.elements = null;
+        this.isLocalDevelopment = window.location.protocol === 'file:' || window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+    }
+
+    async initialize() {
+        try {
+            if (!window.Stripe) {
+                await this.loadStripeJS();
+            }
+            
+            this.stripe = window.Stripe(this.publishableKey);
+            console.log('Stripe initialized successfully');
+            return this.stripe;
+        } catch (error) {
+            console.error('Failed to initialize Stripe:', error);
+            if (this.isLocalDevelopment) {
+                console.log('Running locally - some Stripe features may be limited');
+            }
+            return null;
+        }
+    }
+
+    async loadStripeJS() {
+        return new Promise((resolve, reject) => {
+            if (window.Stripe) {
+                resolve();
+                return;
+            }
+
+            const script = document.createElement('script');
+            script.src = 'https://js.stripe.com/v3/';
+            script.onload = resolve;
+            script.onerror = (error) => {
+                if (this.isLocalDevelopment) {
+                    console.log('Stripe.js failed to load - this is expected when running locally');
+                    resolve();
+                } else {
+                    reject(error);
+                }
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    // Redirects to Stripe. Orders are only paid and their stock committed by the
+    // checkout server, so there's no checkout without it.
+    async createCheckoutSession(items, customerInfo = {}) {
+        try {
+            if (this.isLocalDevelopment && !(await this.isCheckoutApiAvailable())) {
+                throw new Error('Checkout API not running - start it, with the Stripe stand-in to work offline (see README "Checkout server")');
+            }
+
+            const orderId = await this.logCheckoutToFirebase(items, customerInfo);
+
+            // The server prices the order it logged and checks it is ours
+            const token = await this.firebaseManager.auth.currentUser.getIdToken();
+            const response = await fetch(`${STRIPE_CONFIG.apiBase}/checkout-session`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({
+                    order_id: orderId,
+                    customer_email: customerInfo.email
+                })
+            });
+            
+            const session = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(session.error || `Checkout session request failed (${response.status})`);
+            }
+
+            if (session.url) {
+                window.location.href = session.url;
+                return;
+            }
+
+            if (!this.stripe) {
+                throw new Error('Stripe not initialized');
+            }
+
+            const { error } = await this.stripe.redirectToCheckout({ sessionId: session.id });
+
+            if (error) {
+                throw error;
+            }
+
+        } catch (error) {
+            console.error('Stripe checkout error:', error);
+            await this.firebaseManager.logEvent('checkout_error', {
+                error: error.message,
+                cart_items: items.length,
+                cart_value: items.reduce((sum, item) => sum + (item.price * item.quantity), 0)
+            });
+            throw error;
+        }
+    }
+
+    async isCheckoutApiAvailable() {
+        try {
+            const response = await fetch(`${STRIPE_CONFIG.apiBase}/health`);
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async logCheckoutToFirebase(items, customerInfo) {
+        const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+        const shippingCost = this.calculateShipping(items);
+        const tax = this.calculateTax(subtotal);
+        const total = subtotal + shippingCost + tax;
+
+        const orderData = {
+            customer: customerInfo,
+            items: items.map(item => ({
+                product_id: item.id,
+                variant_id: item.variant_id || null,
+                size: item.size || null,
+                color: item.color || null,
+                gift_note: item.gift_note || null,
+                name: item.name,
+                sku: item.sku,
+                image: item.image || null,
+                price: item.price,
+                quantity: item.quantity,
+                total: item.price * item.quantity
+            })),
+            totals: {
+                subtotal,
+                shipping: shippingCost,
+                tax,
+                total
+            },
+            payment_method: 'stripe',
+            order_source: 'website',
+            order_id: 'order_' + Date.now()
+        };
+
+        return await this.firebaseManager.logOrder(orderData);
+    }
+
+    calculateShipping(items) {
+        const totalWeight = items.reduce((sum, item) => sum + (item.weight * item.quantity), 0);
+
+        if (totalWeight < 1) return 5.99;
+        if (totalWeight < 3) return 8.99;
+        if (totalWeight < 5) return 12.99;
+        return 15.99;
+    }
+
+    calculateTax(subtotal) {
+        return subtotal * 0.085;
+    }
+
+    async getClientIP() {
+        try {
+            const response = await fetch('https://api.ipify.org?format=json');
+            const data = await response.json();
+            return data.ip;
+        } catch (error) {
+            return 'unknown';
+        }
+    }
+}
@@ -0,0 +1,54 @@
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { defineConfig } from 'vite';
+
+// The server is CommonJS (server/package.json); loading it at runtime keeps it
+// out of Vite's bundled copy of this config
+const requireServer = createRequire(import.meta.url);
+const seo = requireServer('./server/seo.js');
+
+// Static product pages and sitemap.xml for crawlers and link previews (server/seo.js)
+function seoPages() {
+    return {
+        name: 'seo-pages',
+        apply: 'build',
+        async generateBundle() {
+            if (!seo.hasProductSource()) {
+                this.warn('Skipping product pages: set PRODUCTS_FILE or FIRESTORE_EMULATOR_HOST to generate them');
+                return;
+            }
+
+            const files = await seo.generateSeoFiles();
+            files.forEach(({ fileName, source }) => {
+                this.emitFile({ type: 'asset', fileName, source });
+            });
+        }
+    };
+}
+
+// The dev server lets the page reach the Firebase emulators on the ports in
+// firebase.json. Builds keep index.html's Content-Security-Policy as it is.
+function emulatorCsp() {
+    return {
+        name: 'emulator-csp',
+        apply: 'serve',
+        transformIndexHtml(html) {
+            const { emulators } = JSON.parse(readFileSync(new URL('./firebase.json', import.meta.url), 'utf8'));
+            const origins = Object.values(emulators)
+                .filter(emulator => emulator.port)
+                .flatMap(({ port }) => [`http://localhost:${port}`, `http://127.0.0.1:${port}`]);
+
+            return html.replace(/connect-src [^;"]*/, directive => `${directive} ${origins.join(' ')}`);
+        }
+    };
+}
+
+export default defineConfig({
+    plugins: [seoPages(), emulatorCsp()],
+    server: {
+        // Checkout and webhook endpoints are served by server/index.js
+        proxy: {
+            '/api': `http://localhost:${process.env.API_PORT || 3001}`
+        }
+    }
+});